@@ -0,0 +1,332 @@
+/**
+ * @fileoverview Shared CLI bootstrap
+ * @description Parses command-line flags, resolves the layered configuration (defaults,
+ *              config file, environment, flags), connects to the network and runs a command
+ *              with uniform logging, GitHub outputs, failure summaries and exit codes
+ */
+
+import { parseArgs } from 'node:util';
+import {
+  generateCorrelationId,
+  createSessionLogger,
+  writeGitHubSummary,
+  setGitHubOutput,
+  redirectConsoleToStderr
+} from '../utils/logger.js';
+import { ValidationError } from '../utils/validation.js';
+import { createProvider, createWallet, BlockchainError } from '../services/blockchain.js';
+import { findConfigFile, readConfigFile, resolveConfig, formatEffectiveConfig } from '../config/loader.js';
+import { generateFailureSummary, formatDuration } from './summaries.js';
+import { BASE_RPC_URLS, ERROR_CODES } from '../config/constants.js';
+
+/**
+ * Flags understood by the CLI (util.parseArgs option spec)
+ * Keys are the long flag names; commands list the camelCase names they accept
+ * @constant {Object}
+ */
+const CLI_OPTIONS = {
+  amount: { type: 'string' },
+  percent: { type: 'string' },
+  'target-usd': { type: 'string' },
+  chunks: { type: 'string' },
+  token: { type: 'string' },
+  slippage: { type: 'string' },
+  all: { type: 'boolean' },
+  'dry-run': { type: 'boolean' },
+  json: { type: 'boolean' },
+  config: { type: 'string' },
+  help: { type: 'boolean', short: 'h' }
+};
+
+/**
+ * Flags every command accepts
+ * @constant {string[]}
+ */
+const GLOBAL_FLAGS = ['json', 'config', 'help'];
+
+// =============================================================================
+// ARGUMENT PARSING
+// =============================================================================
+
+/**
+ * Parses command-line arguments
+ * @param {string[]} argv - Arguments after the executable and script (process.argv.slice(2))
+ * @returns {{command: string|null, positionals: string[], flags: Object}} Parsed arguments
+ *          (flags use camelCase keys, e.g. dryRun)
+ * @throws {ValidationError} If an option is unknown or is missing its value
+ */
+export function parseCliArgs(argv) {
+  let parsed;
+  try {
+    parsed = parseArgs({ args: argv, options: CLI_OPTIONS, allowPositionals: true, strict: true });
+  } catch (error) {
+    throw new ValidationError(error.message, ERROR_CODES.INVALID_CONFIG, { argv });
+  }
+
+  const flags = {};
+  for (const [name, value] of Object.entries(parsed.values)) {
+    flags[name.replace(/-([a-z])/g, (_, letter) => letter.toUpperCase())] = value;
+  }
+
+  const [command = null, ...positionals] = parsed.positionals;
+  return { command, positionals, flags };
+}
+
+/**
+ * Formats a camelCase flag name as it is typed on the command line
+ * @param {string} name - Flag name (e.g. dryRun)
+ * @returns {string} e.g. "--dry-run"
+ */
+function toOptionName(name) {
+  return `--${name.replace(/[A-Z]/g, (letter) => `-${letter.toLowerCase()}`)}`;
+}
+
+/**
+ * Builds the usage text from the command table
+ * @param {Object} commands - Command table (name -> command)
+ * @returns {string} Usage text
+ */
+export function formatUsage(commands) {
+  const width = Math.max(...Object.keys(commands).map((name) => name.length));
+  const lines = Object.entries(commands).map(([name, command]) => {
+    const flags = command.flags.map(toOptionName).join(' ');
+    return `  ${name.padEnd(width)}  ${command.description}${flags ? ` [${flags}]` : ''}`;
+  });
+
+  return `Usage: token-bot <command> [options]
+
+Commands:
+${lines.join('\n')}
+
+Options:
+  --amount <n>     Buy amount in USD (buy, quote buy) or token amount (sell, quote sell, approve)
+  --percent <n>    Sell this percentage of the balance (overrides SELL_MODE)
+  --target-usd <n> Sell down to a position worth this many USD (overrides SELL_MODE)
+  --chunks <n>     Split the sell into n swaps (overrides SELL_CHUNKS)
+  --token <addr>   Token address (overrides TOKEN_ADDRESS)
+  --slippage <n>   Slippage tolerance in % (overrides SLIPPAGE_TOLERANCE)
+  --all            Revoke WETH and every configured token (revoke)
+  --dry-run        Simulate without broadcasting (overrides DRY_RUN)
+  --json           Print the result as JSON on stdout (logs go to stderr)
+  --config <path>  Configuration file (overrides CONFIG_PATH; default: ./bot.config.json or .yaml)
+  -h, --help       Show this help
+
+Settings are resolved from defaults, the configuration file, the environment
+(PRIVATE_KEY, TOKEN_ADDRESS, RPC_URL, ...) and flags, in increasing precedence.`;
+}
+
+// =============================================================================
+// BOOTSTRAP
+// =============================================================================
+
+/**
+ * Validates configuration and opens the connections a command needs
+ * @param {Object} command - Command definition
+ * @param {Object} flags - Parsed flags
+ * @param {Object} logger - Logger instance
+ * @param {Object} [options] - Options
+ * @param {Object} [options.env=process.env] - Environment variables
+ * @param {string[]} [options.fallbackRpcUrls=BASE_RPC_URLS] - RPC URLs tried after RPC_URL
+ * @param {string} [options.cwd=process.cwd()] - Directory searched for the configuration file
+ * @returns {Promise<Object>} Command context ({config, provider, wallet})
+ * @throws {ValidationError} If a flag is not supported or the configuration is invalid
+ */
+export async function bootstrap(command, flags, logger, {
+  env = process.env,
+  fallbackRpcUrls = BASE_RPC_URLS,
+  cwd = process.cwd()
+} = {}) {
+  const unsupported = Object.keys(flags).filter(
+    (name) => !GLOBAL_FLAGS.includes(name) && !command.flags.includes(name)
+  );
+  if (unsupported.length > 0) {
+    throw new ValidationError(
+      `Unsupported option for ${command.name}: ${unsupported.map(toOptionName).join(', ')}`,
+      ERROR_CODES.INVALID_CONFIG,
+      { command: command.name, unsupported }
+    );
+  }
+
+  // Commands that validate configuration themselves get the raw flags/env only
+  if (command.configure === false) {
+    return { config: null, provider: null, wallet: null };
+  }
+
+  logger.info('Validating configuration...');
+  const configFile = findConfigFile({ configPath: flags.config ?? env.CONFIG_PATH, cwd });
+  if (configFile) {
+    logger.info(`Loading configuration file: ${configFile}`);
+  }
+
+  const { config, sources } = resolveConfig(
+    { file: configFile ? readConfigFile(configFile) : {}, env, flags },
+    { requireWallet: Boolean(command.wallet), requireRpc: command.network === true }
+  );
+  logger.info('Effective configuration', formatEffectiveConfig(config, sources));
+
+  if (config.dryRun && command.flags.includes('dryRun')) {
+    logger.info('DRY RUN enabled - transactions will be simulated but not broadcast');
+  }
+
+  if (!command.network || !config.rpcUrl) {
+    return { config, provider: null, wallet: null };
+  }
+
+  logger.info('Connecting to Base network...');
+  const provider = await createProvider(config.rpcUrl, logger, fallbackRpcUrls);
+  const wallet = command.wallet ? await createWallet(config.privateKey, provider, logger) : null;
+
+  return { config, provider, wallet };
+}
+
+/**
+ * Runs a command through the shared bootstrap
+ * Never throws: failures are logged, summarized and reported through the exit code
+ * @param {Object} command - Command definition
+ * @param {Object} args - Parsed arguments
+ * @param {Object} args.flags - Parsed flags
+ * @param {string[]} [args.positionals=[]] - Positional arguments after the command name
+ * @param {Object} [options] - Options
+ * @param {Object} [options.env=process.env] - Environment variables
+ * @param {Object} [options.logger] - Logger (defaults to a session logger)
+ * @param {{write: Function}} [options.stdout=process.stdout] - Destination of command output
+ * @param {string[]} [options.fallbackRpcUrls=BASE_RPC_URLS] - RPC URLs tried after RPC_URL
+ * @param {string} [options.cwd=process.cwd()] - Directory searched for the configuration file
+ * @returns {Promise<{exitCode: number, result: Object|null, error: Error|null}>} Outcome
+ */
+export async function runCommand(command, { flags, positionals = [] }, {
+  env = process.env,
+  logger: providedLogger,
+  stdout = process.stdout,
+  fallbackRpcUrls = BASE_RPC_URLS,
+  cwd = process.cwd()
+} = {}) {
+  const correlationId = generateCorrelationId();
+  const action = command.name.toUpperCase();
+  const logger = providedLogger ?? createSessionLogger(correlationId, action);
+  const startTime = Date.now();
+  const json = Boolean(flags.json);
+
+  if (json && !providedLogger) {
+    redirectConsoleToStderr();
+  }
+
+  // Human-readable output is suppressed in --json mode so stdout stays parseable
+  const print = (line = '') => {
+    if (!json) {
+      stdout.write(`${line}\n`);
+    }
+  };
+
+  logger.info('='.repeat(60));
+  logger.info(`TOKEN ACTIVITY BOT - ${action} ACTION`);
+  logger.info(`Correlation ID: ${correlationId}`);
+  logger.info(`Timestamp: ${new Date().toISOString()}`);
+  logger.info('='.repeat(60));
+
+  let provider = null;
+
+  try {
+    const context = await bootstrap(command, flags, logger, { env, fallbackRpcUrls, cwd });
+    provider = context.provider;
+
+    const result = await command.run({
+      ...context,
+      flags,
+      positionals,
+      env,
+      cwd,
+      logger,
+      print,
+      correlationId,
+      startTime
+    });
+
+    if (json) {
+      stdout.write(`${toJson(result)}\n`);
+    }
+
+    logger.info('='.repeat(60));
+    logger.info(`${action} ACTION ${describeOutcome(result)}`);
+    if (result?.explorerUrl) {
+      logger.info(`Transaction: ${result.explorerUrl}`);
+    }
+    logger.info(`Duration: ${formatDuration(startTime)}s`);
+    logger.info('='.repeat(60));
+
+    // Partial failures (a portfolio token that could not be traded) still fail the run
+    return { exitCode: result?.success === false ? 1 : 0, result, error: null };
+
+  } catch (error) {
+    logger.error(`${action} ACTION FAILED`, { error });
+
+    setGitHubOutput('success', 'false');
+    setGitHubOutput('error_message', error.message);
+    setGitHubOutput('error_code', error.code?.toString() || 'UNKNOWN');
+
+    await writeGitHubSummary(generateFailureSummary(error, command.title, correlationId, startTime));
+
+    // Log specific error types
+    if (error instanceof ValidationError) {
+      logger.error('Configuration validation failed', {
+        code: error.code,
+        details: error.details
+      });
+    } else if (error instanceof BlockchainError) {
+      logger.error('Blockchain operation failed', {
+        code: error.code,
+        details: error.details
+      });
+    } else {
+      logger.error('Unexpected error occurred', {
+        name: error.name,
+        message: error.message,
+        stack: error.stack
+      });
+    }
+
+    if (json) {
+      stdout.write(`${toJson({
+        success: false,
+        error: { name: error.name, code: error.code ?? null, message: error.message, details: error.details ?? null }
+      })}\n`);
+    }
+
+    logger.info('='.repeat(60));
+    logger.info(`${action} ACTION FAILED`);
+    logger.info(`Duration: ${formatDuration(startTime)}s`);
+    logger.info('='.repeat(60));
+
+    return { exitCode: 1, result: null, error };
+
+  } finally {
+    provider?.destroy();
+  }
+}
+
+/**
+ * Describes how a command finished for the closing log banner
+ * @param {Object|null} result - Command result
+ * @returns {string} Outcome text
+ */
+function describeOutcome(result) {
+  if (result?.success === false) {
+    return 'COMPLETED WITH FAILURES';
+  }
+  if (result?.skipped) {
+    return 'SKIPPED';
+  }
+  if (result?.simulated) {
+    return 'SIMULATED SUCCESSFULLY (DRY RUN)';
+  }
+  return 'COMPLETED SUCCESSFULLY';
+}
+
+/**
+ * Serializes a result as JSON (bigints as decimal strings)
+ * @param {*} value - Value to serialize
+ * @returns {string} Pretty-printed JSON
+ */
+function toJson(value) {
+  return JSON.stringify(value, (key, item) => (typeof item === 'bigint' ? item.toString() : item), 2);
+}
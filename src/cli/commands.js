@@ -0,0 +1,1063 @@
+/**
+ * @fileoverview CLI commands
+ * @description Command table for the token-bot CLI. Each command declares the flags it
+ *              accepts and whether it needs a wallet and/or a network connection; the
+ *              shared bootstrap validates configuration and connects before run() is called.
+ */
+
+import { ethers } from 'ethers';
+import { writeGitHubSummary, setGitHubOutput } from '../utils/logger.js';
+import {
+  validateAddress,
+  validatePrivateKey,
+  validateNumericRange,
+  validateOption,
+  validateConfigValue,
+  ValidationError
+} from '../utils/validation.js';
+import {
+  getTokenInfo,
+  getTokenBalance,
+  getEthBalance,
+  getAllowances,
+  simulateApproval,
+  approveToken,
+  revokeApproval,
+  getExplorerUrl,
+  withTimeout
+} from '../services/blockchain.js';
+import { readLedger, computePnl, updateLedger } from '../services/ledger.js';
+import { enforceRiskLimits } from '../services/risk.js';
+import { checkTokenSafety, estimateTransferTax } from '../services/token-safety.js';
+import { getPermit2Allowances, revokePermit2Allowance } from '../services/permits.js';
+import { findConfigFile, readConfigFile, resolveConfig, getPortfolioTokens } from '../config/loader.js';
+import { executeBuy, executeSell, quoteTrade, generateRandomBuyAmount } from '../services/trading.js';
+import {
+  generateBuySummary,
+  generateBuySimulatedSummary,
+  generateSellSummary,
+  generateSellSimulatedSummary,
+  generateSellSkippedSummary,
+  generatePortfolioSummary
+} from './summaries.js';
+import {
+  BASE_CHAIN_ID,
+  BASE_RPC_URLS,
+  WETH_ADDRESS,
+  PERMIT2_ADDRESS,
+  ERC20_ABI,
+  MIN_CUSTOM_BUY_AMOUNT_USD,
+  MAX_CUSTOM_BUY_AMOUNT_USD,
+  SELL_MODES,
+  SELL_MODE_SETTINGS,
+  CONFIG_SCHEMA,
+  PORTFOLIO_TOKEN_OVERRIDES,
+  TOKEN_SAFETY_POLICIES,
+  ERROR_CODES
+} from '../config/constants.js';
+
+/**
+ * Sell flags that size the sell, with the sell mode each one selects
+ * @constant {Object<string, string>}
+ */
+const SELL_SIZING_FLAGS = {
+  amount: { mode: SELL_MODES.AMOUNT, option: '--amount' },
+  percent: { mode: SELL_MODES.PERCENT, option: '--percent' },
+  targetUsd: { mode: SELL_MODES.TARGET_USD, option: '--target-usd' }
+};
+
+// =============================================================================
+// HELPERS
+// =============================================================================
+
+/**
+ * Resolves the USD amount to buy
+ * @param {string|undefined} customAmount - --amount flag or CUSTOM_AMOUNT (empty for random)
+ * @param {string} fieldName - Name reported in validation errors
+ * @param {Object} settings - Token settings with the random amount range (minBuyAmountUsd, maxBuyAmountUsd)
+ * @param {Object} logger - Logger instance
+ * @returns {number} Buy amount in USD
+ * @throws {ValidationError} If the custom amount is not a number or out of range
+ */
+function resolveBuyAmount(customAmount, fieldName, settings, logger) {
+  if (customAmount && customAmount.trim() !== '') {
+    const amount = validateNumericRange(
+      customAmount.trim(),
+      MIN_CUSTOM_BUY_AMOUNT_USD,
+      MAX_CUSTOM_BUY_AMOUNT_USD,
+      fieldName
+    );
+    logger.info(`Custom buy amount: $${amount}`);
+    return amount;
+  }
+
+  const amount = generateRandomBuyAmount(settings.minBuyAmountUsd, settings.maxBuyAmountUsd);
+  logger.info(`Random buy amount: $${amount}`);
+  return amount;
+}
+
+/**
+ * Parses a token amount flag into base units
+ * @param {string} value - Amount in whole tokens
+ * @param {number} decimals - Token decimals
+ * @returns {bigint} Amount in base units
+ * @throws {ValidationError} If the amount is not a positive number
+ */
+function parseTokenAmount(value, decimals) {
+  validateNumericRange(value, 0, Number.MAX_VALUE, '--amount');
+  const amount = ethers.parseUnits(value.trim(), decimals);
+
+  if (amount === 0n) {
+    throw new ValidationError('--amount must be greater than 0', ERROR_CODES.INVALID_CONFIG, { received: value });
+  }
+  return amount;
+}
+
+/**
+ * Resolves the sell sizing flags (--amount, --percent or --target-usd) into token settings
+ * A sizing flag replaces the configured sell mode of every token.
+ * @param {Object} flags - Parsed flags
+ * @returns {Object} sellMode and its sizing setting, or {} without a sizing flag
+ * @throws {ValidationError} If several sizing flags are given or the value is out of range
+ */
+function resolveSellSizingFlags(flags) {
+  const given = Object.keys(SELL_SIZING_FLAGS).filter((name) => flags[name] !== undefined);
+  if (given.length === 0) {
+    return {};
+  }
+  if (given.length > 1) {
+    throw new ValidationError(
+      'Use only one of --amount, --percent and --target-usd',
+      ERROR_CODES.INVALID_CONFIG,
+      { flags: given }
+    );
+  }
+
+  const [name] = given;
+  const { mode, option } = SELL_SIZING_FLAGS[name];
+  const key = SELL_MODE_SETTINGS[mode];
+  return { sellMode: mode, [key]: validateConfigValue(flags[name], { ...CONFIG_SCHEMA[key], env: option }) };
+}
+
+/**
+ * Collects the ETH/USD price settings passed to the trading service
+ * @param {Object} config - Validated configuration
+ * @returns {Object} Pricing options (see getEthPriceUsd)
+ */
+function getPricingOptions(config) {
+  return {
+    maxAgeSeconds: config.maxPriceAgeSeconds,
+    twapSeconds: config.priceTwapSeconds,
+    maxDeviationBps: config.maxPriceDeviationBps
+  };
+}
+
+/**
+ * Lists the tokens the bot approves the router for: WETH (buys) and every configured token
+ * (sells), including disabled portfolio tokens
+ * @param {Object} config - Validated configuration
+ * @returns {string[]} Token addresses without duplicates
+ */
+function getApprovalTokenAddresses(config) {
+  const configured = config.tokens?.map((token) => token.address) ?? [config.tokenAddress];
+  const seen = new Set();
+
+  return [WETH_ADDRESS, ...configured].filter((address) => {
+    const key = address.toLowerCase();
+    return !seen.has(key) && seen.add(key);
+  });
+}
+
+/**
+ * Formats an allowance for display
+ * @param {Object} entry - Allowance entry (see getAllowances)
+ * @returns {string} e.g. "12.5" or "unlimited"
+ */
+function formatAllowance(entry) {
+  return entry.unlimited ? 'unlimited' : ethers.formatUnits(entry.allowance, entry.decimals);
+}
+
+/**
+ * Formats when a Permit2 allowance expires, for display after the allowance
+ * @param {Object} entry - Allowance entry (see collectAllowances)
+ * @returns {string} e.g. " (expires 2026-01-01T00:00:00.000Z)", or "" for ERC-20 and zero allowances
+ */
+function formatPermit2Expiry(entry) {
+  if (!entry.permit2 || entry.allowance === 0n) {
+    return '';
+  }
+  return entry.expired ? ' (expired)' : ` (expires ${new Date(entry.expiration * 1000).toISOString()})`;
+}
+
+/**
+ * Reads every allowance a trade can leave behind on each token: the router's and Permit2's
+ * ERC-20 allowances, and the Universal Router's allowance inside Permit2
+ * @param {string[]} tokenAddresses - Token contract addresses
+ * @param {string} ownerAddress - Wallet address
+ * @param {Object} config - Validated configuration
+ * @param {ethers.Provider} provider - Provider instance
+ * @param {Object} logger - Logger instance
+ * @returns {Promise<Object[]>} Allowance entries (see getAllowances, getPermit2Allowances) grouped by
+ *          token, each with its spender, a label, permit2 (held in Permit2) and open (spendable now)
+ */
+async function collectAllowances(tokenAddresses, ownerAddress, config, provider, logger) {
+  const spenders = [
+    { label: 'Router', spender: config.routerAddress, permit2: false, read: getAllowances },
+    { label: 'Permit2', spender: PERMIT2_ADDRESS, permit2: false, read: getAllowances },
+    { label: 'Universal Router (Permit2)', spender: config.universalRouterAddress, permit2: true, read: getPermit2Allowances }
+  ];
+  const byToken = tokenAddresses.map(() => []);
+
+  for (const { label, spender, permit2, read } of spenders) {
+    const entries = await read(tokenAddresses, ownerAddress, spender, provider, logger);
+    entries.forEach((entry, index) => byToken[index].push({
+      ...entry,
+      label,
+      spender,
+      permit2,
+      open: entry.allowance > 0n && !entry.expired
+    }));
+  }
+
+  return byToken.flat();
+}
+
+/**
+ * Collects the private relay settings passed to the trading service
+ * @param {Object} config - Validated configuration
+ * @returns {Object|null} Relay options (see createRelaySubmitter), or null without PRIVATE_RELAY_URL
+ */
+function getPrivateRelayOptions(config) {
+  if (!config.privateRelayUrl) {
+    return null;
+  }
+  return { url: config.privateRelayUrl, timeoutMs: config.privateRelayTimeoutSeconds * 1000 };
+}
+
+// =============================================================================
+// TRADE COMMANDS
+// =============================================================================
+
+/**
+ * Buys every configured token (random amount unless --amount/CUSTOM_AMOUNT is set)
+ */
+async function runBuy(context) {
+  const { config, flags, env, logger, correlationId, startTime } = context;
+  const [customAmount, fieldName] = flags.amount !== undefined
+    ? [flags.amount, '--amount']
+    : [env.CUSTOM_AMOUNT, 'CUSTOM_AMOUNT'];
+  const buy = (token) => buyToken(token, resolveBuyAmount(customAmount, fieldName, token, logger), context);
+
+  const tokens = selectTokens(config, flags);
+  if (tokens.length > 1) {
+    return runPortfolio('Buy', tokens, buy, context);
+  }
+
+  const result = await buy(tokens[0]);
+
+  setGitHubOutput('success', 'true');
+  setGitHubOutput('dry_run', result.simulated.toString());
+  setGitHubOutput('tx_hash', result.txHash || '');
+  setGitHubOutput('amount_usd', result.input.usdAmount.toString());
+  setGitHubOutput('tokens_received', result.output.actualAmountOut ?? result.output.expectedTokens);
+
+  await writeGitHubSummary(result.simulated
+    ? generateBuySimulatedSummary(result, correlationId, startTime)
+    : generateBuySummary(result, correlationId, startTime, result.pnl));
+  return result;
+}
+
+/**
+ * Buys one token, unless a risk limit is reached or the token fails its safety inspection,
+ * and records a live trade in the ledger
+ * @param {Object} token - Token settings (see getPortfolioTokens)
+ * @param {number} amountUsd - USD amount to spend
+ * @param {Object} context - Command context
+ * @returns {Promise<Object>} Trade result (with tokenSafety, and pnl when live)
+ * @throws {ValidationError} If a risk limit is reached (RISK_LIMIT_EXCEEDED) or the token
+ *         is refused by the safety policy (TOKEN_UNSAFE)
+ */
+async function buyToken(token, amountUsd, context) {
+  const { config, wallet, logger } = context;
+  enforceRiskLimits(amountUsd, config, logger);
+
+  const tokenSafety = await checkTokenSafety(token.tokenAddress, wallet, {
+    policy: token.tokenSafetyPolicy,
+    options: {
+      intermediaries: config.routeIntermediaries,
+      poolFeeTiers: token.poolFeeTiers,
+      routerAddress: config.routerAddress,
+      quoterAddress: config.quoterAddress,
+      maxTaxBps: token.maxTokenTaxBps,
+      allowProxy: token.allowProxyTokens
+    }
+  }, logger);
+
+  const result = await executeBuy({
+    wallet,
+    tokenAddress: token.tokenAddress,
+    amountUsd,
+    slippageTolerance: token.slippageTolerance,
+    payment: config.buyPayment,
+    intermediaries: config.routeIntermediaries,
+    maxPriceImpactBps: config.maxPriceImpactBps,
+    twapCheckSeconds: config.twapCheckSeconds,
+    maxTwapDeviationBps: config.maxTwapDeviationBps,
+    allowMissingTwap: config.allowMissingTwap,
+    maxGasPrice: config.maxGasPrice,
+    poolFeeTiers: token.poolFeeTiers,
+    routerAddress: config.routerAddress,
+    universalRouterAddress: config.universalRouterAddress,
+    quoterAddress: config.quoterAddress,
+    gasLimitMultiplier: config.gasLimitMultiplier,
+    approvalPolicy: config.approvalPolicy,
+    approvalCapUsd: config.approvalCapUsd,
+    approvalMethod: config.approvalMethod,
+    pricing: getPricingOptions(config),
+    nonceStatePath: config.nonceStatePath,
+    privateRelay: getPrivateRelayOptions(config),
+    transferTaxBps: tokenSafety?.buyTaxBps ?? 0,
+    dryRun: config.dryRun
+  }, logger);
+
+  return recordTrade({ ...result, tokenSafety }, token, context);
+}
+
+/**
+ * Sells every configured token, sized by SELL_MODE or a sizing flag (whole balance by default)
+ */
+async function runSell(context) {
+  const { config, flags, correlationId, startTime } = context;
+  const sizing = resolveSellSizingFlags(flags);
+  const sell = (token) => sellToken({ ...token, ...sizing }, context);
+
+  const tokens = selectTokens(config, flags);
+  if (tokens.length > 1) {
+    return runPortfolio('Sell', tokens, sell, context);
+  }
+
+  const result = await sell(tokens[0]);
+
+  // Handle skipped case (no tokens to sell)
+  if (result.skipped) {
+    setGitHubOutput('success', 'true');
+    setGitHubOutput('skipped', 'true');
+    setGitHubOutput('reason', result.reason);
+
+    await writeGitHubSummary(generateSellSkippedSummary(result, correlationId, startTime));
+    return result;
+  }
+
+  setGitHubOutput('success', result.success.toString());
+  setGitHubOutput('skipped', 'false');
+  setGitHubOutput('dry_run', result.simulated.toString());
+  setGitHubOutput('tx_hash', result.txHash || '');
+  setGitHubOutput('tokens_sold', result.output.actualAmountIn ?? result.input.tokenAmount);
+  setGitHubOutput('eth_received', result.output.ethReceived ?? result.output.expectedEth);
+  setGitHubOutput('usd_value', result.output.estimatedUsdValue);
+  setGitHubOutput('sell_swaps', (result.chunks?.length ?? 1).toString());
+
+  await writeGitHubSummary(result.simulated
+    ? generateSellSimulatedSummary(result, correlationId, startTime)
+    : generateSellSummary(result, correlationId, startTime, result.pnl));
+  return result;
+}
+
+/**
+ * Sells one token, refusing a fee-on-transfer token or one whose tax cannot be measured (the
+ * tax is not measured when token safety is OFF), and records each live swap in the ledger
+ * @param {Object} token - Token settings (see getPortfolioTokens)
+ * @param {Object} context - Command context
+ * @returns {Promise<Object>} Trade result (with pnl when live)
+ */
+async function sellToken(token, context) {
+  const { config, wallet, logger } = context;
+  const transferTax = token.tokenSafetyPolicy === TOKEN_SAFETY_POLICIES.OFF
+    ? { sellTaxBps: 0 }
+    : await estimateTransferTax(token.tokenAddress, wallet, {
+      intermediaries: config.routeIntermediaries,
+      poolFeeTiers: token.poolFeeTiers,
+      routerAddress: config.routerAddress,
+      quoterAddress: config.quoterAddress
+    }, logger);
+
+  const result = await executeSell({
+    wallet,
+    tokenAddress: token.tokenAddress,
+    slippageTolerance: token.slippageTolerance,
+    settlement: config.sellSettlement,
+    sizing: {
+      mode: token.sellMode,
+      amount: token.sellAmount,
+      percent: token.sellPercent,
+      targetUsd: token.sellTargetUsd
+    },
+    chunks: token.sellChunks,
+    chunkDelaySeconds: config.sellChunkDelaySeconds,
+    intermediaries: config.routeIntermediaries,
+    maxPriceImpactBps: config.maxPriceImpactBps,
+    twapCheckSeconds: config.twapCheckSeconds,
+    maxTwapDeviationBps: config.maxTwapDeviationBps,
+    allowMissingTwap: config.allowMissingTwap,
+    maxGasPrice: config.maxGasPrice,
+    poolFeeTiers: token.poolFeeTiers,
+    routerAddress: config.routerAddress,
+    universalRouterAddress: config.universalRouterAddress,
+    quoterAddress: config.quoterAddress,
+    gasLimitMultiplier: config.gasLimitMultiplier,
+    approvalPolicy: config.approvalPolicy,
+    approvalCapUsd: config.approvalCapUsd,
+    approvalMethod: config.approvalMethod,
+    pricing: getPricingOptions(config),
+    nonceStatePath: config.nonceStatePath,
+    privateRelay: getPrivateRelayOptions(config),
+    transferTaxBps: transferTax?.sellTaxBps ?? null,
+    dryRun: config.dryRun
+  }, logger);
+
+  return recordTrade(result, token, context);
+}
+
+/**
+ * Records a live trade in the persistent ledger (each swap of a split sell as its own trade)
+ * The P&L includes the unrealized P&L of the position left open, marked at a fresh quote.
+ * @param {Object} result - Trade result
+ * @param {Object} token - Token settings (see getPortfolioTokens)
+ * @param {Object} context - Command context
+ * @returns {Promise<Object>} The result, with the updated P&L when a transaction was sent
+ */
+async function recordTrade(result, token, { config, wallet, logger, correlationId }) {
+  if (result.simulated || result.skipped) {
+    return result;
+  }
+
+  let pnl;
+  for (const trade of result.chunks ?? [result]) {
+    pnl = updateLedger(trade, logger, {
+      correlationId,
+      ledgerPath: config.ledgerPath,
+      method: config.costBasisMethod
+    });
+  }
+
+  if (pnl) {
+    pnl = computePnl(readLedger(logger, config.ledgerPath), {
+      tokenAddress: result.token.address,
+      method: config.costBasisMethod,
+      markPriceEth: await getMarkPriceEth(pnl, token, config, wallet.provider, logger),
+      ethPriceUsd: result.ethPriceUsd
+    });
+  }
+  return { ...result, pnl };
+}
+
+/**
+ * Marks an open position at what selling all of it would return now (a sell quote of the
+ * open quantity, so price impact and pool fees are included)
+ * @param {Object} pnl - P&L report of the position (see computePnl)
+ * @param {Object} token - Token settings (see getPortfolioTokens)
+ * @param {Object} config - Validated configuration
+ * @param {ethers.Provider|null} provider - Provider instance, or null when offline
+ * @param {Object} logger - Logger instance
+ * @returns {Promise<string|null>} ETH per token, or null when offline or the quote failed
+ */
+async function getMarkPriceEth(pnl, token, config, provider, logger) {
+  const { address, decimals } = pnl.token;
+  const openQuantity = ethers.parseUnits(pnl.openQuantity, decimals);
+  if (openQuantity === 0n) {
+    return '0';
+  }
+  if (!provider) {
+    return null;
+  }
+
+  try {
+    const quote = await quoteTrade({
+      provider,
+      tokenAddress: address,
+      side: 'SELL',
+      tokenAmount: pnl.openQuantity,
+      intermediaries: config.routeIntermediaries,
+      poolFeeTiers: token.poolFeeTiers,
+      quoterAddress: config.quoterAddress,
+      pricing: getPricingOptions(config)
+    }, logger);
+    return ethers.formatEther(ethers.parseEther(quote.output.expectedAmount) * 10n ** BigInt(decimals) / openQuantity);
+  } catch (error) {
+    logger.warn('Could not quote the open position, unrealized P&L unavailable', { error: error.message });
+    return null;
+  }
+}
+
+/**
+ * Quotes a buy (USD amount) or sell (token amount) without a wallet
+ */
+async function runQuote({ config, provider, flags, positionals, env, logger, print }) {
+  const side = validateOption(positionals[0] ?? 'BUY', ['BUY', 'SELL'], 'quote side');
+
+  if (side === 'SELL' && flags.amount === undefined) {
+    throw new ValidationError('quote sell requires --amount (tokens to sell)', ERROR_CODES.INVALID_CONFIG);
+  }
+  if (side === 'SELL') {
+    validateNumericRange(flags.amount, 0, Number.MAX_VALUE, '--amount');
+  }
+
+  // Portfolio overrides of the quoted token apply as they would to a trade
+  const [token] = selectTokens(config, flags, config.tokenAddress);
+  const quote = await quoteTrade({
+    provider,
+    tokenAddress: config.tokenAddress,
+    side,
+    amountUsd: side === 'BUY'
+      ? resolveBuyAmount(flags.amount ?? env.CUSTOM_AMOUNT, flags.amount !== undefined ? '--amount' : 'CUSTOM_AMOUNT', token, logger)
+      : undefined,
+    tokenAmount: side === 'SELL' ? flags.amount.trim() : undefined,
+    slippageTolerance: token.slippageTolerance,
+    intermediaries: config.routeIntermediaries,
+    maxPriceImpactBps: config.maxPriceImpactBps,
+    twapCheckSeconds: config.twapCheckSeconds,
+    maxTwapDeviationBps: config.maxTwapDeviationBps,
+    allowMissingTwap: config.allowMissingTwap,
+    poolFeeTiers: token.poolFeeTiers,
+    quoterAddress: config.quoterAddress,
+    pricing: getPricingOptions(config)
+  }, logger);
+
+  print(`${side} ${quote.input.amount} ${quote.input.symbol} -> ~${quote.output.expectedAmount} ${quote.output.symbol} (~$${quote.usdValue})`);
+  print(`  Minimum out (${token.slippageTolerance}% slippage): ${quote.output.minAmount} ${quote.output.symbol}`);
+  print(`  Route: ${quote.route.hops} hop(s), fees ${quote.poolFee}, gas ~${quote.output.gasCostEth} ETH`);
+  print(`  Price impact: ${(quote.priceImpact.bps / 100).toFixed(2)}% (max ${(quote.priceImpact.maxBps / 100).toFixed(2)}%)${quote.priceImpact.withinLimit ? '' : ' - TOO HIGH, a trade would be refused'}`);
+  print(quote.twapCheck.checked
+    ? `  TWAP deviation: ${(quote.twapCheck.deviationBps / 100).toFixed(2)}% from the ${quote.twapCheck.twapSeconds / 60}-minute TWAP (max ${(quote.twapCheck.maxBps / 100).toFixed(2)}%)${quote.twapCheck.withinLimit ? '' : ' - TOO HIGH, a trade would be refused'}`
+    : `  TWAP deviation: not checked (${quote.twapCheck.reason})${quote.twapCheck.withinLimit ? '' : ' - a trade would be refused unless ALLOW_MISSING_TWAP is set'}`);
+
+  return quote;
+}
+
+// =============================================================================
+// PORTFOLIO
+// =============================================================================
+
+/**
+ * Lists the tokens a trade command runs on (--token narrows the portfolio to one token)
+ * Flags of per-token settings (--slippage, --chunks) beat the portfolio overrides.
+ * @param {Object} config - Validated configuration
+ * @param {Object} flags - Parsed flags
+ * @param {string} [tokenAddress] - Single token to select (default: the --token flag, if given)
+ * @returns {Array<Object>} Token settings (see getPortfolioTokens)
+ */
+function selectTokens(config, flags, tokenAddress = flags.token !== undefined ? config.tokenAddress : undefined) {
+  const tokens = getPortfolioTokens(config, { tokenAddress });
+  const flagged = PORTFOLIO_TOKEN_OVERRIDES.filter((key) => CONFIG_SCHEMA[key].flag && flags[CONFIG_SCHEMA[key].flag] !== undefined);
+
+  return flagged.length > 0
+    ? tokens.map((token) => ({ ...token, ...Object.fromEntries(flagged.map((key) => [key, config[key]])) }))
+    : tokens;
+}
+
+/**
+ * Trades several tokens one after another; a failing token is logged and reported
+ * without stopping the others
+ * @param {string} title - Command title ("Buy" or "Sell")
+ * @param {Array<Object>} tokens - Token settings
+ * @param {Function} trade - Trades one token, resolves to its result
+ * @param {Object} context - Command context
+ * @returns {Promise<Object>} Portfolio result (success is false when any token failed)
+ */
+async function runPortfolio(title, tokens, trade, { config, logger, print, correlationId, startTime }) {
+  const outcomes = [];
+
+  for (const [index, token] of tokens.entries()) {
+    logger.info(`${title} ${index + 1}/${tokens.length}: ${token.tokenAddress}`);
+    try {
+      outcomes.push({ tokenAddress: token.tokenAddress, result: await trade(token), error: null });
+    } catch (error) {
+      logger.error(`${title} failed for ${token.tokenAddress}, continuing with the remaining tokens`, {
+        code: error.code,
+        message: error.message
+      });
+      outcomes.push({ tokenAddress: token.tokenAddress, result: null, error });
+    }
+  }
+
+  const failed = outcomes.filter((outcome) => outcome.error).length;
+  for (const { tokenAddress, result, error } of outcomes) {
+    print(`${result?.token.symbol ?? tokenAddress}: ${error ? `FAILED (${error.message})` : result.skipped ? 'skipped' : result.simulated ? 'simulated' : result.txHash}`);
+  }
+
+  setGitHubOutput('success', (failed === 0).toString());
+  setGitHubOutput('dry_run', config.dryRun.toString());
+  setGitHubOutput('tokens_succeeded', (outcomes.length - failed).toString());
+  setGitHubOutput('tokens_failed', failed.toString());
+
+  await writeGitHubSummary(generatePortfolioSummary(title, outcomes, correlationId, startTime));
+
+  return {
+    success: failed === 0,
+    type: `PORTFOLIO_${title.toUpperCase()}`,
+    simulated: config.dryRun,
+    succeeded: outcomes.length - failed,
+    failed,
+    results: outcomes.map(({ tokenAddress, result, error }) => result ?? {
+      success: false,
+      token: { address: tokenAddress },
+      error: { name: error.name, code: error.code ?? null, message: error.message }
+    }),
+    timestamp: new Date().toISOString()
+  };
+}
+
+// =============================================================================
+// WALLET COMMANDS
+// =============================================================================
+
+/**
+ * Shows the wallet's ETH, WETH and token balances
+ */
+async function runBalance({ config, provider, wallet, logger, print }) {
+  const address = await wallet.getAddress();
+  const tokenInfo = await getTokenInfo(config.tokenAddress, provider, logger);
+  const [eth, weth, token] = await Promise.all([
+    getEthBalance(address, provider, logger),
+    getTokenBalance(WETH_ADDRESS, address, provider, logger),
+    getTokenBalance(config.tokenAddress, address, provider, logger)
+  ]);
+
+  const result = {
+    success: true,
+    type: 'BALANCE',
+    wallet: address,
+    token: {
+      address: config.tokenAddress,
+      symbol: tokenInfo.symbol,
+      name: tokenInfo.name,
+      decimals: tokenInfo.decimals
+    },
+    balances: {
+      eth: ethers.formatEther(eth),
+      weth: ethers.formatEther(weth),
+      token: ethers.formatUnits(token, tokenInfo.decimals)
+    }
+  };
+
+  print(`Wallet: ${address}`);
+  print(`  ETH:  ${result.balances.eth}`);
+  print(`  WETH: ${result.balances.weth}`);
+  print(`  ${tokenInfo.symbol}: ${result.balances.token}`);
+
+  return result;
+}
+
+/**
+ * Approves the router to spend --amount tokens (default: the whole balance)
+ */
+async function runApprove({ config, provider, wallet, flags, logger, print }) {
+  const address = await wallet.getAddress();
+  const tokenInfo = await getTokenInfo(config.tokenAddress, provider, logger);
+  const amount = flags.amount !== undefined
+    ? parseTokenAmount(flags.amount, tokenInfo.decimals)
+    : await getTokenBalance(config.tokenAddress, address, provider, logger);
+
+  if (amount === 0n) {
+    throw new ValidationError(
+      `No ${tokenInfo.symbol} balance to approve; pass --amount`,
+      ERROR_CODES.INSUFFICIENT_BALANCE,
+      { token: config.tokenAddress }
+    );
+  }
+
+  const baseResult = {
+    success: true,
+    type: 'APPROVE',
+    token: { address: config.tokenAddress, symbol: tokenInfo.symbol, decimals: tokenInfo.decimals },
+    spender: config.routerAddress,
+    amount: ethers.formatUnits(amount, tokenInfo.decimals)
+  };
+
+  if (config.dryRun) {
+    const approval = await simulateApproval(config.tokenAddress, config.routerAddress, amount, wallet, logger);
+    print(approval.required
+      ? `Approval of ${baseResult.amount} ${tokenInfo.symbol} required (gas estimate: ${approval.gasEstimate})`
+      : `Allowance already covers ${baseResult.amount} ${tokenInfo.symbol}`);
+
+    return {
+      ...baseResult,
+      simulated: true,
+      required: approval.required,
+      currentAllowance: ethers.formatUnits(approval.currentAllowance, tokenInfo.decimals),
+      gasEstimate: approval.gasEstimate?.toString() ?? null
+    };
+  }
+
+  const receipt = await approveToken(config.tokenAddress, config.routerAddress, amount, wallet, logger, {
+    maxGasPriceGwei: config.maxGasPrice,
+    gasLimitMultiplier: config.gasLimitMultiplier
+  });
+  if (!receipt) {
+    print(`Allowance already covers ${baseResult.amount} ${tokenInfo.symbol}`);
+    return { ...baseResult, skipped: true, reason: 'Allowance already sufficient' };
+  }
+
+  print(`Approved ${baseResult.amount} ${tokenInfo.symbol}: ${getExplorerUrl(receipt.hash)}`);
+  return {
+    ...baseResult,
+    txHash: receipt.hash,
+    explorerUrl: getExplorerUrl(receipt.hash),
+    blockNumber: receipt.blockNumber
+  };
+}
+
+/**
+ * Revokes the token's open allowances (--all: of WETH and every configured token)
+ */
+async function runRevoke(context) {
+  const { config, flags } = context;
+  return revokeAllowances(flags.all ? getApprovalTokenAddresses(config) : [config.tokenAddress], context);
+}
+
+/**
+ * Zeroes every open allowance of the given tokens (see collectAllowances)
+ * Allowances are revoked one after another; revocations already confirmed are kept if a later one fails.
+ * @param {string[]} tokenAddresses - Token contract addresses
+ * @param {Object} context - Command context
+ * @returns {Promise<Object>} REVOKE result listing each revoked allowance
+ */
+async function revokeAllowances(tokenAddresses, { config, provider, wallet, logger, print }) {
+  const address = await wallet.getAddress();
+  const allowances = await collectAllowances(tokenAddresses, address, config, provider, logger);
+  const outstanding = allowances.filter((entry) => entry.open);
+
+  const result = {
+    success: true,
+    type: 'REVOKE',
+    simulated: config.dryRun,
+    revoked: []
+  };
+
+  if (outstanding.length === 0) {
+    print(`No allowances to revoke (${tokenAddresses.length} token(s) checked)`);
+    return { ...result, skipped: true, reason: 'No allowance' };
+  }
+
+  const options = { maxGasPriceGwei: config.maxGasPrice, gasLimitMultiplier: config.gasLimitMultiplier };
+  for (const entry of outstanding) {
+    const revoked = {
+      token: { address: entry.address, symbol: entry.symbol, decimals: entry.decimals },
+      spender: entry.spender,
+      permit2: entry.permit2,
+      previousAllowance: formatAllowance(entry)
+    };
+    const description = `${entry.label} allowance of ${revoked.previousAllowance} ${entry.symbol}`;
+
+    if (config.dryRun) {
+      print(`Would revoke the ${description}`);
+      result.revoked.push(revoked);
+      continue;
+    }
+
+    const receipt = entry.permit2
+      ? await revokePermit2Allowance(entry.address, entry.spender, wallet, logger, options)
+      : await revokeApproval(entry.address, entry.spender, wallet, logger, options);
+    print(`Revoked the ${description}: ${getExplorerUrl(receipt.hash)}`);
+    result.revoked.push({ ...revoked, txHash: receipt.hash, explorerUrl: getExplorerUrl(receipt.hash) });
+  }
+
+  return result;
+}
+
+/**
+ * Lists the allowances of WETH and every configured token (see collectAllowances)
+ */
+async function runAllowances({ config, provider, wallet, logger, print }) {
+  const address = await wallet.getAddress();
+  const allowances = await collectAllowances(getApprovalTokenAddresses(config), address, config, provider, logger);
+
+  print(`Allowances of ${address}:`);
+  let previous = null;
+  for (const entry of allowances) {
+    if (entry.address !== previous) {
+      print(`  ${entry.symbol} (balance ${ethers.formatUnits(entry.balance, entry.decimals)}):`);
+      previous = entry.address;
+    }
+    print(`    ${entry.label} ${entry.spender}: ${formatAllowance(entry)}${formatPermit2Expiry(entry)}`);
+  }
+  const open = allowances.filter((entry) => entry.open).length;
+  print(open === 0 ? 'No open allowances' : `${open} open allowance(s); \`revoke --all\` zeroes them`);
+
+  return {
+    success: true,
+    type: 'ALLOWANCES',
+    wallet: address,
+    allowances: allowances.map((entry) => ({
+      token: { address: entry.address, symbol: entry.symbol, decimals: entry.decimals },
+      spender: entry.spender,
+      permit2: entry.permit2,
+      allowance: formatAllowance(entry),
+      unlimited: entry.unlimited,
+      ...(entry.permit2 && { expiration: entry.expiration, expired: entry.expired }),
+      open: entry.open,
+      balance: ethers.formatUnits(entry.balance, entry.decimals)
+    }))
+  };
+}
+
+// =============================================================================
+// LEDGER & CONFIGURATION COMMANDS
+// =============================================================================
+
+/**
+ * Lists recorded trades of the token and its P&L (offline, from the ledger file)
+ */
+async function runHistory({ config, provider, flags, logger, print }) {
+  const trades = readLedger(logger, config.ledgerPath).filter(
+    (entry) => entry.token.address.toLowerCase() === config.tokenAddress.toLowerCase()
+  );
+  const options = {
+    tokenAddress: config.tokenAddress,
+    method: config.costBasisMethod,
+    ethPriceUsd: trades.at(-1)?.ethPriceUsd
+  };
+  const [token] = selectTokens(config, flags, config.tokenAddress);
+  const markPriceEth = await getMarkPriceEth(computePnl(trades, options), token, config, provider, logger);
+  const pnl = computePnl(trades, { ...options, markPriceEth });
+
+  for (const trade of trades) {
+    print(`${trade.timestamp}  ${trade.type.padEnd(4)}  ${trade.tokenAmount} ${trade.token.symbol} for ${trade.ethAmount} ETH (~$${trade.usdValue})  ${trade.txHash}`);
+  }
+  print(`${pnl.trades} trades (${pnl.buys} buys, ${pnl.sells} sells), ${pnl.method} cost basis`);
+  print(`Open position: ${pnl.openQuantity} (cost basis ${pnl.costBasisEth} ETH)`);
+  print(`Realized P&L: ${pnl.realizedPnlEth} ETH, gas ${pnl.gasCostEth} ETH, net ${pnl.netPnlEth} ETH`);
+  print(pnl.unrealizedPnlEth === null
+    ? `Unrealized P&L: n/a (${provider ? 'the open position could not be quoted' : 'set RPC_URL to quote the open position'})`
+    : `Unrealized P&L: ${pnl.unrealizedPnlEth} ETH (marked at ${markPriceEth} ETH per token)`);
+
+  return { success: true, type: 'HISTORY', ledgerPath: config.ledgerPath, trades, pnl };
+}
+
+/**
+ * Checks the configuration and connectivity before deployment
+ * Reports every check instead of stopping at the first problem
+ */
+async function runValidate({ flags, env, cwd, print }) {
+  const checks = [];
+  const logCheck = (name, status, message = '') => {
+    const icon = status === 'pass' ? '✅' : status === 'warn' ? '⚠️' : '❌';
+    checks.push({ name, status, message });
+    print(`${icon} ${name}${message ? ': ' + message : ''}`);
+  };
+  const hasErrors = () => checks.some((check) => check.status === 'fail');
+
+  // Check 1: Configuration file and tunables (resolved exactly as the trading commands do)
+  print('📋 Checking Configuration...');
+  let fileSettings = {};
+  let resolved = null;
+  try {
+    const configFile = findConfigFile({ configPath: flags.config ?? env.CONFIG_PATH, cwd });
+    fileSettings = configFile ? readConfigFile(configFile) : {};
+    ({ config: resolved } = resolveConfig({ file: fileSettings, env, flags }, { requireWallet: false, requireRpc: false }));
+    logCheck('Configuration', 'pass', configFile ?? 'no configuration file (defaults and environment)');
+  } catch (error) {
+    logCheck('Configuration', 'fail', error.message);
+  }
+  // Falls back to the raw settings so a bad value is still reported by its own check
+  const tokenAddress = resolved?.tokenAddress ?? (flags.token || env.TOKEN_ADDRESS || fileSettings.tokenAddress);
+
+  // Check 2: Private Key
+  print('\n📋 Checking Private Key...');
+  try {
+    if (!env.PRIVATE_KEY) {
+      logCheck('Private Key', 'fail', 'PRIVATE_KEY environment variable not set');
+    } else {
+      const address = new ethers.Wallet(validatePrivateKey(env.PRIVATE_KEY)).address;
+      logCheck('Private Key', 'pass', `Valid (wallet: ${address.substring(0, 6)}...${address.substring(38)})`);
+    }
+  } catch (error) {
+    logCheck('Private Key', 'fail', error.message);
+  }
+
+  // Check 3: Token Address
+  print('\n📋 Checking Token Address...');
+  try {
+    if (!tokenAddress) {
+      logCheck('Token Address', 'fail', 'TOKEN_ADDRESS not set (environment, --token or configuration file)');
+    } else {
+      validateAddress(tokenAddress, 'TOKEN_ADDRESS');
+      logCheck('Token Address', 'pass', tokenAddress);
+    }
+  } catch (error) {
+    logCheck('Token Address', 'fail', error.message);
+  }
+
+  // Check 4: RPC URL (the configured endpoint only - no fallbacks, so a bad RPC_URL is reported)
+  print('\n📋 Checking RPC Connection...');
+  const rpcUrl = env.RPC_URL || fileSettings.rpcUrl || BASE_RPC_URLS[0];
+  const provider = new ethers.JsonRpcProvider(rpcUrl, BASE_CHAIN_ID, { staticNetwork: true });
+
+  try {
+    try {
+      const chainId = Number(await withTimeout(provider.send('eth_chainId', []), 10000, 'Timeout'));
+
+      if (chainId !== BASE_CHAIN_ID) {
+        logCheck('RPC Connection', 'fail', `Wrong network: expected ${BASE_CHAIN_ID}, got ${chainId}`);
+      } else {
+        const blockNumber = await provider.getBlockNumber();
+        logCheck('RPC Connection', 'pass', `Connected to Base (block: ${blockNumber})`);
+      }
+    } catch (error) {
+      logCheck('RPC Connection', 'fail', `Cannot connect: ${error.message}`);
+    }
+
+    // Check 5: Token Contract (if both RPC and token address are valid)
+    if (tokenAddress && !hasErrors()) {
+      print('\n📋 Checking Token Contract...');
+      try {
+        const contract = new ethers.Contract(tokenAddress, ERC20_ABI, provider);
+        const [name, symbol, decimals] = await Promise.all([
+          contract.name(),
+          contract.symbol(),
+          contract.decimals()
+        ]);
+
+        logCheck('Token Contract', 'pass', `${symbol} (${name}), ${decimals} decimals`);
+      } catch (error) {
+        logCheck('Token Contract', 'fail', `Invalid token contract: ${error.message}`);
+      }
+    }
+
+    // Check 6: Wallet Balance (if private key is valid)
+    if (env.PRIVATE_KEY && !hasErrors()) {
+      print('\n📋 Checking Wallet Balance...');
+      try {
+        const address = new ethers.Wallet(validatePrivateKey(env.PRIVATE_KEY)).address;
+        const ethBalance = Number(ethers.formatEther(await provider.getBalance(address)));
+
+        if (ethBalance < 0.01) {
+          logCheck('Wallet Balance', 'warn', `Low balance: ${ethBalance.toFixed(6)} ETH (recommend > 0.01 ETH)`);
+        } else {
+          logCheck('Wallet Balance', 'pass', `${ethBalance.toFixed(6)} ETH`);
+        }
+      } catch (error) {
+        logCheck('Wallet Balance', 'fail', error.message);
+      }
+    }
+  } finally {
+    provider.destroy();
+  }
+
+  const passed = checks.filter((check) => check.status === 'pass').length;
+  const warned = checks.filter((check) => check.status === 'warn').length;
+  const failed = checks.filter((check) => check.status === 'fail').length;
+
+  print(`\n✅ Passed: ${passed}`);
+  print(`⚠️  Warnings: ${warned}`);
+  print(`❌ Failed: ${failed}`);
+
+  if (failed > 0) {
+    throw new ValidationError(
+      'Configuration validation failed',
+      ERROR_CODES.INVALID_CONFIG,
+      { checks }
+    );
+  }
+
+  print(warned > 0
+    ? '\n⚠️  Configuration valid with warnings. Review the warnings above.'
+    : '\n✅ Configuration validation PASSED. Ready to deploy!');
+
+  return { success: true, type: 'VALIDATE', passed, warned, failed, checks };
+}
+
+// =============================================================================
+// COMMAND TABLE
+// =============================================================================
+
+/**
+ * CLI commands by name
+ * flags: camelCase flags accepted besides --json/--help
+ * wallet: needs PRIVATE_KEY and a signer; network: needs RPC_URL and a provider ('optional':
+ *   connects only when RPC_URL is set)
+ * configure: false skips config validation (the command checks configuration itself)
+ * @constant {Object}
+ */
+export const COMMANDS = {
+  buy: {
+    name: 'buy',
+    title: 'Buy',
+    description: 'Buy the token, or every enabled portfolio token (random USD amount unless --amount is given)',
+    flags: ['amount', 'token', 'slippage', 'dryRun'],
+    wallet: true,
+    network: true,
+    run: runBuy
+  },
+  sell: {
+    name: 'sell',
+    title: 'Sell',
+    description: 'Sell the token, or every enabled portfolio token (whole balance unless SELL_MODE or a sizing flag says otherwise)',
+    flags: ['amount', 'percent', 'targetUsd', 'chunks', 'token', 'slippage', 'dryRun'],
+    wallet: true,
+    network: true,
+    run: runSell
+  },
+  quote: {
+    name: 'quote',
+    title: 'Quote',
+    description: 'Quote a buy (USD) or `quote sell` (tokens) without a wallet',
+    flags: ['amount', 'token', 'slippage'],
+    wallet: false,
+    network: true,
+    run: runQuote
+  },
+  balance: {
+    name: 'balance',
+    title: 'Balance',
+    description: 'Show ETH, WETH and token balances',
+    flags: ['token'],
+    wallet: true,
+    network: true,
+    run: runBalance
+  },
+  approve: {
+    name: 'approve',
+    title: 'Approve',
+    description: 'Approve the router to spend the token (default: whole balance)',
+    flags: ['amount', 'token', 'dryRun'],
+    wallet: true,
+    network: true,
+    run: runApprove
+  },
+  revoke: {
+    name: 'revoke',
+    title: 'Revoke',
+    description: "Revoke the token's router, Permit2 and Universal Router allowances (--all: WETH and every configured token)",
+    flags: ['all', 'token', 'dryRun'],
+    wallet: true,
+    network: true,
+    run: runRevoke
+  },
+  allowances: {
+    name: 'allowances',
+    title: 'Allowances',
+    description: 'List the router, Permit2 and Universal Router allowances of WETH and every configured token',
+    flags: [],
+    wallet: true,
+    network: true,
+    run: runAllowances
+  },
+  validate: {
+    name: 'validate',
+    title: 'Validate',
+    description: 'Check configuration, RPC, token contract and wallet balance',
+    flags: ['token'],
+    configure: false,
+    run: runValidate
+  },
+  history: {
+    name: 'history',
+    title: 'History',
+    description: 'List ledger trades and P&L for the token (unrealized P&L needs RPC_URL)',
+    flags: ['token'],
+    wallet: false,
+    network: 'optional',
+    run: runHistory
+  }
+};
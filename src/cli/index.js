@@ -0,0 +1,49 @@
+#!/usr/bin/env node
+/**
+ * @fileoverview token-bot CLI entry point
+ * @description Single executable for every bot operation:
+ *   token-bot <buy|sell|quote|balance|approve|revoke|validate|history> [options]
+ *
+ * The GitHub Actions workflows run it through `npm run buy` / `npm run sell`;
+ * configuration comes from environment variables (GitHub Secrets) and flags.
+ */
+
+import { parseCliArgs, formatUsage, runCommand } from './bootstrap.js';
+import { COMMANDS } from './commands.js';
+
+// =============================================================================
+// ENTRY POINT
+// =============================================================================
+
+/**
+ * Parses arguments, runs the requested command and exits with its status
+ */
+async function main() {
+  let args;
+  try {
+    args = parseCliArgs(process.argv.slice(2));
+  } catch (error) {
+    console.error(`${error.message}\n\n${formatUsage(COMMANDS)}`);
+    process.exit(1);
+  }
+
+  const command = COMMANDS[args.command];
+
+  if (args.flags.help || !args.command) {
+    console.log(formatUsage(COMMANDS));
+    process.exit(args.command || args.flags.help ? 0 : 1);
+  }
+
+  if (!command) {
+    console.error(`Unknown command: ${args.command}\n\n${formatUsage(COMMANDS)}`);
+    process.exit(1);
+  }
+
+  const { exitCode } = await runCommand(command, args);
+  process.exit(exitCode);
+}
+
+main().catch((error) => {
+  console.error('Fatal error in token-bot:', error);
+  process.exit(1);
+});
@@ -0,0 +1,497 @@
+/**
+ * @fileoverview GitHub Actions step summaries
+ * @description Markdown summaries written by the CLI commands after each run
+ */
+
+import { ERROR_CODES, SUBMISSION_CHANNELS, APPROVAL_METHODS } from '../config/constants.js';
+import { describeRiskLimit } from '../services/risk.js';
+
+// =============================================================================
+// SHARED SECTIONS
+// =============================================================================
+
+/**
+ * Formats the time elapsed since the start of the run
+ * @param {number} startTime - Start timestamp
+ * @returns {string} Duration in seconds
+ */
+export function formatDuration(startTime) {
+  return ((Date.now() - startTime) / 1000).toFixed(2);
+}
+
+/**
+ * Formats the price impact row value of a trade result
+ * @param {Object} priceImpact - Result priceImpact ({bps, maxBps})
+ * @returns {string} e.g. "0.42% (max 3.00%)"
+ */
+function formatPriceImpact(priceImpact) {
+  return `${(priceImpact.bps / 100).toFixed(2)}% (max ${(priceImpact.maxBps / 100).toFixed(2)}%)`;
+}
+
+/**
+ * Formats the submission row value of a live trade result
+ * @param {string} submission - SUBMISSION_CHANNELS value
+ * @returns {string} How the swap reached the chain
+ */
+function formatSubmission(submission) {
+  switch (submission) {
+    case SUBMISSION_CHANNELS.PRIVATE_RELAY:
+      return 'Private relay';
+    case SUBMISSION_CHANNELS.PUBLIC_FALLBACK:
+      return 'Public mempool (private relay fallback)';
+    default:
+      return 'Public mempool';
+  }
+}
+
+/**
+ * Formats how a trade got its router allowance
+ * @param {string|null} approvalMethod - Result approvalMethod (APPROVAL_METHODS, null if already in place)
+ * @returns {string} Approval row value
+ */
+function formatApprovalMethod(approvalMethod) {
+  switch (approvalMethod) {
+    case APPROVAL_METHODS.PERMIT:
+      return 'EIP-2612 permit (signed into the swap)';
+    case APPROVAL_METHODS.PERMIT2:
+      return 'Permit2 (Universal Router)';
+    case APPROVAL_METHODS.APPROVE:
+      return 'Approve transaction';
+    default:
+      return 'Existing allowance';
+  }
+}
+
+/**
+ * Formats the TWAP check row value of a trade result
+ * @param {Object} twapCheck - Result twapCheck (see calculateTwapDeviation, plus maxBps)
+ * @returns {string} e.g. "0.42% from the 10-minute TWAP (max 5.00%)"
+ */
+function formatTwapCheck(twapCheck) {
+  if (!twapCheck.checked) {
+    return `Not checked (${twapCheck.reason})`;
+  }
+  return `${(twapCheck.deviationBps / 100).toFixed(2)}% from the ${twapCheck.twapSeconds / 60}-minute TWAP (max ${(twapCheck.maxBps / 100).toFixed(2)}%)`;
+}
+
+/**
+ * Formats the token safety row value of a buy result
+ * @param {Object|null} tokenSafety - Result tokenSafety (see checkTokenSafety; null when the policy is OFF)
+ * @returns {string} e.g. "⚠️ PROXY (WARN)"
+ */
+function formatTokenSafety(tokenSafety) {
+  if (!tokenSafety) {
+    return 'Not inspected';
+  }
+  if (tokenSafety.findings.length === 0) {
+    return '✅ Passed';
+  }
+
+  const icon = tokenSafety.safe ? '⚠️' : '🛑';
+  return `${icon} ${tokenSafety.findings.map((finding) => finding.code).join(', ')} (${tokenSafety.policy})`;
+}
+
+/**
+ * Formats the transfer tax row of a buy result (fee-on-transfer tokens only)
+ * @param {Object} result - Buy result (transferTaxBps, and output.transferTaxPaid when live)
+ * @returns {string} Markdown table row ending in a newline, or '' when the token is not taxed
+ */
+function formatTransferTaxRow(result) {
+  const { transferTaxBps = 0, output, token } = result;
+  const observedBps = output.observedTransferTaxBps ?? 0;
+  if (transferTaxBps <= 0 && observedBps <= 0) {
+    return '';
+  }
+
+  const estimate = `estimated ${(transferTaxBps / 100).toFixed(2)}%`;
+  const value = output.transferTaxPaid !== undefined
+    ? `${output.transferTaxPaid} ${token.symbol} (${(observedBps / 100).toFixed(2)}%, ${estimate})`
+    : `~${(transferTaxBps / 100).toFixed(2)}% per transfer`;
+  return `| **Transfer Tax** | ${value} |\n`;
+}
+
+/**
+ * Formats the approval/simulation rows of a dry-run result
+ * @param {Object} simulation - Result simulation
+ * @returns {string} Markdown table rows
+ */
+function formatSimulationRows(simulation) {
+  const { fees } = simulation;
+  const costRow = fees
+    ? `\n| **Estimated Cost** | ${fees.estimatedCostEth} ETH (L1 data fee ${fees.l1FeeEth ?? 'n/a'} ETH, max fee ${fees.maxFeePerGasGwei} Gwei${fees.capped ? ', capped' : ''}) |`
+    : '';
+
+  return `| **Approval Required** | ${simulation.approvalRequired ? `Yes (gas estimate: ${simulation.approvalGasEstimate})` : 'No'} |
+| **Swap Simulated** | ${simulation.swapSimulated ? `Yes (gas estimate: ${simulation.swapGasEstimate})` : 'No (approval missing)'} |${costRow}`;
+}
+
+/**
+ * Generates the ledger position/P&L section of a success summary
+ * @param {Object|null} pnl - Ledger P&L report
+ * @returns {string} Markdown section
+ */
+export function generatePnlSection(pnl) {
+  if (!pnl) {
+    return '### Ledger\n⚠️ The trade could not be recorded in the ledger. Check the logs for details.\n';
+  }
+
+  return `### Position (${pnl.method})
+- **Open Position**: ${pnl.openQuantity} ${pnl.token.symbol} (cost basis ${pnl.costBasisEth} ETH)
+- **Realized P&L**: ${pnl.realizedPnlEth} ETH (~$${pnl.realizedPnlUsd})
+- **Unrealized P&L**: ${pnl.unrealizedPnlEth === null ? 'n/a (the open position could not be quoted)' : `${pnl.unrealizedPnlEth} ETH (~$${pnl.unrealizedPnlUsd})`}
+- **Gas Spent**: ${pnl.gasCostEth} ETH (~$${pnl.gasCostUsd}) over ${pnl.trades} trades
+`;
+}
+
+/**
+ * Generates the transaction link section of a success summary (one link per swap of a split sell)
+ * @param {Object} result - Trade result
+ * @returns {string} Markdown section
+ */
+function generateTransactionSection(result) {
+  if (result.chunks) {
+    return `### Transactions
+${result.chunks.map((chunk, index) => `${index + 1}. 🔗 [${chunk.input.tokenAmount} ${chunk.token.symbol}](${chunk.explorerUrl}) \`${chunk.txHash}\``).join('\n')}
+${result.error ? `\n> ⚠️ Swap ${result.error.chunk} failed and the remaining swaps were not sent: ${result.error.message}\n` : ''}`;
+  }
+
+  return `### Transaction
+🔗 [View on BaseScan](${result.explorerUrl})
+
+\`\`\`
+${result.txHash}
+\`\`\`
+`;
+}
+
+// =============================================================================
+// BUY SUMMARIES
+// =============================================================================
+
+/**
+ * Generates a buy success summary
+ * @param {Object} result - Trade result
+ * @param {string} correlationId - Correlation ID
+ * @param {number} startTime - Start timestamp
+ * @param {Object|null} pnl - Ledger P&L report (null if the ledger could not be updated)
+ * @returns {string} Markdown summary
+ */
+export function generateBuySummary(result, correlationId, startTime, pnl) {
+  return `
+## ✅ Buy Action Successful
+
+| Property | Value |
+|----------|-------|
+| **Correlation ID** | \`${correlationId}\` |
+| **Token** | ${result.token.symbol} (${result.token.name}) |
+| **Amount Spent** | ${result.output.actualAmountIn} ${result.payment} (~$${result.input.usdAmount}) |
+| **Tokens Received** | ${result.output.actualAmountOut} ${result.token.symbol} (expected ~${result.output.expectedTokens}, slippage ${(result.output.realizedSlippageBps / 100).toFixed(2)}%) |
+| **Effective Price** | ${result.output.effectivePrice} ${result.token.symbol}/WETH |
+| **Fees Paid** | ${result.output.lpFeePaid} WETH (LP) + ${result.output.gasFeePaid} ETH (gas, estimated ${result.output.estimatedGasCostEth}) |
+| **Token Balance** | ${result.output.newTokenBalance} ${result.token.symbol} |
+| **WETH Balance** | ${result.output.newWethBalance} WETH |
+| **ETH Balance** | ${result.output.newEthBalance} ETH |
+${formatTransferTaxRow(result)}| **Pool Fee** | ${result.poolFee} |
+| **Price Impact** | ${formatPriceImpact(result.priceImpact)} |
+| **TWAP Deviation** | ${formatTwapCheck(result.twapCheck)} |
+| **Token Safety** | ${formatTokenSafety(result.tokenSafety)} |
+| **Approval** | ${formatApprovalMethod(result.approvalMethod)} |
+| **Submission** | ${formatSubmission(result.submission)} |
+| **Gas Used** | ${result.gasUsed} |
+| **Block** | ${result.blockNumber} |
+| **Duration** | ${formatDuration(startTime)}s |
+
+${generatePnlSection(pnl)}
+${generateTransactionSection(result)}`;
+}
+
+/**
+ * Generates a buy dry-run summary
+ * @param {Object} result - Simulated trade result
+ * @param {string} correlationId - Correlation ID
+ * @param {number} startTime - Start timestamp
+ * @returns {string} Markdown summary
+ */
+export function generateBuySimulatedSummary(result, correlationId, startTime) {
+  return `
+## 🧪 Buy Action Simulated (Dry Run)
+
+> No transaction was broadcast. Quotes, balances, allowance and the swap call were checked against the current chain state.
+
+| Property | Value |
+|----------|-------|
+| **Correlation ID** | \`${correlationId}\` |
+| **Token** | ${result.token.symbol} (${result.token.name}) |
+| **Amount To Spend** | ${result.input.wethAmount} ${result.payment} (~$${result.input.usdAmount}) |
+| **Expected Tokens** | ${result.output.expectedTokens} ${result.token.symbol} |
+| **Minimum Tokens** | ${result.output.minTokens} ${result.token.symbol} |
+| **Simulated Tokens** | ${result.output.simulatedTokens ?? 'N/A'} ${result.token.symbol} |
+| **WETH Balance** | ${result.output.newWethBalance} WETH |
+${formatTransferTaxRow(result)}| **Pool Fee** | ${result.poolFee} |
+| **Price Impact** | ${formatPriceImpact(result.priceImpact)} |
+| **TWAP Deviation** | ${formatTwapCheck(result.twapCheck)} |
+| **Token Safety** | ${formatTokenSafety(result.tokenSafety)} |
+| **Approval** | ${formatApprovalMethod(result.approvalMethod)} |
+${formatSimulationRows(result.simulation)}
+| **Duration** | ${formatDuration(startTime)}s |
+`;
+}
+
+// =============================================================================
+// SELL SUMMARIES
+// =============================================================================
+
+/**
+ * Generates a sell success summary
+ * @param {Object} result - Trade result
+ * @param {string} correlationId - Correlation ID
+ * @param {number} startTime - Start timestamp
+ * @param {Object|null} pnl - Ledger P&L report (null if the ledger could not be updated)
+ * @returns {string} Markdown summary
+ */
+export function generateSellSummary(result, correlationId, startTime, pnl) {
+  return `
+## ${result.success ? '✅ Sell Action Successful' : '⚠️ Sell Action Partially Completed'}
+
+| Property | Value |
+|----------|-------|
+| **Correlation ID** | \`${correlationId}\` |
+| **Token** | ${result.token.symbol} (${result.token.name}) |
+| **Tokens Sold** | ${result.output.actualAmountIn} ${result.token.symbol}${result.chunks ? ` in ${result.chunks.length} swaps` : ''} |
+| **Settlement** | ${result.settlement} |
+| **Received** | ${result.output.actualAmountOut} ${result.settlement} (expected ~${result.output.expectedEth}, slippage ${(result.output.realizedSlippageBps / 100).toFixed(2)}%) |
+| **Effective Price** | ${result.output.effectivePrice} WETH/${result.token.symbol} |
+| **Fees Paid** | ${result.output.lpFeePaid} ${result.token.symbol} (LP) + ${result.output.gasFeePaid} ETH (gas, estimated ${result.output.estimatedGasCostEth}) |
+| **USD Value** | ~$${result.output.estimatedUsdValue} |
+| **Pool Fee** | ${result.poolFee} |
+| **Price Impact** | ${formatPriceImpact(result.priceImpact)} |
+| **TWAP Deviation** | ${formatTwapCheck(result.twapCheck)} |
+| **Approval** | ${formatApprovalMethod(result.approvalMethod)} |
+| **Submission** | ${formatSubmission(result.submission)} |
+| **Gas Used** | ${result.gasUsed} |
+| **Block** | ${result.blockNumber} |
+| **Duration** | ${formatDuration(startTime)}s |
+
+### New Balances
+- **Token Balance**: ${result.output.newTokenBalance} ${result.token.symbol}
+- **ETH Balance**: ${result.output.newEthBalance} ETH
+- **WETH Balance**: ${result.output.newWethBalance} WETH
+
+${generatePnlSection(pnl)}
+${generateTransactionSection(result)}`;
+}
+
+/**
+ * Generates a sell dry-run summary
+ * @param {Object} result - Simulated trade result
+ * @param {string} correlationId - Correlation ID
+ * @param {number} startTime - Start timestamp
+ * @returns {string} Markdown summary
+ */
+export function generateSellSimulatedSummary(result, correlationId, startTime) {
+  return `
+## 🧪 Sell Action Simulated (Dry Run)
+
+> No transaction was broadcast. Quotes, balances, allowance and the swap call were checked against the current chain state.
+
+| Property | Value |
+|----------|-------|
+| **Correlation ID** | \`${correlationId}\` |
+| **Token** | ${result.token.symbol} (${result.token.name}) |
+| **Tokens To Sell** | ${result.input.tokenAmount} ${result.token.symbol}${result.chunks ? ` in ${result.chunks.length} swaps` : ''} |
+| **Settlement** | ${result.settlement} |
+| **Expected ETH** | ~${result.output.expectedEth} ETH |
+| **Minimum ETH** | ${result.output.minEth} ETH |
+| **Simulated ETH** | ${result.output.simulatedEth ?? 'N/A'} ETH |
+| **USD Value** | ~$${result.output.estimatedUsdValue} |
+| **Pool Fee** | ${result.poolFee} |
+| **Price Impact** | ${formatPriceImpact(result.priceImpact)} |
+| **TWAP Deviation** | ${formatTwapCheck(result.twapCheck)} |
+| **Approval** | ${formatApprovalMethod(result.approvalMethod)} |
+${formatSimulationRows(result.simulation)}
+| **Duration** | ${formatDuration(startTime)}s |
+`;
+}
+
+/**
+ * Generates a sell skipped summary
+ * @param {Object} result - Result object
+ * @param {string} correlationId - Correlation ID
+ * @param {number} startTime - Start timestamp
+ * @returns {string} Markdown summary
+ */
+export function generateSellSkippedSummary(result, correlationId, startTime) {
+  return `
+## ⏭️ Sell Action Skipped
+
+| Property | Value |
+|----------|-------|
+| **Correlation ID** | \`${correlationId}\` |
+| **Token** | ${result.token.symbol} |
+| **Reason** | ${result.reason} |
+| **Duration** | ${formatDuration(startTime)}s |
+
+> No tokens were available to sell. This is normal if a buy hasn't occurred yet or if tokens were already sold.
+`;
+}
+
+// =============================================================================
+// PORTFOLIO SUMMARY
+// =============================================================================
+
+/**
+ * Describes one token's outcome in a portfolio run
+ * @param {Object} outcome - Portfolio outcome ({tokenAddress, result, error})
+ * @returns {{status: string, details: string}} Table cells
+ */
+function formatPortfolioOutcome({ result, error }) {
+  if (error?.code === ERROR_CODES.RISK_LIMIT_EXCEEDED || error?.code === ERROR_CODES.TOKEN_UNSAFE) {
+    return { status: '🛑 Blocked', details: error.message };
+  }
+  if (error) {
+    return { status: '❌ Failed', details: `${error.code ?? error.name}: ${error.message}` };
+  }
+  if (result.skipped) {
+    return { status: '⏭️ Skipped', details: result.reason };
+  }
+
+  const symbol = result.token.symbol;
+  const trade = result.type === 'BUY'
+    ? `$${result.input.usdAmount} → ${result.output.actualAmountOut ?? result.output.expectedTokens} ${symbol}`
+    : `${result.output.actualAmountIn ?? result.input.tokenAmount} ${symbol} → ${result.output.actualAmountOut ?? result.output.expectedEth} ${result.settlement}`;
+
+  return result.simulated
+    ? { status: '🧪 Simulated', details: trade }
+    : { status: '✅ Done', details: `${trade} ([tx](${result.explorerUrl}))` };
+}
+
+/**
+ * Generates the combined summary of a buy or sell over several tokens
+ * @param {string} title - Command title (e.g. "Buy")
+ * @param {Array<Object>} outcomes - One {tokenAddress, result, error} per token, in run order
+ * @param {string} correlationId - Correlation ID
+ * @param {number} startTime - Start timestamp
+ * @returns {string} Markdown summary
+ */
+export function generatePortfolioSummary(title, outcomes, correlationId, startTime) {
+  const failed = outcomes.filter((outcome) => outcome.error).length;
+  const rows = outcomes.map((outcome) => {
+    const { status, details } = formatPortfolioOutcome(outcome);
+    const token = outcome.result?.token.symbol ?? `\`${outcome.tokenAddress}\``;
+    return `| ${token} | ${status} | ${details} |`;
+  });
+
+  return `
+## ${failed === 0 ? '✅' : '⚠️'} ${title} Action: ${outcomes.length - failed} of ${outcomes.length} Tokens Succeeded
+
+| Property | Value |
+|----------|-------|
+| **Correlation ID** | \`${correlationId}\` |
+| **Duration** | ${formatDuration(startTime)}s |
+
+| Token | Outcome | Details |
+|-------|---------|---------|
+${rows.join('\n')}
+`;
+}
+
+// =============================================================================
+// FAILURE SUMMARY
+// =============================================================================
+
+/**
+ * Generates a failure summary for any command
+ * @param {Error} error - Error object
+ * @param {string} title - Command title (e.g. "Buy")
+ * @param {string} correlationId - Correlation ID
+ * @param {number} startTime - Start timestamp
+ * @returns {string} Markdown summary
+ */
+export function generateFailureSummary(error, title, correlationId, startTime) {
+  if (error.code === ERROR_CODES.RISK_LIMIT_EXCEEDED) {
+    return generateRiskLimitSummary(error, title, correlationId, startTime);
+  }
+  if (error.code === ERROR_CODES.TOKEN_UNSAFE) {
+    return generateTokenUnsafeSummary(error, title, correlationId, startTime);
+  }
+
+  return `
+## ❌ ${title} Action Failed
+
+| Property | Value |
+|----------|-------|
+| **Correlation ID** | \`${correlationId}\` |
+| **Error Type** | ${error.name || 'Error'} |
+| **Error Code** | ${error.code || 'N/A'} |
+| **Duration** | ${formatDuration(startTime)}s |
+
+### Error Message
+\`\`\`
+${error.message}
+\`\`\`
+
+${error.details ? `### Details\n\`\`\`json\n${JSON.stringify(error.details, null, 2)}\n\`\`\`` : ''}
+`;
+}
+
+/**
+ * Generates the summary of a buy blocked by the risk limits
+ * @param {ValidationError} error - RISK_LIMIT_EXCEEDED error (details.limits from evaluateRiskLimits)
+ * @param {string} title - Command title
+ * @param {string} correlationId - Correlation ID
+ * @param {number} startTime - Start timestamp
+ * @returns {string} Markdown summary
+ */
+function generateRiskLimitSummary(error, title, correlationId, startTime) {
+  const rows = error.details.limits.map((limit) =>
+    `| ${limit.exceeded ? '🛑 Reached' : '✅ OK'} | ${describeRiskLimit(limit)} |`
+  );
+
+  return `
+## 🛑 ${title} Blocked by Risk Limits
+
+> No transaction was sent. Limits are measured over rolling windows of the trade ledger; the buy can run again once enough trades age out of the window or the limit is raised.
+
+| Property | Value |
+|----------|-------|
+| **Correlation ID** | \`${correlationId}\` |
+| **Buy Amount** | $${error.details.amountUsd} |
+| **Error Code** | ${error.code} |
+| **Duration** | ${formatDuration(startTime)}s |
+
+| Status | Limit Usage |
+|--------|-------------|
+${rows.join('\n')}
+`;
+}
+
+/**
+ * Generates the summary of a buy refused by the token safety inspection
+ * @param {ValidationError} error - TOKEN_UNSAFE error (details.findings from inspectToken)
+ * @param {string} title - Command title
+ * @param {string} correlationId - Correlation ID
+ * @param {number} startTime - Start timestamp
+ * @returns {string} Markdown summary
+ */
+function generateTokenUnsafeSummary(error, title, correlationId, startTime) {
+  const rows = error.details.findings.map((finding) =>
+    `| ${finding.severity === 'critical' ? '🛑 Critical' : '⚠️ Warning'} | ${finding.code} | ${finding.message} |`
+  );
+
+  return `
+## 🛑 ${title} Refused: Token Failed Safety Inspection
+
+> No transaction was sent. Review the findings below; TOKEN_SAFETY_POLICY=WARN buys anyway, and MAX_TOKEN_TAX_BPS / ALLOW_PROXY_TOKENS accept taxed or upgradeable tokens.
+
+| Property | Value |
+|----------|-------|
+| **Correlation ID** | \`${correlationId}\` |
+| **Token** | \`${error.details.tokenAddress}\` |
+| **Error Code** | ${error.code} |
+| **Duration** | ${formatDuration(startTime)}s |
+
+| Severity | Check | Finding |
+|----------|-------|---------|
+${rows.join('\n')}
+`;
+}
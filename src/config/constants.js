@@ -34,6 +34,41 @@ export const BASE_RPC_URLS = [
   'https://1rpc.io/base'
 ];
 
+/**
+ * Timeout of a single JSON-RPC call before the pool fails over to the next endpoint
+ * @constant {number}
+ */
+export const RPC_CALL_TIMEOUT_MS = 10000;
+
+/**
+ * Interval between block-height health checks of every pool endpoint
+ * @constant {number}
+ */
+export const RPC_HEALTH_CHECK_INTERVAL_MS = 30000;
+
+/**
+ * Blocks an endpoint may trail the highest known head before it is only used as a last resort
+ * @constant {number}
+ */
+export const RPC_MAX_BLOCK_LAG = 3;
+
+/**
+ * Time an endpoint is skipped after a failed call
+ * @constant {number}
+ */
+export const RPC_FAILURE_COOLDOWN_MS = 30000;
+
+/**
+ * Endpoint score weights (lower is healthier): the score is the smoothed latency in ms
+ * plus these penalties for the smoothed error rate (0-1) and each block of lag
+ * @constant {Object}
+ */
+export const RPC_SCORE_WEIGHTS = {
+  ERROR_RATE_MS: 5000,
+  BLOCK_LAG_MS: 1000,
+  SMOOTHING: 0.3
+};
+
 // =============================================================================
 // DEX CONFIGURATION (Uniswap V3 on Base)
 // =============================================================================
@@ -44,6 +79,30 @@ export const BASE_RPC_URLS = [
  */
 export const UNISWAP_V3_ROUTER = '0x2626664c2603336E57B271c5C0b26F421741e481';
 
+/**
+ * Uniswap Universal Router address on Base (swaps paid through Permit2)
+ * @constant {string}
+ */
+export const UNIVERSAL_ROUTER = '0x6fF5693b99212Da76ad316178A184AB56D299b43';
+
+/**
+ * Uniswap Permit2 address (same on every chain)
+ * @constant {string}
+ */
+export const PERMIT2_ADDRESS = '0x000000000022D473030F116dDEE9F6B43aC78BA3';
+
+/**
+ * Multicall3 address (same on every chain)
+ * @constant {string}
+ */
+export const MULTICALL3_ADDRESS = '0xcA11bde05977b3631167028862bE2a173976CA11';
+
+/**
+ * Uniswap V3 factory address on Base
+ * @constant {string}
+ */
+export const UNISWAP_V3_FACTORY = '0x33128a8fC17869897dcE68Ed026d694621f6FDfD';
+
 /**
  * Uniswap V3 Quoter V2 address on Base
  * @constant {string}
@@ -62,6 +121,18 @@ export const WETH_ADDRESS = '0x4200000000000000000000000000000000000006';
  */
 export const USDC_ADDRESS = '0x833589fCD6eDb6E08f4c7C32D4f71b54bdA02913';
 
+/**
+ * USDC decimals
+ * @constant {number}
+ */
+export const USDC_DECIMALS = 6;
+
+/**
+ * Chainlink ETH/USD price feed on Base
+ * @constant {string}
+ */
+export const CHAINLINK_ETH_USD_FEED = '0x71041dddad3595F9CEd3DcCFBe3D1F4b0a16Bb70';
+
 /**
  * Default pool fee tiers to try (in basis points)
  * 500 = 0.05%, 3000 = 0.3%, 10000 = 1%
@@ -69,6 +140,13 @@ export const USDC_ADDRESS = '0x833589fCD6eDb6E08f4c7C32D4f71b54bdA02913';
  */
 export const POOL_FEE_TIERS = [3000, 10000, 500];
 
+/**
+ * Default intermediary tokens for multi-hop routes (tokenIn -> intermediary -> tokenOut)
+ * Override with the ROUTE_INTERMEDIARIES environment variable (comma-separated addresses)
+ * @constant {string[]}
+ */
+export const ROUTE_INTERMEDIARIES = [USDC_ADDRESS];
+
 // =============================================================================
 // TRADING CONFIGURATION
 // =============================================================================
@@ -85,6 +163,18 @@ export const MIN_BUY_AMOUNT_USD = 1;
  */
 export const MAX_BUY_AMOUNT_USD = 10;
 
+/**
+ * Minimum accepted CUSTOM_AMOUNT override in USD
+ * @constant {number}
+ */
+export const MIN_CUSTOM_BUY_AMOUNT_USD = 0.01;
+
+/**
+ * Maximum accepted CUSTOM_AMOUNT override in USD (safety limit for manual runs)
+ * @constant {number}
+ */
+export const MAX_CUSTOM_BUY_AMOUNT_USD = 1000;
+
 /**
  * Slippage tolerance in percentage (e.g., 5 = 5%)
  * Higher slippage for volatile tokens
@@ -92,6 +182,118 @@ export const MAX_BUY_AMOUNT_USD = 10;
  */
 export const SLIPPAGE_TOLERANCE_PERCENT = 5;
 
+/**
+ * Highest slippage tolerance accepted from configuration (percentage)
+ * @constant {number}
+ */
+export const MAX_SLIPPAGE_TOLERANCE_PERCENT = 50;
+
+/**
+ * Buy payment modes
+ * WETH: spend pre-wrapped WETH (requires an approval)
+ * ETH: send native ETH as value; the router wraps it and refunds leftovers in one multicall
+ * AUTO: use WETH when the balance covers the trade, otherwise fall back to ETH
+ * @constant {Object}
+ */
+export const BUY_PAYMENT_MODES = {
+  WETH: 'WETH',
+  ETH: 'ETH',
+  AUTO: 'AUTO'
+};
+
+/**
+ * Default buy payment mode
+ * @constant {string}
+ */
+export const DEFAULT_BUY_PAYMENT = BUY_PAYMENT_MODES.WETH;
+
+/**
+ * Sell settlement modes
+ * WETH: swap output stays in the wallet as WETH
+ * ETH: swap and unwrapWETH9 are bundled in one router multicall, paying native ETH
+ * @constant {Object}
+ */
+export const SELL_SETTLEMENT_MODES = {
+  WETH: 'WETH',
+  ETH: 'ETH'
+};
+
+/**
+ * Default sell settlement mode
+ * @constant {string}
+ */
+export const DEFAULT_SELL_SETTLEMENT = SELL_SETTLEMENT_MODES.WETH;
+
+/**
+ * How much of the token balance a sell swaps
+ * ALL: the whole balance
+ * AMOUNT: a fixed token amount (SELL_AMOUNT)
+ * PERCENT: a percentage of the balance (SELL_PERCENT)
+ * TARGET_USD: enough to bring the position's value down to SELL_TARGET_USD
+ * @constant {Object}
+ */
+export const SELL_MODES = {
+  ALL: 'ALL',
+  AMOUNT: 'AMOUNT',
+  PERCENT: 'PERCENT',
+  TARGET_USD: 'TARGET_USD'
+};
+
+/**
+ * Default sell mode
+ * @constant {string}
+ */
+export const DEFAULT_SELL_MODE = SELL_MODES.ALL;
+
+/**
+ * Setting that sizes each sell mode (ALL needs none)
+ * @constant {Object<string, string>}
+ */
+export const SELL_MODE_SETTINGS = {
+  [SELL_MODES.AMOUNT]: 'sellAmount',
+  [SELL_MODES.PERCENT]: 'sellPercent',
+  [SELL_MODES.TARGET_USD]: 'sellTargetUsd'
+};
+
+/**
+ * Maximum number of swaps a sell is split into
+ * @constant {number}
+ */
+export const MAX_SELL_CHUNKS = 20;
+
+/**
+ * Default delay between the swaps of a split sell in seconds
+ * @constant {number}
+ */
+export const SELL_CHUNK_DELAY_SECONDS = 60;
+
+/**
+ * Maximum accepted price impact in basis points (e.g., 300 = 3%)
+ * Measured from the pool's current slot0 price to QuoterV2's post-swap price
+ * @constant {number}
+ */
+export const MAX_PRICE_IMPACT_BPS = 300;
+
+/**
+ * Window of the pool TWAP a quote is checked against before swapping, in seconds (5-30 minutes)
+ * @constant {number}
+ */
+export const TWAP_CHECK_SECONDS = 600;
+
+/**
+ * Maximum deviation of a quoted execution price (before LP fees) from the TWAP of its pools,
+ * in basis points; a larger gap suggests a momentarily manipulated pool
+ * @constant {number}
+ */
+export const MAX_TWAP_DEVIATION_BPS = 500;
+
+/**
+ * Trade when a route pool has no TWAP over the window (new pool, or observation cardinality
+ * never raised) instead of refusing; such thin pools are the easiest to manipulate
+ * @constant {boolean}
+ */
+export const ALLOW_MISSING_TWAP = false;
+
 /**
  * Transaction deadline in minutes
  * @constant {number}
@@ -110,6 +312,70 @@ export const MAX_GAS_PRICE_GWEI = 50;
  */
 export const GAS_LIMIT_MULTIPLIER = 1.3;
 
+// =============================================================================
+// PRICE ORACLES
+// =============================================================================
+
+/**
+ * Maximum age of the Chainlink ETH/USD answer in seconds
+ * The Base feed updates at least every 20 minutes (heartbeat) or on a 0.15% move
+ * @constant {number}
+ */
+export const MAX_PRICE_AGE_SECONDS = 3600;
+
+/**
+ * Window of the WETH/USDC pool TWAP that backs up the Chainlink price, in seconds
+ * @constant {number}
+ */
+export const PRICE_TWAP_SECONDS = 1800;
+
+/**
+ * Fee tier of the WETH/USDC pool the TWAP is read from
+ * @constant {number}
+ */
+export const PRICE_TWAP_POOL_FEE = 500;
+
+/**
+ * Maximum disagreement between the Chainlink price and the pool TWAP in basis points;
+ * beyond it neither is trusted and trades are refused
+ * @constant {number}
+ */
+export const MAX_PRICE_DEVIATION_BPS = 200;
+
+// =============================================================================
+// FEE CONFIGURATION (EIP-1559 + Base L1 data fee)
+// =============================================================================
+
+/**
+ * OP Stack GasPriceOracle predeploy (prices the L1 data fee of a transaction)
+ * @constant {string}
+ */
+export const GAS_PRICE_ORACLE_ADDRESS = '0x420000000000000000000000000000000000000F';
+
+/**
+ * Number of recent blocks sampled with eth_feeHistory
+ * @constant {number}
+ */
+export const FEE_HISTORY_BLOCKS = 10;
+
+/**
+ * Reward percentile used as the priority fee (median tip of recent blocks)
+ * @constant {number}
+ */
+export const PRIORITY_FEE_PERCENTILE = 50;
+
+/**
+ * maxFeePerGas headroom over the next block's base fee (covers base fee growth while pending)
+ * @constant {number}
+ */
+export const BASE_FEE_MULTIPLIER = 2;
+
+/**
+ * Priority fee floor in wei (recent blocks with no tips would otherwise suggest 0)
+ * @constant {bigint}
+ */
+export const MIN_PRIORITY_FEE_WEI = 1000000n; // 0.001 Gwei
+
 // =============================================================================
 // RETRY CONFIGURATION
 // =============================================================================
@@ -132,6 +398,115 @@ export const RETRY_BASE_DELAY_MS = 2000;
  */
 export const RETRY_BACKOFF_MULTIPLIER = 2;
 
+/**
+ * Retry policy per operation type
+ * - maxAttempts: attempts including the first one
+ * - baseDelayMs / backoffMultiplier / maxDelayMs: exponential backoff, capped
+ * - jitter: fraction of each delay randomized (+/-) so parallel runs do not retry in lockstep
+ * - maxElapsedMs: no retry is started once this much time has passed since the first attempt
+ * - nonRetryableLogLevel: level used when giving up on a non-retryable error (reads and
+ *   quotes fail routinely, e.g. a route without a pool, and are reported by the caller)
+ * @constant {Object}
+ */
+export const RETRY_POLICIES = {
+  READ: {
+    maxAttempts: 4,
+    baseDelayMs: 500,
+    backoffMultiplier: 2,
+    maxDelayMs: 4000,
+    jitter: 0.2,
+    maxElapsedMs: 15000,
+    nonRetryableLogLevel: 'debug'
+  },
+  QUOTE: {
+    // Quotes go stale quickly, so give up sooner than plain reads
+    maxAttempts: 3,
+    baseDelayMs: 500,
+    backoffMultiplier: 2,
+    maxDelayMs: 2000,
+    jitter: 0.2,
+    maxElapsedMs: 8000,
+    nonRetryableLogLevel: 'debug'
+  },
+  SEND: {
+    maxAttempts: MAX_RETRY_ATTEMPTS,
+    baseDelayMs: RETRY_BASE_DELAY_MS,
+    backoffMultiplier: RETRY_BACKOFF_MULTIPLIER,
+    maxDelayMs: 10000,
+    jitter: 0.2,
+    maxElapsedMs: 30000,
+    nonRetryableLogLevel: 'error'
+  },
+  WAIT: {
+    maxAttempts: 5,
+    baseDelayMs: 1000,
+    backoffMultiplier: 2,
+    maxDelayMs: 8000,
+    jitter: 0.2,
+    maxElapsedMs: 60000,
+    nonRetryableLogLevel: 'error'
+  }
+};
+
+// =============================================================================
+// STUCK TRANSACTION HANDLING
+// =============================================================================
+
+/**
+ * Time a transaction may stay unmined before it is replaced with higher fees
+ * @constant {number}
+ */
+export const TX_STUCK_TIMEOUT_MS = 60000;
+
+/**
+ * Interval between receipt polls while waiting for a transaction
+ * @constant {number}
+ */
+export const TX_POLL_INTERVAL_MS = 2000;
+
+/**
+ * Speed-up replacements sent before the nonce is cancelled
+ * @constant {number}
+ */
+export const MAX_TX_REPLACEMENTS = 3;
+
+/**
+ * Fee bump of each replacement in percent (nodes reject replacements below +10%
+ * with "replacement fee too low")
+ * @constant {number}
+ */
+export const REPLACEMENT_FEE_BUMP_PERCENT = 15;
+
+/**
+ * Gas limit of a cancel (zero-value self-transfer)
+ * @constant {bigint}
+ */
+export const CANCEL_TX_GAS_LIMIT = 21000n;
+
+// =============================================================================
+// PRIVATE SUBMISSION
+// =============================================================================
+
+/**
+ * Time a transaction sent to the private relay may stay unmined before it is broadcast
+ * to the public mempool as well
+ * @constant {number}
+ */
+export const PRIVATE_RELAY_TIMEOUT_SECONDS = 30;
+
+/**
+ * Channels a transaction can be submitted through
+ * - PUBLIC: the provider's public mempool (no relay configured)
+ * - PRIVATE_RELAY: the private relay only
+ * - PUBLIC_FALLBACK: the relay refused it or did not get it mined in time, so it was broadcast publicly
+ * @constant {Object<string, string>}
+ */
+export const SUBMISSION_CHANNELS = {
+  PUBLIC: 'PUBLIC',
+  PRIVATE_RELAY: 'PRIVATE_RELAY',
+  PUBLIC_FALLBACK: 'PUBLIC_FALLBACK'
+};
+
 // =============================================================================
 // LOGGING CONFIGURATION
 // =============================================================================
@@ -157,6 +532,393 @@ export const LOG_PATHS = {
   TRADES: 'logs/trades.log'
 };
 
+// =============================================================================
+// LEDGER CONFIGURATION
+// =============================================================================
+
+/**
+ * Trade ledger path (relative to project root, one JSON entry per line)
+ * Restored from and committed back to the workflows' state branch (STATE_BRANCH, default bot-state) each run
+ * @constant {string}
+ */
+export const LEDGER_PATH = 'data/ledger.jsonl';
+
+/**
+ * Cost basis methods for P&L accounting
+ * FIFO: sells consume the oldest buy lots first
+ * AVERAGE: sells are costed at the running average cost of the position
+ * @constant {Object}
+ */
+export const COST_BASIS_METHODS = {
+  FIFO: 'FIFO',
+  AVERAGE: 'AVERAGE'
+};
+
+/**
+ * Default cost basis method
+ * @constant {string}
+ */
+export const DEFAULT_COST_BASIS_METHOD = COST_BASIS_METHODS.FIFO;
+
+// =============================================================================
+// RISK LIMITS
+// =============================================================================
+
+/**
+ * Rolling windows the risk limits are measured over, in milliseconds
+ * @constant {Object<string, number>}
+ */
+export const RISK_WINDOWS_MS = {
+  DAILY: 24 * 60 * 60 * 1000,
+  WEEKLY: 7 * 24 * 60 * 60 * 1000
+};
+
+/**
+ * Risk limits checked against the trade ledger before every buy
+ * - setting: CONFIG_SCHEMA key holding the USD limit (unset = no limit)
+ * - metric: SPEND (USD value of buys, including the buy being checked),
+ *   GAS (USD gas cost of all trades) or LOSS (realized loss of sells, net of realized gains)
+ * - window: key of RISK_WINDOWS_MS
+ * @constant {Array<Object>}
+ */
+export const RISK_LIMITS = [
+  { setting: 'maxDailySpendUsd', metric: 'SPEND', window: 'DAILY' },
+  { setting: 'maxWeeklySpendUsd', metric: 'SPEND', window: 'WEEKLY' },
+  { setting: 'maxDailyGasUsd', metric: 'GAS', window: 'DAILY' },
+  { setting: 'maxWeeklyGasUsd', metric: 'GAS', window: 'WEEKLY' },
+  { setting: 'maxDailyLossUsd', metric: 'LOSS', window: 'DAILY' },
+  { setting: 'maxWeeklyLossUsd', metric: 'LOSS', window: 'WEEKLY' }
+];
+
+// =============================================================================
+// TOKEN SAFETY
+// =============================================================================
+
+/**
+ * What to do when the pre-buy token inspection finds a critical problem
+ * - OFF: skip the inspection
+ * - WARN: log the findings and buy anyway
+ * - REFUSE: block the buy
+ * @constant {Object<string, string>}
+ */
+export const TOKEN_SAFETY_POLICIES = {
+  OFF: 'OFF',
+  WARN: 'WARN',
+  REFUSE: 'REFUSE'
+};
+
+/**
+ * Default token safety policy
+ * @constant {string}
+ */
+export const DEFAULT_TOKEN_SAFETY_POLICY = TOKEN_SAFETY_POLICIES.REFUSE;
+
+/**
+ * Findings that refuse a buy whatever TOKEN_SAFETY_POLICY says (unless it is OFF): the sell
+ * refuses a token taxed on transfers to its pool, or whose tax cannot be measured
+ * (TRANSFER_TAX_UNSUPPORTED), so buying it would open a position the bot cannot close
+ * @constant {string[]}
+ */
+export const UNSELLABLE_TOKEN_FINDINGS = ['SELL_TAX', 'TAX_UNKNOWN'];
+
+/**
+ * ETH swapped in the simulated buy/sell round trip (eth_call only, never sent)
+ * @constant {string}
+ */
+export const TOKEN_SAFETY_PROBE_ETH = '0.00001';
+
+/**
+ * Default maximum tax per transfer accepted (measured on the probe's transfers), in basis points
+ * @constant {number}
+ */
+export const MAX_TOKEN_TAX_BPS = 0;
+
+/**
+ * Storage slots that hold a proxy's implementation (non-zero = upgradeable proxy)
+ * @constant {Object<string, string>}
+ */
+export const PROXY_STORAGE_SLOTS = {
+  // bytes32(uint256(keccak256('eip1967.proxy.implementation')) - 1)
+  EIP1967_IMPLEMENTATION: '0x360894a13ba1a3210667c828492db98dca3e2076cc3735a920a3ca505d382bbc',
+  // bytes32(uint256(keccak256('eip1967.proxy.beacon')) - 1)
+  EIP1967_BEACON: '0xa3f0ad74e5423aebfd80d3ef4346578335a9a72aeaee59ff6cb3582b35133d50',
+  // keccak256('PROXIABLE')
+  EIP1822_PROXIABLE: '0xc5f16f0fcc639fa48a6947836d9850f504798523bf8c9a3a87d5876cf622bcf7'
+};
+
+/**
+ * Runtime bytecode prefix of an EIP-1167 minimal proxy (clone)
+ * @constant {string}
+ */
+export const MINIMAL_PROXY_PREFIX = '0x363d3d373d3d3d363d73';
+
+/**
+ * SwapRouter02 (and Universal Router) recipient meaning "the router itself" (outputs stay in the
+ * router for a later call)
+ * @constant {string}
+ */
+export const ROUTER_ADDRESS_THIS = '0x0000000000000000000000000000000000000002';
+
+/**
+ * SwapRouter02 input amount meaning "the router's whole balance of the input token"
+ * @constant {bigint}
+ */
+export const ROUTER_CONTRACT_BALANCE = 0n;
+
+// =============================================================================
+// TOKEN APPROVALS
+// =============================================================================
+
+/**
+ * How much the router is approved for when a trade needs an allowance
+ * - EXACT: the trade amount only (one approval per trade, nothing left afterwards)
+ * - CAPPED: about APPROVAL_CAP_USD worth (at least the trade), so later trades reuse it
+ * - UNLIMITED: the maximum uint256 (one approval per token, ever)
+ * - PERMIT2: Permit2 signature-based - the router is never approved; Permit2 is approved once
+ *   (maximum uint256) and each trade signs a Permit2 allowance for its own amount, expiring after
+ *   PERMIT2_EXPIRATION_SECONDS (implies APPROVAL_METHOD PERMIT2)
+ * @constant {Object<string, string>}
+ */
+export const APPROVAL_POLICIES = {
+  EXACT: 'EXACT',
+  CAPPED: 'CAPPED',
+  UNLIMITED: 'UNLIMITED',
+  PERMIT2: 'PERMIT2'
+};
+
+/**
+ * Default approval policy
+ * @constant {string}
+ */
+export const DEFAULT_APPROVAL_POLICY = APPROVAL_POLICIES.EXACT;
+
+/**
+ * USD value approved under the CAPPED policy, converted at the trade's quote
+ * @constant {number}
+ */
+export const APPROVAL_CAP_USD = 100;
+
+/**
+ * How a trade that needs an allowance grants it
+ * - AUTO: an EIP-2612 permit if the token supports it, else Permit2 if the wallet has approved
+ *   Permit2 for the token, else an approve transaction
+ * - PERMIT: an EIP-2612 permit signature, signed into the swap (SwapRouter02 selfPermit)
+ * - PERMIT2: a Permit2 signature, signed into a Universal Router swap (Permit2 is approved
+ *   first if it is not yet)
+ * - APPROVE: an approve transaction before the swap
+ * PERMIT and PERMIT2 fall back to APPROVE when the token or wallet does not support them.
+ * @constant {Object<string, string>}
+ */
+export const APPROVAL_METHODS = {
+  AUTO: 'AUTO',
+  PERMIT: 'PERMIT',
+  PERMIT2: 'PERMIT2',
+  APPROVE: 'APPROVE'
+};
+
+/**
+ * Default approval method
+ * @constant {string}
+ */
+export const DEFAULT_APPROVAL_METHOD = APPROVAL_METHODS.AUTO;
+
+/**
+ * Lifetime of a Permit2 allowance signed for a trade, in seconds
+ * Long enough for every swap of a split sell (at most 20 swaps an hour apart)
+ * @constant {number}
+ */
+export const PERMIT2_EXPIRATION_SECONDS = 24 * 60 * 60;
+
+/**
+ * Universal Router command types used for V3 swaps
+ * @constant {Object<string, number>}
+ */
+export const UNIVERSAL_ROUTER_COMMANDS = {
+  V3_SWAP_EXACT_IN: 0x00,
+  PERMIT2_PERMIT: 0x0a,
+  UNWRAP_WETH: 0x0c
+};
+
+/**
+ * Allowances at or above this are reported as unlimited (wallets and dapps approve
+ * the maximum uint256, which some tokens count down as it is spent)
+ * @constant {bigint}
+ */
+export const UNLIMITED_ALLOWANCE_THRESHOLD = 2n ** 255n;
+
+// =============================================================================
+// NONCE STATE
+// =============================================================================
+
+/**
+ * Nonce reservation state path (relative to project root)
+ * Kept on the workflows' state branch (STATE_BRANCH), like the ledger
+ * @constant {string}
+ */
+export const NONCE_STATE_PATH = 'data/nonce-state.json';
+
+// =============================================================================
+// CONFIGURATION FILE & SCHEMA
+// =============================================================================
+
+/**
+ * Configuration files looked up in the working directory when CONFIG_PATH/--config is not set
+ * @constant {string[]}
+ */
+export const CONFIG_FILE_NAMES = ['bot.config.json', 'bot.config.yaml', 'bot.config.yml'];
+
+/**
+ * Declared configuration settings, resolved from (lowest to highest precedence) the
+ * defaults below, the configuration file (camelCase keys), environment variables and CLI flags
+ * - env: environment variable (also the name used in validation errors)
+ * - flag: camelCase CLI flag that overrides the setting
+ * - type: privateKey, address, url, string, number, boolean, option, addressList, numberList
+ *   or portfolio (list of tokens, see PORTFOLIO_TOKEN_OVERRIDES)
+ * - min/max: inclusive range of numbers (and of each entry of a numberList)
+ * - integer: numbers must be whole
+ * - options: allowed values of an option
+ * - required: 'always', 'wallet' (commands that sign) or 'network' (commands that connect)
+ * - satisfiedBy: another setting that makes a required one optional when set
+ * - secret: masked when the effective configuration is printed
+ * - fileAllowed: false for secrets that must never be committed in a configuration file
+ * @constant {Object<string, Object>}
+ */
+export const CONFIG_SCHEMA = {
+  privateKey: { env: 'PRIVATE_KEY', type: 'privateKey', required: 'wallet', secret: true, fileAllowed: false },
+  tokenAddress: { env: 'TOKEN_ADDRESS', flag: 'token', type: 'address', required: 'always', satisfiedBy: 'tokens' },
+  // JSON array in the environment; buy/sell trade every enabled token, other commands the first one
+  tokens: { env: 'TOKENS', type: 'portfolio' },
+  rpcUrl: { env: 'RPC_URL', type: 'url', required: 'network', secret: true },
+  // Unset = swaps and approvals go to the public mempool
+  privateRelayUrl: { env: 'PRIVATE_RELAY_URL', type: 'url', secret: true },
+  privateRelayTimeoutSeconds: {
+    env: 'PRIVATE_RELAY_TIMEOUT_SECONDS',
+    type: 'number',
+    integer: true,
+    default: PRIVATE_RELAY_TIMEOUT_SECONDS,
+    min: 1,
+    max: 600
+  },
+  slippageTolerance: {
+    env: 'SLIPPAGE_TOLERANCE',
+    flag: 'slippage',
+    type: 'number',
+    default: SLIPPAGE_TOLERANCE_PERCENT,
+    min: 0,
+    max: MAX_SLIPPAGE_TOLERANCE_PERCENT
+  },
+  maxGasPrice: { env: 'MAX_GAS_PRICE', type: 'number', default: MAX_GAS_PRICE_GWEI, min: 0.001, max: 1000 },
+  maxPriceImpactBps: { env: 'MAX_PRICE_IMPACT_BPS', type: 'number', default: MAX_PRICE_IMPACT_BPS, min: 1, max: 10000 },
+  twapCheckSeconds: { env: 'TWAP_CHECK_SECONDS', type: 'number', integer: true, default: TWAP_CHECK_SECONDS, min: 300, max: 1800 },
+  maxTwapDeviationBps: { env: 'MAX_TWAP_DEVIATION_BPS', type: 'number', default: MAX_TWAP_DEVIATION_BPS, min: 1, max: 10000 },
+  allowMissingTwap: { env: 'ALLOW_MISSING_TWAP', type: 'boolean', default: ALLOW_MISSING_TWAP },
+  maxPriceAgeSeconds: { env: 'MAX_PRICE_AGE_SECONDS', type: 'number', integer: true, default: MAX_PRICE_AGE_SECONDS, min: 60, max: 86400 },
+  priceTwapSeconds: { env: 'PRICE_TWAP_SECONDS', type: 'number', integer: true, default: PRICE_TWAP_SECONDS, min: 60, max: 86400 },
+  maxPriceDeviationBps: { env: 'MAX_PRICE_DEVIATION_BPS', type: 'number', default: MAX_PRICE_DEVIATION_BPS, min: 1, max: 5000 },
+  dryRun: { env: 'DRY_RUN', flag: 'dryRun', type: 'boolean', default: false },
+  buyPayment: {
+    env: 'BUY_PAYMENT',
+    type: 'option',
+    options: Object.values(BUY_PAYMENT_MODES),
+    default: DEFAULT_BUY_PAYMENT
+  },
+  sellSettlement: {
+    env: 'SELL_SETTLEMENT',
+    type: 'option',
+    options: Object.values(SELL_SETTLEMENT_MODES),
+    default: DEFAULT_SELL_SETTLEMENT
+  },
+  sellMode: { env: 'SELL_MODE', type: 'option', options: Object.values(SELL_MODES), default: DEFAULT_SELL_MODE },
+  sellAmount: { env: 'SELL_AMOUNT', type: 'number', min: 0.000001, max: 1e15 },
+  sellPercent: { env: 'SELL_PERCENT', type: 'number', min: 0.01, max: 100 },
+  sellTargetUsd: { env: 'SELL_TARGET_USD', type: 'number', min: 0, max: 1e9 },
+  sellChunks: { env: 'SELL_CHUNKS', flag: 'chunks', type: 'number', integer: true, default: 1, min: 1, max: MAX_SELL_CHUNKS },
+  sellChunkDelaySeconds: {
+    env: 'SELL_CHUNK_DELAY_SECONDS',
+    type: 'number',
+    default: SELL_CHUNK_DELAY_SECONDS,
+    min: 0,
+    max: 3600
+  },
+  minBuyAmountUsd: {
+    env: 'MIN_BUY_AMOUNT_USD',
+    type: 'number',
+    default: MIN_BUY_AMOUNT_USD,
+    min: MIN_CUSTOM_BUY_AMOUNT_USD,
+    max: MAX_CUSTOM_BUY_AMOUNT_USD
+  },
+  maxBuyAmountUsd: {
+    env: 'MAX_BUY_AMOUNT_USD',
+    type: 'number',
+    default: MAX_BUY_AMOUNT_USD,
+    min: MIN_CUSTOM_BUY_AMOUNT_USD,
+    max: MAX_CUSTOM_BUY_AMOUNT_USD
+  },
+  // "none" disables multi-hop routing
+  routeIntermediaries: { env: 'ROUTE_INTERMEDIARIES', type: 'addressList', default: ROUTE_INTERMEDIARIES },
+  poolFeeTiers: { env: 'POOL_FEE_TIERS', type: 'numberList', default: POOL_FEE_TIERS, min: 1, max: 1000000 },
+  gasLimitMultiplier: { env: 'GAS_LIMIT_MULTIPLIER', type: 'number', default: GAS_LIMIT_MULTIPLIER, min: 1, max: 3 },
+  routerAddress: { env: 'ROUTER_ADDRESS', type: 'address', default: UNISWAP_V3_ROUTER },
+  quoterAddress: { env: 'QUOTER_ADDRESS', type: 'address', default: UNISWAP_V3_QUOTER },
+  ledgerPath: { env: 'LEDGER_PATH', type: 'string', default: LEDGER_PATH },
+  nonceStatePath: { env: 'NONCE_STATE_PATH', type: 'string', default: NONCE_STATE_PATH },
+  costBasisMethod: {
+    env: 'COST_BASIS_METHOD',
+    type: 'option',
+    options: Object.values(COST_BASIS_METHODS),
+    default: DEFAULT_COST_BASIS_METHOD
+  },
+  // Risk limits in USD (see RISK_LIMITS); unset = unlimited
+  maxDailySpendUsd: { env: 'MAX_DAILY_SPEND_USD', type: 'number', min: 0, max: 1e9 },
+  maxWeeklySpendUsd: { env: 'MAX_WEEKLY_SPEND_USD', type: 'number', min: 0, max: 1e9 },
+  maxDailyGasUsd: { env: 'MAX_DAILY_GAS_USD', type: 'number', min: 0, max: 1e9 },
+  maxWeeklyGasUsd: { env: 'MAX_WEEKLY_GAS_USD', type: 'number', min: 0, max: 1e9 },
+  maxDailyLossUsd: { env: 'MAX_DAILY_LOSS_USD', type: 'number', min: 0, max: 1e9 },
+  maxWeeklyLossUsd: { env: 'MAX_WEEKLY_LOSS_USD', type: 'number', min: 0, max: 1e9 },
+  tokenSafetyPolicy: {
+    env: 'TOKEN_SAFETY_POLICY',
+    type: 'option',
+    options: Object.values(TOKEN_SAFETY_POLICIES),
+    default: DEFAULT_TOKEN_SAFETY_POLICY
+  },
+  maxTokenTaxBps: { env: 'MAX_TOKEN_TAX_BPS', type: 'number', default: MAX_TOKEN_TAX_BPS, min: 0, max: 5000 },
+  allowProxyTokens: { env: 'ALLOW_PROXY_TOKENS', type: 'boolean', default: true },
+  approvalPolicy: {
+    env: 'APPROVAL_POLICY',
+    type: 'option',
+    options: Object.values(APPROVAL_POLICIES),
+    default: DEFAULT_APPROVAL_POLICY
+  },
+  approvalCapUsd: { env: 'APPROVAL_CAP_USD', type: 'number', default: APPROVAL_CAP_USD, min: 1, max: 1e6 },
+  approvalMethod: {
+    env: 'APPROVAL_METHOD',
+    type: 'option',
+    options: Object.values(APPROVAL_METHODS),
+    default: DEFAULT_APPROVAL_METHOD
+  },
+  universalRouterAddress: { env: 'UNIVERSAL_ROUTER_ADDRESS', type: 'address', default: UNIVERSAL_ROUTER }
+};
+
+/**
+ * Settings a portfolio token may override; everything else comes from the global configuration
+ * Besides these, a token entry takes `address` (required) and `enabled` (default true)
+ * @constant {string[]}
+ */
+export const PORTFOLIO_TOKEN_OVERRIDES = [
+  'minBuyAmountUsd',
+  'maxBuyAmountUsd',
+  'slippageTolerance',
+  'poolFeeTiers',
+  'sellMode',
+  'sellAmount',
+  'sellPercent',
+  'sellTargetUsd',
+  'sellChunks',
+  'tokenSafetyPolicy',
+  'maxTokenTaxBps',
+  'allowProxyTokens'
+];
+
 // =============================================================================
 // ABI DEFINITIONS
 // =============================================================================
@@ -186,16 +948,131 @@ export const UNISWAP_V3_ROUTER_ABI = [
   'function exactOutputSingle((address tokenIn, address tokenOut, uint24 fee, address recipient, uint256 amountOut, uint256 amountInMaximum, uint160 sqrtPriceLimitX96)) external payable returns (uint256 amountIn)',
   'function multicall(uint256 deadline, bytes[] calldata data) external payable returns (bytes[] memory results)',
   'function unwrapWETH9(uint256 amountMinimum, address recipient) external payable',
-  'function refundETH() external payable'
+  'function refundETH() external payable',
+  'function exactInput((bytes path, address recipient, uint256 amountIn, uint256 amountOutMinimum)) external payable returns (uint256 amountOut)',
+  'function selfPermitIfNecessary(address token, uint256 value, uint256 deadline, uint8 v, bytes32 r, bytes32 s) external payable'
+];
+
+/**
+ * Uniswap Universal Router ABI
+ * @constant {Array}
+ */
+export const UNIVERSAL_ROUTER_ABI = [
+  'function execute(bytes commands, bytes[] inputs, uint256 deadline) external payable'
+];
+
+/**
+ * EIP-2612 permit extension of ERC20 (eip712Domain is EIP-5267, version is optional)
+ * @constant {Array}
+ */
+export const ERC20_PERMIT_ABI = [
+  'function DOMAIN_SEPARATOR() view returns (bytes32)',
+  'function nonces(address owner) view returns (uint256)',
+  'function version() view returns (string)',
+  'function eip712Domain() view returns (bytes1 fields, string name, string version, uint256 chainId, address verifyingContract, bytes32 salt, uint256[] extensions)',
+  'function permit(address owner, address spender, uint256 value, uint256 deadline, uint8 v, bytes32 r, bytes32 s)'
+];
+
+/**
+ * Permit2 ABI (allowance transfers)
+ * @constant {Array}
+ */
+export const PERMIT2_ABI = [
+  'function allowance(address owner, address token, address spender) view returns (uint160 amount, uint48 expiration, uint48 nonce)',
+  'function approve(address token, address spender, uint160 amount, uint48 expiration)'
 ];
 
+// =============================================================================
+// EIP-712 TYPES
+// =============================================================================
+
+/**
+ * EIP-2612 permit typed data
+ * @constant {Object}
+ */
+export const PERMIT_TYPES = {
+  Permit: [
+    { name: 'owner', type: 'address' },
+    { name: 'spender', type: 'address' },
+    { name: 'value', type: 'uint256' },
+    { name: 'nonce', type: 'uint256' },
+    { name: 'deadline', type: 'uint256' }
+  ]
+};
+
+/**
+ * Permit2 PermitSingle typed data (domain: name "Permit2", chainId, Permit2 address)
+ * @constant {Object}
+ */
+export const PERMIT2_PERMIT_TYPES = {
+  PermitSingle: [
+    { name: 'details', type: 'PermitDetails' },
+    { name: 'spender', type: 'address' },
+    { name: 'sigDeadline', type: 'uint256' }
+  ],
+  PermitDetails: [
+    { name: 'token', type: 'address' },
+    { name: 'amount', type: 'uint160' },
+    { name: 'expiration', type: 'uint48' },
+    { name: 'nonce', type: 'uint48' }
+  ]
+};
+
 /**
  * Uniswap V3 Quoter V2 ABI
  * @constant {Array}
  */
 export const UNISWAP_V3_QUOTER_ABI = [
   'function quoteExactInputSingle((address tokenIn, address tokenOut, uint256 amountIn, uint24 fee, uint160 sqrtPriceLimitX96)) external returns (uint256 amountOut, uint160 sqrtPriceX96After, uint32 initializedTicksCrossed, uint256 gasEstimate)',
-  'function quoteExactOutputSingle((address tokenIn, address tokenOut, uint256 amount, uint24 fee, uint160 sqrtPriceLimitX96)) external returns (uint256 amountIn, uint160 sqrtPriceX96After, uint32 initializedTicksCrossed, uint256 gasEstimate)'
+  'function quoteExactOutputSingle((address tokenIn, address tokenOut, uint256 amount, uint24 fee, uint160 sqrtPriceLimitX96)) external returns (uint256 amountIn, uint160 sqrtPriceX96After, uint32 initializedTicksCrossed, uint256 gasEstimate)',
+  'function quoteExactInput(bytes path, uint256 amountIn) external returns (uint256 amountOut, uint160[] sqrtPriceX96AfterList, uint32[] initializedTicksCrossedList, uint256 gasEstimate)'
+];
+
+/**
+ * Uniswap V3 factory ABI (pool lookup)
+ * @constant {Array}
+ */
+export const UNISWAP_V3_FACTORY_ABI = [
+  'function getPool(address tokenA, address tokenB, uint24 fee) view returns (address pool)'
+];
+
+/**
+ * Uniswap V3 pool ABI (state and events)
+ * @constant {Array}
+ */
+export const UNISWAP_V3_POOL_ABI = [
+  'function token0() view returns (address)',
+  'function token1() view returns (address)',
+  'function fee() view returns (uint24)',
+  'function liquidity() view returns (uint128)',
+  'function slot0() view returns (uint160 sqrtPriceX96, int24 tick, uint16 observationIndex, uint16 observationCardinality, uint16 observationCardinalityNext, uint8 feeProtocol, bool unlocked)',
+  'function observe(uint32[] secondsAgos) view returns (int56[] tickCumulatives, uint160[] secondsPerLiquidityCumulativeX128s)',
+  'event Swap(address indexed sender, address indexed recipient, int256 amount0, int256 amount1, uint160 sqrtPriceX96, uint128 liquidity, int24 tick)'
+];
+
+/**
+ * Multicall3 ABI (batched calls with value)
+ * @constant {Array}
+ */
+export const MULTICALL3_ABI = [
+  'function aggregate3Value((address target, bool allowFailure, uint256 value, bytes callData)[] calls) payable returns ((bool success, bytes returnData)[] returnData)'
+];
+
+/**
+ * OP Stack GasPriceOracle ABI (minimal)
+ * @constant {Array}
+ */
+export const GAS_PRICE_ORACLE_ABI = [
+  'function getL1Fee(bytes _data) view returns (uint256)'
+];
+
+/**
+ * Chainlink aggregator ABI
+ * @constant {Array}
+ */
+export const CHAINLINK_AGGREGATOR_ABI = [
+  'function decimals() view returns (uint8)',
+  'function latestRoundData() view returns (uint80 roundId, int256 answer, uint256 startedAt, uint256 updatedAt, uint80 answeredInRound)'
 ];
 
 // =============================================================================
@@ -233,6 +1110,8 @@ export const ERROR_CODES = {
   RPC_CONNECTION_FAILED: 2001,
   NETWORK_MISMATCH: 2002,
   RPC_TIMEOUT: 2003,
+  RPC_MISMATCH: 2004,
+  PRICE_UNAVAILABLE: 2005,
 
   // Transaction errors (3xxx)
   INSUFFICIENT_BALANCE: 3001,
@@ -241,11 +1120,19 @@ export const ERROR_CODES = {
   TX_REVERTED: 3004,
   GAS_TOO_HIGH: 3005,
   SLIPPAGE_EXCEEDED: 3006,
+  PRICE_IMPACT_TOO_HIGH: 3007,
+  TX_STUCK: 3008,
+  TWAP_UNAVAILABLE: 3009,
 
   // Token errors (4xxx)
   TOKEN_NOT_FOUND: 4001,
   INVALID_TOKEN: 4002,
   NO_LIQUIDITY: 4003,
+  TOKEN_UNSAFE: 4004,
+  TRANSFER_TAX_UNSUPPORTED: 4005,
+
+  // Risk errors (5xxx)
+  RISK_LIMIT_EXCEEDED: 5001,
 
   // General errors (9xxx)
   UNKNOWN_ERROR: 9999
@@ -0,0 +1,370 @@
+/**
+ * @fileoverview Layered configuration loader
+ * @description Resolves every CONFIG_SCHEMA setting from its defaults, an optional
+ *              bot.config.json/YAML file, environment variables and CLI flags (highest wins),
+ *              validates the result and formats it for the startup log with secrets masked
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { CONFIG_SCHEMA, CONFIG_FILE_NAMES, PORTFOLIO_TOKEN_OVERRIDES, ERROR_CODES } from './constants.js';
+import { ValidationError, validateTradeConfig, isUnset } from '../utils/validation.js';
+
+/**
+ * Configuration layers from lowest to highest precedence
+ * @constant {string[]}
+ */
+export const CONFIG_SOURCES = ['default', 'file', 'env', 'flag'];
+
+// =============================================================================
+// CONFIGURATION FILE
+// =============================================================================
+
+/**
+ * Finds the configuration file to load
+ * @param {Object} [options] - Options
+ * @param {string} [options.configPath] - Explicit path (--config or CONFIG_PATH); must exist
+ * @param {string} [options.cwd=process.cwd()] - Directory searched for CONFIG_FILE_NAMES
+ * @returns {string|null} File path, or null when no file is configured or present
+ * @throws {ValidationError} If an explicit path does not exist
+ */
+export function findConfigFile({ configPath, cwd = process.cwd() } = {}) {
+  if (configPath && configPath.trim() !== '') {
+    const resolved = path.resolve(cwd, configPath.trim());
+    if (!fs.existsSync(resolved)) {
+      throw new ValidationError(
+        `Configuration file not found: ${configPath}`,
+        ERROR_CODES.INVALID_CONFIG,
+        { configPath }
+      );
+    }
+    return resolved;
+  }
+
+  const found = CONFIG_FILE_NAMES.map((name) => path.join(cwd, name)).find((file) => fs.existsSync(file));
+  return found ?? null;
+}
+
+/**
+ * Reads a configuration file (JSON, or YAML for .yaml/.yml)
+ * Keys are the camelCase CONFIG_SCHEMA names; unknown keys and secrets that must not be
+ * stored in files (the private key) are rejected.
+ * @param {string} filePath - File path
+ * @returns {Object} Settings from the file
+ * @throws {ValidationError} If the file cannot be parsed or declares unknown settings
+ */
+export function readConfigFile(filePath) {
+  let settings;
+  try {
+    const text = fs.readFileSync(filePath, 'utf8');
+    settings = /\.ya?ml$/i.test(filePath) ? parseYaml(text) : JSON.parse(text);
+  } catch (error) {
+    throw new ValidationError(
+      `Invalid configuration file ${filePath}: ${error.message}`,
+      ERROR_CODES.INVALID_CONFIG,
+      { filePath }
+    );
+  }
+
+  if (!settings || typeof settings !== 'object' || Array.isArray(settings)) {
+    throw new ValidationError(
+      `Configuration file ${filePath} must contain an object of settings`,
+      ERROR_CODES.INVALID_CONFIG,
+      { filePath }
+    );
+  }
+
+  const unknown = Object.keys(settings).filter((key) => !CONFIG_SCHEMA[key]);
+  if (unknown.length > 0) {
+    throw new ValidationError(
+      `Unknown settings in ${filePath}: ${unknown.join(', ')}`,
+      ERROR_CODES.INVALID_CONFIG,
+      { filePath, unknown, allowed: Object.keys(CONFIG_SCHEMA) }
+    );
+  }
+
+  const forbidden = Object.keys(settings).filter((key) => CONFIG_SCHEMA[key].fileAllowed === false);
+  if (forbidden.length > 0) {
+    throw new ValidationError(
+      `${forbidden.map((key) => CONFIG_SCHEMA[key].env).join(', ')} must not be stored in ${filePath}; set it in the environment`,
+      ERROR_CODES.INVALID_CONFIG,
+      { filePath, forbidden }
+    );
+  }
+
+  return settings;
+}
+
+/**
+ * A "key: value" line of the YAML subset
+ * @constant {RegExp}
+ */
+const YAML_ENTRY_PATTERN = /^([A-Za-z][\w]*)\s*:\s*(.*)$/;
+
+/**
+ * Parses the YAML subset used by configuration files
+ * Supports flat "key: value" mappings, inline lists ([a, b]), block lists ("- item"),
+ * block lists of flat mappings ("- address: ..." followed by indented "key: value" lines),
+ * quoted strings and comments - enough for CONFIG_SCHEMA settings without a YAML dependency.
+ * @param {string} text - YAML text
+ * @returns {Object} Parsed settings
+ * @throws {Error} On unsupported syntax
+ */
+function parseYaml(text) {
+  const settings = {};
+  let listKey = null;
+  let listItem = null;
+
+  for (const [index, rawLine] of text.split(/\r?\n/).entries()) {
+    const line = stripYamlComment(rawLine).trimEnd();
+    if (line.trim() === '' || line.trim() === '---') {
+      continue;
+    }
+
+    const indented = /^\s/.test(line);
+    const item = line.match(/^\s*-\s+(.*)$/);
+    if (item && listKey) {
+      const mapping = item[1].match(YAML_ENTRY_PATTERN);
+      listItem = mapping ? { [mapping[1]]: parseYamlScalar(mapping[2]) } : null;
+      settings[listKey].push(listItem ?? parseYamlScalar(item[1]));
+      continue;
+    }
+
+    const entry = line.trim().match(YAML_ENTRY_PATTERN);
+    if (entry && indented && listItem) {
+      listItem[entry[1]] = parseYamlScalar(entry[2]);
+      continue;
+    }
+    if (!entry || indented) {
+      throw new Error(`unsupported YAML on line ${index + 1}: ${rawLine.trim()}`);
+    }
+
+    const [, key, value] = entry;
+    listItem = null;
+    if (value === '') {
+      settings[key] = [];
+      listKey = key;
+    } else {
+      settings[key] = parseYamlScalar(value);
+      listKey = null;
+    }
+  }
+
+  return settings;
+}
+
+/**
+ * Finds the characters of a YAML line that match outside of quotes
+ * @param {string} text - YAML line or value
+ * @param {function(string, number): boolean} match - Tests an unquoted character and its index
+ * @returns {number[]} Indexes of the matching characters
+ */
+function findUnquoted(text, match) {
+  const indexes = [];
+  let quote = null;
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+    if (quote) {
+      quote = char === quote ? null : quote;
+    } else if (char === '"' || char === "'") {
+      quote = char;
+    } else if (match(char, i)) {
+      indexes.push(i);
+    }
+  }
+  return indexes;
+}
+
+/**
+ * Removes a trailing "# comment" outside of quotes
+ * @param {string} line - YAML line
+ * @returns {string} Line without comment
+ */
+function stripYamlComment(line) {
+  const [comment] = findUnquoted(line, (char, i) => char === '#' && (i === 0 || /\s/.test(line[i - 1])));
+  return comment === undefined ? line : line.substring(0, comment);
+}
+
+/**
+ * Splits an inline list on the commas outside of quotes
+ * @param {string} inner - List content without the brackets
+ * @returns {string[]} Raw items
+ */
+function splitYamlList(inner) {
+  const items = [];
+  let start = 0;
+  for (const comma of findUnquoted(inner, (char) => char === ',')) {
+    items.push(inner.substring(start, comma));
+    start = comma + 1;
+  }
+  items.push(inner.substring(start));
+  return items;
+}
+
+/**
+ * Parses a YAML scalar or inline list
+ * @param {string} raw - Raw value
+ * @returns {string|number|boolean|null|Array} Parsed value
+ */
+function parseYamlScalar(raw) {
+  const value = raw.trim();
+
+  if (value.startsWith('[') && value.endsWith(']')) {
+    const inner = value.slice(1, -1).trim();
+    return inner === '' ? [] : splitYamlList(inner).map(parseYamlScalar);
+  }
+  if (/^(["']).*\1$/.test(value)) {
+    return value.slice(1, -1);
+  }
+  if (value === 'true' || value === 'false') {
+    return value === 'true';
+  }
+  if (value === 'null' || value === '~') {
+    return null;
+  }
+  // Addresses and other hex strings stay strings
+  if (/^-?\d+(\.\d+)?$/.test(value)) {
+    return Number(value);
+  }
+  return value;
+}
+
+// =============================================================================
+// RESOLUTION
+// =============================================================================
+
+/**
+ * Resolves and validates the effective configuration
+ * @param {Object} [layers] - Configuration layers
+ * @param {Object} [layers.file={}] - Settings from the configuration file
+ * @param {Object} [layers.env={}] - Environment variables
+ * @param {Object} [layers.flags={}] - Parsed CLI flags (camelCase)
+ * @param {Object} [options] - Options passed to validateTradeConfig (requireWallet, requireRpc)
+ * @returns {{config: Object, sources: Object<string, string>}} Validated configuration and the
+ *          layer each setting came from (CONFIG_SOURCES; null when unset)
+ * @throws {ValidationError} If a required setting is missing (MISSING_ENV_VAR) or a value is invalid
+ */
+export function resolveConfig({ file = {}, env = {}, flags = {} } = {}, { requireWallet = true, requireRpc = true } = {}) {
+  const settings = {};
+  const sources = {};
+
+  for (const [key, field] of Object.entries(CONFIG_SCHEMA)) {
+    const layers = {
+      default: field.default,
+      file: file[key],
+      env: env[field.env],
+      flag: field.flag ? flags[field.flag] : undefined
+    };
+
+    sources[key] = null;
+    for (const source of CONFIG_SOURCES) {
+      if (!isUnset(layers[source])) {
+        settings[key] = layers[source];
+        sources[key] = source;
+      }
+    }
+  }
+
+  const missing = Object.entries(CONFIG_SCHEMA)
+    .filter(([key, field]) => sources[key] === null && !(field.satisfiedBy && sources[field.satisfiedBy]) && (
+      field.required === 'always' ||
+      (field.required === 'wallet' && requireWallet) ||
+      (field.required === 'network' && requireRpc)
+    ))
+    .map(([, field]) => field.env);
+
+  if (missing.length > 0) {
+    throw new ValidationError(
+      `Missing required configuration: ${missing.join(', ')}`,
+      ERROR_CODES.MISSING_ENV_VAR,
+      { missing }
+    );
+  }
+
+  return { config: validateTradeConfig(settings, { requireWallet, requireRpc }), sources };
+}
+
+// =============================================================================
+// PORTFOLIO
+// =============================================================================
+
+/**
+ * Lists the tokens a trade runs on, each with its portfolio overrides applied to the global settings
+ * Without a portfolio this is the single TOKEN_ADDRESS token.
+ * @param {Object} config - Validated configuration
+ * @param {Object} [options] - Options
+ * @param {string} [options.tokenAddress] - Single token selected with --token (traded even if disabled)
+ * @returns {Array<Object>} Per-token settings: tokenAddress plus PORTFOLIO_TOKEN_OVERRIDES
+ * @throws {ValidationError} If every portfolio token is disabled
+ */
+export function getPortfolioTokens(config, { tokenAddress } = {}) {
+  const portfolio = config.tokens ?? [{ address: config.tokenAddress, enabled: true }];
+  const selected = tokenAddress
+    ? [portfolio.find((token) => token.address.toLowerCase() === tokenAddress.toLowerCase()) ?? { address: tokenAddress }]
+    : portfolio.filter((token) => token.enabled);
+
+  if (selected.length === 0) {
+    throw new ValidationError(
+      'Every token in TOKENS is disabled',
+      ERROR_CODES.INVALID_CONFIG,
+      { tokens: portfolio.map((token) => token.address) }
+    );
+  }
+
+  return selected.map((token) => ({
+    tokenAddress: token.address,
+    ...Object.fromEntries(PORTFOLIO_TOKEN_OVERRIDES.map((key) => [key, token[key] ?? config[key]]))
+  }));
+}
+
+// =============================================================================
+// DISPLAY
+// =============================================================================
+
+/**
+ * Masks a secret setting for display
+ * RPC URLs keep their origin (API keys usually live in the path or query string)
+ * @param {string} key - Setting name
+ * @param {any} value - Setting value
+ * @returns {string} Masked value
+ */
+function maskSecret(key, value) {
+  if (CONFIG_SCHEMA[key].type === 'url') {
+    try {
+      const url = new URL(value);
+      return url.pathname.length > 1 || url.search ? `${url.origin}/***` : url.origin;
+    } catch {
+      return '***';
+    }
+  }
+  return '***';
+}
+
+/**
+ * Formats the effective configuration for the startup log (secrets masked)
+ * @param {Object} config - Validated configuration
+ * @param {Object<string, string>} sources - Layer of each setting (see resolveConfig)
+ * @returns {Object<string, string>} Setting -> "value (source)"
+ */
+export function formatEffectiveConfig(config, sources) {
+  const formatted = {};
+
+  for (const key of Object.keys(CONFIG_SCHEMA)) {
+    const value = config[key];
+    let display;
+    if (value === null || value === undefined) {
+      display = 'unset';
+    } else if (CONFIG_SCHEMA[key].secret) {
+      display = maskSecret(key, value);
+    } else if (CONFIG_SCHEMA[key].type === 'portfolio') {
+      display = value.map((token) => (token.enabled ? token.address : `${token.address} (disabled)`)).join(', ');
+    } else if (Array.isArray(value)) {
+      display = value.length > 0 ? value.join(', ') : 'none';
+    } else {
+      display = String(value);
+    }
+    formatted[key] = sources[key] ? `${display} (${sources[key]})` : display;
+  }
+
+  return formatted;
+}
@@ -3,18 +3,29 @@
  * @description Handles all blockchain interactions with retry logic and error handling
  */
 
+import fs from 'fs';
+import path from 'path';
 import { ethers } from 'ethers';
 import {
   BASE_CHAIN_ID,
   BASE_RPC_URLS,
+  RPC_CALL_TIMEOUT_MS,
+  TX_POLL_INTERVAL_MS,
+  PRIVATE_RELAY_TIMEOUT_SECONDS,
+  SUBMISSION_CHANNELS,
+  UNLIMITED_ALLOWANCE_THRESHOLD,
   ERC20_ABI,
+  UNISWAP_V3_POOL_ABI,
   WETH_ADDRESS,
-  MAX_RETRY_ATTEMPTS,
-  RETRY_BASE_DELAY_MS,
-  RETRY_BACKOFF_MULTIPLIER,
+  RETRY_POLICIES,
+  GAS_LIMIT_MULTIPLIER,
+  MAX_GAS_PRICE_GWEI,
   ERROR_CODES
 } from '../config/constants.js';
-import { validateChainId, validateGasPrice } from '../utils/validation.js';
+import { validateChainId, validateSufficientBalance } from '../utils/validation.js';
+import { getFeeParams, estimateTransactionCost } from './fees.js';
+import { createTransactionManager } from './transactions.js';
+import { RpcPoolProvider, crossCheckedRead } from './rpc-pool.js';
 
 // =============================================================================
 // CUSTOM ERROR CLASS
@@ -38,50 +49,68 @@ export class BlockchainError extends Error {
 // =============================================================================
 
 /**
- * Creates a provider with fallback RPC URLs
+ * Creates a pooled provider over the primary and fallback RPC URLs
+ * Every URL is probed once (chain ID check); the ones that answer form an RPC pool that
+ * routes each call to the healthiest endpoint and fails over on call errors.
  * @param {string} primaryRpcUrl - Primary RPC URL
  * @param {Object} logger - Logger instance
- * @returns {Promise<ethers.JsonRpcProvider>} Connected provider
+ * @param {string[]} [fallbackRpcUrls=BASE_RPC_URLS] - Additional RPC URLs for the pool
+ * @returns {Promise<RpcPoolProvider>} Connected provider
  */
-export async function createProvider(primaryRpcUrl, logger) {
-  const rpcUrls = [primaryRpcUrl, ...BASE_RPC_URLS];
+export async function createProvider(primaryRpcUrl, logger, fallbackRpcUrls = BASE_RPC_URLS) {
+  const rpcUrls = [...new Set([primaryRpcUrl, ...fallbackRpcUrls])];
+  const latencies = {};
   let lastError;
 
-  for (const rpcUrl of rpcUrls) {
+  await Promise.all(rpcUrls.map(async (rpcUrl) => {
+    const provider = new ethers.JsonRpcProvider(rpcUrl, BASE_CHAIN_ID, {
+      staticNetwork: true,
+      batchMaxCount: 1,
+      cacheTimeout: -1
+    });
+
     try {
       logger.debug(`Attempting connection to RPC: ${rpcUrl.substring(0, 30)}...`);
-      
-      const provider = new ethers.JsonRpcProvider(rpcUrl, BASE_CHAIN_ID, {
-        staticNetwork: true,
-        batchMaxCount: 1
-      });
+      const start = Date.now();
 
-      // Test connection with timeout
-      const network = await Promise.race([
-        provider.getNetwork(),
-        new Promise((_, reject) => 
-          setTimeout(() => reject(new Error('Connection timeout')), 10000)
-        )
-      ]);
+      // Test connection with timeout (staticNetwork skips detection, so ask the node directly)
+      const chainId = await withTimeout(
+        provider.send('eth_chainId', []),
+        RPC_CALL_TIMEOUT_MS,
+        'Connection timeout'
+      );
 
-      validateChainId(Number(network.chainId));
-      
-      logger.info(`Connected to Base network via ${rpcUrl.substring(0, 30)}...`);
-      return provider;
+      validateChainId(Number(chainId));
+      latencies[rpcUrl] = Date.now() - start;
 
     } catch (error) {
       logger.warn(`Failed to connect to ${rpcUrl.substring(0, 30)}...`, { 
         error: error.message 
       });
       lastError = error;
+    } finally {
+      provider.destroy();
     }
+  }));
+
+  // Keep the configured order so the primary wins score ties
+  const connected = rpcUrls.filter((rpcUrl) => rpcUrl in latencies);
+  if (connected.length === 0) {
+    throw new BlockchainError(
+      'Failed to connect to any RPC endpoint',
+      ERROR_CODES.RPC_CONNECTION_FAILED,
+      { attemptedUrls: rpcUrls.length, lastError: lastError?.message }
+    );
   }
 
-  throw new BlockchainError(
-    'Failed to connect to any RPC endpoint',
-    ERROR_CODES.RPC_CONNECTION_FAILED,
-    { attemptedUrls: rpcUrls.length, lastError: lastError?.message }
-  );
+  for (const rpcUrl of connected) {
+    logger.info(`Connected to Base network via ${rpcUrl.substring(0, 30)}...`);
+  }
+  if (connected.length > 1) {
+    logger.info(`RPC pool ready with ${connected.length} endpoints`);
+  }
+
+  return new RpcPoolProvider(connected, logger, { latencies });
 }
 
 /**
@@ -153,12 +182,23 @@ export async function getTokenInfo(tokenAddress, provider, logger) {
  */
 export async function getTokenBalance(tokenAddress, walletAddress, provider, logger) {
   try {
-    const contract = new ethers.Contract(tokenAddress, ERC20_ABI, provider);
-    const balance = await contract.balanceOf(walletAddress);
+    const balance = await executeWithRetry(
+      () => crossCheckedRead(
+        provider,
+        (reader, blockTag) => new ethers.Contract(tokenAddress, ERC20_ABI, reader).balanceOf(walletAddress, { blockTag }),
+        'Token balance'
+      ),
+      logger,
+      'Token balance',
+      RETRY_POLICIES.READ
+    );
     
     logger.debug(`Token balance: ${balance.toString()}`);
     return balance;
   } catch (error) {
+    if (error instanceof BlockchainError) {
+      throw error;
+    }
     throw new BlockchainError(
       'Failed to get token balance',
       ERROR_CODES.TOKEN_NOT_FOUND,
@@ -176,10 +216,22 @@ export async function getTokenBalance(tokenAddress, walletAddress, provider, log
  */
 export async function getEthBalance(walletAddress, provider, logger) {
   try {
-    const balance = await provider.getBalance(walletAddress);
+    const balance = await executeWithRetry(
+      () => crossCheckedRead(
+        provider,
+        (reader, blockTag) => reader.getBalance(walletAddress, blockTag),
+        'ETH balance'
+      ),
+      logger,
+      'ETH balance',
+      RETRY_POLICIES.READ
+    );
     logger.debug(`ETH balance: ${ethers.formatEther(balance)} ETH`);
     return balance;
   } catch (error) {
+    if (error instanceof BlockchainError) {
+      throw error;
+    }
     throw new BlockchainError(
       'Failed to get ETH balance',
       ERROR_CODES.RPC_CONNECTION_FAILED,
@@ -188,6 +240,91 @@ export async function getEthBalance(walletAddress, provider, logger) {
   }
 }
 
+/**
+ * Gets the current token allowance granted to a spender
+ * @param {string} tokenAddress - Token contract address
+ * @param {string} ownerAddress - Token owner address
+ * @param {string} spenderAddress - Spender address (router)
+ * @param {ethers.Provider} provider - Provider instance
+ * @param {Object} logger - Logger instance
+ * @returns {Promise<bigint>} Current allowance in wei
+ */
+export async function getTokenAllowance(tokenAddress, ownerAddress, spenderAddress, provider, logger) {
+  try {
+    const contract = new ethers.Contract(tokenAddress, ERC20_ABI, provider);
+    const allowance = await executeWithRetry(
+      () => contract.allowance(ownerAddress, spenderAddress),
+      logger,
+      'Token allowance',
+      RETRY_POLICIES.READ
+    );
+
+    logger.debug(`Token allowance: ${allowance.toString()}`);
+    return allowance;
+  } catch (error) {
+    if (error instanceof BlockchainError) {
+      throw error;
+    }
+    throw new BlockchainError(
+      'Failed to get token allowance',
+      ERROR_CODES.TOKEN_NOT_FOUND,
+      { tokenAddress, error: error.message }
+    );
+  }
+}
+
+/**
+ * Lists a wallet's allowances to a spender, with the token balances they expose
+ * @param {string[]} tokenAddresses - Token contract addresses
+ * @param {string} ownerAddress - Token owner address
+ * @param {string} spenderAddress - Spender address (router)
+ * @param {ethers.Provider} provider - Provider instance
+ * @param {Object} logger - Logger instance
+ * @returns {Promise<Array<Object>>} One entry per token: {address, symbol, decimals, allowance, balance, unlimited}
+ */
+export async function getAllowances(tokenAddresses, ownerAddress, spenderAddress, provider, logger) {
+  const allowances = [];
+
+  for (const address of tokenAddresses) {
+    const { symbol, decimals } = await getTokenInfo(address, provider, logger);
+    const allowance = await getTokenAllowance(address, ownerAddress, spenderAddress, provider, logger);
+    const balance = await getTokenBalance(address, ownerAddress, provider, logger);
+    allowances.push({ address, symbol, decimals, allowance, balance, unlimited: allowance >= UNLIMITED_ALLOWANCE_THRESHOLD });
+  }
+
+  return allowances;
+}
+
+/**
+ * Checks whether an approval would be needed without sending it
+ * @param {string} tokenAddress - Token contract address
+ * @param {string} spenderAddress - Spender address (router)
+ * @param {bigint} amount - Amount that must be approved
+ * @param {ethers.Wallet} wallet - Wallet instance
+ * @param {Object} logger - Logger instance
+ * @returns {Promise<Object>} Approval check (required, currentAllowance, gasEstimate)
+ */
+export async function simulateApproval(tokenAddress, spenderAddress, amount, wallet, logger) {
+  const currentAllowance = await getTokenAllowance(
+    tokenAddress,
+    await wallet.getAddress(),
+    spenderAddress,
+    wallet.provider,
+    logger
+  );
+
+  if (currentAllowance >= amount) {
+    logger.info('[DRY RUN] Sufficient allowance already exists');
+    return { required: false, currentAllowance, gasEstimate: null };
+  }
+
+  const contract = new ethers.Contract(tokenAddress, ERC20_ABI, wallet);
+  const gasEstimate = await contract.approve.estimateGas(spenderAddress, amount);
+
+  logger.info(`[DRY RUN] Approval of ${amount.toString()} would be sent (gas estimate: ${gasEstimate.toString()})`);
+  return { required: true, currentAllowance, gasEstimate };
+}
+
 /**
  * Approves token spending
  * @param {string} tokenAddress - Token contract address
@@ -195,9 +332,19 @@ export async function getEthBalance(walletAddress, provider, logger) {
  * @param {bigint} amount - Amount to approve
  * @param {ethers.Wallet} wallet - Wallet instance
  * @param {Object} logger - Logger instance
+ * @param {Object} [options] - Options
+ * @param {number} [options.maxGasPriceGwei=MAX_GAS_PRICE_GWEI] - maxFeePerGas ceiling in Gwei
+ * @param {number} [options.gasLimitMultiplier=GAS_LIMIT_MULTIPLIER] - Safety multiplier on the gas estimate
+ * @param {number} [options.nonce] - Reserved nonce (see createNonceManager); picked by ethers if omitted
+ * @param {Object|null} [options.submitter=null] - Submitter (see createRelaySubmitter); null for the public mempool
  * @returns {Promise<ethers.TransactionReceipt>} Transaction receipt
  */
-export async function approveToken(tokenAddress, spenderAddress, amount, wallet, logger) {
+export async function approveToken(tokenAddress, spenderAddress, amount, wallet, logger, {
+  maxGasPriceGwei = MAX_GAS_PRICE_GWEI,
+  gasLimitMultiplier = GAS_LIMIT_MULTIPLIER,
+  nonce,
+  submitter = null
+} = {}) {
   const contract = new ethers.Contract(tokenAddress, ERC20_ABI, wallet);
   
   // Check current allowance
@@ -213,26 +360,23 @@ export async function approveToken(tokenAddress, spenderAddress, amount, wallet,
 
   logger.info(`Approving token spend: ${amount.toString()}`);
   
-  const tx = await executeWithRetry(
-    async () => {
-      const gasEstimate = await contract.approve.estimateGas(spenderAddress, amount);
-      return contract.approve(spenderAddress, amount, {
-        gasLimit: (gasEstimate * 130n) / 100n // 30% buffer
-      });
-    },
+  const { tx } = await sendTransaction(
+    wallet,
+    { ...(await contract.approve.populateTransaction(spenderAddress, amount)), nonce },
     logger,
-    'Token approval'
+    'Token approval',
+    { maxGasPriceGwei, gasLimitMultiplier, submitter }
   );
 
   logger.logTransaction(tx.hash, { type: 'APPROVAL', tokenAddress, amount: amount.toString() });
   
-  const receipt = await tx.wait();
+  const receipt = await createTransactionManager(wallet, logger, { maxGasPriceGwei, submitter }).waitForReceipt(tx);
   
   if (receipt.status !== 1) {
     throw new BlockchainError(
       'Token approval transaction failed',
       ERROR_CODES.TX_REVERTED,
-      { txHash: tx.hash }
+      { txHash: receipt.hash }
     );
   }
 
@@ -240,97 +384,208 @@ export async function approveToken(tokenAddress, spenderAddress, amount, wallet,
   return receipt;
 }
 
+/**
+ * Revokes a spender's allowance (approve 0)
+ * @param {string} tokenAddress - Token contract address
+ * @param {string} spenderAddress - Spender address (router)
+ * @param {ethers.Wallet} wallet - Wallet instance
+ * @param {Object} logger - Logger instance
+ * @param {Object} [options] - Options
+ * @param {number} [options.maxGasPriceGwei=MAX_GAS_PRICE_GWEI] - maxFeePerGas ceiling in Gwei
+ * @param {number} [options.gasLimitMultiplier=GAS_LIMIT_MULTIPLIER] - Safety multiplier on the gas estimate
+ * @returns {Promise<ethers.TransactionReceipt|null>} Transaction receipt, or null if there was nothing to revoke
+ */
+export async function revokeApproval(tokenAddress, spenderAddress, wallet, logger, {
+  maxGasPriceGwei = MAX_GAS_PRICE_GWEI,
+  gasLimitMultiplier = GAS_LIMIT_MULTIPLIER
+} = {}) {
+  const contract = new ethers.Contract(tokenAddress, ERC20_ABI, wallet);
+  const currentAllowance = await contract.allowance(await wallet.getAddress(), spenderAddress);
+
+  if (currentAllowance === 0n) {
+    logger.debug('No allowance to revoke');
+    return null;
+  }
+
+  logger.info(`Revoking token allowance: ${currentAllowance.toString()}`);
+
+  const { tx } = await sendTransaction(
+    wallet,
+    await contract.approve.populateTransaction(spenderAddress, 0n),
+    logger,
+    'Token revocation',
+    { maxGasPriceGwei, gasLimitMultiplier }
+  );
+
+  logger.logTransaction(tx.hash, { type: 'REVOKE', tokenAddress });
+
+  const receipt = await createTransactionManager(wallet, logger, { maxGasPriceGwei }).waitForReceipt(tx);
+
+  if (receipt.status !== 1) {
+    throw new BlockchainError(
+      'Token revocation transaction failed',
+      ERROR_CODES.TX_REVERTED,
+      { txHash: receipt.hash }
+    );
+  }
+
+  logger.info(`Revocation confirmed in block ${receipt.blockNumber}`);
+  return receipt;
+}
+
 // =============================================================================
 // GAS ESTIMATION
 // =============================================================================
 
 /**
- * Gets current gas price with safety checks
+ * Gets the current max fee per gas with safety checks
+ * Compatibility export for callers of the original gas price API: the bot itself prices
+ * transactions with getFeeParams (fees.js), whose maxFeePerGas this returns
  * @param {ethers.Provider} provider - Provider instance
  * @param {number} maxGasGwei - Maximum acceptable gas price in Gwei
  * @param {Object} logger - Logger instance
- * @returns {Promise<bigint>} Gas price in wei
+ * @returns {Promise<bigint>} maxFeePerGas in wei
  */
 export async function getGasPrice(provider, maxGasGwei, logger) {
-  const feeData = await provider.getFeeData();
-  const gasPrice = feeData.gasPrice || feeData.maxFeePerGas;
-
-  if (!gasPrice) {
-    throw new BlockchainError(
-      'Unable to fetch gas price',
-      ERROR_CODES.RPC_CONNECTION_FAILED
-    );
-  }
-
-  validateGasPrice(gasPrice, maxGasGwei);
-  
-  const gasPriceGwei = Number(gasPrice) / 1e9;
-  logger.debug(`Current gas price: ${gasPriceGwei.toFixed(4)} Gwei`);
-  
-  return gasPrice;
+  const { maxFeePerGas } = await getFeeParams(provider, logger, maxGasGwei);
+  return maxFeePerGas;
 }
 
 // =============================================================================
 // RETRY LOGIC
 // =============================================================================
 
+/**
+ * Classification of ethers v6 error codes
+ * @constant {Object<string, {code: number, retryable: boolean}>}
+ */
+const ETHERS_ERROR_CLASSES = {
+  CALL_EXCEPTION: { code: ERROR_CODES.TX_REVERTED, retryable: false },
+  NONCE_EXPIRED: { code: ERROR_CODES.TX_FAILED, retryable: false },
+  REPLACEMENT_UNDERPRICED: { code: ERROR_CODES.TX_FAILED, retryable: false },
+  TRANSACTION_REPLACED: { code: ERROR_CODES.TX_FAILED, retryable: false },
+  INSUFFICIENT_FUNDS: { code: ERROR_CODES.INSUFFICIENT_BALANCE, retryable: false },
+  NETWORK_ERROR: { code: ERROR_CODES.RPC_CONNECTION_FAILED, retryable: true },
+  SERVER_ERROR: { code: ERROR_CODES.RPC_CONNECTION_FAILED, retryable: true },
+  TIMEOUT: { code: ERROR_CODES.RPC_TIMEOUT, retryable: true },
+  // Unrecognized node responses (rate limits, overloaded nodes) are usually transient
+  UNKNOWN_ERROR: { code: ERROR_CODES.UNKNOWN_ERROR, retryable: true }
+};
+
+/**
+ * Application error codes worth retrying (everything else is a definitive answer)
+ * @constant {number[]}
+ */
+const RETRYABLE_ERROR_CODES = [ERROR_CODES.RPC_CONNECTION_FAILED, ERROR_CODES.RPC_TIMEOUT];
+
+/**
+ * Classifies an error for retrying
+ * ethers errors are classified by their code; BlockchainError/ValidationError keep their
+ * own code; errors without a code (e.g. withTimeout) are treated as transient.
+ * @param {Error} error - Error to classify
+ * @returns {{code: number, retryable: boolean, reason: string}} Mapped ERROR_CODES value and retryability
+ */
+export function classifyError(error) {
+  const reason = error?.shortMessage || error?.message || String(error);
+
+  if (typeof error?.code === 'number') {
+    return { code: error.code, retryable: RETRYABLE_ERROR_CODES.includes(error.code), reason };
+  }
+  if (typeof error?.code === 'string') {
+    const known = ETHERS_ERROR_CLASSES[error.code];
+    return known
+      ? { ...known, reason }
+      // Programming and usage errors (INVALID_ARGUMENT, BAD_DATA, ...) fail the same way every time
+      : { code: ERROR_CODES.UNKNOWN_ERROR, retryable: false, reason };
+  }
+  return { code: ERROR_CODES.UNKNOWN_ERROR, retryable: true, reason };
+}
+
+/**
+ * Computes the delay before a retry
+ * @param {Object} policy - Retry policy (see RETRY_POLICIES)
+ * @param {number} attempt - Attempt that just failed (1-based)
+ * @param {Function} [random=Math.random] - Random source in [0, 1)
+ * @returns {number} Delay in milliseconds
+ */
+export function getRetryDelay(policy, attempt, random = Math.random) {
+  const backoff = Math.min(
+    policy.baseDelayMs * Math.pow(policy.backoffMultiplier, attempt - 1),
+    policy.maxDelayMs
+  );
+  return Math.round(backoff * (1 - policy.jitter + 2 * policy.jitter * random()));
+}
+
 /**
  * Executes a function with exponential backoff retry
+ * Non-retryable errors (see classifyError) are rethrown unchanged after the first attempt.
  * @param {Function} fn - Async function to execute
  * @param {Object} logger - Logger instance
  * @param {string} operationName - Name of the operation for logging
+ * @param {Object} [policy=RETRY_POLICIES.SEND] - Retry policy (see RETRY_POLICIES)
  * @returns {Promise<any>} Result of the function
+ * @throws {BlockchainError} If attempts or time ran out; the code is the last error's classification
  */
-export async function executeWithRetry(fn, logger, operationName) {
+export async function executeWithRetry(fn, logger, operationName, policy = RETRY_POLICIES.SEND) {
+  const startTime = Date.now();
   let lastError;
-  
-  for (let attempt = 1; attempt <= MAX_RETRY_ATTEMPTS; attempt++) {
+  let classification;
+  let attempt = 0;
+
+  while (attempt < policy.maxAttempts) {
+    attempt++;
     try {
-      logger.debug(`${operationName}: Attempt ${attempt}/${MAX_RETRY_ATTEMPTS}`);
+      logger.debug(`${operationName}: Attempt ${attempt}/${policy.maxAttempts}`);
       return await fn();
     } catch (error) {
       lastError = error;
-      
-      // Don't retry on certain errors
-      if (isNonRetryableError(error)) {
-        logger.error(`${operationName}: Non-retryable error`, { error });
+      classification = classifyError(error);
+
+      if (!classification.retryable) {
+        logger[policy.nonRetryableLogLevel](`${operationName}: Non-retryable error`, {
+          error: classification.reason,
+          code: classification.code
+        });
         throw error;
       }
 
-      if (attempt < MAX_RETRY_ATTEMPTS) {
-        const delay = RETRY_BASE_DELAY_MS * Math.pow(RETRY_BACKOFF_MULTIPLIER, attempt - 1);
-        logger.warn(`${operationName}: Attempt ${attempt} failed, retrying in ${delay}ms`, {
-          error: error.message
-        });
-        await sleep(delay);
+      const delay = getRetryDelay(policy, attempt);
+      if (attempt >= policy.maxAttempts || Date.now() - startTime + delay > policy.maxElapsedMs) {
+        break;
       }
+
+      logger.warn(`${operationName}: Attempt ${attempt} failed, retrying in ${delay}ms`, {
+        error: classification.reason
+      });
+      await sleep(delay);
     }
   }
 
   throw new BlockchainError(
-    `${operationName} failed after ${MAX_RETRY_ATTEMPTS} attempts`,
-    ERROR_CODES.TX_FAILED,
-    { lastError: lastError?.message }
+    `${operationName} failed after ${attempt} attempts`,
+    classification.code,
+    { attempts: attempt, elapsedMs: Date.now() - startTime, lastError: lastError?.message }
   );
 }
 
 /**
- * Checks if an error should not be retried
- * @param {Error} error - Error to check
- * @returns {boolean} True if error should not be retried
+ * Rejects if a promise does not settle in time (the timer is always cleared)
+ * @param {Promise<any>} promise - Promise to race
+ * @param {number} timeoutMs - Timeout in milliseconds
+ * @param {string} message - Error message on timeout
+ * @returns {Promise<any>} Result of the promise
  */
-function isNonRetryableError(error) {
-  const nonRetryableMessages = [
-    'insufficient funds',
-    'nonce too low',
-    'replacement fee too low',
-    'already known',
-    'invalid private key',
-    'execution reverted'
-  ];
+export async function withTimeout(promise, timeoutMs, message) {
+  let timer;
+  const timeout = new Promise((_, reject) => {
+    timer = setTimeout(() => reject(new Error(message)), timeoutMs);
+  });
 
-  const errorMessage = error.message?.toLowerCase() || '';
-  return nonRetryableMessages.some(msg => errorMessage.includes(msg));
+  try {
+    return await Promise.race([promise, timeout]);
+  } finally {
+    clearTimeout(timer);
+  }
 }
 
 /**
@@ -342,43 +597,419 @@ export function sleep(ms) {
   return new Promise(resolve => setTimeout(resolve, ms));
 }
 
+// =============================================================================
+// TRANSACTION SUBMISSION
+// =============================================================================
+
+/**
+ * Creates a submitter that sends signed transactions to a private relay instead of the public mempool
+ * The relay receives the raw transaction over eth_sendRawTransaction. If it refuses it (or cannot
+ * be reached) the transaction is broadcast publicly right away; if it accepts it but the transaction
+ * is not mined within timeoutMs, the same signed transaction is broadcast publicly as well, so the
+ * hash and nonce never change.
+ * @param {string} relayUrl - Private relay JSON-RPC URL
+ * @param {ethers.Provider} provider - Provider used for receipts and the public fallback
+ * @param {Object} logger - Logger instance
+ * @param {Object} [options] - Options
+ * @param {number} [options.timeoutMs=PRIVATE_RELAY_TIMEOUT_SECONDS * 1000] - Time before the public fallback
+ * @param {number} [options.pollIntervalMs=TX_POLL_INTERVAL_MS] - Receipt poll interval while waiting on the relay
+ * @returns {Object} Submitter ({ submit, getChannel })
+ */
+export function createRelaySubmitter(relayUrl, provider, logger, {
+  timeoutMs = PRIVATE_RELAY_TIMEOUT_SECONDS * 1000,
+  pollIntervalMs = TX_POLL_INTERVAL_MS
+} = {}) {
+  // hash -> SUBMISSION_CHANNELS value
+  const channels = new Map();
+
+  /**
+   * Sends the raw transaction to the relay
+   */
+  async function sendToRelay(signedTx) {
+    const request = new ethers.FetchRequest(relayUrl);
+    request.body = { jsonrpc: '2.0', id: 1, method: 'eth_sendRawTransaction', params: [signedTx] };
+    request.timeout = RPC_CALL_TIMEOUT_MS;
+
+    const response = await request.send();
+    response.assertOk();
+    if (response.bodyJson.error) {
+      throw new Error(response.bodyJson.error.message);
+    }
+  }
+
+  /**
+   * Polls for the receipt until the relay timeout elapses
+   */
+  async function waitForInclusion(hash) {
+    const deadline = Date.now() + timeoutMs;
+
+    while (Date.now() < deadline) {
+      const receipt = await executeWithRetry(
+        () => provider.getTransactionReceipt(hash),
+        logger,
+        `Receipt ${hash}`,
+        RETRY_POLICIES.WAIT
+      );
+      if (receipt) {
+        return true;
+      }
+      await sleep(pollIntervalMs);
+    }
+    return false;
+  }
+
+  /**
+   * Broadcasts the transaction to the public mempool
+   */
+  async function broadcastPublicly(signedTx, tx) {
+    try {
+      await provider.broadcastTransaction(signedTx);
+    } catch (error) {
+      // The relay may have got it mined after all
+      if (!(await provider.getTransactionReceipt(tx.hash))) {
+        throw error;
+      }
+    }
+  }
+
+  return {
+    /**
+     * Submits a signed transaction, falling back to the public mempool when needed
+     * @param {string} signedTx - Signed serialized transaction
+     * @param {string} operationName - Name of the operation for logging
+     * @returns {Promise<ethers.Transaction>} Submitted transaction
+     */
+    async submit(signedTx, operationName) {
+      const tx = ethers.Transaction.from(signedTx);
+
+      try {
+        await withTimeout(sendToRelay(signedTx), RPC_CALL_TIMEOUT_MS, 'Private relay timeout');
+      } catch (error) {
+        logger.warn(`${operationName}: private relay refused the transaction, broadcasting publicly`, {
+          txHash: tx.hash,
+          error: error.shortMessage || error.message
+        });
+        await broadcastPublicly(signedTx, tx);
+        channels.set(tx.hash, SUBMISSION_CHANNELS.PUBLIC_FALLBACK);
+        return tx;
+      }
+
+      logger.info(`${operationName} sent to the private relay`, { txHash: tx.hash });
+      if (await waitForInclusion(tx.hash)) {
+        channels.set(tx.hash, SUBMISSION_CHANNELS.PRIVATE_RELAY);
+        return tx;
+      }
+
+      logger.warn(`${operationName} not mined through the private relay within ${timeoutMs / 1000}s, broadcasting publicly`, {
+        txHash: tx.hash
+      });
+      await broadcastPublicly(signedTx, tx);
+      channels.set(tx.hash, SUBMISSION_CHANNELS.PUBLIC_FALLBACK);
+      return tx;
+    },
+
+    /**
+     * Reports the channel a submitted transaction went through
+     * @param {string} hash - Transaction hash
+     * @returns {string} SUBMISSION_CHANNELS value (PUBLIC for transactions this submitter did not send)
+     */
+    getChannel(hash) {
+      return channels.get(hash) ?? SUBMISSION_CHANNELS.PUBLIC;
+    }
+  };
+}
+
+/**
+ * Signs a transaction request and hands it to a submitter, or sends it through the wallet's
+ * provider when there is none
+ * @param {ethers.Wallet} wallet - Wallet instance
+ * @param {ethers.TransactionRequest} request - Transaction with fees and gas limit set
+ * @param {Object|null} submitter - Submitter (see createRelaySubmitter) or null for the public mempool
+ * @param {string} operationName - Name of the operation for logging
+ * @returns {Promise<ethers.TransactionResponse|ethers.Transaction>} Sent transaction
+ */
+export async function submitTransaction(wallet, request, submitter, operationName) {
+  if (!submitter) {
+    return wallet.sendTransaction(request);
+  }
+
+  const signedTx = await wallet.signTransaction(await wallet.populateTransaction(request));
+  return submitter.submit(signedTx, operationName);
+}
+
 // =============================================================================
 // TRANSACTION HELPERS
 // =============================================================================
 
 /**
- * Waits for transaction confirmation with timeout
+ * Applies the configured safety multiplier to a gas estimate
+ * @param {bigint} gasEstimate - Raw gas estimate
+ * @param {number} [multiplier=GAS_LIMIT_MULTIPLIER] - Safety multiplier
+ * @returns {bigint} Gas limit to use
+ */
+export function applyGasLimitMultiplier(gasEstimate, multiplier = GAS_LIMIT_MULTIPLIER) {
+  return (gasEstimate * BigInt(Math.floor(multiplier * 100))) / 100n;
+}
+
+/**
+ * Estimates gas and sends a populated transaction as EIP-1559 (type 2) with retry
+ * Fees, gas limit and cost (including the L1 data fee) are fixed once before sending; the
+ * transaction is not signed unless the ETH balance covers its value plus the maximum cost.
+ * @param {ethers.Wallet} wallet - Wallet instance
+ * @param {ethers.TransactionRequest} txRequest - Populated transaction (to, data, value)
+ * @param {Object} logger - Logger instance
+ * @param {string} operationName - Name of the operation for logging
+ * @param {Object} [options] - Options
+ * @param {number} [options.maxGasPriceGwei=MAX_GAS_PRICE_GWEI] - maxFeePerGas ceiling in Gwei
+ * @param {number} [options.gasLimitMultiplier=GAS_LIMIT_MULTIPLIER] - Safety multiplier on the gas estimate
+ * @param {Object|null} [options.submitter=null] - Submitter (see createRelaySubmitter); null for the public mempool
+ * @returns {Promise<{tx: ethers.TransactionResponse|ethers.Transaction, fees: Object, cost: Object}>} Sent
+ *          transaction with the fees and cost estimate (see estimateTransactionCost) it was sent with
+ * @throws {ValidationError} If network fees are above the ceiling (GAS_TOO_HIGH) or the ETH balance
+ *         cannot pay for the transaction (INSUFFICIENT_BALANCE), before signing
+ */
+export async function sendTransaction(wallet, txRequest, logger, operationName, {
+  maxGasPriceGwei = MAX_GAS_PRICE_GWEI,
+  gasLimitMultiplier = GAS_LIMIT_MULTIPLIER,
+  submitter = null
+} = {}) {
+  // Fees and gas are fixed before the send retry loop so a ceiling or balance violation fails fast
+  const fees = await getFeeParams(wallet.provider, logger, maxGasPriceGwei);
+  const { type, maxFeePerGas, maxPriorityFeePerGas } = fees;
+
+  const gasEstimate = await executeWithRetry(
+    () => wallet.estimateGas(txRequest),
+    logger,
+    operationName,
+    RETRY_POLICIES.SEND
+  );
+  const gasLimit = applyGasLimitMultiplier(gasEstimate, gasLimitMultiplier);
+  logger.debug(`Gas estimate: ${gasEstimate.toString()}, using limit: ${gasLimit.toString()}`);
+
+  const request = { ...txRequest, type, maxFeePerGas, maxPriorityFeePerGas, gasLimit };
+  const cost = await estimateTransactionCost(wallet.provider, request, fees, logger);
+
+  const required = BigInt(txRequest.value ?? 0n) + cost.totalMaxCostWei;
+  const balance = await getEthBalance(await wallet.getAddress(), wallet.provider, logger);
+  validateSufficientBalance(balance, required, 'ETH');
+
+  const tx = await executeWithRetry(
+    () => submitTransaction(wallet, request, submitter, operationName),
+    logger,
+    operationName,
+    RETRY_POLICIES.SEND
+  );
+  return { tx, fees, cost };
+}
+
+/**
+ * Simulates a populated transaction via eth_call and eth_estimateGas without broadcasting
+ * Fees and the total cost (including the L1 data fee) are priced exactly as sendTransaction would
+ * @param {ethers.Wallet} wallet - Wallet instance
+ * @param {ethers.TransactionRequest} txRequest - Populated transaction (to, data, value)
+ * @param {Object} logger - Logger instance
+ * @param {string} operationName - Name of the operation for logging
+ * @param {Object} [options] - Options
+ * @param {number} [options.maxGasPriceGwei=MAX_GAS_PRICE_GWEI] - maxFeePerGas ceiling in Gwei
+ * @param {number} [options.gasLimitMultiplier=GAS_LIMIT_MULTIPLIER] - Safety multiplier on the gas estimate
+ * @returns {Promise<{returnData: string, gasEstimate: bigint, gasLimit: bigint, fees: Object, cost: Object}>} Simulation result
+ * @throws {BlockchainError} If the transaction would revert
+ * @throws {ValidationError} If network fees are above the ceiling (GAS_TOO_HIGH)
+ */
+export async function simulateTransaction(wallet, txRequest, logger, operationName, {
+  maxGasPriceGwei = MAX_GAS_PRICE_GWEI,
+  gasLimitMultiplier = GAS_LIMIT_MULTIPLIER
+} = {}) {
+  let returnData;
+  let gasEstimate;
+  try {
+    returnData = await wallet.call(txRequest);
+    gasEstimate = await wallet.estimateGas(txRequest);
+  } catch (error) {
+    throw new BlockchainError(
+      `${operationName} simulation reverted`,
+      ERROR_CODES.TX_REVERTED,
+      { reason: error.shortMessage || error.message }
+    );
+  }
+
+  const gasLimit = applyGasLimitMultiplier(gasEstimate, gasLimitMultiplier);
+  const fees = await getFeeParams(wallet.provider, logger, maxGasPriceGwei);
+  const cost = await estimateTransactionCost(
+    wallet.provider,
+    { ...txRequest, type: fees.type, maxFeePerGas: fees.maxFeePerGas, maxPriorityFeePerGas: fees.maxPriorityFeePerGas, gasLimit },
+    fees,
+    logger
+  );
+
+  logger.info(`[DRY RUN] ${operationName} simulation succeeded (gas estimate: ${gasEstimate.toString()})`);
+  return { returnData, gasEstimate, gasLimit, fees, cost };
+}
+
+/**
+ * Waits for transaction confirmation, speeding up or cancelling it if it gets stuck
+ * The receipt may belong to a replacement, so callers should report receipt.hash
  * @param {ethers.TransactionResponse} tx - Transaction response
+ * @param {ethers.Wallet} wallet - Wallet that sent the transaction
  * @param {Object} logger - Logger instance
- * @param {number} timeoutMs - Timeout in milliseconds
+ * @param {Object} [options] - Transaction manager options (see createTransactionManager)
  * @returns {Promise<ethers.TransactionReceipt>} Transaction receipt
+ * @throws {BlockchainError} If the transaction reverted, was cancelled or is stuck
  */
-export async function waitForTransaction(tx, logger, timeoutMs = 120000) {
-  logger.info(`Waiting for transaction confirmation: ${tx.hash}`);
-  
-  const receipt = await Promise.race([
-    tx.wait(),
-    new Promise((_, reject) => 
-      setTimeout(() => reject(new Error('Transaction confirmation timeout')), timeoutMs)
-    )
-  ]);
+export async function waitForTransaction(tx, wallet, logger, options = {}) {
+  const receipt = await createTransactionManager(wallet, logger, options).waitForReceipt(tx);
 
   if (receipt.status !== 1) {
     throw new BlockchainError(
       'Transaction reverted',
       ERROR_CODES.TX_REVERTED,
-      { txHash: tx.hash, status: receipt.status }
+      { txHash: receipt.hash, status: receipt.status }
     );
   }
 
   logger.info(`Transaction confirmed in block ${receipt.blockNumber}`, {
-    txHash: tx.hash,
+    txHash: receipt.hash,
     gasUsed: receipt.gasUsed.toString()
   });
 
   return receipt;
 }
 
+/**
+ * Sums the ERC20 Transfer events of a token to a recipient in a receipt
+ * @param {ethers.TransactionReceipt} receipt - Transaction receipt
+ * @param {string} tokenAddress - Token contract that emitted the events
+ * @param {string} recipient - Transfer recipient
+ * @returns {bigint} Total amount transferred to the recipient
+ */
+export function getTransferredAmount(receipt, tokenAddress, recipient) {
+  return parseTransfers(receipt, tokenAddress)
+    .filter(({ to }) => to.toLowerCase() === recipient.toLowerCase())
+    .reduce((total, { value }) => total + value, 0n);
+}
+
+/**
+ * Decodes the ERC20 Transfer events of a token in a receipt
+ * @param {ethers.TransactionReceipt} receipt - Transaction receipt
+ * @param {string} tokenAddress - Token contract that emitted the events
+ * @returns {Array<{from: string, to: string, value: bigint}>} Transfers in log order
+ */
+function parseTransfers(receipt, tokenAddress) {
+  const erc20 = new ethers.Interface(ERC20_ABI);
+  const transferTopic = erc20.getEvent('Transfer').topicHash;
+
+  return receipt.logs
+    .filter((log) => log.address.toLowerCase() === tokenAddress.toLowerCase() && log.topics[0] === transferTopic)
+    .map((log) => {
+      const { args } = erc20.parseLog(log);
+      return { from: args.from, to: args.to, value: args.value };
+    });
+}
+
+/**
+ * Decodes the actual fill of a swap from its receipt
+ * The input is what the first pool received (Transfer of tokenIn to the pool of the first
+ * Swap event), the output is what the recipient received (Transfers of tokenOut); the last
+ * pool's own output is reported separately, as a fee-on-transfer token delivers less
+ * @param {ethers.TransactionReceipt} receipt - Receipt returned by waitForTransaction
+ * @param {Object} swap - Swap description
+ * @param {string} swap.tokenIn - Input token address
+ * @param {string} swap.tokenOut - Output token address
+ * @param {string} swap.recipient - Address that received tokenOut from the last pool
+ * @param {number} [swap.decimalsIn=18] - Input token decimals
+ * @param {number} [swap.decimalsOut=18] - Output token decimals
+ * @param {number[]} [swap.fees=[]] - Pool fee of each hop (used for the LP fee)
+ * @param {bigint} [swap.l1FeePaid=0n] - L1 data fee the transaction paid (see getL1FeePaid)
+ * @returns {{actualAmountIn: bigint, actualAmountOut: bigint, poolAmountOut: bigint, effectivePrice: number,
+ *           lpFeePaid: bigint, gasFeePaid: bigint, l1FeePaid: bigint, swaps: Array<Object>}} Decoded fill;
+ *          effectivePrice is tokenOut per tokenIn, lpFeePaid is in tokenIn units and gasFeePaid is the
+ *          L2 execution fee plus the L1 data fee
+ * @throws {BlockchainError} If the receipt contains no Swap event
+ */
+export function decodeSwapReceipt(receipt, {
+  tokenIn,
+  tokenOut,
+  recipient,
+  decimalsIn = 18,
+  decimalsOut = 18,
+  fees = [],
+  l1FeePaid = 0n
+}) {
+  const pool = new ethers.Interface(UNISWAP_V3_POOL_ABI);
+  const swapTopic = pool.getEvent('Swap').topicHash;
+
+  const swaps = receipt.logs
+    .filter((log) => log.topics[0] === swapTopic)
+    .map((log) => {
+      const { args } = pool.parseLog(log);
+      return {
+        pool: log.address,
+        amount0: args.amount0,
+        amount1: args.amount1,
+        sqrtPriceX96: args.sqrtPriceX96,
+        tick: Number(args.tick)
+      };
+    });
+
+  if (swaps.length === 0) {
+    throw new BlockchainError(
+      'No Swap event found in receipt',
+      ERROR_CODES.TX_FAILED,
+      { txHash: receipt.hash }
+    );
+  }
+
+  const actualAmountIn = getTransferredAmount(receipt, tokenIn, swaps[0].pool);
+  const actualAmountOut = getTransferredAmount(receipt, tokenOut, recipient);
+  // The pool's output is the negative side of its Swap event
+  const lastSwap = swaps[swaps.length - 1];
+  const poolAmountOut = -(lastSwap.amount0 < lastSwap.amount1 ? lastSwap.amount0 : lastSwap.amount1);
+
+  const effectivePrice = actualAmountIn > 0n
+    ? Number(ethers.formatUnits(actualAmountOut, decimalsOut)) / Number(ethers.formatUnits(actualAmountIn, decimalsIn))
+    : 0;
+
+  // Each hop keeps (1e6 - fee) / 1e6 of its input; the remainder is the LP fee
+  const denominator = 1000000n ** BigInt(fees.length);
+  const retained = fees.reduce((product, fee) => product * (1000000n - BigInt(fee)), 1n);
+  const lpFeePaid = actualAmountIn * (denominator - retained) / denominator;
+
+  return {
+    actualAmountIn,
+    actualAmountOut,
+    poolAmountOut,
+    effectivePrice,
+    lpFeePaid,
+    gasFeePaid: receipt.gasUsed * receipt.gasPrice + l1FeePaid,
+    l1FeePaid,
+    swaps
+  };
+}
+
+/**
+ * Reads the L1 data fee an OP-stack transaction paid
+ * Base charges it on top of gasUsed * gasPrice; it is only in the raw receipt (l1Fee), which
+ * ethers' TransactionReceipt drops.
+ * @param {ethers.TransactionReceipt} receipt - Receipt of the mined transaction
+ * @param {ethers.JsonRpcApiProvider} provider - Provider instance
+ * @param {Object} logger - Logger instance
+ * @returns {Promise<bigint>} L1 data fee in wei (0n when the receipt reports none)
+ */
+export async function getL1FeePaid(receipt, provider, logger) {
+  const raw = await executeWithRetry(
+    () => provider.send('eth_getTransactionReceipt', [receipt.hash]),
+    logger,
+    'Raw transaction receipt',
+    RETRY_POLICIES.READ
+  );
+
+  if (raw?.l1Fee == null) {
+    logger.warn('Receipt reports no L1 data fee, gas cost covers L2 execution only', { txHash: receipt.hash });
+    return 0n;
+  }
+  return BigInt(raw.l1Fee);
+}
+
 /**
  * Gets the explorer URL for a transaction
  * @param {string} txHash - Transaction hash
@@ -387,3 +1018,269 @@ export async function waitForTransaction(tx, logger, timeoutMs = 120000) {
 export function getExplorerUrl(txHash) {
   return `https://basescan.org/tx/${txHash}`;
 }
+
+// =============================================================================
+// NONCE MANAGEMENT
+// =============================================================================
+
+/**
+ * Nonce state schema version (bump when the file shape changes)
+ * @constant {number}
+ */
+const NONCE_STATE_VERSION = 1;
+
+/**
+ * Reads the persisted nonce reservations of every wallet (missing or unreadable file = empty)
+ * @param {string|null} statePath - State file path (null = not persisted)
+ * @param {Object} logger - Logger instance
+ * @returns {{version: number, wallets: Object}} Nonce state
+ */
+function readNonceState(statePath, logger) {
+  const empty = { version: NONCE_STATE_VERSION, wallets: {} };
+  if (!statePath || !fs.existsSync(statePath)) {
+    return empty;
+  }
+
+  try {
+    const state = JSON.parse(fs.readFileSync(statePath, 'utf8'));
+    return { ...empty, wallets: state.wallets ?? {} };
+  } catch (error) {
+    logger.warn('Ignoring unreadable nonce state', { statePath, error: error.message });
+    return empty;
+  }
+}
+
+/**
+ * Writes the nonce state (write-then-rename so an interrupted run never leaves a truncated file)
+ * @param {string} statePath - State file path
+ * @param {Object} state - Nonce state
+ */
+function writeNonceState(statePath, state) {
+  fs.mkdirSync(path.dirname(statePath), { recursive: true });
+  fs.writeFileSync(`${statePath}.tmp`, JSON.stringify(state, null, 2) + '\n');
+  fs.renameSync(`${statePath}.tmp`, statePath);
+}
+
+/**
+ * Creates a nonce manager for a wallet shared by several workflows
+ * Nonces are reserved explicitly for each transaction of a sequence (approve + swap) and
+ * recorded in a state file so the next run can tell which nonces a failed run left behind.
+ * At startup the reservations are reconciled against the node's `latest` and `pending`
+ * transaction counts:
+ * - nonces below `latest` are mined and forgotten
+ * - nonces between `latest` and `pending` are still in the mempool (in flight)
+ * - sent nonces at or above `pending` are queued behind a gap (a nonce that never reached
+ *   the node), which blocks them and every later transaction
+ * @param {ethers.Wallet} wallet - Wallet instance
+ * @param {Object} logger - Logger instance
+ * @param {Object} [options] - Options
+ * @param {string|null} [options.statePath=null] - State file (e.g. NONCE_STATE_PATH); null keeps it in memory
+ * @returns {Object} Manager ({ reconcile, fillGaps, reserve, markSent, releaseUnsent, getReservations })
+ */
+export function createNonceManager(wallet, logger, { statePath = null } = {}) {
+  // nonce -> { nonce, label, status: 'RESERVED'|'SENT', txHash, updatedAt }
+  let reservations = new Map();
+  let nextNonce = null;
+  let report = null;
+
+  function persist(address) {
+    if (!statePath) {
+      return;
+    }
+    const state = readNonceState(statePath, logger);
+    state.wallets[address.toLowerCase()] = {
+      updatedAt: new Date().toISOString(),
+      reservations: [...reservations.values()].sort((a, b) => a.nonce - b.nonce)
+    };
+    writeNonceState(statePath, state);
+  }
+
+  function record(nonce, fields) {
+    reservations.set(nonce, { ...reservations.get(nonce), nonce, ...fields, updatedAt: new Date().toISOString() });
+  }
+
+  async function getCounts(address) {
+    const [latest, pending] = await Promise.all([
+      wallet.provider.getTransactionCount(address, 'latest'),
+      wallet.provider.getTransactionCount(address, 'pending')
+    ]);
+    return { latest, pending };
+  }
+
+  const manager = {
+    /**
+     * Reconciles the persisted reservations with the chain
+     * @returns {Promise<{latest: number, pending: number, inFlight: number[], queued: number[], gaps: number[]}>}
+     *          Nonce report (queued: sent nonces stuck behind the gaps)
+     */
+    async reconcile() {
+      const address = await wallet.getAddress();
+      const { latest, pending } = await getCounts(address);
+      const saved = readNonceState(statePath, logger).wallets[address.toLowerCase()]?.reservations ?? [];
+
+      reservations = new Map(saved.filter((entry) => entry.nonce >= latest).map((entry) => [entry.nonce, entry]));
+
+      const queued = [...reservations.values()]
+        .filter((entry) => entry.status === 'SENT' && entry.nonce >= pending)
+        .map((entry) => entry.nonce)
+        .sort((a, b) => a - b);
+      const highestQueued = queued.at(-1) ?? -1;
+
+      const gaps = [];
+      for (let nonce = pending; nonce < highestQueued; nonce++) {
+        if (!queued.includes(nonce)) {
+          gaps.push(nonce);
+        }
+      }
+
+      // Reservations that never reached the node are free again unless a sent nonce waits above them
+      for (const entry of [...reservations.values()]) {
+        if (entry.status === 'RESERVED' && entry.nonce >= pending && entry.nonce > highestQueued) {
+          reservations.delete(entry.nonce);
+        }
+      }
+
+      const inFlight = [];
+      for (let nonce = latest; nonce < pending; nonce++) {
+        inFlight.push(nonce);
+      }
+
+      if (inFlight.length > 0) {
+        logger.warn(`${inFlight.length} transaction(s) from earlier runs are still pending`, { nonces: inFlight });
+      }
+      if (gaps.length > 0) {
+        logger.warn(`Nonce gap(s) left by an earlier run block queued transactions`, { gaps, queued });
+      }
+
+      nextNonce = pending;
+      report = { latest, pending, inFlight, queued, gaps };
+      persist(address);
+      return report;
+    },
+
+    /**
+     * Clears the gaps found by reconcile
+     * Queued transactions are replaced by zero-value self-transfers first (highest nonce first)
+     * so filling a gap never releases a stale trade, then each gap gets a self-transfer.
+     * @param {Object} [options] - Options
+     * @param {number} [options.maxGasPriceGwei=MAX_GAS_PRICE_GWEI] - maxFeePerGas ceiling in Gwei
+     * @returns {Promise<string[]>} Hashes of the self-transfers
+     */
+    async fillGaps({ maxGasPriceGwei = MAX_GAS_PRICE_GWEI } = {}) {
+      if (!report) {
+        await manager.reconcile();
+      }
+      if (report.gaps.length === 0) {
+        return [];
+      }
+
+      const address = await wallet.getAddress();
+      const txManager = createTransactionManager(wallet, logger, { maxGasPriceGwei });
+      const hashes = [];
+      const unfilled = [...report.gaps];
+
+      for (const nonce of [...report.queued].reverse()) {
+        const queuedTx = await wallet.provider.getTransaction(reservations.get(nonce).txHash);
+        if (!queuedTx) {
+          // Dropped by the node: the nonce is free and is filled like a gap
+          unfilled.push(nonce);
+          continue;
+        }
+        txManager.track(queuedTx);
+        const tx = await txManager.cancel(nonce);
+        record(nonce, { label: 'Nonce gap cancel', status: 'SENT', txHash: tx.hash });
+        hashes.push(tx.hash);
+      }
+
+      for (const nonce of unfilled.sort((a, b) => a - b)) {
+        const { tx } = await sendTransaction(
+          wallet,
+          { to: address, data: '0x', value: 0n, nonce },
+          logger,
+          `Nonce ${nonce} gap fill`,
+          { maxGasPriceGwei }
+        );
+        logger.logTransaction(tx.hash, { type: 'NONCE_GAP_FILL', nonce });
+        record(nonce, { label: 'Nonce gap fill', status: 'SENT', txHash: tx.hash });
+        hashes.push(tx.hash);
+      }
+
+      nextNonce = Math.max(nextNonce, ...report.queued.map((nonce) => nonce + 1), ...report.gaps.map((nonce) => nonce + 1));
+      report = { ...report, gaps: [], queued: [] };
+      persist(address);
+      return hashes;
+    },
+
+    /**
+     * Reserves consecutive nonces for a sequence of transactions
+     * @param {string[]} labels - One label per transaction, in sending order
+     * @returns {Promise<number[]>} Reserved nonces
+     */
+    async reserve(labels) {
+      if (nextNonce === null) {
+        await manager.reconcile();
+      }
+
+      const nonces = labels.map((label, index) => {
+        record(nextNonce + index, { label, status: 'RESERVED', txHash: null });
+        return nextNonce + index;
+      });
+      nextNonce += labels.length;
+
+      logger.debug(`Reserved nonces ${nonces.join(', ')}`, { labels });
+      persist(await wallet.getAddress());
+      return nonces;
+    },
+
+    /**
+     * Records that a reserved nonce was broadcast
+     * @param {number} nonce - Reserved nonce
+     * @param {string} txHash - Hash of the transaction sent with it
+     */
+    async markSent(nonce, txHash) {
+      record(nonce, { status: 'SENT', txHash });
+      persist(await wallet.getAddress());
+    },
+
+    /**
+     * Gives back reservations that never reached the node (e.g. the run failed before sending)
+     * Only the top of the reserved range can be released; nonces the node has already seen
+     * are kept as sent.
+     * @returns {Promise<number[]>} Released nonces
+     */
+    async releaseUnsent() {
+      const address = await wallet.getAddress();
+      const { pending } = await getCounts(address);
+      const released = [];
+
+      for (const entry of [...reservations.values()].sort((a, b) => b.nonce - a.nonce)) {
+        if (entry.status !== 'RESERVED') {
+          continue;
+        }
+        if (entry.nonce < pending) {
+          record(entry.nonce, { status: 'SENT' });
+        } else if (entry.nonce === nextNonce - 1) {
+          reservations.delete(entry.nonce);
+          nextNonce--;
+          released.push(entry.nonce);
+        }
+      }
+
+      if (released.length > 0) {
+        logger.debug(`Released unused nonces ${released.join(', ')}`);
+      }
+      persist(address);
+      return released;
+    },
+
+    /**
+     * Lists the tracked reservations
+     * @returns {Object[]} Reservations in nonce order
+     */
+    getReservations() {
+      return [...reservations.values()].sort((a, b) => a.nonce - b.nonce);
+    }
+  };
+
+  return manager;
+}
@@ -0,0 +1,220 @@
+/**
+ * @fileoverview EIP-1559 fee strategy for Base
+ * @description Derives type-2 fee fields from eth_feeHistory percentiles, enforces the
+ *              configured max fee ceiling before anything is signed, and prices the L1
+ *              data fee through the GasPriceOracle predeploy for total cost estimates
+ */
+
+import { ethers } from 'ethers';
+import {
+  GAS_PRICE_ORACLE_ADDRESS,
+  GAS_PRICE_ORACLE_ABI,
+  FEE_HISTORY_BLOCKS,
+  PRIORITY_FEE_PERCENTILE,
+  BASE_FEE_MULTIPLIER,
+  MIN_PRIORITY_FEE_WEI,
+  MAX_GAS_PRICE_GWEI,
+  ERROR_CODES
+} from '../config/constants.js';
+import { BlockchainError } from './blockchain.js';
+import { validateGasPrice } from '../utils/validation.js';
+
+// =============================================================================
+// FEE HISTORY
+// =============================================================================
+
+/**
+ * Reads recent base fees and priority fee rewards
+ * @param {ethers.Provider} provider - Provider instance
+ * @param {Object} logger - Logger instance
+ * @param {number} [blockCount=FEE_HISTORY_BLOCKS] - Blocks to sample
+ * @param {number} [percentile=PRIORITY_FEE_PERCENTILE] - Reward percentile
+ * @returns {Promise<{baseFeePerGas: bigint[], rewards: bigint[]}>} Base fees (the last entry is
+ *          the next block's) and the percentile reward of each sampled block
+ * @throws {BlockchainError} If the node does not answer eth_feeHistory
+ */
+export async function getFeeHistory(provider, logger, blockCount = FEE_HISTORY_BLOCKS, percentile = PRIORITY_FEE_PERCENTILE) {
+  try {
+    const history = await provider.send('eth_feeHistory', [
+      ethers.toQuantity(blockCount),
+      'latest',
+      [percentile]
+    ]);
+
+    return {
+      baseFeePerGas: history.baseFeePerGas.map((fee) => BigInt(fee)),
+      rewards: (history.reward ?? []).map(([reward]) => BigInt(reward))
+    };
+  } catch (error) {
+    throw new BlockchainError(
+      'Failed to read fee history',
+      ERROR_CODES.RPC_CONNECTION_FAILED,
+      { error: error.message }
+    );
+  }
+}
+
+/**
+ * Computes type-2 fee fields from a fee history and applies the ceiling
+ * maxFeePerGas = nextBaseFee * BASE_FEE_MULTIPLIER + priority fee. When only the headroom
+ * exceeds the ceiling, maxFeePerGas is capped at the ceiling; when the fee the next block
+ * actually charges (base fee + priority fee) exceeds it, the transaction is refused.
+ * @param {{baseFeePerGas: bigint[], rewards: bigint[]}} history - Result of getFeeHistory
+ * @param {Object} [options] - Options
+ * @param {number} [options.maxGasPriceGwei=MAX_GAS_PRICE_GWEI] - maxFeePerGas ceiling in Gwei
+ * @param {number} [options.baseFeeMultiplier=BASE_FEE_MULTIPLIER] - Base fee headroom
+ * @param {bigint} [options.minPriorityFee=MIN_PRIORITY_FEE_WEI] - Priority fee floor in wei
+ * @returns {{type: number, maxFeePerGas: bigint, maxPriorityFeePerGas: bigint, baseFeePerGas: bigint, capped: boolean}}
+ * @throws {ValidationError} If base fee + priority fee is above the ceiling (GAS_TOO_HIGH)
+ */
+export function calculateFeeParams(history, {
+  maxGasPriceGwei = MAX_GAS_PRICE_GWEI,
+  baseFeeMultiplier = BASE_FEE_MULTIPLIER,
+  minPriorityFee = MIN_PRIORITY_FEE_WEI
+} = {}) {
+  const baseFeePerGas = history.baseFeePerGas.at(-1) ?? 0n;
+  const medianReward = median(history.rewards);
+  const maxPriorityFeePerGas = medianReward > minPriorityFee ? medianReward : minPriorityFee;
+
+  validateGasPrice(baseFeePerGas + maxPriorityFeePerGas, maxGasPriceGwei);
+
+  const ceiling = ethers.parseUnits(String(maxGasPriceGwei), 'gwei');
+  const headroom = (baseFeePerGas * BigInt(Math.round(baseFeeMultiplier * 100))) / 100n + maxPriorityFeePerGas;
+  const capped = headroom > ceiling;
+
+  return {
+    type: 2,
+    maxFeePerGas: capped ? ceiling : headroom,
+    maxPriorityFeePerGas,
+    baseFeePerGas,
+    capped
+  };
+}
+
+/**
+ * Builds type-2 fee fields for a transaction about to be signed
+ * @param {ethers.Provider} provider - Provider instance
+ * @param {Object} logger - Logger instance
+ * @param {number} [maxGasPriceGwei=MAX_GAS_PRICE_GWEI] - maxFeePerGas ceiling in Gwei
+ * @returns {Promise<Object>} Fee fields (see calculateFeeParams)
+ * @throws {ValidationError} If the network fee is above the ceiling (GAS_TOO_HIGH)
+ */
+export async function getFeeParams(provider, logger, maxGasPriceGwei = MAX_GAS_PRICE_GWEI) {
+  const history = await getFeeHistory(provider, logger);
+  const fees = calculateFeeParams(history, { maxGasPriceGwei });
+
+  logger.debug(
+    `Fees: base ${ethers.formatUnits(fees.baseFeePerGas, 'gwei')} Gwei, ` +
+    `priority ${ethers.formatUnits(fees.maxPriorityFeePerGas, 'gwei')} Gwei, ` +
+    `max ${ethers.formatUnits(fees.maxFeePerGas, 'gwei')} Gwei${fees.capped ? ` (capped at ${maxGasPriceGwei} Gwei)` : ''}`
+  );
+
+  return fees;
+}
+
+// =============================================================================
+// COST ESTIMATION
+// =============================================================================
+
+/**
+ * Prices the L1 data fee of a transaction via the GasPriceOracle predeploy
+ * @param {ethers.Provider} provider - Provider instance
+ * @param {ethers.TransactionRequest} txRequest - Transaction with fee fields and gasLimit
+ * @returns {Promise<bigint>} L1 data fee in wei
+ * @throws {BlockchainError} If the oracle cannot be called
+ */
+export async function getL1Fee(provider, txRequest) {
+  const { chainId } = await provider.getNetwork();
+  const unsigned = ethers.Transaction.from({
+    type: 2,
+    chainId,
+    nonce: txRequest.nonce ?? 0,
+    to: txRequest.to,
+    data: txRequest.data ?? '0x',
+    value: txRequest.value ?? 0n,
+    gasLimit: txRequest.gasLimit ?? 0n,
+    maxFeePerGas: txRequest.maxFeePerGas ?? 0n,
+    maxPriorityFeePerGas: txRequest.maxPriorityFeePerGas ?? 0n
+  });
+
+  try {
+    const oracle = new ethers.Contract(GAS_PRICE_ORACLE_ADDRESS, GAS_PRICE_ORACLE_ABI, provider);
+    return await oracle.getL1Fee(unsigned.unsignedSerialized);
+  } catch (error) {
+    throw new BlockchainError(
+      'Failed to price L1 data fee',
+      ERROR_CODES.RPC_CONNECTION_FAILED,
+      { error: error.shortMessage || error.message }
+    );
+  }
+}
+
+/**
+ * Estimates the total cost of a transaction (L2 execution + L1 data fee)
+ * An unavailable L1 fee is logged and reported as null rather than failing the trade
+ * @param {ethers.Provider} provider - Provider instance
+ * @param {ethers.TransactionRequest} txRequest - Transaction with fee fields and gasLimit
+ * @param {Object} fees - Fee fields (see calculateFeeParams)
+ * @param {Object} logger - Logger instance
+ * @returns {Promise<Object>} Cost estimate in wei: expected/max L2 fee, L1 fee, totals
+ */
+export async function estimateTransactionCost(provider, txRequest, fees, logger) {
+  const { gasLimit } = txRequest;
+  const effectiveGasPrice = fees.baseFeePerGas + fees.maxPriorityFeePerGas < fees.maxFeePerGas
+    ? fees.baseFeePerGas + fees.maxPriorityFeePerGas
+    : fees.maxFeePerGas;
+
+  let l1FeeWei = null;
+  try {
+    l1FeeWei = await getL1Fee(provider, txRequest);
+  } catch (error) {
+    logger.warn('L1 data fee unavailable, estimating L2 cost only', { error: error.details?.error });
+  }
+
+  const cost = {
+    l2ExpectedFeeWei: gasLimit * effectiveGasPrice,
+    l2MaxFeeWei: gasLimit * fees.maxFeePerGas,
+    l1FeeWei,
+    totalExpectedCostWei: gasLimit * effectiveGasPrice + (l1FeeWei ?? 0n),
+    totalMaxCostWei: gasLimit * fees.maxFeePerGas + (l1FeeWei ?? 0n)
+  };
+
+  logger.debug(
+    `Estimated cost: ${ethers.formatEther(cost.totalExpectedCostWei)} ETH ` +
+    `(L2 ${ethers.formatEther(cost.l2ExpectedFeeWei)} + L1 ${l1FeeWei === null ? 'n/a' : ethers.formatEther(l1FeeWei)}), ` +
+    `at most ${ethers.formatEther(cost.totalMaxCostWei)} ETH`
+  );
+
+  return cost;
+}
+
+/**
+ * Formats fee fields and a cost estimate for results and summaries
+ * @param {Object} fees - Fee fields (see calculateFeeParams)
+ * @param {Object} cost - Result of estimateTransactionCost
+ * @returns {Object} Gwei/ETH decimal strings
+ */
+export function formatFeeEstimate(fees, cost) {
+  return {
+    maxFeePerGasGwei: ethers.formatUnits(fees.maxFeePerGas, 'gwei'),
+    maxPriorityFeePerGasGwei: ethers.formatUnits(fees.maxPriorityFeePerGas, 'gwei'),
+    baseFeePerGasGwei: ethers.formatUnits(fees.baseFeePerGas, 'gwei'),
+    capped: fees.capped,
+    l1FeeEth: cost.l1FeeWei === null ? null : ethers.formatEther(cost.l1FeeWei),
+    estimatedCostEth: ethers.formatEther(cost.totalExpectedCostWei),
+    maxCostEth: ethers.formatEther(cost.totalMaxCostWei)
+  };
+}
+
+/**
+ * Median of a list of bigints (0n when empty)
+ * @param {bigint[]} values - Values
+ * @returns {bigint} Median (lower middle for even counts)
+ */
+function median(values) {
+  if (values.length === 0) {
+    return 0n;
+  }
+  const sorted = [...values].sort((a, b) => (a < b ? -1 : a > b ? 1 : 0));
+  return sorted[Math.floor((sorted.length - 1) / 2)];
+}
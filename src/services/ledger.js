@@ -0,0 +1,376 @@
+/**
+ * @fileoverview Trade ledger and P&L accounting
+ * @description Appends executed trades to a JSONL file that persists across runs and
+ *              computes realized/unrealized P&L with FIFO or average-cost lots
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { ethers } from 'ethers';
+import {
+  LEDGER_PATH,
+  COST_BASIS_METHODS,
+  DEFAULT_COST_BASIS_METHOD
+} from '../config/constants.js';
+
+/**
+ * Ledger entry schema version (bump when the entry shape changes)
+ * @constant {number}
+ */
+const LEDGER_VERSION = 1;
+
+// =============================================================================
+// LEDGER STORAGE
+// =============================================================================
+
+/**
+ * Builds a ledger entry from an executeBuy/executeSell result
+ * @param {Object} result - Live (non-simulated) trade result
+ * @param {Object} [context] - Extra context
+ * @param {string} [context.correlationId] - Correlation ID of the run
+ * @returns {Object} Ledger entry
+ */
+export function createLedgerEntry(result, { correlationId = null } = {}) {
+  const isBuy = result.type === 'BUY';
+  const tokenAmount = isBuy ? result.output.actualAmountOut : result.output.actualAmountIn;
+  const ethAmount = isBuy ? result.output.actualAmountIn : result.output.actualAmountOut;
+  const gasCostEth = result.output.gasFeePaid;
+
+  return {
+    version: LEDGER_VERSION,
+    txHash: result.txHash,
+    type: result.type,
+    timestamp: result.timestamp,
+    blockNumber: result.blockNumber,
+    correlationId,
+    token: {
+      address: result.token.address,
+      symbol: result.token.symbol,
+      decimals: result.token.decimals
+    },
+    tokenAmount,
+    ethAmount,
+    ethPriceUsd: result.ethPriceUsd,
+    usdValue: roundUsd(Number(ethAmount) * result.ethPriceUsd),
+    gasCostEth,
+    gasCostUsd: roundUsd(Number(gasCostEth) * result.ethPriceUsd),
+    poolFee: result.poolFee
+  };
+}
+
+/**
+ * Reads all entries from the ledger (missing file = empty ledger)
+ * @param {Object} logger - Logger instance
+ * @param {string} [ledgerPath=LEDGER_PATH] - Ledger file path
+ * @returns {Object[]} Ledger entries in the order they were recorded
+ */
+export function readLedger(logger, ledgerPath = LEDGER_PATH) {
+  if (!fs.existsSync(ledgerPath)) {
+    return [];
+  }
+
+  const entries = [];
+  const lines = fs.readFileSync(ledgerPath, 'utf8').split('\n');
+
+  lines.forEach((line, index) => {
+    if (!line.trim()) {
+      return;
+    }
+    try {
+      entries.push(JSON.parse(line));
+    } catch (error) {
+      // A truncated last line (e.g. an interrupted run) must not hide the rest of the history
+      logger.warn(`Skipping malformed ledger line ${index + 1}`, { ledgerPath });
+    }
+  });
+
+  return entries;
+}
+
+/**
+ * Appends an entry to the ledger unless its transaction is already recorded
+ * @param {Object} entry - Ledger entry
+ * @param {Object} logger - Logger instance
+ * @param {string} [ledgerPath=LEDGER_PATH] - Ledger file path
+ * @returns {boolean} True if the entry was written
+ */
+export function appendLedgerEntry(entry, logger, ledgerPath = LEDGER_PATH) {
+  const existing = readLedger(logger, ledgerPath);
+  if (existing.some((recorded) => recorded.txHash === entry.txHash)) {
+    logger.warn(`Trade ${entry.txHash} already recorded in ledger, skipping`);
+    return false;
+  }
+
+  fs.mkdirSync(path.dirname(ledgerPath), { recursive: true });
+  fs.appendFileSync(ledgerPath, JSON.stringify(entry) + '\n');
+
+  logger.info(`Recorded ${entry.type} ${entry.txHash} in ledger`, { ledgerPath });
+  return true;
+}
+
+/**
+ * Records a trade result in the ledger (simulated and skipped results are ignored)
+ * @param {Object} result - Trade result
+ * @param {Object} logger - Logger instance
+ * @param {Object} [options] - Options
+ * @param {string} [options.correlationId] - Correlation ID of the run
+ * @param {string} [options.ledgerPath=LEDGER_PATH] - Ledger file path
+ * @returns {Object|null} Recorded entry, or null if nothing was recorded
+ */
+export function recordTrade(result, logger, { correlationId = null, ledgerPath = LEDGER_PATH } = {}) {
+  if (!result?.success || result.skipped || result.simulated) {
+    return null;
+  }
+
+  const entry = createLedgerEntry(result, { correlationId });
+  return appendLedgerEntry(entry, logger, ledgerPath) ? entry : null;
+}
+
+/**
+ * Records a trade and returns the token's updated P&L
+ * The trade has already happened on-chain, so ledger errors are logged, not thrown
+ * @param {Object} result - Trade result
+ * @param {Object} logger - Logger instance
+ * @param {Object} [options] - Options
+ * @param {string} [options.correlationId] - Correlation ID of the run
+ * @param {string} [options.ledgerPath=LEDGER_PATH] - Ledger file path
+ * @param {string} [options.method=DEFAULT_COST_BASIS_METHOD] - Cost basis method (COST_BASIS_METHODS)
+ * @returns {Object|null} P&L report (see computePnl), or null if the ledger could not be updated
+ */
+export function updateLedger(result, logger, {
+  correlationId = null,
+  ledgerPath = LEDGER_PATH,
+  method = DEFAULT_COST_BASIS_METHOD
+} = {}) {
+  try {
+    recordTrade(result, logger, { correlationId, ledgerPath });
+
+    const pnl = computePnl(readLedger(logger, ledgerPath), {
+      tokenAddress: result.token.address,
+      method,
+      ethPriceUsd: result.ethPriceUsd
+    });
+
+    logger.info('Ledger P&L updated', pnl);
+    return pnl;
+  } catch (error) {
+    logger.error('Failed to update trade ledger', { error, ledgerPath });
+    return null;
+  }
+}
+
+// =============================================================================
+// P&L ACCOUNTING
+// =============================================================================
+
+/**
+ * Computes the position and P&L of one token from ledger entries
+ * Amounts are tracked in base units/wei so lot arithmetic is exact. Sells larger than
+ * the tracked position (tokens acquired outside the bot) only realize P&L on the
+ * tracked part; the remainder is reported as untrackedQuantity.
+ * @param {Object[]} entries - Ledger entries
+ * @param {Object} options - Options
+ * @param {string} options.tokenAddress - Token to account for
+ * @param {string} [options.method=DEFAULT_COST_BASIS_METHOD] - Cost basis method (COST_BASIS_METHODS)
+ * @param {string} [options.markPriceEth] - Current value of one token in ETH (enables unrealized P&L)
+ * @param {number} [options.ethPriceUsd] - Current ETH price (adds USD values)
+ * @returns {Object} Position and P&L report (ETH amounts as decimal strings)
+ */
+export function computePnl(entries, {
+  tokenAddress,
+  method = DEFAULT_COST_BASIS_METHOD,
+  markPriceEth,
+  ethPriceUsd
+}) {
+  const trades = filterTokenTrades(entries, tokenAddress);
+  const decimals = trades[0]?.token.decimals ?? 18;
+  const symbol = trades[0]?.token.symbol ?? null;
+  const { book, realized, untrackedQuantity } = replayTrades(trades, decimals, method);
+
+  const realizedWei = realized.reduce((total, sell) => total + sell.realizedWei, 0n);
+  const gasWei = trades.reduce((total, trade) => total + ethers.parseEther(trade.gasCostEth), 0n);
+  const buys = trades.length - realized.length;
+  const sells = realized.length;
+
+  const { quantity: openQuantity, cost: costBasisWei } = book.totals();
+  const unrealizedWei = markPriceEth !== undefined && markPriceEth !== null
+    ? openQuantity * ethers.parseEther(String(markPriceEth)) / 10n ** BigInt(decimals) - costBasisWei
+    : null;
+
+  const report = {
+    token: { address: tokenAddress, symbol, decimals },
+    method,
+    trades: trades.length,
+    buys,
+    sells,
+    openQuantity: ethers.formatUnits(openQuantity, decimals),
+    untrackedQuantity: ethers.formatUnits(untrackedQuantity, decimals),
+    costBasisEth: ethers.formatEther(costBasisWei),
+    averageCostEth: openQuantity > 0n
+      ? ethers.formatEther(costBasisWei * 10n ** BigInt(decimals) / openQuantity)
+      : '0.0',
+    realizedPnlEth: ethers.formatEther(realizedWei),
+    unrealizedPnlEth: unrealizedWei === null ? null : ethers.formatEther(unrealizedWei),
+    gasCostEth: ethers.formatEther(gasWei),
+    netPnlEth: ethers.formatEther(realizedWei + (unrealizedWei ?? 0n) - gasWei)
+  };
+
+  if (ethPriceUsd) {
+    report.realizedPnlUsd = roundUsd(Number(report.realizedPnlEth) * ethPriceUsd);
+    report.unrealizedPnlUsd = unrealizedWei === null ? null : roundUsd(Number(report.unrealizedPnlEth) * ethPriceUsd);
+    report.netPnlUsd = roundUsd(Number(report.netPnlEth) * ethPriceUsd);
+  }
+  report.gasCostUsd = roundUsd(trades.reduce((total, trade) => total + (trade.gasCostUsd ?? 0), 0));
+
+  return report;
+}
+
+/**
+ * Lists the realized P&L of every sell in the ledger, across all tokens
+ * Each sell is costed against the lots of its own token (see computePnl) and valued in
+ * USD at the ETH price recorded with it.
+ * @param {Object[]} entries - Ledger entries
+ * @param {Object} [options] - Options
+ * @param {string} [options.method=DEFAULT_COST_BASIS_METHOD] - Cost basis method (COST_BASIS_METHODS)
+ * @returns {Array<{entry: Object, realizedPnlEth: string, realizedPnlUsd: number}>} Sells in ledger order
+ */
+export function listRealizedPnl(entries, { method = DEFAULT_COST_BASIS_METHOD } = {}) {
+  const tokenAddresses = [...new Set(entries.map((entry) => entry.token.address.toLowerCase()))];
+  const order = new Map(entries.map((entry, index) => [entry, index]));
+
+  return tokenAddresses
+    .flatMap((tokenAddress) => {
+      const trades = filterTokenTrades(entries, tokenAddress);
+      return replayTrades(trades, trades[0].token.decimals ?? 18, method).realized;
+    })
+    .sort((a, b) => order.get(a.trade) - order.get(b.trade))
+    .map(({ trade, realizedWei }) => ({
+      entry: trade,
+      realizedPnlEth: ethers.formatEther(realizedWei),
+      realizedPnlUsd: roundUsd(Number(ethers.formatEther(realizedWei)) * trade.ethPriceUsd)
+    }));
+}
+
+/**
+ * Selects the ledger entries of one token
+ * @param {Object[]} entries - Ledger entries
+ * @param {string} tokenAddress - Token address (any case)
+ * @returns {Object[]} Entries of the token in ledger order
+ */
+function filterTokenTrades(entries, tokenAddress) {
+  return entries.filter((entry) => entry.token.address.toLowerCase() === tokenAddress.toLowerCase());
+}
+
+/**
+ * Replays one token's trades through a lot book
+ * @param {Object[]} trades - Ledger entries of one token
+ * @param {number} decimals - Token decimals
+ * @param {string} method - Cost basis method (COST_BASIS_METHODS)
+ * @returns {{book: Object, realized: Array<{trade: Object, realizedWei: bigint}>, untrackedQuantity: bigint}}
+ *          Final lot book, realized P&L per sell and the quantity sold beyond the tracked position
+ */
+function replayTrades(trades, decimals, method) {
+  const book = method === COST_BASIS_METHODS.AVERAGE ? createAverageBook() : createFifoBook();
+  const realized = [];
+  let untrackedQuantity = 0n;
+
+  for (const trade of trades) {
+    const quantity = ethers.parseUnits(trade.tokenAmount, decimals);
+    const ethWei = ethers.parseEther(trade.ethAmount);
+
+    if (trade.type === 'BUY') {
+      book.add(quantity, ethWei);
+      continue;
+    }
+
+    const { matched, cost } = book.remove(quantity);
+    untrackedQuantity += quantity - matched;
+    // Only the proceeds attributable to tracked tokens count towards realized P&L
+    const proceeds = quantity > 0n ? ethWei * matched / quantity : 0n;
+    realized.push({ trade, realizedWei: proceeds - cost });
+  }
+
+  return { book, realized, untrackedQuantity };
+}
+
+/**
+ * FIFO lot book: sells consume the oldest lots first
+ * @returns {Object} Book with add/remove/totals
+ */
+function createFifoBook() {
+  const lots = [];
+
+  return {
+    add(quantity, cost) {
+      if (quantity > 0n) {
+        lots.push({ quantity, cost });
+      }
+    },
+
+    remove(quantity) {
+      let remaining = quantity;
+      let cost = 0n;
+
+      while (remaining > 0n && lots.length > 0) {
+        const lot = lots[0];
+        if (lot.quantity <= remaining) {
+          remaining -= lot.quantity;
+          cost += lot.cost;
+          lots.shift();
+        } else {
+          const partialCost = lot.cost * remaining / lot.quantity;
+          lot.quantity -= remaining;
+          lot.cost -= partialCost;
+          cost += partialCost;
+          remaining = 0n;
+        }
+      }
+
+      return { matched: quantity - remaining, cost };
+    },
+
+    totals() {
+      return lots.reduce(
+        (total, lot) => ({ quantity: total.quantity + lot.quantity, cost: total.cost + lot.cost }),
+        { quantity: 0n, cost: 0n }
+      );
+    }
+  };
+}
+
+/**
+ * Average-cost book: sells are costed at the running average of the whole position
+ * @returns {Object} Book with add/remove/totals
+ */
+function createAverageBook() {
+  let quantity = 0n;
+  let cost = 0n;
+
+  return {
+    add(amount, amountCost) {
+      quantity += amount;
+      cost += amountCost;
+    },
+
+    remove(amount) {
+      const matched = amount < quantity ? amount : quantity;
+      const matchedCost = quantity > 0n ? cost * matched / quantity : 0n;
+      quantity -= matched;
+      cost -= matchedCost;
+      return { matched, cost: matchedCost };
+    },
+
+    totals() {
+      return { quantity, cost };
+    }
+  };
+}
+
+/**
+ * Rounds a USD amount to cents
+ * @param {number} value - USD amount
+ * @returns {number} Rounded amount
+ */
+function roundUsd(value) {
+  return Math.round(value * 100) / 100;
+}
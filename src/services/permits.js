@@ -0,0 +1,314 @@
+/**
+ * @fileoverview Signature approvals (EIP-2612 permit and Uniswap Permit2)
+ * @description Detects whether a trade's missing allowance can be granted by a signature
+ *              carried in the swap transaction - an EIP-2612 permit redeemed by SwapRouter02,
+ *              or a Permit2 permit redeemed by the Universal Router - and signs it; anything
+ *              else falls back to an approve transaction. Also lists and revokes the Permit2
+ *              allowances those signatures leave behind.
+ */
+
+import { ethers } from 'ethers';
+import {
+  ERC20_ABI,
+  ERC20_PERMIT_ABI,
+  PERMIT2_ABI,
+  PERMIT2_ADDRESS,
+  PERMIT_TYPES,
+  PERMIT2_PERMIT_TYPES,
+  APPROVAL_METHODS,
+  RETRY_POLICIES,
+  ERROR_CODES,
+  MAX_GAS_PRICE_GWEI,
+  GAS_LIMIT_MULTIPLIER
+} from '../config/constants.js';
+import {
+  executeWithRetry,
+  getTokenAllowance,
+  getTokenInfo,
+  getTokenBalance,
+  sendTransaction,
+  BlockchainError
+} from './blockchain.js';
+import { createTransactionManager } from './transactions.js';
+
+/**
+ * Largest Permit2 allowance (amounts are uint160)
+ * @constant {bigint}
+ */
+const MAX_UINT160 = 2n ** 160n - 1n;
+
+// =============================================================================
+// DETECTION
+// =============================================================================
+
+/**
+ * Detects EIP-2612 permit support
+ * A token supports permit when it exposes DOMAIN_SEPARATOR and nonces, and its domain
+ * separator matches a domain the bot can rebuild: the EIP-5267 eip712Domain() if the token
+ * has one, otherwise its name with its version() (or the usual "1" or "2").
+ * @param {string} tokenAddress - Token contract address
+ * @param {ethers.Provider} provider - Provider instance
+ * @param {Object} logger - Logger instance
+ * @returns {Promise<Object>} {supported: true, domain} or {supported: false, reason}
+ */
+export async function detectPermitSupport(tokenAddress, provider, logger) {
+  const token = new ethers.Contract(tokenAddress, [...ERC20_ABI, ...ERC20_PERMIT_ABI], provider);
+  const read = (fn, name) => executeWithRetry(fn, logger, `Token ${name}`, RETRY_POLICIES.READ).catch(() => null);
+
+  const separator = await read(() => token.DOMAIN_SEPARATOR(), 'DOMAIN_SEPARATOR');
+  const nonce = await read(() => token.nonces(ethers.ZeroAddress), 'nonces');
+  if (separator === null || nonce === null) {
+    return { supported: false, reason: 'no EIP-2612 permit' };
+  }
+
+  const { chainId } = await provider.getNetwork();
+  const candidates = [];
+  const eip5267 = await read(() => token.eip712Domain(), 'eip712Domain');
+  if (eip5267) {
+    candidates.push({
+      name: eip5267.name,
+      version: eip5267.version,
+      chainId: eip5267.chainId,
+      verifyingContract: eip5267.verifyingContract
+    });
+  }
+
+  const name = await read(() => token.name(), 'name');
+  const version = await read(() => token.version(), 'version');
+  for (const candidate of new Set([version, '1', '2'].filter((value) => value !== null))) {
+    candidates.push({ name, version: candidate, chainId, verifyingContract: tokenAddress });
+  }
+
+  const domain = candidates.find((candidate) => ethers.TypedDataEncoder.hashDomain(candidate) === separator);
+  if (!domain) {
+    return { supported: false, reason: 'DOMAIN_SEPARATOR does not match a known EIP-712 domain' };
+  }
+
+  logger.debug(`Token supports EIP-2612 permit (version ${domain.version})`);
+  return { supported: true, domain };
+}
+
+/**
+ * Reads a Permit2 allowance
+ * @param {string} tokenAddress - Token contract address
+ * @param {string} ownerAddress - Token owner
+ * @param {string} spenderAddress - Spender (Universal Router)
+ * @param {ethers.Provider} provider - Provider instance
+ * @param {Object} logger - Logger instance
+ * @returns {Promise<{amount: bigint, expiration: number, nonce: number}>} Allowance, its expiry (unix seconds) and the next nonce
+ */
+export async function getPermit2Allowance(tokenAddress, ownerAddress, spenderAddress, provider, logger) {
+  const permit2 = new ethers.Contract(PERMIT2_ADDRESS, PERMIT2_ABI, provider);
+  const [amount, expiration, nonce] = await executeWithRetry(
+    () => permit2.allowance(ownerAddress, tokenAddress, spenderAddress),
+    logger,
+    'Permit2 allowance',
+    RETRY_POLICIES.READ
+  );
+  return { amount, expiration: Number(expiration), nonce: Number(nonce) };
+}
+
+/**
+ * Decides how a trade grants an allowance it is missing (see APPROVAL_METHODS)
+ * @param {string} tokenAddress - Token the router spends
+ * @param {bigint} requiredAmount - Allowance the trade needs
+ * @param {ethers.Wallet} wallet - Wallet instance
+ * @param {Object} options - Options
+ * @param {string} options.method - Requested method (APPROVAL_METHODS)
+ * @param {string} options.universalRouterAddress - Universal Router the Permit2 allowance is granted to
+ * @param {Object} logger - Logger instance
+ * @returns {Promise<Object>} {method, reason} plus, for PERMIT, the token's EIP-712 domain and,
+ *          for PERMIT2, whether Permit2 still needs an approve transaction (permit2Approved),
+ *          whether a signature is needed (signatureRequired) and the Permit2 nonce
+ */
+export async function resolveApprovalMethod(tokenAddress, requiredAmount, wallet, { method, universalRouterAddress }, logger) {
+  const approve = (reason) => ({ method: APPROVAL_METHODS.APPROVE, reason });
+  if (method === APPROVAL_METHODS.APPROVE) {
+    return approve('APPROVAL_METHOD is APPROVE');
+  }
+
+  const provider = wallet.provider;
+  const ownerAddress = await wallet.getAddress();
+
+  if (method !== APPROVAL_METHODS.PERMIT2) {
+    const permit = await detectPermitSupport(tokenAddress, provider, logger);
+    if (permit.supported) {
+      return { method: APPROVAL_METHODS.PERMIT, reason: 'token supports EIP-2612 permit', domain: permit.domain };
+    }
+    if (method === APPROVAL_METHODS.PERMIT) {
+      logger.warn(`EIP-2612 permit unavailable (${permit.reason}), falling back to an approve transaction`);
+      return approve(permit.reason);
+    }
+  }
+
+  // Permit2 spends through the token's ordinary allowance to the Permit2 contract
+  const permit2Approved = await getTokenAllowance(tokenAddress, ownerAddress, PERMIT2_ADDRESS, provider, logger) >= requiredAmount;
+  if (!permit2Approved && method === APPROVAL_METHODS.AUTO) {
+    return approve('no EIP-2612 permit and Permit2 is not approved for the token');
+  }
+
+  const allowance = await getPermit2Allowance(tokenAddress, ownerAddress, universalRouterAddress, provider, logger);
+  const signatureRequired = allowance.amount < requiredAmount || allowance.expiration <= Math.floor(Date.now() / 1000);
+
+  return {
+    method: APPROVAL_METHODS.PERMIT2,
+    reason: permit2Approved ? 'Permit2 is approved for the token' : 'APPROVAL_METHOD is PERMIT2',
+    permit2Approved,
+    signatureRequired,
+    nonce: allowance.nonce
+  };
+}
+
+// =============================================================================
+// SIGNING
+// =============================================================================
+
+/**
+ * Signs an EIP-2612 permit
+ * @param {ethers.Wallet} wallet - Wallet instance (token owner)
+ * @param {Object} domain - Token EIP-712 domain (see detectPermitSupport)
+ * @param {string} spenderAddress - Spender (SwapRouter02)
+ * @param {bigint} value - Allowance granted
+ * @param {number} deadline - Unix timestamp after which the permit is invalid
+ * @param {Object} logger - Logger instance
+ * @returns {Promise<Object>} {token, value, deadline, v, r, s} as selfPermit takes them
+ */
+export async function signPermit(wallet, domain, spenderAddress, value, deadline, logger) {
+  const ownerAddress = await wallet.getAddress();
+  const token = new ethers.Contract(domain.verifyingContract, ERC20_PERMIT_ABI, wallet.provider);
+  const nonce = await executeWithRetry(() => token.nonces(ownerAddress), logger, 'Token nonces', RETRY_POLICIES.READ);
+
+  const signature = ethers.Signature.from(await wallet.signTypedData(domain, PERMIT_TYPES, {
+    owner: ownerAddress,
+    spender: spenderAddress,
+    value,
+    nonce,
+    deadline
+  }));
+
+  logger.info(`Signed an EIP-2612 permit for ${value.toString()} (nonce ${nonce})`);
+  return { token: domain.verifyingContract, value, deadline, v: signature.v, r: signature.r, s: signature.s };
+}
+
+/**
+ * Signs a Permit2 PermitSingle
+ * @param {ethers.Wallet} wallet - Wallet instance (token owner)
+ * @param {string} tokenAddress - Token contract address
+ * @param {string} spenderAddress - Spender (Universal Router)
+ * @param {bigint} amount - Allowance granted (capped at the uint160 maximum)
+ * @param {Object} options - Options
+ * @param {number} options.nonce - Permit2 nonce (see getPermit2Allowance)
+ * @param {number} options.expiration - Unix timestamp the allowance expires at
+ * @param {number} options.sigDeadline - Unix timestamp after which the signature is invalid
+ * @param {Object} logger - Logger instance
+ * @returns {Promise<{permitSingle: Object, signature: string}>} PermitSingle and its signature
+ */
+export async function signPermit2(wallet, tokenAddress, spenderAddress, amount, { nonce, expiration, sigDeadline }, logger) {
+  const { chainId } = await wallet.provider.getNetwork();
+  const permitSingle = {
+    details: {
+      token: tokenAddress,
+      amount: amount > MAX_UINT160 ? MAX_UINT160 : amount,
+      expiration,
+      nonce
+    },
+    spender: spenderAddress,
+    sigDeadline
+  };
+
+  const signature = await wallet.signTypedData(
+    { name: 'Permit2', chainId, verifyingContract: PERMIT2_ADDRESS },
+    PERMIT2_PERMIT_TYPES,
+    permitSingle
+  );
+
+  logger.info(`Signed a Permit2 permit for ${permitSingle.details.amount.toString()} (nonce ${nonce})`);
+  return { permitSingle, signature };
+}
+
+// =============================================================================
+// PERMIT2 ALLOWANCES
+// =============================================================================
+
+/**
+ * Reads a spender's Permit2 allowance of each token
+ * @param {string[]} tokenAddresses - Token contract addresses
+ * @param {string} ownerAddress - Token owner
+ * @param {string} spenderAddress - Spender (Universal Router)
+ * @param {ethers.Provider} provider - Provider instance
+ * @param {Object} logger - Logger instance
+ * @returns {Promise<Object[]>} {address, symbol, decimals, allowance, balance, unlimited, expiration, expired}
+ *          per token, like getAllowances; an expired allowance can no longer be spent
+ */
+export async function getPermit2Allowances(tokenAddresses, ownerAddress, spenderAddress, provider, logger) {
+  const { timestamp } = await provider.getBlock('latest');
+  const allowances = [];
+
+  for (const address of tokenAddresses) {
+    const { symbol, decimals } = await getTokenInfo(address, provider, logger);
+    const { amount, expiration } = await getPermit2Allowance(address, ownerAddress, spenderAddress, provider, logger);
+    const balance = await getTokenBalance(address, ownerAddress, provider, logger);
+    allowances.push({
+      address,
+      symbol,
+      decimals,
+      allowance: amount,
+      balance,
+      unlimited: amount === MAX_UINT160,
+      expiration,
+      expired: expiration < timestamp
+    });
+  }
+
+  return allowances;
+}
+
+/**
+ * Revokes a spender's Permit2 allowance (Permit2 approve with amount 0)
+ * The token's own approval of Permit2 is left alone; see revokeApproval for that.
+ * @param {string} tokenAddress - Token contract address
+ * @param {string} spenderAddress - Spender (Universal Router)
+ * @param {ethers.Wallet} wallet - Wallet instance
+ * @param {Object} logger - Logger instance
+ * @param {Object} [options] - Options
+ * @param {number} [options.maxGasPriceGwei=MAX_GAS_PRICE_GWEI] - maxFeePerGas ceiling in Gwei
+ * @param {number} [options.gasLimitMultiplier=GAS_LIMIT_MULTIPLIER] - Safety multiplier on the gas estimate
+ * @returns {Promise<ethers.TransactionReceipt|null>} Transaction receipt, or null if there was nothing to revoke
+ */
+export async function revokePermit2Allowance(tokenAddress, spenderAddress, wallet, logger, {
+  maxGasPriceGwei = MAX_GAS_PRICE_GWEI,
+  gasLimitMultiplier = GAS_LIMIT_MULTIPLIER
+} = {}) {
+  const { amount } = await getPermit2Allowance(tokenAddress, await wallet.getAddress(), spenderAddress, wallet.provider, logger);
+
+  if (amount === 0n) {
+    logger.debug('No Permit2 allowance to revoke');
+    return null;
+  }
+
+  logger.info(`Revoking Permit2 allowance: ${amount.toString()}`);
+
+  const permit2 = new ethers.Contract(PERMIT2_ADDRESS, PERMIT2_ABI, wallet);
+  const { tx } = await sendTransaction(
+    wallet,
+    await permit2.approve.populateTransaction(tokenAddress, spenderAddress, 0n, 0),
+    logger,
+    'Permit2 revocation',
+    { maxGasPriceGwei, gasLimitMultiplier }
+  );
+
+  logger.logTransaction(tx.hash, { type: 'REVOKE', tokenAddress, permit2: true });
+
+  const receipt = await createTransactionManager(wallet, logger, { maxGasPriceGwei }).waitForReceipt(tx);
+
+  if (receipt.status !== 1) {
+    throw new BlockchainError(
+      'Permit2 revocation transaction failed',
+      ERROR_CODES.TX_REVERTED,
+      { txHash: receipt.hash }
+    );
+  }
+
+  logger.info(`Permit2 revocation confirmed in block ${receipt.blockNumber}`);
+  return receipt;
+}
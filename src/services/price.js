@@ -0,0 +1,221 @@
+/**
+ * @fileoverview Price service (ETH/USD and pool TWAPs)
+ * @description Reads the ETH/USD price from the Chainlink feed and from a TWAP of the WETH/USDC
+ *              Uniswap V3 pool, rejects stale or invalid answers, cross-checks the two sources
+ *              and refuses to price a trade when no trustworthy price is available; also reads
+ *              the pool TWAPs used to sanity-check swap quotes
+ */
+
+import { ethers } from 'ethers';
+import {
+  CHAINLINK_ETH_USD_FEED,
+  CHAINLINK_AGGREGATOR_ABI,
+  UNISWAP_V3_FACTORY,
+  UNISWAP_V3_FACTORY_ABI,
+  UNISWAP_V3_POOL_ABI,
+  WETH_ADDRESS,
+  USDC_ADDRESS,
+  USDC_DECIMALS,
+  MAX_PRICE_AGE_SECONDS,
+  PRICE_TWAP_SECONDS,
+  PRICE_TWAP_POOL_FEE,
+  MAX_PRICE_DEVIATION_BPS,
+  RETRY_POLICIES,
+  ERROR_CODES
+} from '../config/constants.js';
+import { BlockchainError, executeWithRetry } from './blockchain.js';
+
+// =============================================================================
+// ETH/USD PRICE
+// =============================================================================
+
+/**
+ * Gets the ETH price in USD
+ * Chainlink is the primary source and the WETH/USDC pool TWAP the fallback. When both are
+ * available they must agree within maxDeviationBps; a single valid source is used on its own.
+ * @param {ethers.Provider} provider - Provider instance
+ * @param {Object} logger - Logger instance
+ * @param {Object} [options] - Options
+ * @param {number} [options.maxAgeSeconds=MAX_PRICE_AGE_SECONDS] - Oldest accepted Chainlink answer
+ * @param {number} [options.twapSeconds=PRICE_TWAP_SECONDS] - TWAP window
+ * @param {number} [options.maxDeviationBps=MAX_PRICE_DEVIATION_BPS] - Largest accepted disagreement
+ * @param {string} [options.feedAddress=CHAINLINK_ETH_USD_FEED] - Chainlink ETH/USD aggregator
+ * @param {number} [options.poolFee=PRICE_TWAP_POOL_FEE] - Fee tier of the WETH/USDC pool
+ * @returns {Promise<number>} ETH price in USD
+ * @throws {BlockchainError} If no source gives a valid price or the sources disagree (PRICE_UNAVAILABLE);
+ *         details.sources lists every source with its price or the reason it was rejected
+ */
+export async function getEthPriceUsd(provider, logger, {
+  maxAgeSeconds = MAX_PRICE_AGE_SECONDS,
+  twapSeconds = PRICE_TWAP_SECONDS,
+  maxDeviationBps = MAX_PRICE_DEVIATION_BPS,
+  feedAddress = CHAINLINK_ETH_USD_FEED,
+  poolFee = PRICE_TWAP_POOL_FEE
+} = {}) {
+  const sources = [
+    await readChainlinkPrice(provider, { feedAddress, maxAgeSeconds }, logger),
+    await readPoolTwapPrice(provider, { poolFee, twapSeconds }, logger)
+  ];
+  const valid = sources.filter((source) => source.priceUsd !== null);
+
+  if (valid.length === 0) {
+    throw new BlockchainError(
+      `No trustworthy ETH/USD price, refusing to price the trade: ${sources.map(describePriceSource).join('; ')}`,
+      ERROR_CODES.PRICE_UNAVAILABLE,
+      { sources }
+    );
+  }
+
+  if (valid.length === 2) {
+    const [high, low] = valid.map((source) => source.priceUsd).sort((a, b) => b - a);
+    const deviationBps = Math.round((high - low) / low * 10000 * 100) / 100;
+    if (deviationBps > maxDeviationBps) {
+      throw new BlockchainError(
+        `ETH/USD sources disagree by ${(deviationBps / 100).toFixed(2)}% (max ${(maxDeviationBps / 100).toFixed(2)}%): ${sources.map(describePriceSource).join('; ')}`,
+        ERROR_CODES.PRICE_UNAVAILABLE,
+        { sources, deviationBps, maxDeviationBps }
+      );
+    }
+  } else {
+    const rejected = sources.find((source) => source.priceUsd === null);
+    logger.warn(`ETH price from ${valid[0].source} only, ${describePriceSource(rejected)}`);
+  }
+
+  const [price] = valid;
+  logger.debug(`ETH price from ${price.source}: $${price.priceUsd.toFixed(2)}`, {
+    sources: sources.map(describePriceSource)
+  });
+  return price.priceUsd;
+}
+
+/**
+ * Describes a price source for logs and errors
+ * @param {Object} source - Price source ({source, priceUsd, reason})
+ * @returns {string} e.g. "CHAINLINK $3012.45" or "UNISWAP_TWAP unavailable (no WETH/USDC 0.05% pool)"
+ */
+export function describePriceSource(source) {
+  return source.priceUsd !== null
+    ? `${source.source} $${source.priceUsd.toFixed(2)}`
+    : `${source.source} unavailable (${source.reason})`;
+}
+
+// =============================================================================
+// SOURCES
+// =============================================================================
+
+/**
+ * Reads and validates the latest Chainlink answer
+ * A round is rejected when its answer is not positive, it is incomplete (updatedAt 0), it was
+ * carried over from an earlier round (answeredInRound < roundId) or it is older than
+ * maxAgeSeconds at the latest block.
+ * @param {ethers.Provider} provider - Provider instance
+ * @param {Object} options - Options (feedAddress, maxAgeSeconds)
+ * @param {Object} logger - Logger instance
+ * @returns {Promise<Object>} {source: 'CHAINLINK', priceUsd, updatedAt} or {source, priceUsd: null, reason}
+ */
+async function readChainlinkPrice(provider, { feedAddress, maxAgeSeconds }, logger) {
+  const unavailable = (reason) => ({ source: 'CHAINLINK', priceUsd: null, reason });
+  const feed = new ethers.Contract(feedAddress, CHAINLINK_AGGREGATOR_ABI, provider);
+
+  let round;
+  let decimals;
+  let now;
+  try {
+    round = await executeWithRetry(() => feed.latestRoundData(), logger, 'Chainlink latestRoundData', RETRY_POLICIES.READ);
+    decimals = await executeWithRetry(() => feed.decimals(), logger, 'Chainlink decimals', RETRY_POLICIES.READ);
+    now = (await executeWithRetry(() => provider.getBlock('latest'), logger, 'Latest block', RETRY_POLICIES.READ)).timestamp;
+  } catch (error) {
+    return unavailable(`read failed: ${error.shortMessage ?? error.message}`);
+  }
+
+  const [roundId, answer, , updatedAt, answeredInRound] = round;
+  if (answer <= 0n) {
+    return unavailable(`answer ${answer} is not positive`);
+  }
+  if (updatedAt === 0n) {
+    return unavailable(`round ${roundId} is not complete`);
+  }
+  if (answeredInRound < roundId) {
+    return unavailable(`round ${roundId} carries the answer of round ${answeredInRound}`);
+  }
+
+  const ageSeconds = now - Number(updatedAt);
+  if (ageSeconds > maxAgeSeconds) {
+    return unavailable(`answer is ${ageSeconds}s old (max ${maxAgeSeconds}s)`);
+  }
+
+  return {
+    source: 'CHAINLINK',
+    priceUsd: Number(ethers.formatUnits(answer, decimals)),
+    updatedAt: Number(updatedAt)
+  };
+}
+
+/**
+ * Reads the time-weighted average price of the WETH/USDC pool from its oracle (observe())
+ * @param {ethers.Provider} provider - Provider instance
+ * @param {Object} options - Options (poolFee, twapSeconds)
+ * @param {Object} logger - Logger instance
+ * @returns {Promise<Object>} {source: 'UNISWAP_TWAP', priceUsd, pool} or {source, priceUsd: null, reason}
+ */
+async function readPoolTwapPrice(provider, { poolFee, twapSeconds }, logger) {
+  const unavailable = (reason) => ({ source: 'UNISWAP_TWAP', priceUsd: null, reason });
+  const factory = new ethers.Contract(UNISWAP_V3_FACTORY, UNISWAP_V3_FACTORY_ABI, provider);
+
+  let pool;
+  let meanTick;
+  try {
+    pool = await executeWithRetry(
+      () => factory.getPool(WETH_ADDRESS, USDC_ADDRESS, poolFee),
+      logger,
+      'WETH/USDC pool lookup',
+      RETRY_POLICIES.READ
+    );
+    if (pool === ethers.ZeroAddress) {
+      return unavailable(`no WETH/USDC ${poolFee / 10000}% pool`);
+    }
+
+    meanTick = await getPoolTwapTick(pool, twapSeconds, provider, logger);
+  } catch (error) {
+    return unavailable(`read failed: ${error.reason ?? error.shortMessage ?? error.message}`);
+  }
+
+  // 1.0001^tick is token1 per token0 in base units
+  const token1PerToken0 = 1.0001 ** meanTick;
+  const scale = 10 ** (18 - USDC_DECIMALS);
+  const wethIsToken0 = WETH_ADDRESS.toLowerCase() < USDC_ADDRESS.toLowerCase();
+
+  return {
+    source: 'UNISWAP_TWAP',
+    priceUsd: wethIsToken0 ? token1PerToken0 * scale : scale / token1PerToken0,
+    pool
+  };
+}
+
+// =============================================================================
+// POOL TWAP
+// =============================================================================
+
+/**
+ * Reads a pool's arithmetic mean tick over a window from its oracle (observe())
+ * 1.0001^tick is the pool's time-weighted price of token0 in token1 base units.
+ * @param {string} poolAddress - Uniswap V3 pool address
+ * @param {number} twapSeconds - Window ending now, in seconds
+ * @param {ethers.Provider} provider - Provider instance
+ * @param {Object} logger - Logger instance
+ * @returns {Promise<number>} Mean tick, rounded towards negative infinity like Uniswap's OracleLibrary
+ * @throws {Error} If observe() reverts (OLD when the pool's observations do not reach back far enough)
+ */
+export async function getPoolTwapTick(poolAddress, twapSeconds, provider, logger) {
+  const pool = new ethers.Contract(poolAddress, UNISWAP_V3_POOL_ABI, provider);
+  const [tickCumulatives] = await executeWithRetry(
+    () => pool.observe([twapSeconds, 0]),
+    logger,
+    'Pool observe',
+    RETRY_POLICIES.READ
+  );
+
+  const window = BigInt(twapSeconds);
+  const tickDelta = tickCumulatives[1] - tickCumulatives[0];
+  return Number(tickDelta / window - (tickDelta < 0n && tickDelta % window !== 0n ? 1n : 0n));
+}
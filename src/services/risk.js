@@ -0,0 +1,128 @@
+/**
+ * @fileoverview Risk limits enforced across runs
+ * @description Measures USD spend, gas spend and realized losses over rolling windows of
+ *              the trade ledger and blocks new buys once a configured limit is reached
+ */
+
+import {
+  RISK_LIMITS,
+  RISK_WINDOWS_MS,
+  CONFIG_SCHEMA,
+  LEDGER_PATH,
+  DEFAULT_COST_BASIS_METHOD,
+  ERROR_CODES
+} from '../config/constants.js';
+import { readLedger, listRealizedPnl } from './ledger.js';
+import { ValidationError } from '../utils/validation.js';
+
+// =============================================================================
+// RISK EVALUATION
+// =============================================================================
+
+/**
+ * Measures every configured risk limit against the ledger
+ * SPEND includes the buy being checked, so a buy that would cross the limit is blocked;
+ * GAS and LOSS only look at the past and block once the limit is reached.
+ * @param {Object[]} entries - Ledger entries
+ * @param {Object} limits - Settings holding the limits (RISK_LIMITS setting -> USD, unset = no limit)
+ * @param {Object} [options] - Options
+ * @param {number} [options.amountUsd=0] - USD value of the buy being checked
+ * @param {number} [options.now=Date.now()] - Current time in milliseconds
+ * @param {string} [options.method=DEFAULT_COST_BASIS_METHOD] - Cost basis method for realized losses
+ * @returns {Array<Object>} One {setting, env, metric, window, usedUsd, pendingUsd, limitUsd, exceeded}
+ *          per configured limit
+ */
+export function evaluateRiskLimits(entries, limits, {
+  amountUsd = 0,
+  now = Date.now(),
+  method = DEFAULT_COST_BASIS_METHOD
+} = {}) {
+  const configured = RISK_LIMITS.filter(({ setting }) => limits[setting] !== null && limits[setting] !== undefined);
+  if (configured.length === 0) {
+    return [];
+  }
+
+  const realized = configured.some(({ metric }) => metric === 'LOSS') ? listRealizedPnl(entries, { method }) : [];
+
+  return configured.map(({ setting, metric, window }) => {
+    const since = now - RISK_WINDOWS_MS[window];
+    const inWindow = (entry) => Date.parse(entry.timestamp) > since;
+    const limitUsd = limits[setting];
+
+    let usedUsd;
+    if (metric === 'SPEND') {
+      usedUsd = sumUsd(entries.filter((entry) => entry.type === 'BUY' && inWindow(entry)), (entry) => entry.usdValue);
+    } else if (metric === 'GAS') {
+      usedUsd = sumUsd(entries.filter(inWindow), (entry) => entry.gasCostUsd);
+    } else {
+      usedUsd = Math.max(0, -sumUsd(realized.filter((sell) => inWindow(sell.entry)), (sell) => sell.realizedPnlUsd));
+    }
+
+    const pendingUsd = metric === 'SPEND' ? amountUsd : 0;
+    return {
+      setting,
+      env: CONFIG_SCHEMA[setting].env,
+      metric,
+      window,
+      usedUsd,
+      pendingUsd,
+      limitUsd,
+      exceeded: pendingUsd > 0 ? usedUsd + pendingUsd > limitUsd : usedUsd >= limitUsd
+    };
+  });
+}
+
+/**
+ * Blocks a buy when a risk limit has been reached
+ * @param {number} amountUsd - USD value of the buy
+ * @param {Object} config - Validated configuration (risk limit settings, ledgerPath, costBasisMethod)
+ * @param {Object} logger - Logger instance
+ * @param {Object} [options] - Options
+ * @param {number} [options.now=Date.now()] - Current time in milliseconds
+ * @returns {Array<Object>} Limit usage (see evaluateRiskLimits)
+ * @throws {ValidationError} If a limit is reached (RISK_LIMIT_EXCEEDED); details.limits lists every limit
+ */
+export function enforceRiskLimits(amountUsd, config, logger, { now = Date.now() } = {}) {
+  const usage = evaluateRiskLimits(readLedger(logger, config.ledgerPath ?? LEDGER_PATH), config, {
+    amountUsd,
+    now,
+    method: config.costBasisMethod
+  });
+  if (usage.length === 0) {
+    return usage;
+  }
+
+  const tripped = usage.filter((limit) => limit.exceeded);
+  if (tripped.length > 0) {
+    throw new ValidationError(
+      `Risk limit reached, buy blocked: ${tripped.map(describeRiskLimit).join('; ')}`,
+      ERROR_CODES.RISK_LIMIT_EXCEEDED,
+      { amountUsd, limits: usage }
+    );
+  }
+
+  logger.info('Risk limits checked', { amountUsd, limits: usage.map(describeRiskLimit) });
+  return usage;
+}
+
+/**
+ * Describes a limit's usage
+ * @param {Object} limit - Limit usage (see evaluateRiskLimits)
+ * @returns {string} e.g. "daily spend $48.00 + $5.00 of $50.00 (MAX_DAILY_SPEND_USD)"
+ */
+export function describeRiskLimit(limit) {
+  const used = limit.pendingUsd > 0
+    ? `$${limit.usedUsd.toFixed(2)} + $${limit.pendingUsd.toFixed(2)}`
+    : `$${limit.usedUsd.toFixed(2)}`;
+  return `${limit.window.toLowerCase()} ${limit.metric.toLowerCase()} ${used} of $${limit.limitUsd.toFixed(2)} (${limit.env})`;
+}
+
+/**
+ * Sums a USD amount over ledger items, rounded to cents
+ * @param {Array} items - Items to sum
+ * @param {Function} pick - Item -> USD amount (missing amounts count as 0)
+ * @returns {number} Total in USD
+ */
+function sumUsd(items, pick) {
+  return Math.round(items.reduce((total, item) => total + (pick(item) ?? 0), 0) * 100) / 100;
+}
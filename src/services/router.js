@@ -0,0 +1,416 @@
+/**
+ * @fileoverview Route discovery for Uniswap V3 swaps
+ * @description Enumerates direct and multi-hop paths through intermediary tokens,
+ *              quotes them with QuoterV2 and picks the best route net of gas costs
+ */
+
+import { ethers } from 'ethers';
+import {
+  UNISWAP_V3_FACTORY,
+  UNISWAP_V3_FACTORY_ABI,
+  UNISWAP_V3_POOL_ABI,
+  UNISWAP_V3_QUOTER,
+  UNISWAP_V3_QUOTER_ABI,
+  WETH_ADDRESS,
+  POOL_FEE_TIERS,
+  ROUTE_INTERMEDIARIES,
+  TWAP_CHECK_SECONDS,
+  UNIVERSAL_ROUTER_COMMANDS,
+  ROUTER_ADDRESS_THIS,
+  RETRY_POLICIES,
+  ERROR_CODES
+} from '../config/constants.js';
+import { BlockchainError, executeWithRetry } from './blockchain.js';
+import { crossCheckedRead } from './rpc-pool.js';
+import { getPoolTwapTick } from './price.js';
+
+// =============================================================================
+// PATH ENCODING
+// =============================================================================
+
+/**
+ * Encodes a Uniswap V3 swap path (token, fee, token, fee, ..., token)
+ * @param {string[]} tokens - Token addresses in swap order
+ * @param {number[]} fees - Pool fee for each hop (tokens.length - 1 entries)
+ * @returns {string} Packed path bytes
+ */
+export function encodeRoutePath(tokens, fees) {
+  if (tokens.length < 2 || fees.length !== tokens.length - 1) {
+    throw new BlockchainError(
+      'Invalid route: expected one fee per hop',
+      ERROR_CODES.INVALID_CONFIG,
+      { tokens: tokens.length, fees: fees.length }
+    );
+  }
+
+  const types = [];
+  const values = [];
+
+  tokens.forEach((token, index) => {
+    types.push('address');
+    values.push(token);
+
+    if (index < fees.length) {
+      types.push('uint24');
+      values.push(fees[index]);
+    }
+  });
+
+  return ethers.solidityPacked(types, values);
+}
+
+/**
+ * Lists candidate routes: every direct fee tier, then every fee-tier pair through each intermediary
+ * @param {string} tokenIn - Input token address
+ * @param {string} tokenOut - Output token address
+ * @param {string[]} [intermediaries=ROUTE_INTERMEDIARIES] - Tokens allowed as a middle hop
+ * @param {number[]} [feeTiers=POOL_FEE_TIERS] - Pool fee tiers to try on each hop
+ * @returns {Array<{tokens: string[], fees: number[]}>} Candidate routes
+ */
+export function enumerateRoutes(tokenIn, tokenOut, intermediaries = ROUTE_INTERMEDIARIES, feeTiers = POOL_FEE_TIERS) {
+  const routes = feeTiers.map((fee) => ({ tokens: [tokenIn, tokenOut], fees: [fee] }));
+
+  const endpoints = [tokenIn.toLowerCase(), tokenOut.toLowerCase()];
+  const seen = new Set();
+
+  for (const intermediary of intermediaries) {
+    const normalized = intermediary.toLowerCase();
+    if (endpoints.includes(normalized) || seen.has(normalized)) {
+      continue;
+    }
+    seen.add(normalized);
+
+    for (const feeIn of feeTiers) {
+      for (const feeOut of feeTiers) {
+        routes.push({ tokens: [tokenIn, intermediary, tokenOut], fees: [feeIn, feeOut] });
+      }
+    }
+  }
+
+  return routes;
+}
+
+/**
+ * Formats a route's fee tiers for display (e.g. "0.3% → 0.05%")
+ * @param {Object} route - Route with a fees array
+ * @returns {string} Human readable fee path
+ */
+export function formatRouteFees(route) {
+  return route.fees.map((fee) => `${fee / 10000}%`).join(' → ');
+}
+
+// =============================================================================
+// ROUTE SELECTION
+// =============================================================================
+
+/**
+ * Finds the route with the highest output net of estimated gas
+ * Gas is converted into output-token units when one side of the trade is WETH;
+ * otherwise routes are ranked by gross output
+ * @param {string} tokenIn - Input token address
+ * @param {string} tokenOut - Output token address
+ * @param {bigint} amountIn - Amount of input token
+ * @param {ethers.Provider} provider - Provider instance
+ * @param {Object} logger - Logger instance
+ * @param {string[]} [intermediaries=ROUTE_INTERMEDIARIES] - Tokens allowed as a middle hop
+ * @param {Object} [options] - Options
+ * @param {number[]} [options.feeTiers=POOL_FEE_TIERS] - Pool fee tiers to try on each hop
+ * @param {string} [options.quoterAddress=UNISWAP_V3_QUOTER] - QuoterV2 address
+ * @returns {Promise<Object>} Best route: tokens, fees, path, amountOut, sqrtPriceX96AfterList,
+ *          gasEstimate, gasCostWei, netAmountOut
+ */
+export async function findBestRoute(tokenIn, tokenOut, amountIn, provider, logger, intermediaries = ROUTE_INTERMEDIARIES, {
+  feeTiers = POOL_FEE_TIERS,
+  quoterAddress = UNISWAP_V3_QUOTER
+} = {}) {
+  const quoter = new ethers.Contract(quoterAddress, UNISWAP_V3_QUOTER_ABI, provider);
+  const { gasPrice } = await provider.getFeeData();
+
+  let bestRoute = null;
+
+  for (const candidate of enumerateRoutes(tokenIn, tokenOut, intermediaries, feeTiers)) {
+    const path = encodeRoutePath(candidate.tokens, candidate.fees);
+    const label = `${candidate.tokens.length - 1}-hop ${formatRouteFees(candidate)}`;
+
+    try {
+      const [amountOut, sqrtPriceX96AfterList, , gasEstimate] = await executeWithRetry(
+        () => quoter.quoteExactInput.staticCall(path, amountIn),
+        logger,
+        `Quote ${label}`,
+        RETRY_POLICIES.QUOTE
+      );
+      if (amountOut === 0n) {
+        continue;
+      }
+
+      const gasCostWei = gasEstimate * (gasPrice ?? 0n);
+      const netAmountOut = amountOut - gasCostInOutputToken(tokenIn, tokenOut, amountIn, amountOut, gasCostWei);
+
+      logger.debug(`Route ${label}: amountOut = ${amountOut.toString()}, net = ${netAmountOut.toString()}`);
+
+      if (!bestRoute || netAmountOut > bestRoute.netAmountOut) {
+        bestRoute = {
+          ...candidate,
+          path,
+          amountOut,
+          sqrtPriceX96AfterList: [...sqrtPriceX96AfterList],
+          gasEstimate,
+          gasCostWei,
+          netAmountOut
+        };
+      }
+    } catch (error) {
+      logger.debug(`Route ${label} not available or no liquidity`);
+    }
+  }
+
+  if (!bestRoute) {
+    throw new BlockchainError(
+      'No liquidity found for token pair',
+      ERROR_CODES.NO_LIQUIDITY,
+      { tokenIn, tokenOut, intermediaries }
+    );
+  }
+
+  // The trade's minimum output is derived from this quote, so confirm it on a second endpoint
+  const [verifiedAmountOut, verifiedPrices] = await executeWithRetry(
+    () => crossCheckedRead(
+      provider,
+      async (reader, blockTag) => {
+        const [amountOut, sqrtPriceX96AfterList] = await quoter.connect(reader).quoteExactInput.staticCall(
+          bestRoute.path,
+          amountIn,
+          { blockTag }
+        );
+        return [amountOut, [...sqrtPriceX96AfterList]];
+      },
+      'Route quote'
+    ),
+    logger,
+    'Route quote',
+    RETRY_POLICIES.QUOTE
+  );
+  bestRoute.amountOut = verifiedAmountOut;
+  bestRoute.sqrtPriceX96AfterList = verifiedPrices;
+
+  logger.info(`Best route: ${bestRoute.tokens.length - 1} hop(s) via ${formatRouteFees(bestRoute)}, expected output: ${bestRoute.amountOut.toString()}`);
+  return bestRoute;
+}
+
+/**
+ * Expresses a gas cost in output-token units
+ * @param {string} tokenIn - Input token address
+ * @param {string} tokenOut - Output token address
+ * @param {bigint} amountIn - Amount of input token
+ * @param {bigint} amountOut - Quoted output amount
+ * @param {bigint} gasCostWei - Gas cost in wei
+ * @returns {bigint} Gas cost in output-token units (0 when neither side is WETH)
+ */
+function gasCostInOutputToken(tokenIn, tokenOut, amountIn, amountOut, gasCostWei) {
+  if (tokenOut.toLowerCase() === WETH_ADDRESS.toLowerCase()) {
+    return gasCostWei;
+  }
+  if (tokenIn.toLowerCase() === WETH_ADDRESS.toLowerCase()) {
+    return gasCostWei * amountOut / amountIn;
+  }
+  return 0n;
+}
+
+// =============================================================================
+// PRICE IMPACT
+// =============================================================================
+
+/**
+ * Computes a route's price impact from each pool's current slot0 price and the
+ * post-swap price reported by QuoterV2; per-hop impacts compound across the route
+ * @param {Object} route - Route returned by findBestRoute
+ * @param {ethers.Provider} provider - Provider instance
+ * @param {Object} logger - Logger instance
+ * @returns {Promise<{impactBps: number, hops: Array<{pool: string, impactBps: number}>}>} Price impact
+ */
+export async function calculatePriceImpact(route, provider, logger) {
+  const hops = [];
+
+  for (const [index, poolAddress] of (await getRoutePools(route, provider)).entries()) {
+    const pool = new ethers.Contract(poolAddress, UNISWAP_V3_POOL_ABI, provider);
+    const [sqrtPriceX96Before] = await pool.slot0();
+
+    hops.push({
+      pool: poolAddress,
+      impactBps: sqrtPriceImpactBps(sqrtPriceX96Before, route.sqrtPriceX96AfterList[index])
+    });
+  }
+
+  const priceRetained = hops.reduce((retained, hop) => retained * (1 - hop.impactBps / 10000), 1);
+  const impactBps = Math.round((1 - priceRetained) * 10000 * 100) / 100;
+
+  logger.info(`Price impact: ${(impactBps / 100).toFixed(2)}%`, { hops });
+  return { impactBps, hops };
+}
+
+/**
+ * Looks up the pool of each hop of a route
+ * @param {Object} route - Route returned by findBestRoute
+ * @param {ethers.Provider} provider - Provider instance
+ * @returns {Promise<string[]>} Pool addresses in swap order
+ */
+export async function getRoutePools(route, provider) {
+  const factory = new ethers.Contract(UNISWAP_V3_FACTORY, UNISWAP_V3_FACTORY_ABI, provider);
+  const pools = [];
+  for (let index = 0; index < route.fees.length; index++) {
+    pools.push(await factory.getPool(route.tokens[index], route.tokens[index + 1], route.fees[index]));
+  }
+  return pools;
+}
+
+/**
+ * Price impact of moving a pool from one sqrt price to another, in basis points
+ * The trader's execution price worsens by (max² - min²) / max² whichever way the price moves
+ * @param {bigint} sqrtPriceX96Before - Pool sqrt price before the swap
+ * @param {bigint} sqrtPriceX96After - Pool sqrt price after the swap
+ * @returns {number} Impact in basis points (two decimal places)
+ */
+function sqrtPriceImpactBps(sqrtPriceX96Before, sqrtPriceX96After) {
+  const [low, high] = sqrtPriceX96Before < sqrtPriceX96After
+    ? [sqrtPriceX96Before, sqrtPriceX96After]
+    : [sqrtPriceX96After, sqrtPriceX96Before];
+
+  if (high === 0n) {
+    return 0;
+  }
+
+  // Hundredths of a basis point keep precision for small trades
+  const impact = (high * high - low * low) * 1000000n / (high * high);
+  return Number(impact) / 100;
+}
+
+// =============================================================================
+// TWAP SANITY CHECK
+// =============================================================================
+
+/**
+ * Measures how far a route's quoted execution price is from the TWAP of its pools
+ * The quote is taken before LP fees, so what remains is the trade's own price impact plus
+ * any gap between a pool's spot price and its recent average (e.g. a momentarily
+ * manipulated pool). Each hop's TWAP comes from the pool's observe() oracle; hops compound.
+ * @param {Object} route - Route returned by findBestRoute
+ * @param {bigint} amountIn - Input amount the route was quoted for
+ * @param {ethers.Provider} provider - Provider instance
+ * @param {Object} logger - Logger instance
+ * @param {Object} [options] - Options
+ * @param {number} [options.twapSeconds=TWAP_CHECK_SECONDS] - TWAP window in seconds
+ * @returns {Promise<Object>} {checked: true, deviationBps, twapSeconds, hops: [{pool, twapTick}]}, or
+ *          {checked: false, twapSeconds, reason} when a pool's observations do not cover the window
+ *          (see validateTwapAvailable)
+ */
+export async function calculateTwapDeviation(route, amountIn, provider, logger, { twapSeconds = TWAP_CHECK_SECONDS } = {}) {
+  const hops = [];
+
+  for (const [index, pool] of (await getRoutePools(route, provider)).entries()) {
+    let twapTick;
+    try {
+      twapTick = await getPoolTwapTick(pool, twapSeconds, provider, logger);
+    } catch (error) {
+      if (error.code !== 'CALL_EXCEPTION') {
+        throw error;
+      }
+      // Pools that never raised their observation cardinality cannot provide a TWAP
+      const reason = `pool ${pool} has no ${twapSeconds}s TWAP (${error.reason ?? error.shortMessage})`;
+      logger.warn(`TWAP unavailable: ${reason}`);
+      return { checked: false, twapSeconds, reason };
+    }
+    hops.push({ pool, twapTick, zeroForOne: route.tokens[index].toLowerCase() < route.tokens[index + 1].toLowerCase() });
+  }
+
+  // 1.0001^tick prices token0 in token1, so a hop selling token1 uses the inverse
+  const routeTick = hops.reduce((sum, hop) => sum + (hop.zeroForOne ? hop.twapTick : -hop.twapTick), 0);
+  const twapPrice = 1.0001 ** routeTick;
+  const feeRetained = route.fees.reduce((retained, fee) => retained * (1 - fee / 1000000), 1);
+  const quotedPrice = Number(route.amountOut) / (Number(amountIn) * feeRetained);
+  const deviationBps = Math.round(Math.abs(quotedPrice / twapPrice - 1) * 10000 * 100) / 100;
+
+  const result = { checked: true, deviationBps, twapSeconds, hops: hops.map(({ pool, twapTick }) => ({ pool, twapTick })) };
+  logger.info(`TWAP check: quote is ${(deviationBps / 100).toFixed(2)}% from the ${twapSeconds / 60}-minute TWAP`, { hops: result.hops });
+  return result;
+}
+
+// =============================================================================
+// EXECUTION
+// =============================================================================
+
+/**
+ * Builds the SwapRouter02 call for a route
+ * Single-hop routes use exactInputSingle, multi-hop routes use exactInput with the encoded path
+ * @param {Object} route - Route returned by findBestRoute
+ * @param {string} recipient - Recipient of the output token
+ * @param {bigint} amountIn - Amount of input token
+ * @param {bigint} amountOutMinimum - Minimum acceptable output
+ * @returns {{name: string, args: Array}} Router function name and arguments
+ */
+export function buildSwapCall(route, recipient, amountIn, amountOutMinimum) {
+  if (route.fees.length === 1) {
+    return {
+      name: 'exactInputSingle',
+      args: [{
+        tokenIn: route.tokens[0],
+        tokenOut: route.tokens[1],
+        fee: route.fees[0],
+        recipient,
+        amountIn,
+        amountOutMinimum,
+        sqrtPriceLimitX96: 0n
+      }]
+    };
+  }
+
+  return {
+    name: 'exactInput',
+    args: [{
+      path: route.path,
+      recipient,
+      amountIn,
+      amountOutMinimum
+    }]
+  };
+}
+
+/**
+ * Builds the Universal Router commands for a route paid from the caller's Permit2 allowance
+ * An optional Permit2 permit is redeemed first; when unwrapping, the router keeps the WETH
+ * output and sends it on as native ETH.
+ * @param {Object} route - Route returned by findBestRoute
+ * @param {string} recipient - Recipient of the output (token, or ETH when unwrapping)
+ * @param {bigint} amountIn - Amount of input token
+ * @param {bigint} amountOutMinimum - Minimum acceptable output
+ * @param {Object} [options] - Options
+ * @param {Object|null} [options.permit2=null] - Signed Permit2 permit ({permitSingle, signature}, see signPermit2)
+ * @param {boolean} [options.unwrap=false] - Unwrap the WETH output to native ETH
+ * @returns {{commands: string, inputs: string[]}} execute() arguments
+ */
+export function buildUniversalRouterSwap(route, recipient, amountIn, amountOutMinimum, { permit2 = null, unwrap = false } = {}) {
+  const coder = ethers.AbiCoder.defaultAbiCoder();
+  const commands = [];
+  const inputs = [];
+
+  if (permit2) {
+    commands.push(UNIVERSAL_ROUTER_COMMANDS.PERMIT2_PERMIT);
+    inputs.push(coder.encode(
+      ['tuple(tuple(address token, uint160 amount, uint48 expiration, uint48 nonce) details, address spender, uint256 sigDeadline)', 'bytes'],
+      [permit2.permitSingle, permit2.signature]
+    ));
+  }
+
+  // payerIsUser: the input is pulled from the caller through Permit2
+  commands.push(UNIVERSAL_ROUTER_COMMANDS.V3_SWAP_EXACT_IN);
+  inputs.push(coder.encode(
+    ['address', 'uint256', 'uint256', 'bytes', 'bool'],
+    [unwrap ? ROUTER_ADDRESS_THIS : recipient, amountIn, unwrap ? 0n : amountOutMinimum, route.path, true]
+  ));
+
+  if (unwrap) {
+    commands.push(UNIVERSAL_ROUTER_COMMANDS.UNWRAP_WETH);
+    inputs.push(coder.encode(['address', 'uint256'], [recipient, amountOutMinimum]));
+  }
+
+  return { commands: ethers.hexlify(Uint8Array.from(commands)), inputs };
+}
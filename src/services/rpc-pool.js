@@ -0,0 +1,391 @@
+/**
+ * @fileoverview Health-scored RPC endpoint pool
+ * @description An ethers provider that spreads JSON-RPC calls over several endpoints. Each
+ *              endpoint is scored from its latency, error rate and block-height lag; every
+ *              call goes to the healthiest one and fails over to the next on transport
+ *              errors. Critical reads can be cross-checked against a second endpoint.
+ */
+
+import { ethers } from 'ethers';
+import {
+  BASE_CHAIN_ID,
+  RPC_CALL_TIMEOUT_MS,
+  RPC_HEALTH_CHECK_INTERVAL_MS,
+  RPC_MAX_BLOCK_LAG,
+  RPC_FAILURE_COOLDOWN_MS,
+  RPC_SCORE_WEIGHTS,
+  ERROR_CODES
+} from '../config/constants.js';
+import { BlockchainError } from './blockchain.js';
+
+/**
+ * JSON-RPC error codes that mean "this endpoint is overloaded", not "this request is invalid"
+ * @constant {number[]}
+ */
+const RATE_LIMIT_CODES = [-32005, 429];
+
+// =============================================================================
+// SCORING
+// =============================================================================
+
+/**
+ * Creates the health record of an endpoint
+ * @param {string} url - RPC URL
+ * @param {number|null} [latencyMs=null] - Initial latency (e.g. of the connection probe)
+ * @returns {Object} Endpoint ({ url, label, latencyMs, errorRate, blockNumber, cooldownUntil, requests, failures })
+ */
+export function createEndpoint(url, latencyMs = null) {
+  return {
+    url,
+    label: `${url.substring(0, 30)}...`,
+    latencyMs,
+    errorRate: 0,
+    blockNumber: null,
+    cooldownUntil: 0,
+    requests: 0,
+    failures: 0
+  };
+}
+
+/**
+ * Scores an endpoint (lower is healthier)
+ * @param {Object} endpoint - Endpoint health record
+ * @param {number|null} headBlock - Highest block number reported by any endpoint
+ * @returns {number} Score in milliseconds-equivalent
+ */
+export function scoreEndpoint(endpoint, headBlock) {
+  return (endpoint.latencyMs ?? 0) +
+    endpoint.errorRate * RPC_SCORE_WEIGHTS.ERROR_RATE_MS +
+    getBlockLag(endpoint, headBlock) * RPC_SCORE_WEIGHTS.BLOCK_LAG_MS;
+}
+
+/**
+ * Blocks an endpoint trails the head by (0 when unknown)
+ * @param {Object} endpoint - Endpoint health record
+ * @param {number|null} headBlock - Highest known block number
+ * @returns {number} Block lag
+ */
+function getBlockLag(endpoint, headBlock) {
+  if (endpoint.blockNumber === null || headBlock === null) {
+    return 0;
+  }
+  return Math.max(headBlock - endpoint.blockNumber, 0);
+}
+
+/**
+ * Exponentially weighted moving average
+ * @param {number|null} previous - Previous average (null = no sample yet)
+ * @param {number} sample - New sample
+ * @returns {number} Updated average
+ */
+function smooth(previous, sample) {
+  return previous === null ? sample : previous + RPC_SCORE_WEIGHTS.SMOOTHING * (sample - previous);
+}
+
+// =============================================================================
+// POOL PROVIDER
+// =============================================================================
+
+/**
+ * ethers provider backed by a pool of health-scored endpoints
+ * Behaves like a JsonRpcProvider (wallets, contracts and send() work unchanged); only the
+ * transport is replaced so each call can be routed and retried on another endpoint.
+ */
+export class RpcPoolProvider extends ethers.JsonRpcApiProvider {
+  /**
+   * @param {string[]} urls - Endpoint URLs in preference order (used to break score ties)
+   * @param {Object} logger - Logger instance
+   * @param {Object} [options] - Options
+   * @param {Object<string, number>} [options.latencies] - Latency of each URL's connection probe
+   * @param {number} [options.callTimeoutMs=RPC_CALL_TIMEOUT_MS] - Per-call timeout
+   * @param {number} [options.healthCheckIntervalMs=RPC_HEALTH_CHECK_INTERVAL_MS] - Block-height check interval
+   */
+  constructor(urls, logger, {
+    latencies = {},
+    callTimeoutMs = RPC_CALL_TIMEOUT_MS,
+    healthCheckIntervalMs = RPC_HEALTH_CHECK_INTERVAL_MS
+  } = {}) {
+    // cacheTimeout disabled so balances read right after a confirmation are never stale
+    super(BASE_CHAIN_ID, { staticNetwork: true, batchMaxCount: 1, cacheTimeout: -1 });
+
+    this.logger = logger;
+    this.callTimeoutMs = callTimeoutMs;
+    this.healthCheckIntervalMs = healthCheckIntervalMs;
+    this.lastHealthCheck = 0;
+    this.endpoints = urls.map((url) => createEndpoint(url, latencies[url] ?? null));
+    this.pinned = new Map();
+  }
+
+  /**
+   * Highest block number reported by any endpoint
+   * @returns {number|null} Head block (null before the first health check)
+   */
+  getHeadBlock() {
+    const heights = this.endpoints.map((endpoint) => endpoint.blockNumber).filter((height) => height !== null);
+    return heights.length > 0 ? Math.max(...heights) : null;
+  }
+
+  /**
+   * Orders endpoints from healthiest to least healthy
+   * Endpoints cooling down after a failure or lagging more than RPC_MAX_BLOCK_LAG blocks
+   * come last and are only used when every healthy endpoint has failed.
+   * @returns {Object[]} Endpoints in routing order
+   */
+  rankEndpoints() {
+    const head = this.getHeadBlock();
+    const now = Date.now();
+    const byScore = (a, b) => scoreEndpoint(a, head) - scoreEndpoint(b, head);
+    const healthy = (endpoint) => endpoint.cooldownUntil <= now && getBlockLag(endpoint, head) <= RPC_MAX_BLOCK_LAG;
+
+    return [
+      ...this.endpoints.filter(healthy).sort(byScore),
+      ...this.endpoints.filter((endpoint) => !healthy(endpoint)).sort(byScore)
+    ];
+  }
+
+  /**
+   * Summarizes the health of every endpoint
+   * @returns {Object[]} Per-endpoint label, score, latency, error rate, lag and request counts
+   */
+  getHealth() {
+    const head = this.getHeadBlock();
+    return this.rankEndpoints().map((endpoint) => ({
+      endpoint: endpoint.label,
+      score: Math.round(scoreEndpoint(endpoint, head)),
+      latencyMs: endpoint.latencyMs === null ? null : Math.round(endpoint.latencyMs),
+      errorRate: Number(endpoint.errorRate.toFixed(3)),
+      blockLag: getBlockLag(endpoint, head),
+      requests: endpoint.requests,
+      failures: endpoint.failures
+    }));
+  }
+
+  /**
+   * Posts a JSON-RPC payload to one endpoint
+   * @param {Object} endpoint - Endpoint health record
+   * @param {Object|Object[]} payload - JSON-RPC payload
+   * @returns {Promise<Object[]>} JSON-RPC responses
+   * @throws {Error} On transport errors, timeouts and rate limiting
+   */
+  async post(endpoint, payload) {
+    const request = new ethers.FetchRequest(endpoint.url);
+    request.body = JSON.stringify(payload);
+    request.setHeader('content-type', 'application/json');
+    request.timeout = this.callTimeoutMs;
+    // Fail over immediately instead of waiting out the endpoint's throttling
+    request.setThrottleParams({ maxAttempts: 1 });
+
+    const response = await request.send();
+    response.assertOk();
+
+    const results = Array.isArray(response.bodyJson) ? response.bodyJson : [response.bodyJson];
+    const limited = results.find((result) => RATE_LIMIT_CODES.includes(result.error?.code));
+    if (limited) {
+      throw new Error(`rate limited: ${limited.error.message}`);
+    }
+    return results;
+  }
+
+  /**
+   * Records a successful call
+   * @param {Object} endpoint - Endpoint health record
+   * @param {number} latencyMs - Call latency
+   */
+  recordSuccess(endpoint, latencyMs) {
+    endpoint.requests++;
+    endpoint.latencyMs = smooth(endpoint.latencyMs, latencyMs);
+    endpoint.errorRate = smooth(endpoint.errorRate, 0);
+  }
+
+  /**
+   * Records a failed call and puts the endpoint in cooldown
+   * @param {Object} endpoint - Endpoint health record
+   */
+  recordFailure(endpoint) {
+    endpoint.requests++;
+    endpoint.failures++;
+    endpoint.errorRate = smooth(endpoint.errorRate, 1);
+    endpoint.cooldownUntil = Date.now() + RPC_FAILURE_COOLDOWN_MS;
+  }
+
+  /**
+   * Refreshes the block height and latency of every endpoint
+   * @returns {Promise<void>}
+   */
+  async checkHealth() {
+    this.lastHealthCheck = Date.now();
+
+    await Promise.all(this.endpoints.map(async (endpoint) => {
+      const start = Date.now();
+      try {
+        const [response] = await this.post(endpoint, { jsonrpc: '2.0', id: 1, method: 'eth_blockNumber', params: [] });
+        if (response.error) {
+          throw new Error(response.error.message);
+        }
+        this.recordSuccess(endpoint, Date.now() - start);
+        endpoint.blockNumber = Number(response.result);
+      } catch (error) {
+        this.recordFailure(endpoint);
+        this.logger.warn(`RPC health check failed on ${endpoint.label}`, { error: error.message });
+      }
+    }));
+
+    this.logger.debug('RPC pool health', { endpoints: this.getHealth() });
+  }
+
+  /**
+   * Routes a payload to the healthiest endpoint, failing over on errors
+   * (ethers transport hook; JSON-RPC error responses such as reverts are returned, not retried)
+   * @param {Object|Object[]} payload - JSON-RPC payload
+   * @returns {Promise<Object[]>} JSON-RPC responses
+   * @throws {BlockchainError} If every endpoint failed (RPC_CONNECTION_FAILED)
+   */
+  async _send(payload) {
+    if (this.endpoints.length > 1 && Date.now() - this.lastHealthCheck >= this.healthCheckIntervalMs) {
+      await this.checkHealth();
+    }
+
+    const method = Array.isArray(payload) ? payload.map((entry) => entry.method).join(',') : payload.method;
+    let lastError;
+
+    for (const endpoint of this.rankEndpoints()) {
+      const start = Date.now();
+      try {
+        const results = await this.post(endpoint, payload);
+        this.recordSuccess(endpoint, Date.now() - start);
+        if (method === 'eth_blockNumber' && results[0]?.result) {
+          endpoint.blockNumber = Number(results[0].result);
+        }
+        return results;
+      } catch (error) {
+        this.recordFailure(endpoint);
+        lastError = error;
+        this.logger.warn(`RPC call ${method} failed on ${endpoint.label}, failing over`, {
+          error: error.shortMessage || error.message
+        });
+      }
+    }
+
+    throw new BlockchainError(
+      `RPC call ${method} failed on every endpoint`,
+      ERROR_CODES.RPC_CONNECTION_FAILED,
+      { endpoints: this.endpoints.length, lastError: lastError?.message }
+    );
+  }
+
+  /**
+   * Gets a provider bound to a single endpoint (for cross-checks)
+   * @param {Object} endpoint - Endpoint health record
+   * @returns {ethers.JsonRpcProvider} Provider
+   */
+  getPinnedProvider(endpoint) {
+    if (!this.pinned.has(endpoint.url)) {
+      this.pinned.set(endpoint.url, new ethers.JsonRpcProvider(endpoint.url, BASE_CHAIN_ID, {
+        staticNetwork: true,
+        batchMaxCount: 1,
+        cacheTimeout: -1
+      }));
+    }
+    return this.pinned.get(endpoint.url);
+  }
+
+  /**
+   * Runs a read on the two healthiest endpoints at the same block and compares the results
+   * If only one endpoint is usable (or the second cannot serve the block), the read is
+   * returned unverified with a warning.
+   * @param {Function} read - async (provider, blockTag) => value
+   * @param {string} label - What is being read (for logs and errors)
+   * @returns {Promise<any>} Value read
+   * @throws {BlockchainError} If the endpoints disagree (RPC_MISMATCH)
+   */
+  async crossCheck(read, label) {
+    const [primary, secondary] = this.rankEndpoints().filter((endpoint) => endpoint.cooldownUntil <= Date.now());
+    if (!secondary) {
+      return read(this, 'latest');
+    }
+
+    let blockTag;
+    try {
+      blockTag = await this.getPinnedProvider(primary).getBlockNumber();
+    } catch (error) {
+      this.recordFailure(primary);
+      return read(this, 'latest');
+    }
+
+    const [first, second] = await Promise.allSettled([
+      read(this.getPinnedProvider(primary), blockTag),
+      read(this.getPinnedProvider(secondary), blockTag)
+    ]);
+
+    if (first.status === 'rejected' && second.status === 'rejected') {
+      throw first.reason;
+    }
+    if (first.status === 'rejected' || second.status === 'rejected') {
+      const failed = first.status === 'rejected' ? primary : secondary;
+      this.logger.warn(`${label} not cross-checked: ${failed.label} could not serve block ${blockTag}`, {
+        error: (first.reason ?? second.reason)?.message
+      });
+      return first.status === 'fulfilled' ? first.value : second.value;
+    }
+
+    if (serialize(first.value) !== serialize(second.value)) {
+      throw new BlockchainError(
+        `${label} differs between RPC endpoints`,
+        ERROR_CODES.RPC_MISMATCH,
+        {
+          blockTag,
+          endpoints: [primary.label, secondary.label],
+          values: [serialize(first.value), serialize(second.value)]
+        }
+      );
+    }
+
+    return first.value;
+  }
+
+  /**
+   * Destroys the pool and its pinned providers
+   */
+  destroy() {
+    for (const provider of this.pinned.values()) {
+      provider.destroy();
+    }
+    this.pinned.clear();
+    super.destroy();
+  }
+}
+
+// =============================================================================
+// CROSS-CHECKED READS
+// =============================================================================
+
+/**
+ * Runs a critical read, cross-checked when the provider is an RPC pool
+ * @param {ethers.Provider} provider - Provider instance
+ * @param {Function} read - async (provider, blockTag) => value
+ * @param {string} label - What is being read (for logs and errors)
+ * @returns {Promise<any>} Value read
+ * @throws {BlockchainError} If pool endpoints disagree (RPC_MISMATCH)
+ */
+export function crossCheckedRead(provider, read, label) {
+  return provider instanceof RpcPoolProvider
+    ? provider.crossCheck(read, label)
+    : read(provider, 'latest');
+}
+
+/**
+ * Serializes a read result for comparison (bigints and ethers Results included)
+ * @param {any} value - Value read
+ * @returns {string} Canonical JSON
+ */
+function serialize(value) {
+  return JSON.stringify(value, (key, entry) => {
+    if (typeof entry === 'bigint') {
+      return entry.toString();
+    }
+    if (entry instanceof ethers.Result) {
+      return entry.toArray(true);
+    }
+    return entry;
+  });
+}
@@ -0,0 +1,470 @@
+/**
+ * @fileoverview Pre-trade token safety inspection
+ * @description Checks that a token has bytecode and answers the ERC20 metadata calls, flags
+ *              upgradeable proxies, simulates a small buy/sell round trip through the router
+ *              with eth_call to detect tokens that cannot be bought or sold, and measures transfer
+ *              taxes from the token's own transfers
+ */
+
+import { ethers } from 'ethers';
+import {
+  UNISWAP_V3_ROUTER,
+  UNISWAP_V3_QUOTER,
+  UNISWAP_V3_ROUTER_ABI,
+  MULTICALL3_ADDRESS,
+  MULTICALL3_ABI,
+  WETH_ADDRESS,
+  POOL_FEE_TIERS,
+  ROUTE_INTERMEDIARIES,
+  TX_DEADLINE_MINUTES,
+  TOKEN_SAFETY_POLICIES,
+  DEFAULT_TOKEN_SAFETY_POLICY,
+  UNSELLABLE_TOKEN_FINDINGS,
+  TOKEN_SAFETY_PROBE_ETH,
+  MAX_TOKEN_TAX_BPS,
+  PROXY_STORAGE_SLOTS,
+  MINIMAL_PROXY_PREFIX,
+  ROUTER_ADDRESS_THIS,
+  ROUTER_CONTRACT_BALANCE,
+  RETRY_POLICIES,
+  ERC20_ABI,
+  ERROR_CODES
+} from '../config/constants.js';
+import { getEthBalance, executeWithRetry } from './blockchain.js';
+import { findBestRoute, buildSwapCall, encodeRoutePath, getRoutePools } from './router.js';
+import { ValidationError } from '../utils/validation.js';
+
+// =============================================================================
+// INSPECTION
+// =============================================================================
+
+/**
+ * Inspects a token before it is bought
+ * Findings are critical (NO_BYTECODE, DECIMALS_FAILED, BUY_REVERTS, SELL_REVERTS, TAX_UNKNOWN,
+ * SELL_TAX, a TRANSFER_TAX above maxTaxBps, a PROXY when proxies are not allowed) or warnings
+ * (METADATA_FAILED, PROXY, a TRANSFER_TAX within maxTaxBps, PROBE_SKIPPED). SELL_TAX - any tax on
+ * the transfer to the pool - is reported whatever maxTaxBps allows.
+ * @param {string} tokenAddress - Token contract address
+ * @param {ethers.Wallet} wallet - Wallet the round trip is simulated from (nothing is sent)
+ * @param {Object} [options] - Options
+ * @param {string[]} [options.intermediaries=ROUTE_INTERMEDIARIES] - Tokens allowed as a middle hop
+ * @param {number[]} [options.poolFeeTiers=POOL_FEE_TIERS] - Pool fee tiers to route through
+ * @param {string} [options.routerAddress=UNISWAP_V3_ROUTER] - SwapRouter02 address
+ * @param {string} [options.quoterAddress=UNISWAP_V3_QUOTER] - QuoterV2 address
+ * @param {number} [options.maxTaxBps=MAX_TOKEN_TAX_BPS] - Highest acceptable tax on either transfer
+ * @param {boolean} [options.allowProxy=true] - Whether an upgradeable proxy is only a warning
+ * @param {Object} logger - Logger instance
+ * @returns {Promise<Object>} Report: tokenAddress, safe, proxy ({kind, target} or null), the transfer taxes
+ *          taxBps, buyTaxBps and sellTaxBps (see measureTransferTax, null when not measured) and findings
+ *          ({severity, code, message})
+ */
+export async function inspectToken(tokenAddress, wallet, {
+  intermediaries = ROUTE_INTERMEDIARIES,
+  poolFeeTiers = POOL_FEE_TIERS,
+  routerAddress = UNISWAP_V3_ROUTER,
+  quoterAddress = UNISWAP_V3_QUOTER,
+  maxTaxBps = MAX_TOKEN_TAX_BPS,
+  allowProxy = true
+} = {}, logger) {
+  const provider = wallet.provider;
+  const findings = [];
+  const report = (severity, code, message) => findings.push({ severity, code, message });
+  const finish = (fields = {}) => ({
+    tokenAddress,
+    safe: findings.every((finding) => finding.severity !== 'critical'),
+    proxy: null,
+    taxBps: null,
+    buyTaxBps: null,
+    sellTaxBps: null,
+    ...fields,
+    findings
+  });
+
+  logger.info(`Inspecting token ${tokenAddress}`);
+
+  const code = await executeWithRetry(() => provider.getCode(tokenAddress), logger, 'Token bytecode', RETRY_POLICIES.READ);
+  if (code === '0x') {
+    report('critical', 'NO_BYTECODE', 'No contract is deployed at the token address');
+    return finish();
+  }
+
+  const token = new ethers.Contract(tokenAddress, ERC20_ABI, provider);
+  const failed = async (read) => {
+    try {
+      await executeWithRetry(read, logger, 'Token metadata', RETRY_POLICIES.READ);
+      return false;
+    } catch {
+      return true;
+    }
+  };
+  if (await failed(() => token.decimals())) {
+    report('critical', 'DECIMALS_FAILED', 'decimals() reverts, so amounts cannot be converted');
+  }
+  const missing = [];
+  for (const name of ['name', 'symbol']) {
+    if (await failed(() => token[name]())) {
+      missing.push(`${name}()`);
+    }
+  }
+  if (missing.length > 0) {
+    report('warning', 'METADATA_FAILED', `${missing.join(' and ')} ${missing.length > 1 ? 'revert' : 'reverts'}`);
+  }
+
+  const proxy = await detectProxy(tokenAddress, code, provider, logger);
+  if (proxy) {
+    report(
+      allowProxy ? 'warning' : 'critical',
+      'PROXY',
+      `Proxy contract (${proxy.kind} -> ${proxy.target}); its behaviour can change after inspection`
+    );
+  }
+
+  const roundTrip = await simulateRoundTrip(tokenAddress, wallet, {
+    intermediaries,
+    poolFeeTiers,
+    routerAddress,
+    quoterAddress
+  }, logger);
+
+  let taxes = {};
+  if (roundTrip.skipped) {
+    report('warning', 'PROBE_SKIPPED', `Round trip not simulated: ${roundTrip.reason}`);
+  } else if (roundTrip.buyError) {
+    report('critical', 'BUY_REVERTS', `Simulated buy reverts: ${roundTrip.buyError}`);
+  } else {
+    const measured = await measureTransferTax(tokenAddress, wallet, roundTrip.route, routerAddress, logger);
+    if (roundTrip.sellError) {
+      const taxed = measured.sellTaxBps > 0 ? ' (Uniswap V3 pools revert when a taxed input arrives short)' : '';
+      report('critical', 'SELL_REVERTS', `Simulated sell reverts, the token may not be sellable: ${roundTrip.sellError}${taxed}`);
+    }
+
+    if (measured.error) {
+      report('critical', 'TAX_UNKNOWN', `Transfer tax could not be measured: ${measured.error}`);
+    } else {
+      taxes = measured;
+      if (taxes.taxBps > 0) {
+        report(
+          taxes.taxBps > maxTaxBps ? 'critical' : 'warning',
+          'TRANSFER_TAX',
+          `Transfers lose a tax: ~${formatBps(taxes.buyTaxBps)} from the pool, ~${formatBps(taxes.sellTaxBps)} to the pool (max ${formatBps(maxTaxBps)})`
+        );
+      }
+      if (taxes.sellTaxBps > 0) {
+        report('critical', 'SELL_TAX', `Transfers to the pool lose ~${formatBps(taxes.sellTaxBps)}, so sells of the token would be refused`);
+      }
+    }
+  }
+
+  const result = finish({ proxy, ...taxes });
+  logger.info(`Token inspection: ${result.safe ? 'passed' : 'failed'}`, {
+    taxBps: result.taxBps,
+    findings: findings.map(describeFinding)
+  });
+  return result;
+}
+
+/**
+ * Inspects a token and applies the safety policy
+ * @param {string} tokenAddress - Token contract address
+ * @param {ethers.Wallet} wallet - Wallet instance
+ * @param {Object} settings - Policy and inspection settings
+ * @param {string} [settings.policy=DEFAULT_TOKEN_SAFETY_POLICY] - TOKEN_SAFETY_POLICIES value
+ * @param {Object} settings.options - inspectToken options
+ * @param {Object} logger - Logger instance
+ * @returns {Promise<Object|null>} Inspection report with the policy applied, or null when the policy is OFF
+ * @throws {ValidationError} If the policy is REFUSE and a finding is critical, or under any policy when
+ *         the token could not be sold (UNSELLABLE_TOKEN_FINDINGS) (TOKEN_UNSAFE)
+ */
+export async function checkTokenSafety(tokenAddress, wallet, { policy = DEFAULT_TOKEN_SAFETY_POLICY, options = {} }, logger) {
+  if (policy === TOKEN_SAFETY_POLICIES.OFF) {
+    logger.warn('Token safety inspection disabled (TOKEN_SAFETY_POLICY=OFF)');
+    return null;
+  }
+
+  const report = { ...await inspectToken(tokenAddress, wallet, options, logger), policy };
+  const critical = report.findings.filter((finding) => finding.severity === 'critical');
+  const unsellable = critical.some((finding) => UNSELLABLE_TOKEN_FINDINGS.includes(finding.code));
+
+  if (critical.length > 0 && (policy === TOKEN_SAFETY_POLICIES.REFUSE || unsellable)) {
+    throw new ValidationError(
+      `Token failed the safety inspection, buy refused: ${critical.map(describeFinding).join('; ')}`,
+      ERROR_CODES.TOKEN_UNSAFE,
+      { tokenAddress, policy, taxBps: report.taxBps, proxy: report.proxy, findings: report.findings }
+    );
+  }
+
+  for (const finding of report.findings) {
+    logger.warn(`Token safety ${finding.severity}: ${describeFinding(finding)}`);
+  }
+  return report;
+}
+
+/**
+ * Measures the taxes a token takes from transfers (e.g. before a sell, which is not inspected)
+ * @param {string} tokenAddress - Token contract address
+ * @param {ethers.Wallet} wallet - Wallet the probe is simulated from (nothing is sent)
+ * @param {Object} [options] - Routing options (intermediaries, poolFeeTiers, routerAddress, quoterAddress)
+ * @param {Object} logger - Logger instance
+ * @returns {Promise<Object|null>} {taxBps, buyTaxBps, sellTaxBps} (see measureTransferTax), or null when
+ *          the taxes cannot be measured
+ */
+export async function estimateTransferTax(tokenAddress, wallet, {
+  intermediaries = ROUTE_INTERMEDIARIES,
+  poolFeeTiers = POOL_FEE_TIERS,
+  routerAddress = UNISWAP_V3_ROUTER,
+  quoterAddress = UNISWAP_V3_QUOTER
+} = {}, logger) {
+  const probeRoute = await findProbeRoute(tokenAddress, wallet, { intermediaries, poolFeeTiers, quoterAddress }, logger);
+  const measured = probeRoute.skipped
+    ? { error: probeRoute.reason }
+    : await measureTransferTax(tokenAddress, wallet, probeRoute.route, routerAddress, logger);
+
+  if (measured.error) {
+    logger.warn('Transfer tax could not be measured', { reason: measured.error });
+    return null;
+  }
+  return measured;
+}
+
+/**
+ * Describes an inspection finding
+ * @param {Object} finding - Finding ({severity, code, message})
+ * @returns {string} e.g. "PROXY: Proxy contract (EIP1967_IMPLEMENTATION -> 0x...); ..."
+ */
+export function describeFinding(finding) {
+  return `${finding.code}: ${finding.message}`;
+}
+
+// =============================================================================
+// CHECKS
+// =============================================================================
+
+/**
+ * Detects an EIP-1167 minimal proxy from its bytecode, or an EIP-1967/EIP-1822 proxy
+ * from a non-zero implementation or beacon slot
+ * @param {string} tokenAddress - Token contract address
+ * @param {string} code - Token runtime bytecode
+ * @param {ethers.Provider} provider - Provider instance
+ * @param {Object} logger - Logger instance
+ * @returns {Promise<{kind: string, target: string}|null>} Proxy kind and the address it points to
+ */
+async function detectProxy(tokenAddress, code, provider, logger) {
+  if (code.toLowerCase().startsWith(MINIMAL_PROXY_PREFIX)) {
+    const offset = MINIMAL_PROXY_PREFIX.length;
+    return { kind: 'EIP1167_MINIMAL', target: ethers.getAddress(`0x${code.slice(offset, offset + 40)}`) };
+  }
+
+  for (const [kind, slot] of Object.entries(PROXY_STORAGE_SLOTS)) {
+    const value = await executeWithRetry(
+      () => provider.getStorage(tokenAddress, slot),
+      logger,
+      `Proxy slot ${kind}`,
+      RETRY_POLICIES.READ
+    );
+    if (BigInt(value) !== 0n) {
+      return { kind, target: ethers.getAddress(ethers.dataSlice(value, 12)) };
+    }
+  }
+  return null;
+}
+
+/**
+ * Finds the route a TOKEN_SAFETY_PROBE_ETH buy of the token takes
+ * @param {string} tokenAddress - Token contract address
+ * @param {ethers.Wallet} wallet - Wallet the probe is simulated from
+ * @param {Object} options - Routing options (intermediaries, poolFeeTiers, quoterAddress)
+ * @param {Object} logger - Logger instance
+ * @returns {Promise<Object>} {route}, or {skipped, reason} when the wallet cannot fund the probe
+ */
+async function findProbeRoute(tokenAddress, wallet, { intermediaries, poolFeeTiers, quoterAddress }, logger) {
+  const probe = ethers.parseEther(TOKEN_SAFETY_PROBE_ETH);
+  const ethBalance = await getEthBalance(await wallet.getAddress(), wallet.provider, logger);
+  if (ethBalance < probe) {
+    return { skipped: true, reason: `wallet holds less than the ${TOKEN_SAFETY_PROBE_ETH} ETH probe` };
+  }
+
+  const route = await findBestRoute(WETH_ADDRESS, tokenAddress, probe, wallet.provider, logger, intermediaries, {
+    feeTiers: poolFeeTiers,
+    quoterAddress
+  });
+  return { route };
+}
+
+/**
+ * Simulates buying the token with TOKEN_SAFETY_PROBE_ETH and selling everything bought
+ * back to WETH in one router multicall (eth_call, nothing is sent)
+ * The buy leaves its output in the router (ADDRESS_THIS) and the sell spends the router's
+ * whole balance (CONTRACT_BALANCE). A fee-on-transfer token makes the sell revert, as the
+ * pool receives less than the router sends.
+ * @param {string} tokenAddress - Token contract address
+ * @param {ethers.Wallet} wallet - Wallet the calls are made from
+ * @param {Object} options - Routing options (intermediaries, poolFeeTiers, routerAddress, quoterAddress)
+ * @param {Object} logger - Logger instance
+ * @returns {Promise<Object>} {skipped, reason}, {buyError} or {route, sellError} (sellError null when the
+ *          sell goes through)
+ */
+async function simulateRoundTrip(tokenAddress, wallet, { intermediaries, poolFeeTiers, routerAddress, quoterAddress }, logger) {
+  const provider = wallet.provider;
+  const walletAddress = await wallet.getAddress();
+  const probe = ethers.parseEther(TOKEN_SAFETY_PROBE_ETH);
+
+  const { route: buyRoute, skipped, reason } = await findProbeRoute(tokenAddress, wallet, {
+    intermediaries,
+    poolFeeTiers,
+    quoterAddress
+  }, logger);
+  if (skipped) {
+    return { skipped, reason };
+  }
+  const sellRoute = reverseRoute(buyRoute);
+
+  const router = new ethers.Contract(routerAddress, UNISWAP_V3_ROUTER_ABI, provider);
+  const encode = ({ name, args }) => router.interface.encodeFunctionData(name, args);
+  const buyCall = buildSwapCall(buyRoute, ROUTER_ADDRESS_THIS, probe, 0n);
+  const sellCall = buildSwapCall(sellRoute, walletAddress, ROUTER_CONTRACT_BALANCE, 0n);
+  const simulate = (calls) => executeWithRetry(
+    () => router.multicall.staticCall(
+      Math.floor(Date.now() / 1000) + TX_DEADLINE_MINUTES * 60,
+      calls.map(encode),
+      { from: walletAddress, value: probe }
+    ),
+    logger,
+    'Token round trip',
+    RETRY_POLICIES.QUOTE
+  );
+
+  try {
+    await simulate([buyCall]);
+  } catch (error) {
+    return { buyError: revertReason(error) };
+  }
+
+  try {
+    await simulate([buyCall, sellCall]);
+  } catch (error) {
+    return { route: buyRoute, sellError: revertReason(error) };
+  }
+  return { route: buyRoute, sellError: null };
+}
+
+/**
+ * Measures the taxes the token takes from its own transfers, from balances read before and
+ * after each transfer in a Multicall3 eth_call (nothing is sent)
+ * Multicall3 buys TOKEN_SAFETY_PROBE_ETH of the token into itself (the pool's transfer to a
+ * holder, as in a buy), then transfers what arrived back to that pool (a holder's transfer to
+ * the pool, as in a sell). Each tax is the share of the amount sent that did not arrive.
+ * @param {string} tokenAddress - Token contract address
+ * @param {ethers.Wallet} wallet - Wallet the probe is paid from
+ * @param {Object} route - Probe buy route (see findProbeRoute)
+ * @param {string} routerAddress - SwapRouter02 address
+ * @param {Object} logger - Logger instance
+ * @returns {Promise<Object>} {taxBps (the higher of the two), buyTaxBps, sellTaxBps} in basis points, or
+ *          {error} when the transfers cannot be simulated
+ */
+async function measureTransferTax(tokenAddress, wallet, route, routerAddress, logger) {
+  const provider = wallet.provider;
+  const walletAddress = await wallet.getAddress();
+  const probe = ethers.parseEther(TOKEN_SAFETY_PROBE_ETH);
+
+  const code = await executeWithRetry(() => provider.getCode(MULTICALL3_ADDRESS), logger, 'Multicall3 bytecode', RETRY_POLICIES.READ);
+  if (code === '0x') {
+    return { error: `no Multicall3 contract at ${MULTICALL3_ADDRESS}` };
+  }
+
+  const pool = (await getRoutePools(route, provider)).at(-1);
+  const token = new ethers.Interface(ERC20_ABI);
+  const router = new ethers.Interface(UNISWAP_V3_ROUTER_ABI);
+  const multicall = new ethers.Contract(MULTICALL3_ADDRESS, MULTICALL3_ABI, provider);
+
+  const call = (target, iface, name, args, value = 0n) => ({
+    target,
+    allowFailure: false,
+    value,
+    callData: iface.encodeFunctionData(name, args)
+  });
+  const balanceOf = (owner) => call(tokenAddress, token, 'balanceOf', [owner]);
+  const decodeBalance = (data) => token.decodeFunctionResult('balanceOf', data)[0];
+  const run = async (calls) => {
+    const results = await executeWithRetry(
+      () => multicall.aggregate3Value.staticCall(calls, { from: walletAddress, value: probe }),
+      logger,
+      'Transfer tax probe',
+      RETRY_POLICIES.QUOTE
+    );
+    return results.map((result) => result.returnData);
+  };
+
+  const swap = buildSwapCall(route, MULTICALL3_ADDRESS, probe, 0n);
+  const buyCalls = [
+    balanceOf(MULTICALL3_ADDRESS),
+    call(routerAddress, router, swap.name, swap.args, probe),
+    balanceOf(MULTICALL3_ADDRESS)
+  ];
+
+  try {
+    const [holderBefore, swapped, holderAfter] = await run(buyCalls);
+    const [bought] = router.decodeFunctionResult(swap.name, swapped);
+    const received = decodeBalance(holderAfter) - decodeBalance(holderBefore);
+
+    const results = await run([
+      ...buyCalls,
+      balanceOf(pool),
+      call(tokenAddress, token, 'transfer', [pool, received]),
+      balanceOf(pool)
+    ]);
+    const arrived = decodeBalance(results[5]) - decodeBalance(results[3]);
+
+    const buyTaxBps = shortfallBps(bought, received);
+    const sellTaxBps = shortfallBps(received, arrived);
+    logger.debug(`Transfer tax probe: pool sent ${bought}, holder received ${received}; holder sent ${received}, pool received ${arrived}`);
+    return { taxBps: Math.max(buyTaxBps, sellTaxBps), buyTaxBps, sellTaxBps };
+  } catch (error) {
+    return { error: revertReason(error) };
+  }
+}
+
+/**
+ * Calculates the share of an amount sent that did not arrive
+ * @param {bigint} sent - Amount sent
+ * @param {bigint} arrived - Amount that arrived
+ * @returns {number} Shortfall in basis points (0 when nothing was sent or nothing was lost)
+ */
+function shortfallBps(sent, arrived) {
+  if (sent === 0n || arrived >= sent) {
+    return 0;
+  }
+  return Number((sent - arrived) * 1000000n / sent) / 100;
+}
+
+/**
+ * Reverses a route so it swaps the output token back into the input token
+ * @param {Object} route - Route returned by findBestRoute
+ * @returns {{tokens: string[], fees: number[], path: string}} Reversed route
+ */
+function reverseRoute(route) {
+  const tokens = [...route.tokens].reverse();
+  const fees = [...route.fees].reverse();
+  return { tokens, fees, path: encodeRoutePath(tokens, fees) };
+}
+
+/**
+ * Extracts the revert reason of a failed eth_call
+ * @param {Error} error - Error thrown by the call
+ * @returns {string} Revert reason
+ * @throws {Error} The error itself when the call did not revert (e.g. the RPC failed)
+ */
+function revertReason(error) {
+  if (error.code !== 'CALL_EXCEPTION') {
+    throw error;
+  }
+  return error.reason ?? error.shortMessage;
+}
+
+/**
+ * Formats basis points as a percentage
+ * @param {number} bps - Basis points
+ * @returns {string} e.g. "2.50%"
+ */
+function formatBps(bps) {
+  return `${(bps / 100).toFixed(2)}%`;
+}
@@ -8,14 +8,36 @@ import {
   UNISWAP_V3_ROUTER,
   UNISWAP_V3_QUOTER,
   UNISWAP_V3_ROUTER_ABI,
-  UNISWAP_V3_QUOTER_ABI,
+  UNIVERSAL_ROUTER,
+  UNIVERSAL_ROUTER_ABI,
+  PERMIT2_ADDRESS,
+  PERMIT2_EXPIRATION_SECONDS,
   WETH_ADDRESS,
   POOL_FEE_TIERS,
   SLIPPAGE_TOLERANCE_PERCENT,
   TX_DEADLINE_MINUTES,
-  GAS_LIMIT_MULTIPLIER,
+  SELL_SETTLEMENT_MODES,
+  DEFAULT_SELL_SETTLEMENT,
+  SELL_MODES,
+  DEFAULT_SELL_MODE,
+  SELL_CHUNK_DELAY_SECONDS,
+  BUY_PAYMENT_MODES,
+  DEFAULT_BUY_PAYMENT,
   MIN_BUY_AMOUNT_USD,
   MAX_BUY_AMOUNT_USD,
+  ROUTE_INTERMEDIARIES,
+  MAX_PRICE_IMPACT_BPS,
+  TWAP_CHECK_SECONDS,
+  MAX_TWAP_DEVIATION_BPS,
+  ALLOW_MISSING_TWAP,
+  MAX_GAS_PRICE_GWEI,
+  GAS_LIMIT_MULTIPLIER,
+  APPROVAL_POLICIES,
+  DEFAULT_APPROVAL_POLICY,
+  APPROVAL_CAP_USD,
+  APPROVAL_METHODS,
+  DEFAULT_APPROVAL_METHOD,
+  SUBMISSION_CHANNELS,
   ERROR_CODES,
   ERC20_ABI
 } from '../config/constants.js';
@@ -23,146 +45,370 @@ import {
   getTokenInfo,
   getTokenBalance,
   getEthBalance,
+  getTokenAllowance,
   approveToken,
-  executeWithRetry,
+  simulateApproval,
+  sendTransaction,
+  simulateTransaction,
   waitForTransaction,
   getExplorerUrl,
-  BlockchainError
+  decodeSwapReceipt,
+  getL1FeePaid,
+  createNonceManager,
+  createRelaySubmitter,
+  sleep
 } from './blockchain.js';
-import { validateSufficientBalance } from '../utils/validation.js';
+import {
+  findBestRoute,
+  buildSwapCall,
+  buildUniversalRouterSwap,
+  formatRouteFees,
+  calculatePriceImpact,
+  calculateTwapDeviation
+} from './router.js';
+import { formatFeeEstimate } from './fees.js';
+import { getEthPriceUsd } from './price.js';
+import { resolveApprovalMethod, signPermit, signPermit2 } from './permits.js';
+import {
+  ValidationError,
+  validateSufficientBalance,
+  validatePriceImpact,
+  validateTwapDeviation,
+  validateTwapAvailable,
+  validateSellTransferTax
+} from '../utils/validation.js';
 
 // =============================================================================
 // PRICE DISCOVERY
 // =============================================================================
 
-/**
- * Gets ETH price in USD from on-chain oracle or fallback
- * @param {ethers.Provider} provider - Provider instance
- * @param {Object} logger - Logger instance
- * @returns {Promise<number>} ETH price in USD
- */
-async function getEthPriceUsd(provider, logger) {
-  // Using Chainlink ETH/USD price feed on Base
-  const CHAINLINK_ETH_USD = '0x71041dddad3595F9CEd3DcCFBe3D1F4b0a16Bb70';
-  const CHAINLINK_ABI = [
-    'function latestRoundData() view returns (uint80, int256, uint256, uint256, uint80)'
-  ];
-
-  try {
-    const priceFeed = new ethers.Contract(CHAINLINK_ETH_USD, CHAINLINK_ABI, provider);
-    const [, price] = await priceFeed.latestRoundData();
-    const ethPrice = Number(price) / 1e8; // Chainlink uses 8 decimals
-    
-    logger.debug(`ETH price from Chainlink: $${ethPrice.toFixed(2)}`);
-    return ethPrice;
-  } catch (error) {
-    // Fallback: estimate from WETH/USDC pool
-    logger.warn('Chainlink price feed failed, using fallback estimation');
-    return 3000; // Conservative fallback
-  }
-}
-
 /**
  * Finds the best pool fee tier for a token pair
+ * Kept for callers of the single-pool API: trades route with findBestRoute, which this delegates
+ * to with no intermediate hop allowed.
  * @param {string} tokenIn - Input token address
  * @param {string} tokenOut - Output token address
  * @param {bigint} amountIn - Amount of input token
  * @param {ethers.Provider} provider - Provider instance
  * @param {Object} logger - Logger instance
+ * @param {Object} [options] - Options
+ * @param {number[]} [options.feeTiers=POOL_FEE_TIERS] - Pool fee tiers to try
+ * @param {string} [options.quoterAddress=UNISWAP_V3_QUOTER] - QuoterV2 address
  * @returns {Promise<{fee: number, amountOut: bigint}>} Best fee tier and expected output
+ * @throws {BlockchainError} If no pool of the pair has liquidity (NO_LIQUIDITY)
  */
-async function findBestPoolFee(tokenIn, tokenOut, amountIn, provider, logger) {
-  const quoter = new ethers.Contract(UNISWAP_V3_QUOTER, UNISWAP_V3_QUOTER_ABI, provider);
-  
-  let bestQuote = { fee: 0, amountOut: 0n };
+export async function findBestPoolFee(tokenIn, tokenOut, amountIn, provider, logger, {
+  feeTiers = POOL_FEE_TIERS,
+  quoterAddress = UNISWAP_V3_QUOTER
+} = {}) {
+  const route = await findBestRoute(tokenIn, tokenOut, amountIn, provider, logger, [], { feeTiers, quoterAddress });
+  return { fee: route.fees[0], amountOut: route.amountOut };
+}
 
-  for (const fee of POOL_FEE_TIERS) {
-    try {
-      logger.debug(`Trying pool fee tier: ${fee / 10000}%`);
-      
-      const quoteParams = {
-        tokenIn,
-        tokenOut,
-        amountIn,
-        fee,
-        sqrtPriceLimitX96: 0n
-      };
+/**
+ * Calculates minimum output with slippage
+ * @param {bigint} expectedOutput - Expected output amount
+ * @param {number} slippagePercent - Slippage tolerance percentage
+ * @returns {bigint} Minimum acceptable output
+ */
+function calculateMinOutput(expectedOutput, slippagePercent) {
+  const slippageBps = BigInt(Math.floor(slippagePercent * 100));
+  return expectedOutput - (expectedOutput * slippageBps / 10000n);
+}
 
-      // Use staticCall to simulate the quote
-      const result = await quoter.quoteExactInputSingle.staticCall(quoteParams);
-      const amountOut = result[0]; // First return value is amountOut
+/**
+ * Calculates realized slippage of an executed swap against its quote
+ * @param {bigint} expectedOutput - Quoted output amount
+ * @param {bigint} actualOutput - Output decoded from the receipt
+ * @returns {number} Shortfall in basis points (negative when the fill beat the quote)
+ */
+function calculateRealizedSlippageBps(expectedOutput, actualOutput) {
+  if (expectedOutput === 0n) {
+    return 0;
+  }
+  return Number((expectedOutput - actualOutput) * 1000000n / expectedOutput) / 100;
+}
 
-      logger.debug(`Fee ${fee}: amountOut = ${amountOut.toString()}`);
+/**
+ * Calculates what is left of an amount after a fee-on-transfer token takes its tax
+ * @param {bigint} amount - Amount sent
+ * @param {number} taxBps - Tax per transfer in basis points
+ * @returns {bigint} Amount received
+ */
+function applyTransferTax(amount, taxBps) {
+  return amount * (1000000n - BigInt(Math.round(taxBps * 100))) / 1000000n;
+}
 
-      if (amountOut > bestQuote.amountOut) {
-        bestQuote = { fee, amountOut };
-      }
-    } catch (error) {
-      logger.debug(`Pool fee ${fee} not available or no liquidity`);
-    }
+/**
+ * Measures the transfer tax taken between a sender and a receiver from receipt amounts
+ * @param {bigint} sent - Amount that left the sender
+ * @param {bigint} received - Amount that arrived
+ * @returns {number} Tax in basis points
+ */
+function measureTransferTaxBps(sent, received) {
+  if (sent === 0n || received >= sent) {
+    return 0;
   }
+  return Number((sent - received) * 1000000n / sent) / 100;
+}
 
-  if (bestQuote.amountOut === 0n) {
-    throw new BlockchainError(
-      'No liquidity found for token pair',
-      ERROR_CODES.NO_LIQUIDITY,
-      { tokenIn, tokenOut }
-    );
+/**
+ * Formats a transfer tax for logs
+ * @param {number} taxBps - Tax in basis points
+ * @returns {string} e.g. " (after a ~5.00% transfer tax)", or '' without a tax
+ */
+function describeTransferTax(taxBps) {
+  return taxBps > 0 ? ` (after a ~${(taxBps / 100).toFixed(2)}% transfer tax)` : '';
+}
+
+/**
+ * Resolves which asset pays for a buy
+ * @param {string} payment - Requested payment mode (BUY_PAYMENT_MODES)
+ * @param {bigint} wethBalance - Current WETH balance
+ * @param {bigint} amountIn - Amount to spend in wei
+ * @returns {string} BUY_PAYMENT_MODES.WETH or BUY_PAYMENT_MODES.ETH
+ */
+function resolvePaymentAsset(payment, wethBalance, amountIn) {
+  if (payment === BUY_PAYMENT_MODES.AUTO) {
+    return wethBalance >= amountIn ? BUY_PAYMENT_MODES.WETH : BUY_PAYMENT_MODES.ETH;
   }
+  return payment;
+}
 
-  logger.info(`Best pool fee: ${bestQuote.fee / 10000}%, expected output: ${bestQuote.amountOut.toString()}`);
-  return bestQuote;
+/**
+ * Calculates how much to approve when a trade needs an allowance
+ * @param {bigint} requiredAmount - Allowance the trade needs
+ * @param {string} policy - Approval policy (APPROVAL_POLICIES)
+ * @param {Object} [options] - CAPPED options: referenceAmount is worth referenceUsd at the trade's quote
+ * @param {bigint} [options.referenceAmount=0n] - Token amount of known value
+ * @param {number} [options.referenceUsd=0] - Its USD value
+ * @param {number} [options.capUsd=APPROVAL_CAP_USD] - USD value to approve
+ * @returns {bigint} Amount to approve (never less than requiredAmount)
+ */
+export function calculateApprovalAmount(requiredAmount, policy, {
+  referenceAmount = 0n,
+  referenceUsd = 0,
+  capUsd = APPROVAL_CAP_USD
+} = {}) {
+  switch (policy) {
+    case APPROVAL_POLICIES.UNLIMITED:
+    // Only Permit2 itself is approved under PERMIT2; what the router may spend is the trade's signature
+    case APPROVAL_POLICIES.PERMIT2:
+      return ethers.MaxUint256;
+    case APPROVAL_POLICIES.CAPPED: {
+      if (referenceUsd <= 0) {
+        return requiredAmount;
+      }
+      // Micro-dollar precision keeps the scaling in integers
+      const capped = referenceAmount * BigInt(Math.round(capUsd * 1e6)) / BigInt(Math.max(1, Math.round(referenceUsd * 1e6)));
+      return capped > requiredAmount ? capped : requiredAmount;
+    }
+    default:
+      return requiredAmount;
+  }
 }
 
 /**
- * Calculates minimum output with slippage
- * @param {bigint} expectedOutput - Expected output amount
- * @param {number} slippagePercent - Slippage tolerance percentage
- * @returns {bigint} Minimum acceptable output
+ * Computes the router deadline for a transaction sent now
+ * @returns {number} Unix timestamp TX_DEADLINE_MINUTES from now
  */
-function calculateMinOutput(expectedOutput, slippagePercent) {
-  const slippageBps = BigInt(Math.floor(slippagePercent * 100));
-  return expectedOutput - (expectedOutput * slippageBps / 10000n);
+function getDeadline() {
+  return Math.floor(Date.now() / 1000) + TX_DEADLINE_MINUTES * 60;
 }
 
 /**
  * Generates a random buy amount in USD
- * @returns {number} Random amount between MIN and MAX
+ * @param {number} [min=MIN_BUY_AMOUNT_USD] - Lower bound in USD
+ * @param {number} [max=MAX_BUY_AMOUNT_USD] - Upper bound in USD
+ * @returns {number} Random amount between min and max
  */
-export function generateRandomBuyAmount() {
-  const range = MAX_BUY_AMOUNT_USD - MIN_BUY_AMOUNT_USD;
-  const random = Math.random() * range + MIN_BUY_AMOUNT_USD;
+export function generateRandomBuyAmount(min = MIN_BUY_AMOUNT_USD, max = MAX_BUY_AMOUNT_USD) {
+  const range = max - min;
+  const random = Math.random() * range + min;
   // Round to 2 decimal places
   return Math.round(random * 100) / 100;
 }
 
+// =============================================================================
+// QUOTES
+// =============================================================================
+
+/**
+ * Quotes a buy or sell without a wallet (nothing is signed or simulated)
+ * Unlike executeBuy/executeSell an excessive price impact is reported, not thrown
+ * @param {Object} params - Quote parameters
+ * @param {ethers.Provider} params.provider - Provider instance
+ * @param {string} params.tokenAddress - Token to quote
+ * @param {string} params.side - 'BUY' (WETH -> token) or 'SELL' (token -> WETH)
+ * @param {number} [params.amountUsd] - USD amount to spend (BUY)
+ * @param {string} [params.tokenAmount] - Token amount to sell in whole units (SELL)
+ * @param {number} [params.slippageTolerance=SLIPPAGE_TOLERANCE_PERCENT] - Slippage tolerance percentage
+ * @param {string[]} [params.intermediaries=ROUTE_INTERMEDIARIES] - Tokens allowed as a middle hop
+ * @param {number} [params.maxPriceImpactBps=MAX_PRICE_IMPACT_BPS] - Price impact ceiling in basis points
+ * @param {number} [params.twapCheckSeconds=TWAP_CHECK_SECONDS] - Window of the pool TWAP the quote is checked against
+ * @param {number} [params.maxTwapDeviationBps=MAX_TWAP_DEVIATION_BPS] - Largest accepted deviation of the quote from the TWAP
+ * @param {boolean} [params.allowMissingTwap=ALLOW_MISSING_TWAP] - Trade when a route pool has no TWAP over the window
+ * @param {number[]} [params.poolFeeTiers=POOL_FEE_TIERS] - Pool fee tiers to route through
+ * @param {string} [params.quoterAddress=UNISWAP_V3_QUOTER] - QuoterV2 address
+ * @param {Object} [params.pricing={}] - ETH/USD price options: maxAgeSeconds, twapSeconds, maxDeviationBps (see getEthPriceUsd)
+ * @param {Object} logger - Logger instance
+ * @returns {Promise<Object>} Quote result
+ */
+export async function quoteTrade({
+  provider,
+  tokenAddress,
+  side,
+  amountUsd,
+  tokenAmount,
+  slippageTolerance = SLIPPAGE_TOLERANCE_PERCENT,
+  intermediaries = ROUTE_INTERMEDIARIES,
+  maxPriceImpactBps = MAX_PRICE_IMPACT_BPS,
+  twapCheckSeconds = TWAP_CHECK_SECONDS,
+  maxTwapDeviationBps = MAX_TWAP_DEVIATION_BPS,
+  allowMissingTwap = ALLOW_MISSING_TWAP,
+  poolFeeTiers = POOL_FEE_TIERS,
+  quoterAddress = UNISWAP_V3_QUOTER,
+  pricing = {}
+}, logger) {
+  const isBuy = side === 'BUY';
+  const tokenInfo = await getTokenInfo(tokenAddress, provider, logger);
+  const ethPriceUsd = await getEthPriceUsd(provider, logger, pricing);
+
+  const amountIn = isBuy
+    ? ethers.parseEther((amountUsd / ethPriceUsd).toFixed(18))
+    : ethers.parseUnits(String(tokenAmount), tokenInfo.decimals);
+  const [tokenIn, tokenOut] = isBuy ? [WETH_ADDRESS, tokenAddress] : [tokenAddress, WETH_ADDRESS];
+  const [decimalsIn, decimalsOut] = isBuy ? [18, tokenInfo.decimals] : [tokenInfo.decimals, 18];
+
+  logger.info(`Quoting ${side}: ${ethers.formatUnits(amountIn, decimalsIn)} ${isBuy ? 'WETH' : tokenInfo.symbol}`);
+
+  const route = await findBestRoute(tokenIn, tokenOut, amountIn, provider, logger, intermediaries, {
+    feeTiers: poolFeeTiers,
+    quoterAddress
+  });
+  const priceImpact = await calculatePriceImpact(route, provider, logger);
+  const twapCheck = await calculateTwapDeviation(route, amountIn, provider, logger, { twapSeconds: twapCheckSeconds });
+  const minAmountOut = calculateMinOutput(route.amountOut, slippageTolerance);
+  const wethAmount = isBuy ? amountIn : route.amountOut;
+
+  return {
+    success: true,
+    type: 'QUOTE',
+    side,
+    token: {
+      address: tokenAddress,
+      symbol: tokenInfo.symbol,
+      name: tokenInfo.name,
+      decimals: tokenInfo.decimals
+    },
+    ethPriceUsd,
+    poolFee: formatRouteFees(route),
+    route: formatRoute(route),
+    priceImpact: {
+      bps: priceImpact.impactBps,
+      maxBps: maxPriceImpactBps,
+      withinLimit: priceImpact.impactBps <= maxPriceImpactBps,
+      hops: priceImpact.hops
+    },
+    twapCheck: {
+      ...twapCheck,
+      maxBps: maxTwapDeviationBps,
+      withinLimit: twapCheck.checked ? twapCheck.deviationBps <= maxTwapDeviationBps : allowMissingTwap
+    },
+    input: {
+      amount: ethers.formatUnits(amountIn, decimalsIn),
+      symbol: isBuy ? 'WETH' : tokenInfo.symbol
+    },
+    output: {
+      expectedAmount: ethers.formatUnits(route.amountOut, decimalsOut),
+      minAmount: ethers.formatUnits(minAmountOut, decimalsOut),
+      symbol: isBuy ? tokenInfo.symbol : 'WETH',
+      gasCostEth: ethers.formatEther(route.gasCostWei)
+    },
+    usdValue: Math.round(Number(ethers.formatEther(wethAmount)) * ethPriceUsd * 100) / 100,
+    timestamp: new Date().toISOString()
+  };
+}
+
 // =============================================================================
 // BUY OPERATION
 // =============================================================================
 
 /**
- * Executes a buy operation (WETH -> Token)
- * Uses WETH directly from wallet instead of native ETH
+ * Executes a buy operation (WETH or native ETH -> Token)
+ * WETH mode spends pre-wrapped WETH; ETH mode sends value to the router, which wraps it
+ * and refunds any leftover ETH in the same multicall; AUTO uses WETH if the balance covers
+ * the trade and falls back to ETH otherwise
  * @param {Object} params - Buy parameters
  * @param {ethers.Wallet} params.wallet - Wallet instance
  * @param {string} params.tokenAddress - Token to buy
  * @param {number} params.amountUsd - Amount in USD to spend
  * @param {number} params.slippageTolerance - Slippage tolerance percentage
+ * @param {string} [params.payment=DEFAULT_BUY_PAYMENT] - Payment mode (BUY_PAYMENT_MODES)
+ * @param {string[]} [params.intermediaries=ROUTE_INTERMEDIARIES] - Tokens allowed as a middle hop
+ * @param {number} [params.maxPriceImpactBps=MAX_PRICE_IMPACT_BPS] - Price impact ceiling in basis points
+ * @param {number} [params.twapCheckSeconds=TWAP_CHECK_SECONDS] - Window of the pool TWAP the quote is checked against
+ * @param {number} [params.maxTwapDeviationBps=MAX_TWAP_DEVIATION_BPS] - Largest accepted deviation of the quote from the TWAP
+ * @param {boolean} [params.allowMissingTwap=ALLOW_MISSING_TWAP] - Trade when a route pool has no TWAP over the window
+ * @param {number} [params.maxGasPrice=MAX_GAS_PRICE_GWEI] - maxFeePerGas ceiling in Gwei
+ * @param {number[]} [params.poolFeeTiers=POOL_FEE_TIERS] - Pool fee tiers to route through
+ * @param {string} [params.routerAddress=UNISWAP_V3_ROUTER] - SwapRouter02 address
+ * @param {string} [params.universalRouterAddress=UNIVERSAL_ROUTER] - Universal Router address (Permit2 swaps)
+ * @param {string} [params.quoterAddress=UNISWAP_V3_QUOTER] - QuoterV2 address
+ * @param {number} [params.gasLimitMultiplier=GAS_LIMIT_MULTIPLIER] - Safety multiplier on gas estimates
+ * @param {string} [params.approvalPolicy=DEFAULT_APPROVAL_POLICY] - How much to approve when an allowance is missing (APPROVAL_POLICIES)
+ * @param {number} [params.approvalCapUsd=APPROVAL_CAP_USD] - USD value approved under the CAPPED policy
+ * @param {string} [params.approvalMethod=DEFAULT_APPROVAL_METHOD] - How a missing allowance is granted (APPROVAL_METHODS);
+ *        the approval policy only sizes approve transactions, signatures grant what the trade needs
+ * @param {Object} [params.pricing={}] - ETH/USD price options: maxAgeSeconds, twapSeconds, maxDeviationBps (see getEthPriceUsd)
+ * @param {string|null} [params.nonceStatePath=null] - Nonce state file shared across runs (null = not persisted)
+ * @param {Object|null} [params.privateRelay=null] - Private relay for the approval and swap: {url, timeoutMs}
+ *        (see createRelaySubmitter); null broadcasts to the public mempool
+ * @param {number} [params.transferTaxBps=0] - Tax the token takes from the pool's transfer to the wallet in
+ *        basis points (buyTaxBps of inspectToken); expected and minimum tokens are reported net of it
+ * @param {boolean} [params.dryRun=false] - Simulate the swap without broadcasting
  * @param {Object} logger - Logger instance
  * @returns {Promise<Object>} Trade result
  */
-export async function executeBuy({ wallet, tokenAddress, amountUsd, slippageTolerance }, logger) {
+export async function executeBuy({
+  wallet,
+  tokenAddress,
+  amountUsd,
+  slippageTolerance,
+  payment = DEFAULT_BUY_PAYMENT,
+  intermediaries = ROUTE_INTERMEDIARIES,
+  maxPriceImpactBps = MAX_PRICE_IMPACT_BPS,
+  twapCheckSeconds = TWAP_CHECK_SECONDS,
+  maxTwapDeviationBps = MAX_TWAP_DEVIATION_BPS,
+  allowMissingTwap = ALLOW_MISSING_TWAP,
+  maxGasPrice = MAX_GAS_PRICE_GWEI,
+  poolFeeTiers = POOL_FEE_TIERS,
+  routerAddress = UNISWAP_V3_ROUTER,
+  universalRouterAddress = UNIVERSAL_ROUTER,
+  quoterAddress = UNISWAP_V3_QUOTER,
+  gasLimitMultiplier = GAS_LIMIT_MULTIPLIER,
+  approvalPolicy = DEFAULT_APPROVAL_POLICY,
+  approvalCapUsd = APPROVAL_CAP_USD,
+  approvalMethod = DEFAULT_APPROVAL_METHOD,
+  pricing = {},
+  nonceStatePath = null,
+  privateRelay = null,
+  transferTaxBps = 0,
+  dryRun = false
+}, logger) {
   const provider = wallet.provider;
+  const submitter = createSubmitter(privateRelay, provider, logger);
+  const txOptions = { maxGasPriceGwei: maxGasPrice, gasLimitMultiplier, submitter };
   const walletAddress = await wallet.getAddress();
   
-  logger.info(`Starting BUY operation: $${amountUsd} worth of tokens (using WETH)`);
+  logger.info(`Starting BUY operation: $${amountUsd} worth of tokens (payment: ${payment})${dryRun ? ' [DRY RUN]' : ''}`);
 
   // Step 1: Get token info
   const tokenInfo = await getTokenInfo(tokenAddress, provider, logger);
   logger.info(`Buying token: ${tokenInfo.symbol} (${tokenInfo.name})`);
 
-  // Step 2: Get ETH price and calculate WETH amount
-  const ethPriceUsd = await getEthPriceUsd(provider, logger);
+  // Step 2: Get ETH price and calculate WETH amount (refused without a trustworthy price)
+  const ethPriceUsd = await getEthPriceUsd(provider, logger, pricing);
   const wethAmount = amountUsd / ethPriceUsd;
   const wethAmountWei = ethers.parseEther(wethAmount.toFixed(18));
   
@@ -174,106 +420,227 @@ export async function executeBuy({ wallet, tokenAddress, amountUsd, slippageTole
   
   // Log balances BEFORE validation so user can see what they have
   logger.info(`Current WETH balance: ${ethers.formatEther(wethBalance)} WETH`);
-  logger.info(`Current ETH balance: ${ethers.formatEther(ethBalance)} ETH (for gas)`);
-  logger.info(`Required WETH: ${wethAmount.toFixed(6)} WETH`);
+  logger.info(`Current ETH balance: ${ethers.formatEther(ethBalance)} ETH`);
+
+  const paymentAsset = resolvePaymentAsset(payment, wethBalance, wethAmountWei);
+  const payWithEth = paymentAsset === BUY_PAYMENT_MODES.ETH;
+  logger.info(`Paying with ${paymentAsset}: ${wethAmount.toFixed(6)} ${paymentAsset} required`);
   
   // Validate balances
   // Gas buffer: Base has very low gas fees (~$0.001 per swap)
   const gasBuffer = ethers.parseEther('0.00005');
-  validateSufficientBalance(ethBalance, gasBuffer, 'ETH (for gas)');
-  validateSufficientBalance(wethBalance, wethAmountWei, 'WETH');
+  if (payWithEth) {
+    validateSufficientBalance(ethBalance, wethAmountWei + gasBuffer, 'ETH (amount + gas)');
+  } else {
+    validateSufficientBalance(ethBalance, gasBuffer, 'ETH (for gas)');
+    validateSufficientBalance(wethBalance, wethAmountWei, 'WETH');
+  }
 
-  // Step 4: Find best pool and get quote
-  const { fee, amountOut } = await findBestPoolFee(
+  // Step 4: Find best route and get quote
+  const route = await findBestRoute(
     WETH_ADDRESS,
     tokenAddress,
     wethAmountWei,
     provider,
-    logger
+    logger,
+    intermediaries,
+    { feeTiers: poolFeeTiers, quoterAddress }
   );
+  const { amountOut } = route;
 
+  // The router checks what the pool pays out; a fee-on-transfer token then delivers that less its tax
   const minAmountOut = calculateMinOutput(amountOut, slippageTolerance);
-  logger.info(`Expected tokens: ${ethers.formatUnits(amountOut, tokenInfo.decimals)} ${tokenInfo.symbol}`);
-  logger.info(`Minimum tokens (with ${slippageTolerance}% slippage): ${ethers.formatUnits(minAmountOut, tokenInfo.decimals)}`);
+  const expectedTokens = applyTransferTax(amountOut, transferTaxBps);
+  const minTokens = applyTransferTax(minAmountOut, transferTaxBps);
+  logger.info(`Expected tokens: ${ethers.formatUnits(expectedTokens, tokenInfo.decimals)} ${tokenInfo.symbol}${describeTransferTax(transferTaxBps)}`);
+  logger.info(`Minimum tokens (with ${slippageTolerance}% slippage): ${ethers.formatUnits(minTokens, tokenInfo.decimals)}`);
 
-  // Step 5: Approve WETH spending (if needed)
-  await approveToken(
-    WETH_ADDRESS,
-    UNISWAP_V3_ROUTER,
-    wethAmountWei,
-    wallet,
-    logger
-  );
+  // Step 4b: Refuse trades that move the pool price past the ceiling
+  const priceImpact = await calculatePriceImpact(route, provider, logger);
+  validatePriceImpact(priceImpact.impactBps, maxPriceImpactBps);
 
-  // Step 6: Execute swap (no ETH value - using WETH token)
-  const router = new ethers.Contract(UNISWAP_V3_ROUTER, UNISWAP_V3_ROUTER_ABI, wallet);
+  // Step 4c: Refuse quotes far from the pools' TWAP (a momentarily manipulated pool)
+  const twapCheck = await calculateTwapDeviation(route, wethAmountWei, provider, logger, { twapSeconds: twapCheckSeconds });
+  validateTwapAvailable(twapCheck, allowMissingTwap);
+  if (twapCheck.checked) {
+    validateTwapDeviation(twapCheck.deviationBps, maxTwapDeviationBps, twapCheckSeconds);
+  }
 
-  const swapParams = {
-    tokenIn: WETH_ADDRESS,
-    tokenOut: tokenAddress,
-    fee,
-    recipient: walletAddress,
+  // Step 5: Work out how the router gets its WETH allowance (native ETH needs none) and build
+  // the swap transaction; ETH payment: value is sent with a multicall so the router wraps it
+  // and refunds any dust
+  const router = new ethers.Contract(routerAddress, UNISWAP_V3_ROUTER_ABI, wallet);
+  const approval = payWithEth
+    ? NO_APPROVAL
+    : await resolveTradeApproval({
+      wallet,
+      walletAddress,
+      tokenAddress: WETH_ADDRESS,
+      requiredAmount: wethAmountWei,
+      permitAmount: wethAmountWei,
+      routerAddress,
+      universalRouterAddress,
+      approvalPolicy,
+      approvalMethod
+    }, logger);
+
+  const { swapTx } = await buildSwapTransaction(wallet, {
+    route,
+    walletAddress,
     amountIn: wethAmountWei,
-    amountOutMinimum: minAmountOut,
-    sqrtPriceLimitX96: 0n
+    minAmountOut,
+    value: payWithEth ? wethAmountWei : 0n,
+    routerAddress,
+    universalRouterAddress
+  }, approval);
+
+  const baseResult = {
+    success: true,
+    type: 'BUY',
+    token: {
+      address: tokenAddress,
+      symbol: tokenInfo.symbol,
+      name: tokenInfo.name,
+      decimals: tokenInfo.decimals
+    },
+    input: {
+      wethAmount: wethAmount.toFixed(6),
+      usdAmount: amountUsd,
+      wethAmountWei: wethAmountWei.toString()
+    },
+    payment: paymentAsset,
+    ethPriceUsd,
+    transferTaxBps,
+    approvalPolicy,
+    approvalMethod: approval.method,
+    poolFee: formatRouteFees(route),
+    route: formatRoute(route),
+    priceImpact: {
+      bps: priceImpact.impactBps,
+      maxBps: maxPriceImpactBps,
+      hops: priceImpact.hops
+    },
+    twapCheck: { ...twapCheck, maxBps: maxTwapDeviationBps }
   };
 
-  logger.info('Executing swap transaction (WETH -> Token)...');
+  if (dryRun) {
+    // Step 6 (dry run): Check approval and simulate the swap without broadcasting
+    const approvalCheck = await simulateTradeApproval(WETH_ADDRESS, approval, wethAmountWei, wallet, logger);
+    const simulation = await simulateSwap(wallet, router, swapTx, approvalCheck, 'Buy swap', txOptions, logger);
 
-  const tx = await executeWithRetry(
-    async () => {
-      // Estimate gas (no value since we're using WETH token)
-      const gasEstimate = await router.exactInputSingle.estimateGas(swapParams);
-      
-      const gasLimit = (gasEstimate * BigInt(Math.floor(GAS_LIMIT_MULTIPLIER * 100))) / 100n;
-      
-      logger.debug(`Gas estimate: ${gasEstimate.toString()}, using limit: ${gasLimit.toString()}`);
+    const result = {
+      ...baseResult,
+      simulated: true,
+      txHash: null,
+      explorerUrl: null,
+      blockNumber: null,
+      gasUsed: null,
+      output: {
+        expectedTokens: ethers.formatUnits(expectedTokens, tokenInfo.decimals),
+        minTokens: ethers.formatUnits(minTokens, tokenInfo.decimals),
+        simulatedTokens: simulation.amountOut !== null
+          ? ethers.formatUnits(applyTransferTax(simulation.amountOut, transferTaxBps), tokenInfo.decimals)
+          : null,
+        newTokenBalance: ethers.formatUnits(
+          await getTokenBalance(tokenAddress, walletAddress, provider, logger),
+          tokenInfo.decimals
+        ),
+        newWethBalance: ethers.formatEther(wethBalance),
+        newEthBalance: ethers.formatEther(ethBalance)
+      },
+      simulation: formatSimulation(approvalCheck, simulation),
+      timestamp: new Date().toISOString()
+    };
 
-      return router.exactInputSingle(swapParams, { gasLimit });
-    },
-    logger,
-    'Buy swap'
-  );
+    logger.info('BUY simulation completed successfully (no transaction sent)', result);
+    return result;
+  }
+
+  // Step 6: Reserve nonces, approve WETH spending (unless the allowance is in place or signed
+  // into the swap) and swap
+  const approvalRequired = approval.approveSpender !== null;
+  const nonces = createNonceManager(wallet, logger, { statePath: nonceStatePath });
+  const { approvalNonce, swapNonce } = await reserveTradeNonces(nonces, approvalRequired, 'Buy', txOptions);
+
+  let sent;
+  try {
+    if (approvalRequired) {
+      const approvalReceipt = await approveToken(
+        WETH_ADDRESS,
+        approval.approveSpender,
+        calculateApprovalAmount(wethAmountWei, approvalPolicy, {
+          referenceAmount: wethAmountWei,
+          referenceUsd: amountUsd,
+          capUsd: approvalCapUsd
+        }),
+        wallet,
+        logger,
+        { ...txOptions, nonce: approvalNonce }
+      );
+      if (approvalReceipt) {
+        await nonces.markSent(approvalNonce, approvalReceipt.hash);
+      }
+    }
+
+    // Step 7: Execute swap
+    logger.info(`Executing swap transaction (${paymentAsset} -> Token)...`);
+
+    sent = await sendTransaction(wallet, { ...swapTx, nonce: swapNonce }, logger, 'Buy swap', txOptions);
+    await nonces.markSent(swapNonce, sent.tx.hash);
+  } finally {
+    await releaseTradeNonces(nonces, logger);
+  }
+  const { tx } = sent;
 
   logger.logTransaction(tx.hash, { 
     type: 'BUY',
     tokenSymbol: tokenInfo.symbol,
     wethAmount: wethAmount.toFixed(6),
+    payment: paymentAsset,
     usdAmount: amountUsd
   });
 
-  // Step 7: Wait for confirmation
-  const receipt = await waitForTransaction(tx, logger);
+  // Step 8: Wait for confirmation
+  const receipt = await waitForTransaction(tx, wallet, logger, { maxGasPriceGwei: maxGasPrice, submitter });
 
-  // Step 8: Get actual tokens received and new WETH balance
+  // Step 9: Decode the actual fill from the receipt and read new WETH/ETH balances
   const newTokenBalance = await getTokenBalance(tokenAddress, walletAddress, provider, logger);
   const newWethBalance = await getTokenBalance(WETH_ADDRESS, walletAddress, provider, logger);
+  const newEthBalance = await getEthBalance(walletAddress, provider, logger);
+  const fill = decodeSwapReceipt(receipt, {
+    tokenIn: WETH_ADDRESS,
+    tokenOut: tokenAddress,
+    recipient: walletAddress,
+    decimalsOut: tokenInfo.decimals,
+    fees: route.fees,
+    l1FeePaid: await getL1FeePaid(receipt, provider, logger)
+  });
   
   const result = {
-    success: true,
-    type: 'BUY',
-    txHash: tx.hash,
-    explorerUrl: getExplorerUrl(tx.hash),
+    ...baseResult,
+    simulated: false,
+    txHash: receipt.hash,
+    explorerUrl: getExplorerUrl(receipt.hash),
+    submission: submitter?.getChannel(tx.hash) ?? SUBMISSION_CHANNELS.PUBLIC,
     blockNumber: receipt.blockNumber,
     gasUsed: receipt.gasUsed.toString(),
-    token: {
-      address: tokenAddress,
-      symbol: tokenInfo.symbol,
-      name: tokenInfo.name,
-      decimals: tokenInfo.decimals
-    },
-    input: {
-      wethAmount: wethAmount.toFixed(6),
-      usdAmount: amountUsd,
-      wethAmountWei: wethAmountWei.toString()
-    },
     output: {
-      expectedTokens: ethers.formatUnits(amountOut, tokenInfo.decimals),
-      minTokens: ethers.formatUnits(minAmountOut, tokenInfo.decimals),
+      expectedTokens: ethers.formatUnits(expectedTokens, tokenInfo.decimals),
+      minTokens: ethers.formatUnits(minTokens, tokenInfo.decimals),
+      actualAmountIn: ethers.formatEther(fill.actualAmountIn),
+      actualAmountOut: ethers.formatUnits(fill.actualAmountOut, tokenInfo.decimals),
+      effectivePrice: fill.effectivePrice,
+      lpFeePaid: ethers.formatEther(fill.lpFeePaid),
+      gasFeePaid: ethers.formatEther(fill.gasFeePaid),
+      estimatedGasCostEth: ethers.formatEther(sent.cost.totalExpectedCostWei),
+      // The pool paid out more than arrived when the token taxed the transfer
+      transferTaxPaid: ethers.formatUnits(fill.poolAmountOut - fill.actualAmountOut, tokenInfo.decimals),
+      observedTransferTaxBps: measureTransferTaxBps(fill.poolAmountOut, fill.actualAmountOut),
+      realizedSlippageBps: calculateRealizedSlippageBps(expectedTokens, fill.actualAmountOut),
       newTokenBalance: ethers.formatUnits(newTokenBalance, tokenInfo.decimals),
-      newWethBalance: ethers.formatEther(newWethBalance)
+      newWethBalance: ethers.formatEther(newWethBalance),
+      newEthBalance: ethers.formatEther(newEthBalance)
     },
-    poolFee: `${fee / 10000}%`,
     timestamp: new Date().toISOString()
   };
 
@@ -286,43 +653,236 @@ export async function executeBuy({ wallet, tokenAddress, amountUsd, slippageTole
 // =============================================================================
 
 /**
- * Executes a sell operation (Token -> ETH)
+ * Executes a sell operation (Token -> WETH, or native ETH via multicall unwrap)
+ * The sizing picks how much of the balance is sold (SELL_MODES); the amount can be split into
+ * several swaps, each routed, quoted and protected by its own minimum output.
  * @param {Object} params - Sell parameters
  * @param {ethers.Wallet} params.wallet - Wallet instance
  * @param {string} params.tokenAddress - Token to sell
  * @param {number} params.slippageTolerance - Slippage tolerance percentage
+ * @param {string} [params.settlement=DEFAULT_SELL_SETTLEMENT] - Settlement mode (SELL_SETTLEMENT_MODES)
+ * @param {Object} [params.sizing] - How much to sell: {mode, amount, percent, targetUsd} (see calculateSellAmount)
+ * @param {number} [params.chunks=1] - Number of swaps the sell is split into
+ * @param {number} [params.chunkDelaySeconds=SELL_CHUNK_DELAY_SECONDS] - Pause between swaps (not in dry runs)
+ * @param {string[]} [params.intermediaries=ROUTE_INTERMEDIARIES] - Tokens allowed as a middle hop
+ * @param {number} [params.maxPriceImpactBps=MAX_PRICE_IMPACT_BPS] - Price impact ceiling in basis points
+ * @param {number} [params.twapCheckSeconds=TWAP_CHECK_SECONDS] - Window of the pool TWAP the quote is checked against
+ * @param {number} [params.maxTwapDeviationBps=MAX_TWAP_DEVIATION_BPS] - Largest accepted deviation of the quote from the TWAP
+ * @param {boolean} [params.allowMissingTwap=ALLOW_MISSING_TWAP] - Trade when a route pool has no TWAP over the window
+ * @param {number} [params.maxGasPrice=MAX_GAS_PRICE_GWEI] - maxFeePerGas ceiling in Gwei
+ * @param {number[]} [params.poolFeeTiers=POOL_FEE_TIERS] - Pool fee tiers to route through
+ * @param {string} [params.routerAddress=UNISWAP_V3_ROUTER] - SwapRouter02 address
+ * @param {string} [params.universalRouterAddress=UNIVERSAL_ROUTER] - Universal Router address (Permit2 swaps)
+ * @param {string} [params.quoterAddress=UNISWAP_V3_QUOTER] - QuoterV2 address
+ * @param {number} [params.gasLimitMultiplier=GAS_LIMIT_MULTIPLIER] - Safety multiplier on gas estimates
+ * @param {string} [params.approvalPolicy=DEFAULT_APPROVAL_POLICY] - How much to approve when an allowance is missing (APPROVAL_POLICIES)
+ * @param {number} [params.approvalCapUsd=APPROVAL_CAP_USD] - USD value approved under the CAPPED policy
+ * @param {string} [params.approvalMethod=DEFAULT_APPROVAL_METHOD] - How a missing allowance is granted (APPROVAL_METHODS);
+ *        the approval policy only sizes approve transactions, signatures grant what the trade needs
+ * @param {Object} [params.pricing={}] - ETH/USD price options: maxAgeSeconds, twapSeconds, maxDeviationBps (see getEthPriceUsd)
+ * @param {string|null} [params.nonceStatePath=null] - Nonce state file shared across runs (null = not persisted)
+ * @param {Object|null} [params.privateRelay=null] - Private relay for the approval and swap: {url, timeoutMs}
+ *        (see createRelaySubmitter); null broadcasts to the public mempool
+ * @param {number|null} [params.transferTaxBps=0] - Tax the token takes from a transfer to its pool in basis
+ *        points (see estimateTransferTax, null = could not be measured); a taxed token, or one whose tax
+ *        could not be measured, is refused
+ * @param {boolean} [params.dryRun=false] - Simulate the swap without broadcasting
  * @param {Object} logger - Logger instance
- * @returns {Promise<Object>} Trade result
+ * @returns {Promise<Object>} Trade result; split sells add the per-swap results as chunks
  */
-export async function executeSell({ wallet, tokenAddress, slippageTolerance }, logger) {
+export async function executeSell({
+  wallet,
+  tokenAddress,
+  slippageTolerance,
+  settlement = DEFAULT_SELL_SETTLEMENT,
+  sizing = { mode: DEFAULT_SELL_MODE },
+  chunks = 1,
+  chunkDelaySeconds = SELL_CHUNK_DELAY_SECONDS,
+  intermediaries = ROUTE_INTERMEDIARIES,
+  maxPriceImpactBps = MAX_PRICE_IMPACT_BPS,
+  twapCheckSeconds = TWAP_CHECK_SECONDS,
+  maxTwapDeviationBps = MAX_TWAP_DEVIATION_BPS,
+  allowMissingTwap = ALLOW_MISSING_TWAP,
+  maxGasPrice = MAX_GAS_PRICE_GWEI,
+  poolFeeTiers = POOL_FEE_TIERS,
+  routerAddress = UNISWAP_V3_ROUTER,
+  universalRouterAddress = UNIVERSAL_ROUTER,
+  quoterAddress = UNISWAP_V3_QUOTER,
+  gasLimitMultiplier = GAS_LIMIT_MULTIPLIER,
+  approvalPolicy = DEFAULT_APPROVAL_POLICY,
+  approvalCapUsd = APPROVAL_CAP_USD,
+  approvalMethod = DEFAULT_APPROVAL_METHOD,
+  pricing = {},
+  nonceStatePath = null,
+  privateRelay = null,
+  transferTaxBps = 0,
+  dryRun = false
+}, logger) {
   const provider = wallet.provider;
   const walletAddress = await wallet.getAddress();
   
-  logger.info('Starting SELL operation: Selling all tokens');
+  logger.info(`Starting SELL operation: Selling ${describeSellSizing(sizing)} for ${settlement}${dryRun ? ' [DRY RUN]' : ''}`);
+  validateSellTransferTax(transferTaxBps, tokenAddress);
 
   // Step 1: Get token info
   const tokenInfo = await getTokenInfo(tokenAddress, provider, logger);
   logger.info(`Selling token: ${tokenInfo.symbol} (${tokenInfo.name})`);
 
+  const skip = (reason) => ({
+    success: true,
+    type: 'SELL',
+    skipped: true,
+    simulated: dryRun,
+    reason,
+    token: {
+      address: tokenAddress,
+      symbol: tokenInfo.symbol
+    },
+    timestamp: new Date().toISOString()
+  });
+
   // Step 2: Get token balance
   const tokenBalance = await getTokenBalance(tokenAddress, walletAddress, provider, logger);
   
   if (tokenBalance === 0n) {
     logger.warn('No tokens to sell, balance is zero');
-    return {
-      success: true,
-      type: 'SELL',
-      skipped: true,
-      reason: 'No tokens to sell',
-      token: {
-        address: tokenAddress,
-        symbol: tokenInfo.symbol
-      },
-      timestamp: new Date().toISOString()
-    };
+    return skip('No tokens to sell');
+  }
+
+  logger.info(`Token balance: ${ethers.formatUnits(tokenBalance, tokenInfo.decimals)} ${tokenInfo.symbol}`);
+
+  // Step 2a: Size the sell (a target value is measured by quoting the whole balance)
+  let balanceUsd = null;
+  if (sizing.mode === SELL_MODES.TARGET_USD) {
+    const valuation = await findBestRoute(tokenAddress, WETH_ADDRESS, tokenBalance, provider, logger, intermediaries, {
+      feeTiers: poolFeeTiers,
+      quoterAddress
+    });
+    balanceUsd = Number(ethers.formatEther(valuation.amountOut)) * await getEthPriceUsd(provider, logger, pricing);
+    logger.info(`Position value: ~$${balanceUsd.toFixed(2)} (target $${sizing.targetUsd})`);
+  }
+
+  const sellAmount = calculateSellAmount(tokenBalance, sizing, { decimals: tokenInfo.decimals, balanceUsd });
+  if (sellAmount === 0n) {
+    const reason = sizing.mode === SELL_MODES.TARGET_USD
+      ? `Position (~$${balanceUsd.toFixed(2)}) is already at or below the $${sizing.targetUsd} target`
+      : 'Sell amount rounds down to zero';
+    logger.info(`Nothing to sell: ${reason}`);
+    return skip(reason);
+  }
+
+  const amounts = splitSellAmount(sellAmount, chunks);
+  logger.info(`Token amount to sell: ${ethers.formatUnits(sellAmount, tokenInfo.decimals)} ${tokenInfo.symbol}${amounts.length > 1 ? ` in ${amounts.length} swaps` : ''}`);
+
+  const swapParams = {
+    wallet,
+    walletAddress,
+    tokenAddress,
+    tokenInfo,
+    tokenBalance,
+    slippageTolerance,
+    settlement,
+    intermediaries,
+    maxPriceImpactBps,
+    twapCheckSeconds,
+    maxTwapDeviationBps,
+    allowMissingTwap,
+    maxGasPrice,
+    poolFeeTiers,
+    routerAddress,
+    universalRouterAddress,
+    quoterAddress,
+    gasLimitMultiplier,
+    approvalPolicy,
+    approvalCapUsd,
+    approvalMethod,
+    pricing,
+    nonceStatePath,
+    submitter: createSubmitter(privateRelay, provider, logger),
+    dryRun
+  };
+
+  if (amounts.length === 1) {
+    return executeSellSwap({ ...swapParams, amountIn: sellAmount, approvalAmount: sellAmount }, logger);
+  }
+
+  // Step 2c: Split sell - the first approval covers every swap; swaps already sent are kept
+  // (and reported) if a later one fails
+  const results = [];
+  let remaining = sellAmount;
+  for (const [index, amountIn] of amounts.entries()) {
+    if (index > 0 && !dryRun && chunkDelaySeconds > 0) {
+      logger.info(`Waiting ${chunkDelaySeconds}s before swap ${index + 1}/${amounts.length}`);
+      await sleep(chunkDelaySeconds * 1000);
+    }
+
+    logger.info(`Sell swap ${index + 1}/${amounts.length}: ${ethers.formatUnits(amountIn, tokenInfo.decimals)} ${tokenInfo.symbol}`);
+    try {
+      results.push(await executeSellSwap({ ...swapParams, amountIn, approvalAmount: remaining }, logger));
+    } catch (error) {
+      if (results.length === 0) {
+        throw error;
+      }
+      logger.error(`Sell swap ${index + 1}/${amounts.length} failed, stopping the split sell`, {
+        code: error.code,
+        message: error.message
+      });
+      return {
+        ...combineSellChunks(results, tokenInfo),
+        success: false,
+        error: { name: error.name, code: error.code ?? null, message: error.message, chunk: index + 1 }
+      };
+    }
+    remaining -= amountIn;
   }
 
-  logger.info(`Token balance to sell: ${ethers.formatUnits(tokenBalance, tokenInfo.decimals)} ${tokenInfo.symbol}`);
+  return combineSellChunks(results, tokenInfo);
+}
+
+/**
+ * Sells a given token amount in one swap (see executeSell)
+ * @param {Object} params - executeSell parameters plus the resolved values below
+ * @param {string} params.walletAddress - Wallet address
+ * @param {Object} params.tokenInfo - Token info
+ * @param {bigint} params.tokenBalance - Token balance before the sell
+ * @param {bigint} params.amountIn - Tokens to swap
+ * @param {bigint} params.approvalAmount - Allowance to approve if missing (covers later swaps of a split sell)
+ * @param {Object|null} params.submitter - Submitter shared by the swaps of a split sell (see createSubmitter)
+ * @param {Object} logger - Logger instance
+ * @returns {Promise<Object>} Trade result
+ */
+async function executeSellSwap({
+  wallet,
+  walletAddress,
+  tokenAddress,
+  tokenInfo,
+  tokenBalance,
+  amountIn,
+  approvalAmount,
+  slippageTolerance,
+  settlement,
+  intermediaries,
+  maxPriceImpactBps,
+  twapCheckSeconds,
+  maxTwapDeviationBps,
+  allowMissingTwap,
+  maxGasPrice,
+  poolFeeTiers,
+  routerAddress,
+  universalRouterAddress,
+  quoterAddress,
+  gasLimitMultiplier,
+  approvalPolicy,
+  approvalCapUsd,
+  approvalMethod,
+  pricing,
+  nonceStatePath,
+  submitter,
+  dryRun
+}, logger) {
+  const txOptions = { maxGasPriceGwei: maxGasPrice, gasLimitMultiplier, submitter };
+  const provider = wallet.provider;
+  const unwrapToEth = settlement === SELL_SETTLEMENT_MODES.ETH;
 
   // Step 2b: Check ETH balance for gas
   const ethBalance = await getEthBalance(walletAddress, provider, logger);
@@ -332,104 +892,649 @@ export async function executeSell({ wallet, tokenAddress, slippageTolerance }, l
   const gasBuffer = ethers.parseEther('0.00005');
   validateSufficientBalance(ethBalance, gasBuffer, 'ETH (for gas)');
 
-  // Step 3: Find best pool and get quote
-  const { fee, amountOut } = await findBestPoolFee(
+  // Step 3: Find best route and get quote
+  const route = await findBestRoute(
     tokenAddress,
     WETH_ADDRESS,
-    tokenBalance,
+    amountIn,
     provider,
-    logger
+    logger,
+    intermediaries,
+    { feeTiers: poolFeeTiers, quoterAddress }
   );
+  const { amountOut } = route;
 
   const minAmountOut = calculateMinOutput(amountOut, slippageTolerance);
   logger.info(`Expected ETH: ${ethers.formatEther(amountOut)} ETH`);
   logger.info(`Minimum ETH (with ${slippageTolerance}% slippage): ${ethers.formatEther(minAmountOut)}`);
 
-  // Step 4: Approve router to spend tokens
-  await approveToken(
-    tokenAddress,
-    UNISWAP_V3_ROUTER,
-    tokenBalance,
+  // Step 3b: Refuse trades that move the pool price past the ceiling
+  const priceImpact = await calculatePriceImpact(route, provider, logger);
+  validatePriceImpact(priceImpact.impactBps, maxPriceImpactBps);
+
+  // Step 3c: Refuse quotes far from the pools' TWAP (a momentarily manipulated pool)
+  const twapCheck = await calculateTwapDeviation(route, amountIn, provider, logger, { twapSeconds: twapCheckSeconds });
+  validateTwapAvailable(twapCheck, allowMissingTwap);
+  if (twapCheck.checked) {
+    validateTwapDeviation(twapCheck.deviationBps, maxTwapDeviationBps, twapCheckSeconds);
+  }
+
+  // Step 4: Work out how the router gets its token allowance and build the swap transaction
+  // Native settlement: the router receives the WETH and unwraps it to the wallet in the same transaction
+  const router = new ethers.Contract(routerAddress, UNISWAP_V3_ROUTER_ABI, wallet);
+  const approval = await resolveTradeApproval({
     wallet,
-    logger
-  );
+    walletAddress,
+    tokenAddress,
+    requiredAmount: amountIn,
+    permitAmount: approvalAmount,
+    routerAddress,
+    universalRouterAddress,
+    approvalPolicy,
+    approvalMethod
+  }, logger);
 
-  // Step 5: Execute swap
-  const router = new ethers.Contract(UNISWAP_V3_ROUTER, UNISWAP_V3_ROUTER_ABI, wallet);
-  const deadline = Math.floor(Date.now() / 1000) + TX_DEADLINE_MINUTES * 60;
+  const { swapTx, swapRecipient } = await buildSwapTransaction(wallet, {
+    route,
+    walletAddress,
+    amountIn,
+    minAmountOut,
+    unwrap: unwrapToEth,
+    routerAddress,
+    universalRouterAddress
+  }, approval);
 
-  const swapParams = {
-    tokenIn: tokenAddress,
-    tokenOut: WETH_ADDRESS,
-    fee,
-    recipient: walletAddress,
-    amountIn: tokenBalance,
-    amountOutMinimum: minAmountOut,
-    sqrtPriceLimitX96: 0n
+  // Get ETH price for USD value
+  const ethPriceUsd = await getEthPriceUsd(provider, logger, pricing);
+  const usdValue = Number(ethers.formatEther(amountOut)) * ethPriceUsd;
+
+  const baseResult = {
+    success: true,
+    type: 'SELL',
+    token: {
+      address: tokenAddress,
+      symbol: tokenInfo.symbol,
+      name: tokenInfo.name,
+      decimals: tokenInfo.decimals
+    },
+    input: {
+      tokenAmount: ethers.formatUnits(amountIn, tokenInfo.decimals),
+      tokenAmountWei: amountIn.toString()
+    },
+    settlement,
+    ethPriceUsd,
+    approvalPolicy,
+    approvalMethod: approval.method,
+    poolFee: formatRouteFees(route),
+    route: formatRoute(route),
+    priceImpact: {
+      bps: priceImpact.impactBps,
+      maxBps: maxPriceImpactBps,
+      hops: priceImpact.hops
+    },
+    twapCheck: { ...twapCheck, maxBps: maxTwapDeviationBps }
   };
 
-  logger.info('Executing swap transaction...');
+  if (dryRun) {
+    // Step 5 (dry run): Check approval and simulate the swap without broadcasting
+    const approvalCheck = await simulateTradeApproval(tokenAddress, approval, approvalAmount, wallet, logger);
+    const simulation = await simulateSwap(wallet, router, swapTx, approvalCheck, 'Sell swap', txOptions, logger);
 
-  const tx = await executeWithRetry(
-    async () => {
-      // For selling tokens to ETH, we need to use multicall to unwrap WETH
-      const gasEstimate = await router.exactInputSingle.estimateGas(swapParams);
-      const gasLimit = (gasEstimate * BigInt(Math.floor(GAS_LIMIT_MULTIPLIER * 100))) / 100n;
-      
-      logger.debug(`Gas estimate: ${gasEstimate.toString()}, using limit: ${gasLimit.toString()}`);
+    const result = {
+      ...baseResult,
+      simulated: true,
+      txHash: null,
+      explorerUrl: null,
+      blockNumber: null,
+      gasUsed: null,
+      output: {
+        expectedEth: ethers.formatEther(amountOut),
+        minEth: ethers.formatEther(minAmountOut),
+        simulatedEth: simulation.amountOut !== null ? ethers.formatEther(simulation.amountOut) : null,
+        ethReceived: null,
+        gasFeePaid: null,
+        estimatedUsdValue: usdValue.toFixed(2),
+        newTokenBalance: ethers.formatUnits(tokenBalance, tokenInfo.decimals),
+        newEthBalance: ethers.formatEther(ethBalance),
+        newWethBalance: ethers.formatEther(
+          await getTokenBalance(WETH_ADDRESS, walletAddress, provider, logger)
+        )
+      },
+      simulation: formatSimulation(approvalCheck, simulation),
+      timestamp: new Date().toISOString()
+    };
 
-      return router.exactInputSingle(swapParams, { gasLimit });
-    },
-    logger,
-    'Sell swap'
-  );
+    logger.info('SELL simulation completed successfully (no transaction sent)', result);
+    return result;
+  }
+
+  // Step 5: Reserve nonces and approve router to spend tokens (unless the allowance is in place or
+  // signed into the swap)
+  const approvalRequired = approval.approveSpender !== null;
+  const nonces = createNonceManager(wallet, logger, { statePath: nonceStatePath });
+  const { approvalNonce, swapNonce } = await reserveTradeNonces(nonces, approvalRequired, 'Sell', txOptions);
+
+  let sent;
+  let settlementBalanceBefore;
+  try {
+    if (approvalRequired) {
+      const approvalReceipt = await approveToken(
+        tokenAddress,
+        approval.approveSpender,
+        calculateApprovalAmount(approvalAmount, approvalPolicy, {
+          referenceAmount: amountIn,
+          referenceUsd: usdValue,
+          capUsd: approvalCapUsd
+        }),
+        wallet,
+        logger,
+        { ...txOptions, nonce: approvalNonce }
+      );
+      if (approvalReceipt) {
+        await nonces.markSent(approvalNonce, approvalReceipt.hash);
+      }
+    }
+
+    // Step 6: Execute swap
+    // Snapshot the settlement balance after the approval so its gas is not counted
+    settlementBalanceBefore = unwrapToEth
+      ? await getEthBalance(walletAddress, provider, logger)
+      : await getTokenBalance(WETH_ADDRESS, walletAddress, provider, logger);
+
+    logger.info(`Executing swap transaction (Token -> ${settlement})...`);
+
+    sent = await sendTransaction(wallet, { ...swapTx, nonce: swapNonce }, logger, 'Sell swap', txOptions);
+    await nonces.markSent(swapNonce, sent.tx.hash);
+  } finally {
+    await releaseTradeNonces(nonces, logger);
+  }
+  const { tx } = sent;
 
   logger.logTransaction(tx.hash, {
     type: 'SELL',
     tokenSymbol: tokenInfo.symbol,
-    tokenAmount: ethers.formatUnits(tokenBalance, tokenInfo.decimals)
+    tokenAmount: ethers.formatUnits(amountIn, tokenInfo.decimals)
   });
 
-  // Step 6: Wait for confirmation
-  const receipt = await waitForTransaction(tx, logger);
+  // Step 7: Wait for confirmation
+  const receipt = await waitForTransaction(tx, wallet, logger, { maxGasPriceGwei: maxGasPrice, submitter });
 
-  // Step 7: Get new balances
+  // Step 8: Get new balances and the actual amount received
   const newTokenBalance = await getTokenBalance(tokenAddress, walletAddress, provider, logger);
   const newEthBalance = await getEthBalance(walletAddress, provider, logger);
+  const newWethBalance = await getTokenBalance(WETH_ADDRESS, walletAddress, provider, logger);
 
-  // Get ETH price for USD value
-  const ethPriceUsd = await getEthPriceUsd(provider, logger);
-  const ethReceived = Number(ethers.formatEther(amountOut));
-  const usdValue = ethReceived * ethPriceUsd;
+  const fill = decodeSwapReceipt(receipt, {
+    tokenIn: tokenAddress,
+    tokenOut: WETH_ADDRESS,
+    recipient: swapRecipient,
+    decimalsIn: tokenInfo.decimals,
+    fees: route.fees,
+    l1FeePaid: await getL1FeePaid(receipt, provider, logger)
+  });
+  const ethReceived = unwrapToEth
+    ? newEthBalance - settlementBalanceBefore + fill.gasFeePaid
+    : newWethBalance - settlementBalanceBefore;
+  const receivedUsdValue = Number(ethers.formatEther(ethReceived)) * ethPriceUsd;
+
+  logger.info(`Received ${ethers.formatEther(ethReceived)} ${settlement} (gas cost: ${ethers.formatEther(fill.gasFeePaid)} ETH)`);
 
   const result = {
-    success: true,
-    type: 'SELL',
-    txHash: tx.hash,
-    explorerUrl: getExplorerUrl(tx.hash),
+    ...baseResult,
+    simulated: false,
+    txHash: receipt.hash,
+    explorerUrl: getExplorerUrl(receipt.hash),
+    submission: submitter?.getChannel(tx.hash) ?? SUBMISSION_CHANNELS.PUBLIC,
     blockNumber: receipt.blockNumber,
     gasUsed: receipt.gasUsed.toString(),
-    token: {
-      address: tokenAddress,
-      symbol: tokenInfo.symbol,
-      name: tokenInfo.name,
-      decimals: tokenInfo.decimals
-    },
-    input: {
-      tokenAmount: ethers.formatUnits(tokenBalance, tokenInfo.decimals),
-      tokenAmountWei: tokenBalance.toString()
-    },
     output: {
       expectedEth: ethers.formatEther(amountOut),
       minEth: ethers.formatEther(minAmountOut),
-      estimatedUsdValue: usdValue.toFixed(2),
+      actualAmountIn: ethers.formatUnits(fill.actualAmountIn, tokenInfo.decimals),
+      actualAmountOut: ethers.formatEther(fill.actualAmountOut),
+      effectivePrice: fill.effectivePrice,
+      lpFeePaid: ethers.formatUnits(fill.lpFeePaid, tokenInfo.decimals),
+      gasFeePaid: ethers.formatEther(fill.gasFeePaid),
+      estimatedGasCostEth: ethers.formatEther(sent.cost.totalExpectedCostWei),
+      realizedSlippageBps: calculateRealizedSlippageBps(amountOut, fill.actualAmountOut),
+      ethReceived: ethers.formatEther(ethReceived),
+      estimatedUsdValue: receivedUsdValue.toFixed(2),
       newTokenBalance: ethers.formatUnits(newTokenBalance, tokenInfo.decimals),
-      newEthBalance: ethers.formatEther(newEthBalance)
+      newEthBalance: ethers.formatEther(newEthBalance),
+      newWethBalance: ethers.formatEther(newWethBalance)
     },
-    poolFee: `${fee / 10000}%`,
     timestamp: new Date().toISOString()
   };
 
   logger.info('SELL operation completed successfully', result);
   return result;
 }
+
+// =============================================================================
+// SELL SIZING
+// =============================================================================
+
+/**
+ * Describes a sell sizing for logs
+ * @param {Object} sizing - Sell sizing ({mode, amount, percent, targetUsd})
+ * @returns {string} e.g. "25% of the balance"
+ */
+function describeSellSizing(sizing) {
+  switch (sizing.mode) {
+    case SELL_MODES.AMOUNT:
+      return `${sizing.amount} tokens`;
+    case SELL_MODES.PERCENT:
+      return `${sizing.percent}% of the balance`;
+    case SELL_MODES.TARGET_USD:
+      return `down to a $${sizing.targetUsd} position`;
+    default:
+      return 'all tokens';
+  }
+}
+
+/**
+ * Calculates how many tokens a sell swaps
+ * TARGET_USD sells the excess value's share of the balance, priced at the quote for the
+ * whole balance (price impact makes a smaller sell slightly cheaper per token, so the
+ * position ends at or just above the target)
+ * @param {bigint} balance - Token balance in base units
+ * @param {Object} sizing - Sell sizing
+ * @param {string} sizing.mode - Sell mode (SELL_MODES)
+ * @param {number} [sizing.amount] - Token amount to sell, in whole tokens (AMOUNT)
+ * @param {number} [sizing.percent] - Percentage of the balance to sell (PERCENT)
+ * @param {number} [sizing.targetUsd] - Position value to keep in USD (TARGET_USD)
+ * @param {Object} options - Options
+ * @param {number} options.decimals - Token decimals
+ * @param {number|null} [options.balanceUsd=null] - Value of the whole balance in USD (TARGET_USD)
+ * @returns {bigint} Tokens to sell in base units (0n when there is nothing to sell)
+ * @throws {ValidationError} If a fixed amount exceeds the balance or has too many decimals
+ */
+export function calculateSellAmount(balance, sizing, { decimals, balanceUsd = null }) {
+  switch (sizing.mode) {
+    case SELL_MODES.AMOUNT: {
+      let amount;
+      try {
+        amount = ethers.parseUnits(String(sizing.amount), decimals);
+      } catch {
+        throw new ValidationError(
+          `Sell amount ${sizing.amount} does not fit the token's ${decimals} decimals`,
+          ERROR_CODES.INVALID_CONFIG,
+          { amount: sizing.amount, decimals }
+        );
+      }
+      validateSufficientBalance(balance, amount, 'token');
+      return amount;
+    }
+    case SELL_MODES.PERCENT:
+      return (balance * BigInt(Math.round(sizing.percent * 100))) / 10000n;
+    case SELL_MODES.TARGET_USD:
+      if (balanceUsd <= sizing.targetUsd) {
+        return 0n;
+      }
+      return (balance * BigInt(Math.round((balanceUsd - sizing.targetUsd) * 100))) / BigInt(Math.round(balanceUsd * 100));
+    default:
+      return balance;
+  }
+}
+
+/**
+ * Splits a sell amount into equal swaps (the last one takes the rounding remainder)
+ * @param {bigint} amount - Tokens to sell in base units
+ * @param {number} chunks - Number of swaps
+ * @returns {bigint[]} Swap amounts (fewer than chunks if the amount is too small to split)
+ */
+export function splitSellAmount(amount, chunks) {
+  const count = BigInt(Math.max(1, Math.min(chunks, Number(amount > 0n ? amount : 1n))));
+  const size = amount / count;
+  return Array.from({ length: Number(count) }, (_, index) => (BigInt(index) === count - 1n ? amount - size * (count - 1n) : size));
+}
+
+/**
+ * Combines the results of a split sell into one result
+ * Totals cover every swap; balances, route and transaction link are those of the last swap and the
+ * approval method that of the first
+ * @param {Array<Object>} chunks - Per-swap results
+ * @param {Object} tokenInfo - Token info
+ * @returns {Object} Trade result with the per-swap results as chunks
+ */
+function combineSellChunks(chunks, tokenInfo) {
+  const last = chunks.at(-1);
+  const total = (pick, decimals = 18) => chunks.reduce((sum, chunk) => sum + ethers.parseUnits(pick(chunk), decimals), 0n);
+  const tokenAmount = total((chunk) => chunk.input.tokenAmount, tokenInfo.decimals);
+  const expectedEth = total((chunk) => chunk.output.expectedEth);
+
+  const output = {
+    ...last.output,
+    expectedEth: ethers.formatEther(expectedEth),
+    minEth: ethers.formatEther(total((chunk) => chunk.output.minEth)),
+    estimatedUsdValue: chunks.reduce((sum, chunk) => sum + Number(chunk.output.estimatedUsdValue), 0).toFixed(2)
+  };
+
+  if (last.simulated) {
+    output.simulatedEth = chunks.every((chunk) => chunk.output.simulatedEth !== null)
+      ? ethers.formatEther(total((chunk) => chunk.output.simulatedEth))
+      : null;
+  } else {
+    const actualAmountIn = total((chunk) => chunk.output.actualAmountIn, tokenInfo.decimals);
+    const actualAmountOut = total((chunk) => chunk.output.actualAmountOut);
+    Object.assign(output, {
+      actualAmountIn: ethers.formatUnits(actualAmountIn, tokenInfo.decimals),
+      actualAmountOut: ethers.formatEther(actualAmountOut),
+      effectivePrice: Number(ethers.formatEther(actualAmountOut)) / Number(ethers.formatUnits(actualAmountIn, tokenInfo.decimals)),
+      lpFeePaid: ethers.formatUnits(total((chunk) => chunk.output.lpFeePaid, tokenInfo.decimals), tokenInfo.decimals),
+      gasFeePaid: ethers.formatEther(total((chunk) => chunk.output.gasFeePaid)),
+      estimatedGasCostEth: ethers.formatEther(total((chunk) => chunk.output.estimatedGasCostEth)),
+      realizedSlippageBps: calculateRealizedSlippageBps(expectedEth, actualAmountOut),
+      ethReceived: ethers.formatEther(total((chunk) => chunk.output.ethReceived))
+    });
+  }
+
+  return {
+    ...last,
+    // Only the first swap of a split sell grants the allowance
+    approvalMethod: chunks[0].approvalMethod,
+    input: {
+      tokenAmount: ethers.formatUnits(tokenAmount, tokenInfo.decimals),
+      tokenAmountWei: tokenAmount.toString()
+    },
+    gasUsed: last.simulated ? null : chunks.reduce((sum, chunk) => sum + BigInt(chunk.gasUsed), 0n).toString(),
+    output,
+    chunks
+  };
+}
+
+// =============================================================================
+// SUBMISSION HELPERS
+// =============================================================================
+
+/**
+ * Creates the submitter of a trade's transactions
+ * @param {Object|null} privateRelay - Private relay settings ({url, timeoutMs, pollIntervalMs}) or null
+ * @param {ethers.Provider} provider - Provider instance
+ * @param {Object} logger - Logger instance
+ * @returns {Object|null} Relay submitter, or null for the public mempool
+ */
+function createSubmitter(privateRelay, provider, logger) {
+  if (!privateRelay?.url) {
+    return null;
+  }
+  const { url, ...options } = privateRelay;
+  return createRelaySubmitter(url, provider, logger, options);
+}
+
+// =============================================================================
+// APPROVAL HELPERS
+// =============================================================================
+
+/**
+ * Approval of a trade whose allowance is already in place (or that pays with native ETH)
+ * @constant {Object}
+ */
+const NO_APPROVAL = { method: null, reason: null, approveSpender: null, permit: null, permit2: null };
+
+/**
+ * Works out how the router gets a trade's allowance and signs the permit it takes, if any
+ * @param {Object} params - Parameters
+ * @param {ethers.Wallet} params.wallet - Wallet instance
+ * @param {string} params.walletAddress - Wallet address
+ * @param {string} params.tokenAddress - Token the router spends
+ * @param {bigint} params.requiredAmount - Allowance the swap needs
+ * @param {bigint} params.permitAmount - Allowance a signature grants (covers later swaps of a split sell)
+ * @param {string} params.routerAddress - SwapRouter02 address
+ * @param {string} params.universalRouterAddress - Universal Router address
+ * @param {string} params.approvalPolicy - Approval policy (APPROVAL_POLICIES; PERMIT2 forces the PERMIT2 method)
+ * @param {string} params.approvalMethod - Requested method (APPROVAL_METHODS)
+ * @param {Object} logger - Logger instance
+ * @returns {Promise<Object>} {method, reason, approveSpender, permit, permit2}: method is null when the
+ *          allowance is in place, approveSpender the address an approve transaction goes to (or null),
+ *          permit/permit2 the signature redeemed by the swap (see signPermit/signPermit2)
+ */
+async function resolveTradeApproval({
+  wallet,
+  walletAddress,
+  tokenAddress,
+  requiredAmount,
+  permitAmount,
+  routerAddress,
+  universalRouterAddress,
+  approvalPolicy,
+  approvalMethod
+}, logger) {
+  if (await getTokenAllowance(tokenAddress, walletAddress, routerAddress, wallet.provider, logger) >= requiredAmount) {
+    return NO_APPROVAL;
+  }
+
+  const method = approvalPolicy === APPROVAL_POLICIES.PERMIT2 ? APPROVAL_METHODS.PERMIT2 : approvalMethod;
+  const resolved = await resolveApprovalMethod(tokenAddress, requiredAmount, wallet, { method, universalRouterAddress }, logger);
+  logger.info(`Router allowance missing, granting it with ${resolved.method} (${resolved.reason})`);
+  const approval = { ...NO_APPROVAL, method: resolved.method, reason: resolved.reason };
+
+  switch (resolved.method) {
+    case APPROVAL_METHODS.PERMIT:
+      return {
+        ...approval,
+        permit: await signPermit(wallet, resolved.domain, routerAddress, permitAmount, getDeadline(), logger)
+      };
+    case APPROVAL_METHODS.PERMIT2:
+      return {
+        ...approval,
+        approveSpender: resolved.permit2Approved ? null : PERMIT2_ADDRESS,
+        permit2: resolved.signatureRequired
+          ? await signPermit2(wallet, tokenAddress, universalRouterAddress, permitAmount, {
+            nonce: resolved.nonce,
+            expiration: Math.floor(Date.now() / 1000) + PERMIT2_EXPIRATION_SECONDS,
+            sigDeadline: getDeadline()
+          }, logger)
+          : null
+      };
+    default:
+      return { ...approval, approveSpender: routerAddress };
+  }
+}
+
+/**
+ * Builds a trade's swap transaction for its approval (see resolveTradeApproval)
+ * Permit2 trades go through the Universal Router; the rest through SwapRouter02, in a multicall
+ * when a permit is redeemed or ETH is wrapped or unwrapped
+ * @param {ethers.Wallet} wallet - Wallet instance
+ * @param {Object} params - Parameters
+ * @param {Object} params.route - Route returned by findBestRoute
+ * @param {string} params.walletAddress - Wallet address (receives the output)
+ * @param {bigint} params.amountIn - Input amount
+ * @param {bigint} params.minAmountOut - Minimum output
+ * @param {bigint} [params.value=0n] - Native ETH paid into the swap (leftovers are refunded)
+ * @param {boolean} [params.unwrap=false] - Unwrap the WETH output to native ETH
+ * @param {string} params.routerAddress - SwapRouter02 address
+ * @param {string} params.universalRouterAddress - Universal Router address
+ * @param {Object} approval - Trade approval (see resolveTradeApproval)
+ * @returns {Promise<{swapTx: ethers.TransactionRequest, swapRecipient: string}>} Populated transaction
+ *          and the address the pool pays out to
+ */
+async function buildSwapTransaction(wallet, {
+  route,
+  walletAddress,
+  amountIn,
+  minAmountOut,
+  value = 0n,
+  unwrap = false,
+  routerAddress,
+  universalRouterAddress
+}, approval) {
+  if (approval.method === APPROVAL_METHODS.PERMIT2) {
+    const universalRouter = new ethers.Contract(universalRouterAddress, UNIVERSAL_ROUTER_ABI, wallet);
+    const { commands, inputs } = buildUniversalRouterSwap(route, walletAddress, amountIn, minAmountOut, {
+      permit2: approval.permit2,
+      unwrap
+    });
+    return {
+      swapTx: await universalRouter.execute.populateTransaction(commands, inputs, getDeadline()),
+      swapRecipient: unwrap ? universalRouterAddress : walletAddress
+    };
+  }
+
+  const router = new ethers.Contract(routerAddress, UNISWAP_V3_ROUTER_ABI, wallet);
+  const swapRecipient = unwrap ? routerAddress : walletAddress;
+  const swapCall = buildSwapCall(route, swapRecipient, amountIn, minAmountOut);
+  const { permit } = approval;
+
+  // selfPermitIfNecessary skips a permit someone else already redeemed (front-run) instead of reverting
+  const calls = [
+    ...(permit ? [['selfPermitIfNecessary', [permit.token, permit.value, permit.deadline, permit.v, permit.r, permit.s]]] : []),
+    [swapCall.name, swapCall.args],
+    ...(unwrap ? [['unwrapWETH9', [minAmountOut, walletAddress]]] : []),
+    ...(value > 0n ? [['refundETH', []]] : [])
+  ];
+
+  const swapTx = calls.length === 1
+    ? await router[swapCall.name].populateTransaction(...swapCall.args)
+    : await router.multicall.populateTransaction(
+      getDeadline(),
+      calls.map(([name, args]) => router.interface.encodeFunctionData(name, args)),
+      { value }
+    );
+  return { swapTx, swapRecipient };
+}
+
+/**
+ * Checks in a dry run whether a trade would send an approve transaction
+ * @param {string} tokenAddress - Token the router spends
+ * @param {Object} approval - Trade approval (see resolveTradeApproval)
+ * @param {bigint} amount - Amount that would be approved
+ * @param {ethers.Wallet} wallet - Wallet instance
+ * @param {Object} logger - Logger instance
+ * @returns {Promise<Object>} Result of simulateApproval ({required, currentAllowance, gasEstimate})
+ */
+async function simulateTradeApproval(tokenAddress, approval, amount, wallet, logger) {
+  if (approval.approveSpender === null) {
+    return { required: false, currentAllowance: null, gasEstimate: null };
+  }
+  return simulateApproval(tokenAddress, approval.approveSpender, amount, wallet, logger);
+}
+
+// =============================================================================
+// NONCE HELPERS
+// =============================================================================
+
+/**
+ * Reconciles the wallet's nonces with earlier runs and reserves the trade's nonces
+ * Gaps left by a failed run are filled first, otherwise the swap would queue behind them
+ * @param {Object} nonces - Nonce manager (see createNonceManager)
+ * @param {boolean} approvalRequired - Whether an approval is sent before the swap
+ * @param {string} side - "Buy" or "Sell" (reservation labels)
+ * @param {Object} txOptions - sendTransaction options (maxGasPriceGwei, gasLimitMultiplier)
+ * @returns {Promise<{approvalNonce: number|undefined, swapNonce: number}>} Reserved nonces
+ */
+async function reserveTradeNonces(nonces, approvalRequired, side, txOptions) {
+  const { gaps } = await nonces.reconcile();
+  if (gaps.length > 0) {
+    await nonces.fillGaps({ maxGasPriceGwei: txOptions.maxGasPriceGwei });
+  }
+
+  const reserved = await nonces.reserve(approvalRequired ? [`${side} approval`, `${side} swap`] : [`${side} swap`]);
+  return {
+    approvalNonce: approvalRequired ? reserved[0] : undefined,
+    swapNonce: reserved.at(-1)
+  };
+}
+
+/**
+ * Releases reservations a failed trade never used (errors are logged, never thrown,
+ * so they cannot mask the trade's own error)
+ * @param {Object} nonces - Nonce manager (see createNonceManager)
+ * @param {Object} logger - Logger instance
+ */
+async function releaseTradeNonces(nonces, logger) {
+  try {
+    await nonces.releaseUnsent();
+  } catch (error) {
+    logger.warn('Could not release unused nonces', { error: error.message });
+  }
+}
+
+// =============================================================================
+// SIMULATION HELPERS
+// =============================================================================
+
+/**
+ * Simulates a populated swap transaction, skipping it when an approval is still missing
+ * (the router's transferFrom would revert, so the result would not be meaningful)
+ * @param {ethers.Wallet} wallet - Wallet instance
+ * @param {ethers.Contract} router - Router contract (used to decode the return data)
+ * @param {ethers.TransactionRequest} swapTx - Populated swap transaction
+ * @param {Object} approval - Result of simulateApproval
+ * @param {string} operationName - Name of the operation for logging
+ * @param {Object} txOptions - simulateTransaction options (maxGasPriceGwei, gasLimitMultiplier)
+ * @param {Object} logger - Logger instance
+ * @returns {Promise<{swapSimulated: boolean, amountOut: bigint|null, gasEstimate: bigint|null, feeEstimate: Object|null}>}
+ */
+async function simulateSwap(wallet, router, swapTx, approval, operationName, txOptions, logger) {
+  if (approval.required) {
+    logger.warn(`[DRY RUN] ${operationName} not simulated: router allowance is missing`);
+    return { swapSimulated: false, amountOut: null, gasEstimate: null, feeEstimate: null };
+  }
+
+  const { returnData, gasEstimate, fees, cost } = await simulateTransaction(
+    wallet,
+    swapTx,
+    logger,
+    operationName,
+    txOptions
+  );
+  const amountOut = decodeSwapAmountOut(router, swapTx, returnData);
+
+  return { swapSimulated: true, amountOut, gasEstimate, feeEstimate: formatFeeEstimate(fees, cost) };
+}
+
+/**
+ * Decodes the swap output from SwapRouter02 return data (in a multicall, from the swap call)
+ * @param {ethers.Contract} router - Router contract
+ * @param {ethers.TransactionRequest} swapTx - Populated swap transaction
+ * @param {string} returnData - Raw return data from eth_call
+ * @returns {bigint|null} Amount out reported by the router; null for a Universal Router
+ *          transaction, whose execute() returns nothing
+ */
+function decodeSwapAmountOut(router, swapTx, returnData) {
+  const parsed = router.interface.parseTransaction({ data: swapTx.data, value: swapTx.value });
+  if (!parsed) {
+    return null;
+  }
+
+  if (parsed.name !== 'multicall') {
+    return router.interface.decodeFunctionResult(parsed.name, returnData)[0];
+  }
+
+  const [results] = router.interface.decodeFunctionResult('multicall', returnData);
+  const calls = parsed.args[1].map((data) => router.interface.parseTransaction({ data }));
+  const index = calls.findIndex((call) => call.name.startsWith('exactInput'));
+  return router.interface.decodeFunctionResult(calls[index].name, results[index])[0];
+}
+
+/**
+ * Formats the chosen route for the trade result
+ * @param {Object} route - Route returned by findBestRoute
+ * @returns {Object} Serializable route details
+ */
+function formatRoute(route) {
+  return {
+    hops: route.fees.length,
+    tokens: route.tokens,
+    fees: route.fees,
+    gasEstimate: route.gasEstimate.toString()
+  };
+}
+
+/**
+ * Formats approval and swap simulation data for the trade result
+ * @param {Object} approval - Result of simulateApproval
+ * @param {Object} simulation - Result of simulateSwap
+ * @returns {Object} Serializable simulation details
+ */
+function formatSimulation(approval, simulation) {
+  return {
+    approvalRequired: approval.required,
+    approvalGasEstimate: approval.gasEstimate?.toString() ?? null,
+    swapSimulated: simulation.swapSimulated,
+    swapGasEstimate: simulation.gasEstimate?.toString() ?? null,
+    fees: simulation.feeEstimate
+  };
+}
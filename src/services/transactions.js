@@ -0,0 +1,330 @@
+/**
+ * @fileoverview Pending transaction manager
+ * @description Tracks the nonces of transactions sent during a run, replaces transactions
+ *              that stay unmined with bumped fees and, as a last resort, cancels the nonce
+ *              with a zero-value self-transfer so the next run is not blocked
+ */
+
+import { ethers } from 'ethers';
+import {
+  TX_STUCK_TIMEOUT_MS,
+  TX_POLL_INTERVAL_MS,
+  MAX_TX_REPLACEMENTS,
+  REPLACEMENT_FEE_BUMP_PERCENT,
+  CANCEL_TX_GAS_LIMIT,
+  RETRY_POLICIES,
+  MAX_GAS_PRICE_GWEI,
+  ERROR_CODES
+} from '../config/constants.js';
+import { BlockchainError, executeWithRetry, sleep, submitTransaction } from './blockchain.js';
+import { getFeeParams } from './fees.js';
+import { ValidationError, validateGasPrice } from '../utils/validation.js';
+
+// =============================================================================
+// FEE BUMPING
+// =============================================================================
+
+/**
+ * Computes the fees of a replacement transaction
+ * Both fee fields are raised by at least bumpPercent over the transaction being replaced
+ * (nodes refuse smaller bumps with "replacement fee too low") and never fall below what
+ * the market currently asks.
+ * @param {{maxFeePerGas: bigint, maxPriorityFeePerGas: bigint}} previous - Fees of the transaction being replaced
+ * @param {{maxFeePerGas: bigint, maxPriorityFeePerGas: bigint}} market - Current fee suggestion (see getFeeParams)
+ * @param {Object} [options] - Options
+ * @param {number} [options.bumpPercent=REPLACEMENT_FEE_BUMP_PERCENT] - Minimum bump in percent
+ * @param {number} [options.maxGasPriceGwei=MAX_GAS_PRICE_GWEI] - maxFeePerGas ceiling in Gwei
+ * @returns {{maxFeePerGas: bigint, maxPriorityFeePerGas: bigint}} Replacement fees
+ * @throws {ValidationError} If the replacement would exceed the ceiling (GAS_TOO_HIGH)
+ */
+export function bumpFees(previous, market, {
+  bumpPercent = REPLACEMENT_FEE_BUMP_PERCENT,
+  maxGasPriceGwei = MAX_GAS_PRICE_GWEI
+} = {}) {
+  const bump = (value) => (value * BigInt(100 + bumpPercent) + 99n) / 100n;
+  const max = (a, b) => (a > b ? a : b);
+
+  const maxPriorityFeePerGas = max(bump(previous.maxPriorityFeePerGas), market.maxPriorityFeePerGas);
+  const maxFeePerGas = max(max(bump(previous.maxFeePerGas), market.maxFeePerGas), maxPriorityFeePerGas);
+
+  validateGasPrice(maxFeePerGas, maxGasPriceGwei);
+
+  return { maxFeePerGas, maxPriorityFeePerGas };
+}
+
+// =============================================================================
+// TRANSACTION MANAGER
+// =============================================================================
+
+/**
+ * Creates a manager for the transactions a wallet sends during a run
+ * @param {ethers.Wallet} wallet - Wallet instance
+ * @param {Object} logger - Logger instance
+ * @param {Object} [options] - Options
+ * @param {number} [options.maxGasPriceGwei=MAX_GAS_PRICE_GWEI] - maxFeePerGas ceiling for replacements
+ * @param {number} [options.stuckTimeoutMs=TX_STUCK_TIMEOUT_MS] - Time unmined before a replacement
+ * @param {number} [options.pollIntervalMs=TX_POLL_INTERVAL_MS] - Receipt poll interval
+ * @param {number} [options.maxReplacements=MAX_TX_REPLACEMENTS] - Speed-ups before cancelling
+ * @param {boolean} [options.cancelWhenStuck=true] - Cancel the nonce once speed-ups are exhausted
+ * @param {Object|null} [options.submitter=null] - Submitter replacements go through (see createRelaySubmitter)
+ * @returns {Object} Manager ({ track, getPending, speedUp, cancel, waitForReceipt })
+ */
+export function createTransactionManager(wallet, logger, {
+  maxGasPriceGwei = MAX_GAS_PRICE_GWEI,
+  stuckTimeoutMs = TX_STUCK_TIMEOUT_MS,
+  pollIntervalMs = TX_POLL_INTERVAL_MS,
+  maxReplacements = MAX_TX_REPLACEMENTS,
+  cancelWhenStuck = true,
+  submitter = null
+} = {}) {
+  // nonce -> { nonce, request, fees, attempts: [{ hash, kind }] }
+  const pending = new Map();
+
+  /**
+   * Sends a replacement at a tracked nonce with bumped fees
+   */
+  async function replace(nonce, kind, request) {
+    const entry = pending.get(nonce);
+    if (!entry) {
+      throw new BlockchainError(`No pending transaction at nonce ${nonce}`, ERROR_CODES.TX_FAILED, { nonce });
+    }
+
+    const market = await getFeeParams(wallet.provider, logger, maxGasPriceGwei);
+    const fees = bumpFees(entry.fees, market, { maxGasPriceGwei });
+    const replaces = entry.attempts.at(-1).hash;
+
+    // A refused bump still raises the floor so the next attempt bumps from it
+    entry.fees = fees;
+
+    const tx = await submitTransaction(wallet, { ...request, type: 2, nonce, ...fees }, submitter, `Nonce ${nonce} replacement`);
+    entry.attempts.push({ hash: tx.hash, kind });
+
+    logger.logTransaction(tx.hash, {
+      type: kind,
+      nonce,
+      replaces,
+      maxFeePerGas: ethers.formatUnits(fees.maxFeePerGas, 'gwei'),
+      maxPriorityFeePerGas: ethers.formatUnits(fees.maxPriorityFeePerGas, 'gwei')
+    });
+
+    return tx;
+  }
+
+  /**
+   * Returns the first receipt found for any attempt at a nonce
+   */
+  async function findReceipt(entry) {
+    for (const attempt of [...entry.attempts].reverse()) {
+      const receipt = await executeWithRetry(
+        () => wallet.provider.getTransactionReceipt(attempt.hash),
+        logger,
+        `Receipt ${attempt.hash}`,
+        RETRY_POLICIES.WAIT
+      );
+      if (receipt) {
+        return { receipt, attempt };
+      }
+    }
+    return null;
+  }
+
+  /**
+   * Polls until an attempt at the nonce is mined or the timeout elapses
+   */
+  async function pollReceipt(entry, timeoutMs) {
+    const deadline = Date.now() + timeoutMs;
+
+    while (true) {
+      const found = await findReceipt(entry);
+      if (found) {
+        return found;
+      }
+
+      const minedNonce = await executeWithRetry(
+        async () => wallet.provider.getTransactionCount(await wallet.getAddress(), 'latest'),
+        logger,
+        `Nonce ${entry.nonce} status`,
+        RETRY_POLICIES.WAIT
+      );
+      if (minedNonce > entry.nonce) {
+        // The nonce may have been mined between the two reads
+        const late = await findReceipt(entry);
+        if (late) {
+          return late;
+        }
+        pending.delete(entry.nonce);
+        throw new BlockchainError(
+          `Nonce ${entry.nonce} was used by a transaction this run did not send`,
+          ERROR_CODES.TX_FAILED,
+          { nonce: entry.nonce, hashes: entry.attempts.map((attempt) => attempt.hash) }
+        );
+      }
+
+      if (Date.now() >= deadline) {
+        return null;
+      }
+      await sleep(pollIntervalMs);
+    }
+  }
+
+  const manager = {
+    /**
+     * Starts tracking a sent transaction by nonce
+     * @param {ethers.TransactionResponse} tx - Sent type-2 transaction
+     * @returns {Object} Pending entry
+     */
+    track(tx) {
+      const existing = pending.get(tx.nonce);
+      if (existing) {
+        return existing;
+      }
+
+      const entry = {
+        nonce: tx.nonce,
+        request: {
+          to: tx.to,
+          data: tx.data,
+          value: tx.value,
+          gasLimit: tx.gasLimit,
+          chainId: tx.chainId
+        },
+        fees: { maxFeePerGas: tx.maxFeePerGas, maxPriorityFeePerGas: tx.maxPriorityFeePerGas },
+        attempts: [{ hash: tx.hash, kind: 'ORIGINAL' }]
+      };
+      pending.set(tx.nonce, entry);
+      return entry;
+    },
+
+    /**
+     * Lists the nonces still waiting to be mined
+     * @returns {Array<{nonce: number, hashes: string[]}>} Pending nonces in ascending order
+     */
+    getPending() {
+      return [...pending.values()]
+        .sort((a, b) => a.nonce - b.nonce)
+        .map((entry) => ({ nonce: entry.nonce, hashes: entry.attempts.map((attempt) => attempt.hash) }));
+    },
+
+    /**
+     * Rebroadcasts the transaction at a nonce with bumped fees
+     * @param {number} nonce - Tracked nonce
+     * @returns {Promise<ethers.TransactionResponse>} Replacement transaction
+     * @throws {ValidationError} If the bumped fee exceeds the ceiling (GAS_TOO_HIGH)
+     */
+    speedUp(nonce) {
+      logger.warn(`Transaction at nonce ${nonce} is not mined, speeding up`);
+      return replace(nonce, 'SPEED_UP', pending.get(nonce)?.request);
+    },
+
+    /**
+     * Replaces the transaction at a nonce with a zero-value self-transfer
+     * @param {number} nonce - Tracked nonce
+     * @returns {Promise<ethers.TransactionResponse>} Cancel transaction
+     * @throws {ValidationError} If the bumped fee exceeds the ceiling (GAS_TOO_HIGH)
+     */
+    async cancel(nonce) {
+      logger.warn(`Cancelling transaction at nonce ${nonce}`);
+      return replace(nonce, 'CANCEL', {
+        to: await wallet.getAddress(),
+        data: '0x',
+        value: 0n,
+        gasLimit: CANCEL_TX_GAS_LIMIT,
+        chainId: pending.get(nonce)?.request.chainId
+      });
+    },
+
+    /**
+     * Waits for a transaction, replacing it while it stays unmined
+     * Speed-ups are sent every stuckTimeoutMs until maxReplacements is reached, then the
+     * nonce is cancelled. The receipt is returned whatever its status.
+     * @param {ethers.TransactionResponse} tx - Sent type-2 transaction
+     * @returns {Promise<ethers.TransactionReceipt>} Receipt of the attempt that was mined
+     * @throws {BlockchainError} If the nonce was cancelled (TX_FAILED) or is still pending (TX_STUCK)
+     */
+    async waitForReceipt(tx) {
+      const entry = manager.track(tx);
+      let speedUps = 0;
+      let cancelled = false;
+
+      logger.info(`Waiting for transaction confirmation: ${tx.hash}`);
+
+      while (true) {
+        const found = await pollReceipt(entry, stuckTimeoutMs);
+
+        if (found) {
+          pending.delete(entry.nonce);
+          if (found.attempt.kind === 'CANCEL') {
+            throw new BlockchainError(
+              'Transaction was cancelled after it got stuck',
+              ERROR_CODES.TX_FAILED,
+              { nonce: entry.nonce, txHash: found.receipt.hash, replaced: entry.attempts.map((attempt) => attempt.hash) }
+            );
+          }
+          return found.receipt;
+        }
+
+        const stuck = {
+          nonce: entry.nonce,
+          hashes: entry.attempts.map((attempt) => attempt.hash)
+        };
+
+        if (speedUps >= maxReplacements && (!cancelWhenStuck || cancelled)) {
+          throw new BlockchainError(`Transaction at nonce ${entry.nonce} is stuck`, ERROR_CODES.TX_STUCK, stuck);
+        }
+
+        try {
+          if (speedUps < maxReplacements) {
+            speedUps++;
+            await manager.speedUp(entry.nonce);
+          } else {
+            cancelled = true;
+            await manager.cancel(entry.nonce);
+          }
+        } catch (error) {
+          if (error instanceof ValidationError) {
+            throw new BlockchainError(
+              `Transaction at nonce ${entry.nonce} is stuck and cannot be replaced within the fee ceiling`,
+              ERROR_CODES.TX_STUCK,
+              { ...stuck, reason: error.message }
+            );
+          }
+          if (isNonceUsedError(error)) {
+            // An earlier attempt was mined meanwhile; the next poll picks up its receipt
+            continue;
+          }
+          if (!isUnderpricedError(error)) {
+            throw error;
+          }
+          logger.warn(`Replacement at nonce ${entry.nonce} refused as underpriced, bumping again`, {
+            error: error.shortMessage || error.message
+          });
+        }
+      }
+    }
+  };
+
+  return manager;
+}
+
+// =============================================================================
+// ERROR CLASSIFICATION
+// =============================================================================
+
+/**
+ * Checks if a node refused a replacement for not raising fees enough
+ * @param {Error} error - Error to check
+ * @returns {boolean} True for "replacement fee too low"
+ */
+function isUnderpricedError(error) {
+  return error.code === 'REPLACEMENT_UNDERPRICED' ||
+    /replacement fee too low|replacement transaction underpriced/i.test(error.message || '');
+}
+
+/**
+ * Checks if a replacement was refused because the nonce has already been mined
+ * @param {Error} error - Error to check
+ * @returns {boolean} True for "nonce too low"
+ */
+function isNonceUsedError(error) {
+  return error.code === 'NONCE_EXPIRED' || /nonce too low/i.test(error.message || '');
+}
@@ -0,0 +1,543 @@
+/**
+ * @fileoverview Blockchain service tests against the in-process mock chain
+ *
+ * Run with: npm test
+ */
+
+import { describe, it, before, after, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { ethers } from 'ethers';
+import {
+  createProvider,
+  approveToken,
+  getGasPrice,
+  getTokenInfo,
+  decodeSwapReceipt,
+  getL1FeePaid,
+  createNonceManager,
+  createRelaySubmitter,
+  sendTransaction,
+  classifyError,
+  getRetryDelay,
+  executeWithRetry,
+  BlockchainError
+} from '../services/blockchain.js';
+import { getFeeParams } from '../services/fees.js';
+import { ValidationError } from '../utils/validation.js';
+import {
+  ERROR_CODES,
+  ERC20_ABI,
+  UNISWAP_V3_ROUTER,
+  UNISWAP_V3_ROUTER_ABI,
+  RETRY_POLICIES,
+  SUBMISSION_CHANNELS
+} from '../config/constants.js';
+import { MockChain } from './harness/mock-chain.js';
+import { MockRelay } from './harness/mock-relay.js';
+import { createTestEnvironment, createTestLogger } from './harness/fixtures.js';
+
+const DEAD_RPC_URL = 'http://127.0.0.1:1';
+
+describe('createProvider', () => {
+  let env;
+
+  before(async () => {
+    env = await createTestEnvironment();
+  });
+
+  after(async () => {
+    await env.close();
+  });
+
+  it('connects to the primary RPC', async () => {
+    const logger = createTestLogger();
+    const provider = await createProvider(env.url, logger, []);
+
+    assert.equal(await provider.getBlockNumber(), 0);
+    provider.destroy();
+  });
+
+  it('falls back to the next RPC when the primary is unreachable', async () => {
+    const logger = createTestLogger();
+    const provider = await createProvider(DEAD_RPC_URL, logger, [env.url]);
+
+    assert.equal(await provider.getBlockNumber(), 0);
+    assert.ok(logger.entries.some((entry) => entry.level === 'warn' && entry.message.includes('Failed to connect')));
+    provider.destroy();
+  });
+
+  it('skips an RPC that reports the wrong chain', async () => {
+    const wrongChain = new MockChain({ chainId: 1 });
+    const wrongUrl = await wrongChain.start();
+
+    try {
+      const logger = createTestLogger();
+      const provider = await createProvider(wrongUrl, logger, [env.url]);
+
+      assert.equal(wrongChain.countRequests('eth_chainId'), 1);
+      assert.equal(env.chain.countRequests('eth_chainId') > 0, true);
+      provider.destroy();
+    } finally {
+      await wrongChain.stop();
+    }
+  });
+
+  it('throws RPC_CONNECTION_FAILED when every RPC fails', async () => {
+    await assert.rejects(
+      createProvider(DEAD_RPC_URL, createTestLogger(), [DEAD_RPC_URL]),
+      (error) => error instanceof BlockchainError && error.code === ERROR_CODES.RPC_CONNECTION_FAILED
+    );
+  });
+});
+
+describe('classifyError', () => {
+  it('maps ethers error codes onto ERROR_CODES', () => {
+    const cases = [
+      ['CALL_EXCEPTION', ERROR_CODES.TX_REVERTED, false],
+      ['NONCE_EXPIRED', ERROR_CODES.TX_FAILED, false],
+      ['INSUFFICIENT_FUNDS', ERROR_CODES.INSUFFICIENT_BALANCE, false],
+      ['NETWORK_ERROR', ERROR_CODES.RPC_CONNECTION_FAILED, true],
+      ['TIMEOUT', ERROR_CODES.RPC_TIMEOUT, true]
+    ];
+
+    for (const [ethersCode, code, retryable] of cases) {
+      const classification = classifyError(ethers.makeError('boom', ethersCode));
+      assert.equal(classification.code, code, ethersCode);
+      assert.equal(classification.retryable, retryable, ethersCode);
+    }
+  });
+
+  it('keeps application error codes and only retries connection problems', () => {
+    assert.deepEqual(
+      classifyError(new ValidationError('too high', ERROR_CODES.GAS_TOO_HIGH)),
+      { code: ERROR_CODES.GAS_TOO_HIGH, retryable: false, reason: 'too high' }
+    );
+    assert.equal(classifyError(new BlockchainError('down', ERROR_CODES.RPC_CONNECTION_FAILED)).retryable, true);
+    assert.equal(classifyError(new Error('Connection timeout')).retryable, true);
+  });
+});
+
+describe('executeWithRetry', () => {
+  const policy = { ...RETRY_POLICIES.READ, baseDelayMs: 1, maxDelayMs: 4, maxAttempts: 3 };
+
+  it('backs off exponentially within the jitter range and the cap', () => {
+    const slow = { ...RETRY_POLICIES.SEND, baseDelayMs: 1000, backoffMultiplier: 2, maxDelayMs: 3000, jitter: 0.2 };
+
+    assert.equal(getRetryDelay(slow, 1, () => 0), 800);
+    assert.equal(getRetryDelay(slow, 2, () => 0.5), 2000);
+    assert.equal(getRetryDelay(slow, 3, () => 0.999999), 3600);
+  });
+
+  it('retries transient errors until the call succeeds', async () => {
+    const logger = createTestLogger();
+    let calls = 0;
+
+    const result = await executeWithRetry(async () => {
+      calls++;
+      if (calls < 3) {
+        throw ethers.makeError('socket hang up', 'NETWORK_ERROR');
+      }
+      return 'ok';
+    }, logger, 'Read', policy);
+
+    assert.equal(result, 'ok');
+    assert.equal(logger.entries.filter((entry) => entry.level === 'warn').length, 2);
+  });
+
+  it('rethrows non-retryable errors after one attempt', async () => {
+    let calls = 0;
+
+    await assert.rejects(
+      executeWithRetry(async () => {
+        calls++;
+        throw ethers.makeError('execution reverted', 'CALL_EXCEPTION');
+      }, createTestLogger(), 'Read', policy),
+      (error) => error.code === 'CALL_EXCEPTION'
+    );
+    assert.equal(calls, 1);
+  });
+
+  it('reports the classified code once attempts run out', async () => {
+    await assert.rejects(
+      executeWithRetry(async () => {
+        throw ethers.makeError('request timeout', 'TIMEOUT');
+      }, createTestLogger(), 'Read', policy),
+      (error) => error instanceof BlockchainError && error.code === ERROR_CODES.RPC_TIMEOUT && error.details.attempts === 3
+    );
+  });
+
+  it('stops retrying once the elapsed time budget is spent', async () => {
+    let calls = 0;
+
+    await assert.rejects(
+      executeWithRetry(async () => {
+        calls++;
+        throw ethers.makeError('socket hang up', 'NETWORK_ERROR');
+      }, createTestLogger(), 'Read', { ...policy, maxAttempts: 10, baseDelayMs: 50, maxDelayMs: 50, jitter: 0, maxElapsedMs: 140 }),
+      (error) => error instanceof BlockchainError && error.code === ERROR_CODES.RPC_CONNECTION_FAILED
+    );
+    assert.equal(calls, 3);
+  });
+});
+
+describe('approveToken', () => {
+  let env;
+  let wallet;
+
+  before(async () => {
+    env = await createTestEnvironment();
+    ({ wallet } = await env.connect());
+  });
+
+  after(async () => {
+    await env.close();
+  });
+
+  it('sends an approval when the allowance is insufficient', async () => {
+    const amount = ethers.parseEther('0.5');
+    const receipt = await approveToken(env.addresses.weth, UNISWAP_V3_ROUTER, amount, wallet, env.logger);
+
+    assert.equal(receipt.status, 1);
+    assert.equal(env.allowanceOf(env.addresses.weth, env.walletAddress, UNISWAP_V3_ROUTER), amount);
+    assert.ok(env.logger.entries.some((entry) => entry.level === 'transaction' && entry.meta.type === 'APPROVAL'));
+  });
+
+  it('skips the approval when the allowance already covers the amount', async () => {
+    const nonceBefore = env.chain.getNonce(env.walletAddress);
+    const receipt = await approveToken(env.addresses.weth, UNISWAP_V3_ROUTER, ethers.parseEther('0.1'), wallet, env.logger);
+
+    assert.equal(receipt, null);
+    assert.equal(env.chain.getNonce(env.walletAddress), nonceBefore);
+  });
+});
+
+describe('sendTransaction', () => {
+  let env;
+  let wallet;
+
+  beforeEach(async () => {
+    env = await createTestEnvironment();
+    ({ wallet } = await env.connect());
+  });
+
+  afterEach(async () => {
+    await env.close();
+  });
+
+  it('returns the cost estimate the transaction was sent with', async () => {
+    const { tx, fees, cost } = await sendTransaction(wallet, { to: env.walletAddress, value: 0n }, env.logger, 'Test transfer');
+
+    assert.equal(tx.gasLimit * fees.maxFeePerGas + (cost.l1FeeWei ?? 0n), cost.totalMaxCostWei);
+    assert.ok(cost.totalExpectedCostWei > 0n && cost.totalExpectedCostWei <= cost.totalMaxCostWei);
+  });
+
+  it('refuses to sign when the ETH balance cannot pay the value plus the maximum cost', async () => {
+    env.chain.setBalance(env.walletAddress, ethers.parseEther('0.5'));
+
+    await assert.rejects(
+      sendTransaction(wallet, { to: env.walletAddress, value: ethers.parseEther('0.5') }, env.logger, 'Test transfer'),
+      (error) => error instanceof ValidationError && error.code === ERROR_CODES.INSUFFICIENT_BALANCE
+    );
+    assert.equal(env.chain.getNonce(env.walletAddress), 0);
+    assert.equal(env.chain.countRequests('eth_sendRawTransaction'), 0);
+  });
+});
+
+describe('createRelaySubmitter', () => {
+  let env;
+  let relay;
+  let wallet;
+  let submitter;
+
+  beforeEach(async () => {
+    env = await createTestEnvironment();
+    relay = new MockRelay(env.chain);
+    ({ wallet } = await env.connect());
+    submitter = createRelaySubmitter(await relay.start(), wallet.provider, env.logger, { timeoutMs: 300, pollIntervalMs: 20 });
+  });
+
+  afterEach(async () => {
+    await relay.stop();
+    await env.close();
+  });
+
+  /**
+   * Sends a zero-value self-transfer through the submitter
+   */
+  async function send() {
+    const { tx } = await sendTransaction(wallet, { to: env.walletAddress, value: 0n }, env.logger, 'Test transfer', { submitter });
+    return tx;
+  }
+
+  it('sends through the relay without touching the public mempool', async () => {
+    const tx = await send();
+
+    assert.equal(submitter.getChannel(tx.hash), SUBMISSION_CHANNELS.PRIVATE_RELAY);
+    assert.equal(relay.received.length, 1);
+    assert.equal(env.chain.countRequests('eth_sendRawTransaction'), 0);
+    assert.ok(env.chain.receipts.has(tx.hash));
+  });
+
+  it('broadcasts the same transaction publicly when the relay does not get it mined in time', async () => {
+    relay.include = false;
+
+    const tx = await send();
+
+    assert.equal(submitter.getChannel(tx.hash), SUBMISSION_CHANNELS.PUBLIC_FALLBACK);
+    assert.equal(ethers.Transaction.from(relay.received[0]).hash, tx.hash);
+    assert.equal(env.chain.countRequests('eth_sendRawTransaction'), 1);
+    assert.ok(env.chain.receipts.has(tx.hash));
+    assert.ok(env.logger.entries.some((entry) => entry.level === 'warn' && entry.message.includes('not mined through the private relay within 0.3s')));
+  });
+
+  it('falls back at once when the relay refuses the transaction or is down', async () => {
+    relay.reject = 'rate limited';
+    const refused = await send();
+
+    relay.reject = null;
+    relay.fail = true;
+    const unreachable = await send();
+
+    assert.equal(submitter.getChannel(refused.hash), SUBMISSION_CHANNELS.PUBLIC_FALLBACK);
+    assert.equal(submitter.getChannel(unreachable.hash), SUBMISSION_CHANNELS.PUBLIC_FALLBACK);
+    assert.equal(env.chain.countRequests('eth_sendRawTransaction'), 2);
+    assert.ok(env.logger.entries.some((entry) => entry.level === 'warn' && entry.meta?.error === 'rate limited'));
+  });
+});
+
+describe('getGasPrice', () => {
+  let env;
+  let provider;
+
+  before(async () => {
+    env = await createTestEnvironment();
+    ({ provider } = await env.connect());
+  });
+
+  after(async () => {
+    await env.close();
+  });
+
+  it('returns the fee strategy\'s max fee per gas below the ceiling', async () => {
+    const gasPrice = await getGasPrice(provider, 50, env.logger);
+    assert.ok(gasPrice > 0n);
+    assert.equal(gasPrice, (await getFeeParams(provider, env.logger, 50)).maxFeePerGas);
+  });
+
+  it('rejects a gas spike above the ceiling', async () => {
+    env.chain.setBaseFee(ethers.parseUnits('120', 'gwei'));
+
+    await assert.rejects(
+      getGasPrice(provider, 50, env.logger),
+      (error) => error instanceof ValidationError && error.code === ERROR_CODES.GAS_TOO_HIGH
+    );
+  });
+});
+
+describe('getTokenInfo', () => {
+  let env;
+  let provider;
+
+  before(async () => {
+    env = await createTestEnvironment();
+    ({ provider } = await env.connect());
+  });
+
+  after(async () => {
+    await env.close();
+  });
+
+  it('reads name, symbol and decimals', async () => {
+    const info = await getTokenInfo(env.addresses.usdc, provider, env.logger);
+    assert.deepEqual(info, { name: 'USD Coin', symbol: 'USDC', decimals: 6, address: env.addresses.usdc });
+  });
+});
+
+describe('decodeSwapReceipt', () => {
+  let env;
+  let wallet;
+
+  before(async () => {
+    env = await createTestEnvironment();
+    ({ wallet } = await env.connect());
+  });
+
+  after(async () => {
+    await env.close();
+  });
+
+  it('decodes amounts, effective price and fees from a swap receipt', async () => {
+    const { weth, token } = env.addresses;
+    const amountIn = ethers.parseEther('0.1');
+    await approveToken(weth, UNISWAP_V3_ROUTER, amountIn, wallet, env.logger);
+
+    const router = new ethers.Contract(UNISWAP_V3_ROUTER, UNISWAP_V3_ROUTER_ABI, wallet);
+    const tx = await router.exactInputSingle({
+      tokenIn: weth,
+      tokenOut: token,
+      fee: 3000,
+      recipient: env.walletAddress,
+      amountIn,
+      amountOutMinimum: 0n,
+      sqrtPriceLimitX96: 0n
+    });
+    const receipt = await tx.wait();
+
+    const fill = decodeSwapReceipt(receipt, { tokenIn: weth, tokenOut: token, recipient: env.walletAddress, fees: [3000] });
+
+    assert.equal(fill.actualAmountIn, amountIn);
+    assert.equal(fill.actualAmountOut, env.balanceOf(token, env.walletAddress));
+    assert.equal(fill.lpFeePaid, amountIn * 3000n / 1000000n);
+    assert.equal(fill.gasFeePaid, receipt.gasUsed * receipt.gasPrice);
+    assert.equal(fill.swaps.length, 1);
+    assert.ok(Math.abs(fill.effectivePrice - Number(ethers.formatEther(fill.actualAmountOut)) / 0.1) < 1e-9);
+  });
+
+  it('adds the L1 data fee from the raw receipt to the gas fee', async () => {
+    const { weth, token } = env.addresses;
+    const amountIn = ethers.parseEther('0.01');
+    await approveToken(weth, UNISWAP_V3_ROUTER, amountIn, wallet, env.logger);
+    const l1Fee = ethers.parseUnits('20', 'gwei');
+    env.chain.state.l1Fee = l1Fee;
+    const ethBefore = env.chain.getBalance(env.walletAddress);
+
+    const router = new ethers.Contract(UNISWAP_V3_ROUTER, UNISWAP_V3_ROUTER_ABI, wallet);
+    const tx = await router.exactInputSingle({
+      tokenIn: weth,
+      tokenOut: token,
+      fee: 3000,
+      recipient: env.walletAddress,
+      amountIn,
+      amountOutMinimum: 0n,
+      sqrtPriceLimitX96: 0n
+    });
+    const receipt = await tx.wait();
+    env.chain.state.l1Fee = 0n;
+
+    const l1FeePaid = await getL1FeePaid(receipt, wallet.provider, env.logger);
+    const fill = decodeSwapReceipt(receipt, { tokenIn: weth, tokenOut: token, recipient: env.walletAddress, l1FeePaid });
+
+    assert.equal(l1FeePaid, l1Fee);
+    assert.equal(fill.l1FeePaid, l1Fee);
+    assert.equal(fill.gasFeePaid, receipt.gasUsed * receipt.gasPrice + l1Fee);
+    assert.equal(env.chain.getBalance(env.walletAddress), ethBefore - fill.gasFeePaid);
+  });
+
+  it('throws TX_FAILED when the receipt has no Swap event', async () => {
+    const receipt = await approveToken(env.addresses.token, UNISWAP_V3_ROUTER, 1n, wallet, env.logger);
+
+    assert.throws(
+      () => decodeSwapReceipt(receipt, { tokenIn: env.addresses.token, tokenOut: env.addresses.weth, recipient: env.walletAddress }),
+      (error) => error instanceof BlockchainError && error.code === ERROR_CODES.TX_FAILED
+    );
+  });
+});
+
+describe('createNonceManager', () => {
+  let env;
+  let wallet;
+  let directory;
+  let statePath;
+
+  beforeEach(async () => {
+    env = await createTestEnvironment();
+    ({ wallet } = await env.connect());
+    directory = fs.mkdtempSync(path.join(os.tmpdir(), 'nonce-test-'));
+    statePath = path.join(directory, 'nonce-state.json');
+  });
+
+  afterEach(async () => {
+    await env.close();
+    fs.rmSync(directory, { recursive: true, force: true });
+  });
+
+  /**
+   * Reads the persisted reservations of the test wallet
+   */
+  function savedReservations() {
+    const state = JSON.parse(fs.readFileSync(statePath, 'utf8'));
+    return state.wallets[env.walletAddress.toLowerCase()].reservations;
+  }
+
+  it('reserves consecutive nonces and persists them', async () => {
+    const nonces = createNonceManager(wallet, env.logger, { statePath });
+
+    assert.deepEqual(await nonces.reserve(['approval', 'swap']), [0, 1]);
+    await nonces.markSent(0, '0xabc');
+
+    assert.deepEqual(
+      savedReservations().map(({ nonce, label, status }) => ({ nonce, label, status })),
+      [
+        { nonce: 0, label: 'approval', status: 'SENT' },
+        { nonce: 1, label: 'swap', status: 'RESERVED' }
+      ]
+    );
+  });
+
+  it('releases reservations that never reached the node', async () => {
+    const nonces = createNonceManager(wallet, env.logger, { statePath });
+    await nonces.reserve(['approval', 'swap']);
+
+    assert.deepEqual(await nonces.releaseUnsent(), [1, 0]);
+    assert.deepEqual(savedReservations(), []);
+    assert.deepEqual(await nonces.reserve(['swap']), [0]);
+  });
+
+  it('reports transactions still pending from an earlier run', async () => {
+    env.chain.setAutomine(false);
+    await wallet.sendTransaction({ to: env.walletAddress, value: 0n });
+
+    const report = await createNonceManager(wallet, env.logger, { statePath }).reconcile();
+
+    assert.equal(report.latest, 0);
+    assert.equal(report.pending, 1);
+    assert.deepEqual(report.inFlight, [0]);
+    assert.deepEqual(report.gaps, []);
+  });
+
+  it('cancels transactions queued behind a gap and fills the gap', async () => {
+    env.chain.setAutomine(false);
+
+    // A previous run reserved nonces 0 and 1 but only broadcast the approval at nonce 1
+    const weth = new ethers.Contract(env.addresses.weth, ERC20_ABI, wallet);
+    const stale = await weth.approve(UNISWAP_V3_ROUTER, 1n, {
+      nonce: 1,
+      gasLimit: 100000n,
+      maxFeePerGas: ethers.parseUnits('0.05', 'gwei'),
+      maxPriorityFeePerGas: ethers.parseUnits('0.001', 'gwei')
+    });
+    fs.writeFileSync(statePath, JSON.stringify({
+      version: 1,
+      wallets: {
+        [env.walletAddress.toLowerCase()]: {
+          reservations: [
+            { nonce: 0, label: 'Buy approval', status: 'RESERVED', txHash: null },
+            { nonce: 1, label: 'Buy swap', status: 'SENT', txHash: stale.hash }
+          ]
+        }
+      }
+    }));
+
+    const nonces = createNonceManager(wallet, env.logger, { statePath });
+    const report = await nonces.reconcile();
+    assert.equal(report.pending, 0);
+    assert.deepEqual(report.queued, [1]);
+    assert.deepEqual(report.gaps, [0]);
+
+    const hashes = await nonces.fillGaps();
+    env.chain.mine();
+
+    assert.equal(hashes.length, 2);
+    assert.equal(env.chain.getNonce(env.walletAddress), 2);
+    assert.equal(env.chain.receipts.has(stale.hash), false);
+    assert.equal(env.allowanceOf(env.addresses.weth, env.walletAddress, UNISWAP_V3_ROUTER), 0n);
+    assert.deepEqual(
+      env.logger.entries.filter((entry) => entry.level === 'transaction').map((entry) => entry.meta.type),
+      ['CANCEL', 'NONCE_GAP_FILL']
+    );
+    assert.deepEqual(await nonces.reserve(['Buy swap']), [2]);
+  });
+});
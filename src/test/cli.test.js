@@ -0,0 +1,360 @@
+/**
+ * @fileoverview CLI argument parsing and command tests against the in-process mock chain
+ *
+ * Run with: npm test
+ */
+
+import { describe, it, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { ethers } from 'ethers';
+import { parseCliArgs, runCommand } from '../cli/bootstrap.js';
+import { COMMANDS } from '../cli/commands.js';
+import { ValidationError } from '../utils/validation.js';
+import { ERROR_CODES, UNISWAP_V3_ROUTER, UNIVERSAL_ROUTER, PERMIT2_ADDRESS } from '../config/constants.js';
+import { createTestEnvironment, TEST_PRIVATE_KEY, TEST_TOKEN_ADDRESS } from './harness/fixtures.js';
+
+describe('parseCliArgs', () => {
+  it('splits the command, positionals and camelCase flags', () => {
+    const args = parseCliArgs(['quote', 'sell', '--amount', '250', '--dry-run', '--json']);
+
+    assert.equal(args.command, 'quote');
+    assert.deepEqual(args.positionals, ['sell']);
+    assert.deepEqual(args.flags, { amount: '250', dryRun: true, json: true });
+  });
+
+  it('rejects unknown options', () => {
+    assert.throws(
+      () => parseCliArgs(['buy', '--amout', '5']),
+      (error) => error instanceof ValidationError && error.code === ERROR_CODES.INVALID_CONFIG
+    );
+  });
+});
+
+describe('CLI commands', () => {
+  let env;
+  let directory;
+  let settings;
+  let stdout;
+
+  beforeEach(async () => {
+    env = await createTestEnvironment();
+    directory = fs.mkdtempSync(path.join(os.tmpdir(), 'cli-test-'));
+    settings = {
+      PRIVATE_KEY: TEST_PRIVATE_KEY,
+      TOKEN_ADDRESS: TEST_TOKEN_ADDRESS,
+      RPC_URL: env.url,
+      LEDGER_PATH: path.join(directory, 'ledger.jsonl'),
+      NONCE_STATE_PATH: path.join(directory, 'nonce-state.json')
+    };
+    stdout = { text: '', write(chunk) { this.text += chunk; } };
+  });
+
+  afterEach(async () => {
+    await env.close();
+    fs.rmSync(directory, { recursive: true, force: true });
+  });
+
+  /**
+   * Runs a command line through the shared bootstrap with the test environment
+   */
+  function run(argv, overrides = {}) {
+    const { command, positionals, flags } = parseCliArgs(argv);
+    return runCommand(COMMANDS[command], { flags, positionals }, {
+      env: { ...settings, ...overrides },
+      logger: env.logger,
+      stdout,
+      fallbackRpcUrls: [],
+      cwd: directory
+    });
+  }
+
+  /**
+   * Writes the wallet's Permit2 allowance of a token to the Universal Router into mock storage
+   */
+  function grantPermit2(owner, token, amount, expiration) {
+    env.chain.storageOf(env.addresses.permit2).allowances[
+      `${owner.toLowerCase()}:${token.toLowerCase()}:${UNIVERSAL_ROUTER.toLowerCase()}`
+    ] = { amount, expiration: BigInt(expiration), nonce: 1n };
+  }
+
+  /**
+   * Reads the wallet's Permit2 allowance of a token to the Universal Router from mock storage
+   */
+  function permit2AllowanceOf(owner, token) {
+    return env.chain.storageOf(env.addresses.permit2).allowances[
+      `${owner.toLowerCase()}:${token.toLowerCase()}:${UNIVERSAL_ROUTER.toLowerCase()}`
+    ];
+  }
+
+  it('prints only the JSON result on stdout with --json', async () => {
+    const { exitCode } = await run(['buy', '--amount', '5', '--dry-run', '--json']);
+
+    assert.equal(exitCode, 0);
+    const result = JSON.parse(stdout.text);
+    assert.equal(result.type, 'BUY');
+    assert.equal(result.simulated, true);
+    assert.equal(result.input.usdAmount, 5);
+  });
+
+  it('lets flags override the environment', async () => {
+    const { exitCode, result } = await run(
+      ['balance', '--token', TEST_TOKEN_ADDRESS],
+      { TOKEN_ADDRESS: '0x0000000000000000000000000000000000000bad' }
+    );
+
+    assert.equal(exitCode, 0);
+    assert.equal(result.token.symbol, 'TEST');
+    assert.equal(result.balances.weth, '1.0');
+    assert.match(stdout.text, /WETH: 1\.0/);
+  });
+
+  it('reads tunables from the configuration file below the environment', async () => {
+    fs.writeFileSync(path.join(directory, 'bot.config.yaml'), [
+      'dryRun: true',
+      'maxPriceImpactBps: 500',
+      'slippageTolerance: 1'
+    ].join('\n'));
+
+    const { exitCode, result } = await run(['buy', '--amount', '5'], { SLIPPAGE_TOLERANCE: '2' });
+
+    assert.equal(exitCode, 0);
+    assert.equal(result.simulated, true);
+    assert.equal(result.priceImpact.maxBps, 500);
+    const effective = env.logger.entries.find((entry) => entry.message === 'Effective configuration').meta;
+    assert.equal(effective.slippageTolerance, '2 (env)');
+    assert.equal(effective.privateKey, '*** (env)');
+  });
+
+  it('refuses a private key in the configuration file', async () => {
+    const configPath = path.join(directory, 'custom.json');
+    fs.writeFileSync(configPath, JSON.stringify({ privateKey: TEST_PRIVATE_KEY }));
+
+    const { exitCode, error } = await run(['balance', '--config', configPath]);
+
+    assert.equal(exitCode, 1);
+    assert.equal(error.code, ERROR_CODES.INVALID_CONFIG);
+  });
+
+  it('trades every portfolio token and isolates a token that cannot be traded', async () => {
+    fs.writeFileSync(path.join(directory, 'bot.config.json'), JSON.stringify({
+      routeIntermediaries: 'none',
+      tokens: [
+        { address: env.addresses.usdc },
+        { address: TEST_TOKEN_ADDRESS, slippageTolerance: 2 },
+        { address: '0x000000000000000000000000000000000000dEaD', enabled: false }
+      ]
+    }));
+
+    const { exitCode, result } = await run(['buy', '--amount', '5', '--dry-run'], { TOKEN_ADDRESS: '' });
+
+    assert.equal(exitCode, 1);
+    assert.equal(result.type, 'PORTFOLIO_BUY');
+    assert.equal(result.succeeded, 1);
+    assert.equal(result.failed, 1);
+    assert.equal(result.results[0].success, false);
+    assert.equal(result.results[0].token.address, env.addresses.usdc);
+    assert.equal(result.results[1].token.symbol, 'TEST');
+    assert.equal(result.results[1].simulated, true);
+    assert.match(stdout.text, /TEST: simulated/);
+
+    // --token narrows the portfolio to one token and keeps its overrides
+    const single = await run(['buy', '--amount', '5', '--dry-run', '--token', TEST_TOKEN_ADDRESS, '--json'], { TOKEN_ADDRESS: '' });
+    assert.equal(single.exitCode, 0);
+    assert.equal(single.result.type, 'BUY');
+  });
+
+  it('sizes a sell with flags over SELL_MODE', async () => {
+    env.mint(env.addresses.token, new ethers.Wallet(TEST_PRIVATE_KEY).address, ethers.parseEther('500'));
+
+    const { exitCode, result } = await run(
+      ['sell', '--amount', '50', '--chunks', '2', '--dry-run'],
+      { SELL_MODE: 'PERCENT', SELL_PERCENT: '10' }
+    );
+
+    assert.equal(exitCode, 0);
+    assert.equal(result.input.tokenAmount, '50.0');
+    assert.deepEqual(result.chunks.map((chunk) => chunk.input.tokenAmount), ['25.0', '25.0']);
+
+    const conflicting = await run(['sell', '--amount', '50', '--percent', '10']);
+    assert.equal(conflicting.exitCode, 1);
+    assert.match(conflicting.error.message, /only one of --amount, --percent and --target-usd/);
+  });
+
+  it('quotes without a private key', async () => {
+    const { exitCode, result } = await run(['quote', 'sell', '--amount', '1000'], { PRIVATE_KEY: '' });
+
+    assert.equal(exitCode, 0);
+    assert.equal(result.side, 'SELL');
+    assert.ok(Number(result.output.expectedAmount) > 0.09 && Number(result.output.expectedAmount) < 0.1);
+    assert.equal(result.priceImpact.withinLimit, true);
+  });
+
+  it('fails with a non-zero exit code on options the command does not take', async () => {
+    const { exitCode, error } = await run(['balance', '--amount', '5', '--json']);
+
+    assert.equal(exitCode, 1);
+    assert.equal(error.code, ERROR_CODES.INVALID_CONFIG);
+    assert.equal(JSON.parse(stdout.text).success, false);
+  });
+
+  it('approves and revokes the router allowance and the Permit2 allowance', async () => {
+    const walletAddress = new ethers.Wallet(TEST_PRIVATE_KEY).address;
+    env.mint(env.addresses.token, walletAddress, ethers.parseEther('100'));
+    grantPermit2(walletAddress, env.addresses.token, ethers.parseEther('10'), env.chain.now() + 3600);
+
+    const approved = await run(['approve']);
+    assert.equal(approved.exitCode, 0);
+    assert.equal(env.allowanceOf(env.addresses.token, walletAddress, UNISWAP_V3_ROUTER), ethers.parseEther('100'));
+
+    const revoked = await run(['revoke']);
+    assert.equal(revoked.exitCode, 0);
+    assert.deepEqual(revoked.result.revoked.map((entry) => [entry.spender, entry.permit2]), [
+      [UNISWAP_V3_ROUTER, false],
+      [UNIVERSAL_ROUTER, true]
+    ]);
+    assert.ok(revoked.result.revoked.every((entry) => entry.txHash));
+    assert.equal(env.allowanceOf(env.addresses.token, walletAddress, UNISWAP_V3_ROUTER), 0n);
+    assert.equal(permit2AllowanceOf(walletAddress, env.addresses.token).amount, 0n);
+
+    const again = await run(['revoke']);
+    assert.equal(again.result.skipped, true);
+  });
+
+  it('lists router and Permit2 allowances and revokes all of them', async () => {
+    const walletAddress = new ethers.Wallet(TEST_PRIVATE_KEY).address;
+    env.mint(env.addresses.token, walletAddress, ethers.parseEther('100'));
+    await run(['approve']);
+    await run(['buy', '--amount', '30'], { APPROVAL_POLICY: 'UNLIMITED' });
+    env.chain.storageOf(env.addresses.token).allowances[
+      `${walletAddress.toLowerCase()}:${PERMIT2_ADDRESS.toLowerCase()}`
+    ] = ethers.MaxUint256;
+    grantPermit2(walletAddress, env.addresses.token, ethers.parseEther('50'), env.chain.now() + 3600);
+    grantPermit2(walletAddress, env.addresses.weth, ethers.parseEther('1'), env.chain.now() - 60);
+
+    const listed = await run(['allowances']);
+    assert.equal(listed.exitCode, 0);
+    assert.deepEqual(
+      listed.result.allowances
+        .filter((entry) => entry.allowance !== '0.0')
+        .map(({ token, spender, allowance, open }) => [token.symbol, spender, allowance, open]),
+      [
+        ['WETH', UNISWAP_V3_ROUTER, 'unlimited', true],
+        ['WETH', UNIVERSAL_ROUTER, '1.0', false],
+        ['TEST', UNISWAP_V3_ROUTER, '100.0', true],
+        ['TEST', PERMIT2_ADDRESS, 'unlimited', true],
+        ['TEST', UNIVERSAL_ROUTER, '50.0', true]
+      ]
+    );
+    assert.equal(listed.result.allowances.find((entry) => entry.permit2 && entry.token.symbol === 'WETH').expired, true);
+
+    const preview = await run(['revoke', '--all', '--dry-run']);
+    assert.equal(preview.result.revoked.length, 4);
+    assert.notEqual(env.allowanceOf(env.addresses.weth, walletAddress, UNISWAP_V3_ROUTER), 0n);
+
+    const revoked = await run(['revoke', '--all']);
+    assert.equal(revoked.exitCode, 0);
+    assert.deepEqual(revoked.result.revoked.map((entry) => [entry.token.symbol, entry.spender]), [
+      ['WETH', UNISWAP_V3_ROUTER],
+      ['TEST', UNISWAP_V3_ROUTER],
+      ['TEST', PERMIT2_ADDRESS],
+      ['TEST', UNIVERSAL_ROUTER]
+    ]);
+    assert.equal(env.allowanceOf(env.addresses.weth, walletAddress, UNISWAP_V3_ROUTER), 0n);
+    assert.equal(env.allowanceOf(env.addresses.token, walletAddress, UNISWAP_V3_ROUTER), 0n);
+    assert.equal(env.allowanceOf(env.addresses.token, walletAddress, PERMIT2_ADDRESS), 0n);
+    assert.deepEqual(permit2AllowanceOf(walletAddress, env.addresses.token).amount, 0n);
+    assert.equal(permit2AllowanceOf(walletAddress, env.addresses.token).nonce, 1n);
+
+    const again = await run(['revoke', '--all']);
+    assert.equal(again.result.skipped, true);
+  });
+
+  it('shows a live buy in the ledger history', async () => {
+    const bought = await run(['buy', '--amount', '30']);
+    assert.equal(bought.exitCode, 0);
+    assert.equal(bought.result.pnl.buys, 1);
+
+    const { exitCode, result } = await run(['history'], { RPC_URL: '', PRIVATE_KEY: '' });
+
+    assert.equal(exitCode, 0);
+    assert.equal(result.trades.length, 1);
+    assert.equal(result.trades[0].txHash, bought.result.txHash);
+    assert.equal(result.pnl.openQuantity, bought.result.output.actualAmountOut);
+    assert.equal(result.pnl.unrealizedPnlEth, null);
+    assert.match(stdout.text, /Unrealized P&L: n\/a \(set RPC_URL to quote the open position\)/);
+  });
+
+  it('marks the open position at a sell quote for unrealized P&L', async () => {
+    const bought = await run(['buy', '--amount', '30']);
+    const { pnl } = bought.result;
+    // Selling right back loses the pool fee both ways and the price impact
+    const cost = Number(pnl.costBasisEth);
+    assert.ok(Number(pnl.unrealizedPnlEth) < 0 && Number(pnl.unrealizedPnlEth) > -cost * 0.05);
+    assert.equal(pnl.netPnlEth, ethers.formatEther(ethers.parseEther(pnl.unrealizedPnlEth) - ethers.parseEther(pnl.gasCostEth)));
+
+    const quote = await run(['quote', 'sell', '--amount', pnl.openQuantity]);
+    const { exitCode, result } = await run(['history'], { PRIVATE_KEY: '' });
+
+    assert.equal(exitCode, 0);
+    // The mark is a per-token price, so the position value is only exact to rounding
+    const expected = ethers.parseEther(quote.result.output.expectedAmount) - ethers.parseEther(pnl.costBasisEth);
+    const difference = ethers.parseEther(result.pnl.unrealizedPnlEth) - expected;
+    assert.ok(difference < 1000000n && difference > -1000000n);
+    assert.match(stdout.text, /Unrealized P&L: -0\.\d+ ETH \(marked at 0\.\d+ ETH per token\)/);
+  });
+
+  it('blocks a buy once it would exceed the daily spend limit', async () => {
+    const bought = await run(['buy', '--amount', '30']);
+    assert.equal(bought.exitCode, 0);
+
+    const { exitCode, error } = await run(['buy', '--amount', '15'], { MAX_DAILY_SPEND_USD: '40' });
+
+    assert.equal(exitCode, 1);
+    assert.equal(error.code, ERROR_CODES.RISK_LIMIT_EXCEEDED);
+    assert.match(error.message, /daily spend \$30\.\d\d \+ \$15\.00 of \$40\.00 \(MAX_DAILY_SPEND_USD\)/);
+    assert.equal(env.chain.getNonce(new ethers.Wallet(TEST_PRIVATE_KEY).address), 2);
+  });
+
+  it('refuses to buy a token that cannot be sold, even when the policy only warns about it', async () => {
+    env.chain.storageOf(TEST_TOKEN_ADDRESS).blockedRecipients = Object.values(env.chain.storageOf(env.addresses.factory).pools);
+
+    const refused = await run(['buy', '--amount', '5']);
+    assert.equal(refused.exitCode, 1);
+    assert.equal(refused.error.code, ERROR_CODES.TOKEN_UNSAFE);
+    assert.equal(env.chain.getNonce(env.walletAddress), 0);
+
+    // Its tax cannot be measured, and the sell would refuse it
+    const warned = await run(['buy', '--amount', '5', '--dry-run'], { TOKEN_SAFETY_POLICY: 'WARN' });
+    assert.equal(warned.exitCode, 1);
+    assert.deepEqual(warned.error.details.findings.map((finding) => finding.code), ['SELL_REVERTS', 'TAX_UNKNOWN']);
+  });
+
+  it('refuses a sell-only taxed token at the buy, before a position it cannot sell is opened', async () => {
+    const token = env.chain.storageOf(TEST_TOKEN_ADDRESS);
+    token.transferTaxBps = 500;
+    token.taxedRecipients = Object.values(env.chain.storageOf(env.addresses.factory).pools);
+    const lenient = { TOKEN_SAFETY_POLICY: 'WARN', MAX_TOKEN_TAX_BPS: '5000' };
+
+    const refused = await run(['buy', '--amount', '5'], lenient);
+    assert.equal(refused.exitCode, 1);
+    assert.equal(refused.error.code, ERROR_CODES.TOKEN_UNSAFE);
+    assert.ok(refused.error.details.findings.some((finding) => finding.code === 'SELL_TAX'));
+    assert.equal(env.chain.getNonce(env.walletAddress), 0);
+
+    // Without the inspection the buy goes through, untaxed, and the sell then refuses the token
+    const bought = await run(['buy', '--amount', '5'], { TOKEN_SAFETY_POLICY: 'OFF' });
+    assert.equal(bought.exitCode, 0);
+    const balance = env.balanceOf(TEST_TOKEN_ADDRESS, env.walletAddress);
+    assert.ok(balance > 0n);
+    const nonce = env.chain.getNonce(env.walletAddress);
+
+    const sold = await run(['sell'], lenient);
+    assert.equal(sold.exitCode, 1);
+    assert.equal(sold.error.code, ERROR_CODES.TRANSFER_TAX_UNSUPPORTED);
+    assert.equal(env.chain.getNonce(env.walletAddress), nonce);
+    assert.equal(env.balanceOf(TEST_TOKEN_ADDRESS, env.walletAddress), balance);
+  });
+});
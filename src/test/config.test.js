@@ -0,0 +1,263 @@
+/**
+ * @fileoverview Layered configuration loader tests
+ *
+ * Run with: npm test
+ */
+
+import { describe, it, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import {
+  findConfigFile,
+  readConfigFile,
+  resolveConfig,
+  getPortfolioTokens,
+  formatEffectiveConfig
+} from '../config/loader.js';
+import { ValidationError } from '../utils/validation.js';
+import {
+  ERROR_CODES,
+  POOL_FEE_TIERS,
+  SLIPPAGE_TOLERANCE_PERCENT,
+  UNISWAP_V3_ROUTER
+} from '../config/constants.js';
+import { TEST_PRIVATE_KEY, TEST_TOKEN_ADDRESS } from './harness/fixtures.js';
+
+const BASE_ENV = {
+  PRIVATE_KEY: TEST_PRIVATE_KEY,
+  TOKEN_ADDRESS: TEST_TOKEN_ADDRESS,
+  RPC_URL: 'https://base-mainnet.example.com/v2/secret-key'
+};
+
+describe('configuration file', () => {
+  let directory;
+
+  beforeEach(() => {
+    directory = fs.mkdtempSync(path.join(os.tmpdir(), 'config-test-'));
+  });
+
+  afterEach(() => {
+    fs.rmSync(directory, { recursive: true, force: true });
+  });
+
+  /**
+   * Writes a file into the test directory and returns its path
+   */
+  function writeFile(name, content) {
+    const file = path.join(directory, name);
+    fs.writeFileSync(file, content);
+    return file;
+  }
+
+  it('finds bot.config.json before the YAML variants', () => {
+    assert.equal(findConfigFile({ cwd: directory }), null);
+
+    writeFile('bot.config.yaml', 'slippageTolerance: 2\n');
+    assert.equal(findConfigFile({ cwd: directory }), path.join(directory, 'bot.config.yaml'));
+
+    writeFile('bot.config.json', '{}');
+    assert.equal(findConfigFile({ cwd: directory }), path.join(directory, 'bot.config.json'));
+  });
+
+  it('rejects an explicit path that does not exist', () => {
+    assert.throws(
+      () => findConfigFile({ configPath: 'missing.json', cwd: directory }),
+      (error) => error instanceof ValidationError && error.code === ERROR_CODES.INVALID_CONFIG
+    );
+  });
+
+  it('parses the supported YAML subset', () => {
+    const file = writeFile('bot.config.yml', [
+      '# Tunables',
+      'slippageTolerance: 2.5',
+      'dryRun: true',
+      'poolFeeTiers: [500, 3000]',
+      'routeIntermediaries:',
+      '  - "0x833589fCD6eDb6E08f4c7C32D4f71b54bdA02913"  # USDC',
+      `routerAddress: '${UNISWAP_V3_ROUTER}'`,
+      'ledgerPath: data/ledger.jsonl',
+      'tokens:',
+      `  - address: "${TEST_TOKEN_ADDRESS}"`,
+      '    poolFeeTiers: [10000]',
+      '    enabled: false',
+      `  - address: "${UNISWAP_V3_ROUTER}"`
+    ].join('\n'));
+
+    assert.deepEqual(readConfigFile(file), {
+      slippageTolerance: 2.5,
+      dryRun: true,
+      poolFeeTiers: [500, 3000],
+      routeIntermediaries: ['0x833589fCD6eDb6E08f4c7C32D4f71b54bdA02913'],
+      routerAddress: UNISWAP_V3_ROUTER,
+      ledgerPath: 'data/ledger.jsonl',
+      tokens: [
+        { address: TEST_TOKEN_ADDRESS, poolFeeTiers: [10000], enabled: false },
+        { address: UNISWAP_V3_ROUTER }
+      ]
+    });
+  });
+
+  it('keeps commas inside quoted inline list items', () => {
+    const file = writeFile('bot.config.yaml', [
+      'routeIntermediaries: ["https://a.example/?x=1,2", \'https://b.example/#x\', https://c.example]  # three'
+    ].join('\n'));
+
+    // Only the file syntax is checked here; resolveConfig validates the items
+    assert.deepEqual(readConfigFile(file).routeIntermediaries, [
+      'https://a.example/?x=1,2',
+      'https://b.example/#x',
+      'https://c.example'
+    ]);
+  });
+
+  it('rejects unknown settings and private keys', () => {
+    const unknown = writeFile('unknown.json', JSON.stringify({ slipage: 2 }));
+    assert.throws(() => readConfigFile(unknown), /Unknown settings in .*: slipage/);
+
+    const secret = writeFile('secret.json', JSON.stringify({ privateKey: TEST_PRIVATE_KEY }));
+    assert.throws(
+      () => readConfigFile(secret),
+      (error) => error.code === ERROR_CODES.INVALID_CONFIG && error.message.startsWith('PRIVATE_KEY must not be stored')
+    );
+  });
+
+  it('reports unparseable files as INVALID_CONFIG', () => {
+    const file = writeFile('bot.config.json', '{ slippageTolerance: 2 ');
+
+    assert.throws(
+      () => readConfigFile(file),
+      (error) => error instanceof ValidationError && error.code === ERROR_CODES.INVALID_CONFIG
+    );
+  });
+});
+
+describe('resolveConfig', () => {
+  it('applies defaults, file, environment and flags in increasing precedence', () => {
+    const { config, sources } = resolveConfig({
+      file: { slippageTolerance: 1, maxPriceImpactBps: 150, gasLimitMultiplier: 1.5 },
+      env: { ...BASE_ENV, SLIPPAGE_TOLERANCE: '2', MAX_PRICE_IMPACT_BPS: '' },
+      flags: { slippage: '3' }
+    });
+
+    assert.equal(config.slippageTolerance, 3);
+    assert.equal(sources.slippageTolerance, 'flag');
+    // Empty environment variables do not mask the file
+    assert.equal(config.maxPriceImpactBps, 150);
+    assert.equal(sources.maxPriceImpactBps, 'file');
+    assert.equal(config.gasLimitMultiplier, 1.5);
+    assert.deepEqual(config.poolFeeTiers, POOL_FEE_TIERS);
+    assert.equal(sources.poolFeeTiers, 'default');
+    assert.equal(sources.privateKey, 'env');
+  });
+
+  it('validates ranges from every layer', () => {
+    assert.throws(
+      () => resolveConfig({ file: { gasLimitMultiplier: 5 }, env: BASE_ENV }),
+      (error) => error instanceof ValidationError && error.code === ERROR_CODES.INVALID_CONFIG
+    );
+    assert.throws(
+      () => resolveConfig({ env: { ...BASE_ENV, POOL_FEE_TIERS: '500,abc' } }),
+      /POOL_FEE_TIERS\[1\]/
+    );
+    assert.throws(
+      () => resolveConfig({ file: { minBuyAmountUsd: 40, maxBuyAmountUsd: 30 }, env: BASE_ENV }),
+      /MIN_BUY_AMOUNT_USD must not be greater than MAX_BUY_AMOUNT_USD/
+    );
+    assert.throws(
+      () => resolveConfig({ env: { ...BASE_ENV, SELL_CHUNKS: '2.5' } }),
+      /SELL_CHUNKS must be a whole number/
+    );
+  });
+
+  it('lists every missing required setting', () => {
+    assert.throws(
+      () => resolveConfig({ env: {} }),
+      (error) => error.code === ERROR_CODES.MISSING_ENV_VAR &&
+        error.message === 'Missing required configuration: PRIVATE_KEY, TOKEN_ADDRESS, RPC_URL'
+    );
+
+    const { config } = resolveConfig(
+      { file: { tokenAddress: TEST_TOKEN_ADDRESS } },
+      { requireWallet: false, requireRpc: false }
+    );
+    assert.equal(config.privateKey, null);
+    assert.equal(config.slippageTolerance, SLIPPAGE_TOLERANCE_PERCENT);
+  });
+});
+
+describe('getPortfolioTokens', () => {
+  const OTHER_TOKEN = '0x833589fCD6eDb6E08f4c7C32D4f71b54bdA02913';
+
+  it('applies per-token overrides over the global settings and skips disabled tokens', () => {
+    const { config } = resolveConfig({
+      file: {
+        slippageTolerance: 4,
+        tokens: [
+          { address: TEST_TOKEN_ADDRESS, maxBuyAmountUsd: 3, poolFeeTiers: '500', sellMode: 'PERCENT', sellPercent: 25, tokenSafetyPolicy: 'WARN' },
+          { address: OTHER_TOKEN, enabled: 'false' }
+        ]
+      },
+      env: { PRIVATE_KEY: TEST_PRIVATE_KEY, RPC_URL: BASE_ENV.RPC_URL }
+    });
+
+    assert.equal(config.tokenAddress, TEST_TOKEN_ADDRESS);
+    assert.deepEqual(getPortfolioTokens(config), [{
+      tokenAddress: TEST_TOKEN_ADDRESS,
+      minBuyAmountUsd: 1,
+      maxBuyAmountUsd: 3,
+      slippageTolerance: 4,
+      poolFeeTiers: [500],
+      sellMode: 'PERCENT',
+      sellAmount: null,
+      sellPercent: 25,
+      sellTargetUsd: null,
+      sellChunks: 1,
+      tokenSafetyPolicy: 'WARN',
+      maxTokenTaxBps: 0,
+      allowProxyTokens: true
+    }]);
+
+    // An explicitly selected token is traded even when disabled
+    assert.equal(getPortfolioTokens(config, { tokenAddress: OTHER_TOKEN })[0].tokenAddress, OTHER_TOKEN);
+  });
+
+  it('falls back to TOKEN_ADDRESS without a portfolio', () => {
+    const { config } = resolveConfig({ env: BASE_ENV });
+
+    assert.deepEqual(getPortfolioTokens(config).map((token) => token.tokenAddress), [TEST_TOKEN_ADDRESS]);
+  });
+
+  it('rejects malformed portfolios', () => {
+    const resolve = (tokens) => resolveConfig({ file: { tokens }, env: BASE_ENV });
+
+    assert.throws(() => resolve([]), /TOKENS must list at least one token/);
+    assert.throws(() => resolve([{ address: TEST_TOKEN_ADDRESS, slippage: 2 }]), /Unknown settings in TOKENS\[0\]: slippage/);
+    assert.throws(() => resolve([{ address: TEST_TOKEN_ADDRESS }, { address: TEST_TOKEN_ADDRESS.toLowerCase() }]), /TOKENS\[1\] repeats/);
+    assert.throws(() => resolve([{ address: TEST_TOKEN_ADDRESS, minBuyAmountUsd: 20 }]), /TOKENS\[0\] buy range is empty/);
+    assert.throws(() => resolve([{ address: TEST_TOKEN_ADDRESS, sellMode: 'TARGET_USD' }]), /SELL_TARGET_USD is required when TOKENS\[0\]\.sellMode is TARGET_USD/);
+    assert.throws(
+      () => resolveConfig({ env: { ...BASE_ENV, TOKENS: '[{"address": "0x1"}]' } }),
+      (error) => error.code === ERROR_CODES.INVALID_ADDRESS
+    );
+  });
+});
+
+describe('formatEffectiveConfig', () => {
+  it('masks secrets and names the source of each setting', () => {
+    const { config, sources } = resolveConfig({
+      file: { poolFeeTiers: [500] },
+      env: { ...BASE_ENV, ROUTE_INTERMEDIARIES: 'none' }
+    });
+    const formatted = formatEffectiveConfig(config, sources);
+
+    assert.equal(formatted.privateKey, '*** (env)');
+    assert.equal(formatted.rpcUrl, 'https://base-mainnet.example.com/*** (env)');
+    assert.equal(formatted.poolFeeTiers, '500 (file)');
+    assert.equal(formatted.routeIntermediaries, 'none (env)');
+    assert.equal(formatted.dryRun, 'false (default)');
+    assert.ok(!JSON.stringify(formatted).includes('secret-key'));
+    assert.ok(!JSON.stringify(formatted).includes(TEST_PRIVATE_KEY.slice(2)));
+  });
+});
@@ -3,7 +3,7 @@
  * @fileoverview Dry-run test script
  * @description Tests the trading logic without executing actual transactions
  * 
- * Run with: npm run test
+ * Run with: npm run dry-run
  */
 
 import { ethers } from 'ethers';
@@ -19,6 +19,7 @@ import {
   getEthBalance
 } from '../services/blockchain.js';
 import { generateRandomBuyAmount } from '../services/trading.js';
+import { getEthPriceUsd } from '../services/price.js';
 import {
   UNISWAP_V3_QUOTER,
   UNISWAP_V3_QUOTER_ABI,
@@ -82,11 +83,12 @@ async function main() {
     console.log('\n💰 Simulating BUY Operation:');
     console.log('─'.repeat(40));
     
-    const buyAmountUsd = generateRandomBuyAmount();
+    const buyAmountUsd = generateRandomBuyAmount(config.minBuyAmountUsd, config.maxBuyAmountUsd);
     console.log(`Random buy amount: $${buyAmountUsd}`);
 
-    // Get ETH price estimate
-    const ethPriceUsd = 3000; // Conservative estimate
+    // Get ETH price (Chainlink, cross-checked against the WETH/USDC TWAP)
+    const ethPriceUsd = await getEthPriceUsd(provider, logger);
+    console.log(`ETH price: $${ethPriceUsd.toFixed(2)}`);
     const ethAmount = buyAmountUsd / ethPriceUsd;
     const ethAmountWei = ethers.parseEther(ethAmount.toFixed(18));
     
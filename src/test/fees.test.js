@@ -0,0 +1,132 @@
+/**
+ * @fileoverview EIP-1559 fee strategy and L1 data fee tests
+ *
+ * Run with: npm test
+ */
+
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { ethers } from 'ethers';
+import {
+  calculateFeeParams,
+  getFeeParams,
+  getL1Fee,
+  estimateTransactionCost,
+  formatFeeEstimate
+} from '../services/fees.js';
+import { executeBuy } from '../services/trading.js';
+import { ValidationError } from '../utils/validation.js';
+import { ERROR_CODES, MIN_PRIORITY_FEE_WEI } from '../config/constants.js';
+import { createTestEnvironment } from './harness/fixtures.js';
+
+const gwei = (value) => ethers.parseUnits(value, 'gwei');
+
+describe('calculateFeeParams', () => {
+  it('uses the median reward and doubles the next base fee', () => {
+    const fees = calculateFeeParams({
+      baseFeePerGas: [gwei('1'), gwei('2')],
+      rewards: [gwei('0.3'), gwei('0.1'), gwei('0.2')]
+    }, { maxGasPriceGwei: 50 });
+
+    assert.equal(fees.type, 2);
+    assert.equal(fees.baseFeePerGas, gwei('2'));
+    assert.equal(fees.maxPriorityFeePerGas, gwei('0.2'));
+    assert.equal(fees.maxFeePerGas, gwei('4.2'));
+    assert.equal(fees.capped, false);
+  });
+
+  it('applies the priority fee floor', () => {
+    const fees = calculateFeeParams({ baseFeePerGas: [gwei('1')], rewards: [0n, 0n] });
+
+    assert.equal(fees.maxPriorityFeePerGas, MIN_PRIORITY_FEE_WEI);
+  });
+
+  it('caps the headroom at the ceiling', () => {
+    const fees = calculateFeeParams({ baseFeePerGas: [gwei('30')], rewards: [gwei('1')] }, { maxGasPriceGwei: 50 });
+
+    assert.equal(fees.maxFeePerGas, gwei('50'));
+    assert.equal(fees.capped, true);
+  });
+
+  it('refuses when the next block fee is above the ceiling', () => {
+    assert.throws(
+      () => calculateFeeParams({ baseFeePerGas: [gwei('49.5')], rewards: [gwei('1')] }, { maxGasPriceGwei: 50 }),
+      (error) => error instanceof ValidationError && error.code === ERROR_CODES.GAS_TOO_HIGH
+    );
+  });
+});
+
+describe('fee estimation against the mock chain', () => {
+  let env;
+  let provider;
+  let wallet;
+
+  before(async () => {
+    env = await createTestEnvironment();
+    ({ provider, wallet } = await env.connect());
+  });
+
+  after(async () => {
+    await env.close();
+  });
+
+  it('derives fees from eth_feeHistory', async () => {
+    const fees = await getFeeParams(provider, env.logger, 50);
+
+    assert.equal(fees.baseFeePerGas, env.chain.state.baseFee);
+    assert.equal(fees.maxPriorityFeePerGas, env.chain.state.priorityFee);
+    assert.equal(fees.maxFeePerGas, env.chain.state.baseFee * 2n + env.chain.state.priorityFee);
+  });
+
+  it('adds the L1 data fee to the cost estimate', async () => {
+    const fees = await getFeeParams(provider, env.logger, 50);
+    const txRequest = { to: env.addresses.weth, data: '0x', value: 1n, gasLimit: 21000n, ...fees };
+
+    const l1Fee = await getL1Fee(provider, txRequest);
+    const cost = await estimateTransactionCost(provider, txRequest, fees, env.logger);
+
+    assert.ok(l1Fee > 0n);
+    assert.equal(cost.l1FeeWei, l1Fee);
+    assert.equal(cost.totalExpectedCostWei, 21000n * (fees.baseFeePerGas + fees.maxPriorityFeePerGas) + l1Fee);
+    assert.equal(cost.totalMaxCostWei, 21000n * fees.maxFeePerGas + l1Fee);
+    assert.equal(formatFeeEstimate(fees, cost).l1FeeEth, ethers.formatEther(l1Fee));
+  });
+
+  it('signs swaps as type-2 transactions within the ceiling', async () => {
+    const result = await executeBuy({
+      wallet,
+      tokenAddress: env.addresses.token,
+      amountUsd: 6,
+      slippageTolerance: 5,
+      maxGasPrice: 1
+    }, env.logger);
+
+    const { tx } = env.chain.transactions.get(result.txHash);
+    assert.equal(tx.type, 2);
+    assert.ok(tx.maxFeePerGas <= gwei('1'));
+    assert.equal(tx.maxPriorityFeePerGas, env.chain.state.priorityFee);
+  });
+});
+
+describe('estimateTransactionCost without the oracle', () => {
+  let env;
+  let provider;
+
+  before(async () => {
+    env = await createTestEnvironment({ addresses: { gasPriceOracle: '0x00000000000000000000000000000000000000AB' } });
+    ({ provider } = await env.connect());
+  });
+
+  after(async () => {
+    await env.close();
+  });
+
+  it('reports the L1 fee as unavailable instead of failing', async () => {
+    const fees = await getFeeParams(provider, env.logger, 50);
+    const cost = await estimateTransactionCost(provider, { to: env.addresses.weth, gasLimit: 21000n, ...fees }, fees, env.logger);
+
+    assert.equal(cost.l1FeeWei, null);
+    assert.equal(cost.totalMaxCostWei, 21000n * fees.maxFeePerGas);
+    assert.ok(env.logger.entries.some((entry) => entry.level === 'warn' && /L1 data fee/.test(entry.message)));
+  });
+});
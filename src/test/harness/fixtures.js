@@ -0,0 +1,252 @@
+/**
+ * @fileoverview Test fixtures built on the in-process mock chain
+ * @description Deploys mock WETH, token, USDC, factory, QuoterV2, SwapRouter02, Permit2, the
+ *              Universal Router, Multicall3, the Chainlink feed and the GasPriceOracle at the production addresses from
+ *              constants.js (or at overridden addresses), funds a test wallet and exposes helpers.
+ */
+
+import { ethers } from 'ethers';
+import {
+  WETH_ADDRESS,
+  USDC_ADDRESS,
+  UNISWAP_V3_FACTORY,
+  UNISWAP_V3_QUOTER,
+  UNISWAP_V3_ROUTER,
+  UNIVERSAL_ROUTER,
+  PERMIT2_ADDRESS,
+  MULTICALL3_ADDRESS,
+  CHAINLINK_ETH_USD_FEED,
+  GAS_PRICE_ORACLE_ADDRESS
+} from '../../config/constants.js';
+import { createProvider, createWallet } from '../../services/blockchain.js';
+import { MockChain } from './mock-chain.js';
+import {
+  MOCK_ERC20,
+  MOCK_ERC20_PERMIT,
+  MOCK_WETH,
+  MOCK_POOL,
+  MOCK_FACTORY,
+  MOCK_QUOTER,
+  MOCK_ROUTER,
+  MOCK_PERMIT2,
+  MOCK_UNIVERSAL_ROUTER,
+  MOCK_MULTICALL3,
+  MOCK_PRICE_FEED,
+  MOCK_GAS_PRICE_ORACLE,
+  poolKey,
+  key
+} from './mock-contracts.js';
+
+// =============================================================================
+// DEFAULTS
+// =============================================================================
+
+/**
+ * Well-known development key (Hardhat/Anvil account #1) - never holds real funds
+ * @constant {string}
+ */
+export const TEST_PRIVATE_KEY = '0x59c6995e998f97a5a0044966f0945389dc9e86dae88c7a8412f4603b6b78690d';
+
+/**
+ * Address of the mock token being traded
+ * @constant {string}
+ */
+export const TEST_TOKEN_ADDRESS = '0x00000000000000000000000000000000000070CE';
+
+/**
+ * Default mock ETH/USD price (8 decimals, like Chainlink)
+ * @constant {bigint}
+ */
+export const TEST_ETH_PRICE = 3000n * 10n ** 8n;
+
+// =============================================================================
+// TEST LOGGER
+// =============================================================================
+
+/**
+ * Creates a silent logger that records entries for assertions
+ * @returns {Object} Logger compatible with createSessionLogger
+ */
+export function createTestLogger() {
+  const entries = [];
+  const record = (level) => (message, meta = {}) => entries.push({ level, message, meta });
+
+  return {
+    entries,
+    debug: record('debug'),
+    info: record('info'),
+    warn: record('warn'),
+    error: record('error'),
+    logTrade: (tradeDetails) => entries.push({ level: 'trade', message: 'TRADE_EXECUTED', meta: tradeDetails }),
+    logTransaction: (txHash, details = {}) => entries.push({ level: 'transaction', message: txHash, meta: details })
+  };
+}
+
+// =============================================================================
+// ENVIRONMENT
+// =============================================================================
+
+/**
+ * Builds ERC20 mock storage
+ */
+function erc20Storage(name, symbol, decimals) {
+  return { name, symbol, decimals, balances: {}, allowances: {} };
+}
+
+/**
+ * Starts a mock chain with the standard contract set and a funded wallet
+ * @param {Object} [options] - Environment options
+ * @param {Object} [options.addresses] - Address overrides (weth, token, usdc, factory, quoter, router,
+ *        universalRouter, permit2, multicall3, priceFeed, gasPriceOracle)
+ * @param {Object} [options.chain] - MockChain constructor options
+ * @param {bigint} [options.ethBalance] - Wallet ETH balance
+ * @param {bigint} [options.wethBalance] - Wallet WETH balance
+ * @param {boolean} [options.withDefaultPool=true] - Deploy a WETH/TOKEN 0.3% pool
+ * @param {boolean} [options.tokenPermit=false] - Give the token EIP-2612 permit
+ * @returns {Promise<Object>} Test environment
+ */
+export async function createTestEnvironment({
+  addresses: addressOverrides = {},
+  chain: chainOptions = {},
+  ethBalance = ethers.parseEther('1'),
+  wethBalance = ethers.parseEther('1'),
+  withDefaultPool = true,
+  tokenPermit = false
+} = {}) {
+  const addresses = {
+    weth: WETH_ADDRESS,
+    token: TEST_TOKEN_ADDRESS,
+    usdc: USDC_ADDRESS,
+    factory: UNISWAP_V3_FACTORY,
+    quoter: UNISWAP_V3_QUOTER,
+    router: UNISWAP_V3_ROUTER,
+    universalRouter: UNIVERSAL_ROUTER,
+    permit2: PERMIT2_ADDRESS,
+    multicall3: MULTICALL3_ADDRESS,
+    priceFeed: CHAINLINK_ETH_USD_FEED,
+    gasPriceOracle: GAS_PRICE_ORACLE_ADDRESS,
+    ...addressOverrides
+  };
+
+  const chain = new MockChain(chainOptions);
+  chain.deploy(addresses.weth, MOCK_WETH, erc20Storage('Wrapped Ether', 'WETH', 18));
+  chain.deploy(addresses.token, tokenPermit ? MOCK_ERC20_PERMIT : MOCK_ERC20, erc20Storage('Test Token', 'TEST', 18));
+  chain.deploy(addresses.usdc, MOCK_ERC20, erc20Storage('USD Coin', 'USDC', 6));
+  chain.deploy(addresses.factory, MOCK_FACTORY, { pools: {} });
+  chain.deploy(addresses.quoter, MOCK_QUOTER, { factory: addresses.factory, gasEstimate: 90000n });
+  chain.deploy(addresses.router, MOCK_ROUTER, {
+    factory: addresses.factory,
+    weth: addresses.weth,
+    forceRevert: null
+  });
+  chain.deploy(addresses.permit2, MOCK_PERMIT2, { allowances: {} });
+  chain.deploy(addresses.universalRouter, MOCK_UNIVERSAL_ROUTER, {
+    factory: addresses.factory,
+    permit2: addresses.permit2,
+    weth: addresses.weth,
+    forceRevert: null
+  });
+  chain.deploy(addresses.multicall3, MOCK_MULTICALL3, {});
+  chain.deploy(addresses.priceFeed, MOCK_PRICE_FEED, {
+    roundId: 1n,
+    answer: TEST_ETH_PRICE,
+    updatedAt: BigInt(chain.now()),
+    forceRevert: null
+  });
+  chain.deploy(addresses.gasPriceOracle, MOCK_GAS_PRICE_ORACLE, { feePerByte: 1000000n });
+
+  const walletAddress = new ethers.Wallet(TEST_PRIVATE_KEY).address;
+  const url = await chain.start();
+  const logger = createTestLogger();
+
+  const env = {
+    chain,
+    url,
+    logger,
+    addresses,
+    walletAddress,
+
+    /**
+     * Credits an ERC20 balance directly in mock storage (minted WETH is backed by ETH)
+     */
+    mint(token, to, amount) {
+      const balances = chain.storageOf(token).balances;
+      balances[key(to)] = (balances[key(to)] ?? 0n) + amount;
+      if (key(token) === key(addresses.weth)) {
+        chain.setBalance(addresses.weth, chain.getBalance(addresses.weth) + amount);
+      }
+    },
+
+    /**
+     * Reads an ERC20 balance directly from mock storage
+     */
+    balanceOf(token, owner) {
+      return chain.storageOf(token).balances[key(owner)] ?? 0n;
+    },
+
+    /**
+     * Reads an ERC20 allowance directly from mock storage
+     */
+    allowanceOf(token, owner, spender) {
+      return chain.storageOf(token).allowances[`${key(owner)}:${key(spender)}`] ?? 0n;
+    },
+
+    /**
+     * Deploys a constant-product mock pool and registers it with the factory
+     * @returns {string} Pool address
+     */
+    createPool({ tokenA, tokenB, fee, reserveA, reserveB }) {
+      const poolAddress = ethers.getAddress(ethers.dataSlice(ethers.id(poolKey(tokenA, tokenB, fee)), 12));
+      const aIsToken0 = key(tokenA) < key(tokenB);
+
+      chain.deploy(poolAddress, MOCK_POOL, {
+        token0: aIsToken0 ? tokenA : tokenB,
+        token1: aIsToken0 ? tokenB : tokenA,
+        fee,
+        reserve0: aIsToken0 ? reserveA : reserveB,
+        reserve1: aIsToken0 ? reserveB : reserveA
+      });
+      env.mint(tokenA, poolAddress, reserveA);
+      env.mint(tokenB, poolAddress, reserveB);
+      chain.storageOf(addresses.factory).pools[poolKey(tokenA, tokenB, fee)] = poolAddress;
+
+      return poolAddress;
+    },
+
+    /**
+     * Connects through the production createProvider/createWallet path
+     * @param {string[]} [fallbackRpcUrls=[]] - Fallback URLs (public RPCs are never contacted in tests)
+     * @returns {Promise<{provider: ethers.JsonRpcProvider, wallet: ethers.Wallet}>}
+     */
+    async connect(fallbackRpcUrls = []) {
+      const provider = await createProvider(url, logger, fallbackRpcUrls);
+      const wallet = await createWallet(TEST_PRIVATE_KEY, provider, logger);
+      env.provider = provider;
+      return { provider, wallet };
+    },
+
+    /**
+     * Stops the chain and destroys the provider
+     */
+    async close() {
+      env.provider?.destroy();
+      await chain.stop();
+    }
+  };
+
+  chain.setBalance(walletAddress, ethBalance);
+  env.mint(addresses.weth, walletAddress, wethBalance);
+
+  if (withDefaultPool) {
+    // 1 WETH = 10,000 TEST
+    env.createPool({
+      tokenA: addresses.weth,
+      tokenB: addresses.token,
+      fee: 3000,
+      reserveA: ethers.parseEther('100'),
+      reserveB: ethers.parseEther('1000000')
+    });
+  }
+
+  return env;
+}
@@ -0,0 +1,725 @@
+/**
+ * @fileoverview In-process JSON-RPC stand-in for Base
+ * @description A minimal automining chain served over HTTP on localhost so the
+ *              production code can talk to it through a real ethers JsonRpcProvider.
+ *
+ * Contracts are JavaScript mocks (see mock-contracts.js) registered at arbitrary
+ * addresses. Signed transactions are decoded, executed against a snapshot of the
+ * state and mined immediately into their own block; reverts roll the snapshot back
+ * and produce a status 0 receipt, just like a real node.
+ */
+
+import http from 'http';
+import { ethers } from 'ethers';
+import { BASE_CHAIN_ID } from '../../config/constants.js';
+import { MockRevert, key } from './mock-contracts.js';
+
+// =============================================================================
+// CONSTANTS
+// =============================================================================
+
+const GWEI = 10n ** 9n;
+
+/**
+ * Gas charged per top-level function (anything else uses DEFAULT_GAS)
+ */
+const GAS_BY_FUNCTION = {
+  approve: 46000n,
+  transfer: 52000n,
+  deposit: 45000n,
+  withdraw: 36000n,
+  exactInputSingle: 130000n,
+  exactInput: 210000n,
+  multicall: 180000n
+};
+
+const DEFAULT_GAS = 100000n;
+const TRANSFER_GAS = 21000n;
+const BLOCK_GAS_LIMIT = 30000000n;
+const EMPTY_BLOOM = '0x' + '00'.repeat(256);
+const ERROR_STRING_SELECTOR = '0x08c379a0';
+
+/**
+ * Error returned to the JSON-RPC client
+ */
+class RpcError extends Error {
+  constructor(code, message, data) {
+    super(message);
+    this.code = code;
+    this.data = data;
+  }
+}
+
+/**
+ * Converts a bigint or number to a JSON-RPC quantity
+ * @param {bigint|number} value - Value
+ * @returns {string} Hex quantity
+ */
+function toQuantity(value) {
+  return ethers.toQuantity(value);
+}
+
+// =============================================================================
+// MOCK CHAIN
+// =============================================================================
+
+export class MockChain {
+  /**
+   * @param {Object} [options] - Chain options
+   * @param {number} [options.chainId=BASE_CHAIN_ID] - Chain ID reported by eth_chainId
+   * @param {bigint} [options.baseFee] - Base fee per gas in wei
+   * @param {bigint} [options.priorityFee] - Suggested priority fee per gas in wei
+   * @param {bigint} [options.l1Fee=0n] - L1 data fee in wei charged to every mined transaction on top
+   *        of its gas and reported in its receipt as l1Fee, as on an OP-stack chain
+   */
+  constructor({ chainId = BASE_CHAIN_ID, baseFee = GWEI / 100n, priorityFee = GWEI / 1000n, l1Fee = 0n } = {}) {
+    this.chainId = chainId;
+    this.code = new Map();
+    this.state = {
+      baseFee,
+      priorityFee,
+      l1Fee,
+      timeOffset: 0,
+      eth: {},
+      nonces: {},
+      storage: {}
+    };
+    this.blocks = [this.createBlock(0, [])];
+    this.automine = true;
+    this.mempool = new Map();
+    this.transactions = new Map();
+    this.receipts = new Map();
+    this.requests = [];
+    this.server = null;
+  }
+
+  // ===========================================================================
+  // SETUP HELPERS
+  // ===========================================================================
+
+  /**
+   * Registers a mock contract at an address
+   * @param {string} address - Contract address
+   * @param {Object} mock - Mock definition ({ abi, functions })
+   * @param {Object} storage - Initial storage
+   * @returns {string} Contract address
+   */
+  deploy(address, mock, storage = {}) {
+    this.code.set(key(address), { mock, iface: new ethers.Interface(mock.abi) });
+    this.state.storage[key(address)] = storage;
+    return address;
+  }
+
+  /**
+   * Gets the mutable storage of a contract
+   * @param {string} address - Contract address
+   * @returns {Object} Storage object
+   */
+  storageOf(address) {
+    return this.state.storage[key(address)];
+  }
+
+  /**
+   * Sets the native ETH balance of an account
+   * @param {string} address - Account address
+   * @param {bigint} amount - Balance in wei
+   */
+  setBalance(address, amount) {
+    this.state.eth[key(address)] = amount;
+  }
+
+  /**
+   * Gets the native ETH balance of an account
+   * @param {string} address - Account address
+   * @returns {bigint} Balance in wei
+   */
+  getBalance(address) {
+    return this.state.eth[key(address)] ?? 0n;
+  }
+
+  /**
+   * Gets the confirmed nonce of an account
+   * @param {string} address - Account address
+   * @returns {number} Nonce
+   */
+  getNonce(address) {
+    return this.state.nonces[key(address)] ?? 0;
+  }
+
+  /**
+   * Sets the base fee (e.g. to simulate a gas spike)
+   * @param {bigint} baseFee - Base fee per gas in wei
+   */
+  setBaseFee(baseFee) {
+    this.state.baseFee = baseFee;
+  }
+
+  /**
+   * Enables or disables mining each transaction as soon as it is received
+   * With automine off, transactions wait in the mempool until mine() (e.g. to simulate a stuck tx)
+   * @param {boolean} enabled - Automine flag
+   */
+  setAutomine(enabled) {
+    this.automine = enabled;
+  }
+
+  /**
+   * Mines every executable mempool transaction in nonce order
+   * Transactions queued behind a nonce gap stay in the mempool, like on a real node.
+   * @returns {string[]} Hashes of the mined transactions
+   */
+  mine() {
+    const mined = [];
+    let progress = true;
+
+    while (progress) {
+      progress = false;
+      for (const [slot, tx] of this.mempool) {
+        if (tx.nonce === this.getNonce(tx.from)) {
+          this.mempool.delete(slot);
+          mined.push(this.mineTransaction(tx));
+          progress = true;
+        }
+      }
+    }
+
+    return mined;
+  }
+
+  /**
+   * Gets the pending nonce of an account (confirmed nonce plus contiguous mempool transactions)
+   * @param {string} address - Account address
+   * @returns {number} Nonce
+   */
+  getPendingNonce(address) {
+    let nonce = this.getNonce(address);
+    while (this.mempool.has(`${key(address)}:${nonce}`)) {
+      nonce++;
+    }
+    return nonce;
+  }
+
+  /**
+   * Current block timestamp (wall clock plus an adjustable offset)
+   * @returns {number} Unix timestamp in seconds
+   */
+  now() {
+    return Math.floor(Date.now() / 1000) + this.state.timeOffset;
+  }
+
+  /**
+   * Counts JSON-RPC requests received for a method
+   * @param {string} method - JSON-RPC method name
+   * @returns {number} Number of requests
+   */
+  countRequests(method) {
+    return this.requests.filter((request) => request === method).length;
+  }
+
+  // ===========================================================================
+  // EXECUTION
+  // ===========================================================================
+
+  /**
+   * Creates the execution context passed to mock handlers
+   * @param {Object} state - State being mutated
+   * @param {Object} frame - Call frame (address, sender, value, logs)
+   * @returns {Object} Handler context
+   */
+  createContext(state, frame) {
+    const chain = this;
+    const { iface } = this.code.get(key(frame.address));
+
+    return {
+      address: frame.address,
+      sender: frame.sender,
+      value: frame.value,
+      chainId: chain.chainId,
+      storage: state.storage[key(frame.address)],
+      now: () => chain.now(),
+      storageOf: (address) => state.storage[key(address)],
+      ethBalance: (address) => state.eth[key(address)] ?? 0n,
+
+      call(target, fn, args, value = 0n) {
+        return chain.invoke(state, {
+          address: target,
+          sender: frame.address,
+          value,
+          fn,
+          args,
+          logs: frame.logs
+        });
+      },
+
+      // Calls another contract with ABI-encoded calldata and returns the encoded result
+      callRaw(target, callData, value = 0n) {
+        const contract = chain.code.get(key(target));
+        const parsed = contract?.iface.parseTransaction({ data: callData });
+        if (!parsed) {
+          throw new MockRevert(`Cannot call ${target}`);
+        }
+        const outputs = chain.invoke(state, {
+          address: target,
+          sender: frame.address,
+          value,
+          fn: parsed.name,
+          args: parsed.args.toArray(true),
+          logs: frame.logs
+        });
+        return contract.iface.encodeFunctionResult(parsed.fragment, outputs);
+      },
+
+      delegate(callData) {
+        const parsed = iface.parseTransaction({ data: callData });
+        const outputs = chain.invoke(state, {
+          ...frame,
+          fn: parsed.name,
+          args: parsed.args.toArray(true),
+          delegated: true
+        });
+        return iface.encodeFunctionResult(parsed.fragment, outputs);
+      },
+
+      transferEth(to, amount) {
+        chain.moveEth(state, frame.address, to, amount);
+      },
+
+      emit(eventName, args) {
+        const { data, topics } = iface.encodeEventLog(eventName, args);
+        frame.logs.push({ address: ethers.getAddress(frame.address), data, topics });
+      }
+    };
+  }
+
+  /**
+   * Invokes a mock function by name (internal calls skip ABI encoding)
+   * @param {Object} state - State being mutated
+   * @param {Object} frame - Call frame (address, sender, value, fn, args, logs, delegated)
+   * @returns {Array} Handler outputs
+   */
+  invoke(state, frame) {
+    const contract = this.code.get(key(frame.address));
+    if (!contract) {
+      throw new MockRevert(`No contract at ${frame.address}`);
+    }
+
+    const handler = contract.mock.functions[frame.fn];
+    if (!handler) {
+      throw new MockRevert(`Function ${frame.fn} not implemented`);
+    }
+
+    if (frame.value > 0n && !frame.delegated) {
+      this.moveEth(state, frame.sender, frame.address, frame.value);
+    }
+
+    return handler(this.createContext(state, frame), frame.args);
+  }
+
+  /**
+   * Moves native ETH between accounts
+   */
+  moveEth(state, from, to, amount) {
+    const balance = state.eth[key(from)] ?? 0n;
+    if (balance < amount) {
+      throw new MockRevert('Insufficient ETH');
+    }
+    state.eth[key(from)] = balance - amount;
+    state.eth[key(to)] = (state.eth[key(to)] ?? 0n) + amount;
+  }
+
+  /**
+   * Executes a top-level call against a copy of the state
+   * @param {Object} tx - Call ({ from, to, data, value })
+   * @returns {{state: Object, returnData: string, logs: Array, gasUsed: bigint, fn: string|null}}
+   * @throws {MockRevert} If the call reverts
+   */
+  execute(tx) {
+    const state = structuredClone(this.state);
+    const from = tx.from ?? ethers.ZeroAddress;
+    const value = tx.value ?? 0n;
+    const logs = [];
+    const contract = tx.to ? this.code.get(key(tx.to)) : null;
+
+    if (!contract || !tx.data || tx.data === '0x') {
+      if (value > 0n) {
+        this.moveEth(state, from, tx.to, value);
+      }
+      return { state, returnData: '0x', logs, gasUsed: TRANSFER_GAS, fn: null };
+    }
+
+    const parsed = contract.iface.parseTransaction({ data: tx.data, value });
+    if (!parsed) {
+      throw new MockRevert('Unknown function selector');
+    }
+
+    const outputs = this.invoke(state, {
+      address: tx.to,
+      sender: from,
+      value,
+      fn: parsed.name,
+      args: parsed.args.toArray(true),
+      logs
+    });
+
+    return {
+      state,
+      returnData: contract.iface.encodeFunctionResult(parsed.fragment, outputs),
+      logs,
+      gasUsed: GAS_BY_FUNCTION[parsed.name] ?? DEFAULT_GAS,
+      fn: parsed.name
+    };
+  }
+
+  /**
+   * Builds a block object
+   * @param {number} number - Block number
+   * @param {string[]} transactions - Transaction hashes
+   * @returns {Object} Block
+   */
+  createBlock(number, transactions) {
+    return {
+      number,
+      hash: ethers.keccak256(ethers.toBeHex(number + 1, 32)),
+      parentHash: ethers.keccak256(ethers.toBeHex(number, 32)),
+      timestamp: this.now(),
+      baseFeePerGas: this.state.baseFee,
+      transactions
+    };
+  }
+
+  /**
+   * Accepts a signed transaction, mining it right away unless automine is off
+   * In the mempool future nonces are queued, and a transaction at an already pending nonce
+   * replaces it only if both fee fields are raised by at least 10%.
+   * @param {string} rawTx - Signed serialized transaction
+   * @returns {string} Transaction hash
+   * @throws {RpcError} If the transaction is invalid
+   */
+  submitTransaction(rawTx) {
+    const tx = ethers.Transaction.from(rawTx);
+    const expectedNonce = this.getNonce(tx.from);
+
+    if (tx.chainId !== BigInt(this.chainId)) {
+      throw new RpcError(-32000, 'invalid chain id for signer');
+    }
+    if (tx.nonce < expectedNonce) {
+      throw new RpcError(-32000, `nonce too low: next nonce ${expectedNonce}, tx nonce ${tx.nonce}`);
+    }
+    if (this.automine) {
+      if (tx.nonce > expectedNonce) {
+        throw new RpcError(-32000, `nonce too high: next nonce ${expectedNonce}, tx nonce ${tx.nonce}`);
+      }
+      return this.mineTransaction(tx);
+    }
+
+    const slot = `${key(tx.from)}:${tx.nonce}`;
+    const queued = this.mempool.get(slot);
+    if (queued) {
+      const bumped = (next, previous) => next * 10n >= previous * 11n;
+      if (!bumped(tx.maxFeePerGas, queued.maxFeePerGas) || !bumped(tx.maxPriorityFeePerGas, queued.maxPriorityFeePerGas)) {
+        throw new RpcError(-32000, 'replacement fee too low');
+      }
+    }
+
+    this.mempool.set(slot, tx);
+    return tx.hash;
+  }
+
+  /**
+   * Executes and mines a transaction in its own block
+   * @param {ethers.Transaction} tx - Signed transaction
+   * @returns {string} Transaction hash
+   * @throws {RpcError} If the transaction is invalid
+   */
+  mineTransaction(tx) {
+    const from = tx.from;
+    const expectedNonce = this.getNonce(from);
+
+
+    const { baseFee } = this.state;
+    const maxFee = tx.maxFeePerGas ?? tx.gasPrice;
+    if (maxFee < baseFee) {
+      throw new RpcError(-32000, 'max fee per gas less than block base fee');
+    }
+
+    let gasPrice = tx.gasPrice;
+    if (tx.maxFeePerGas != null) {
+      const tipped = baseFee + tx.maxPriorityFeePerGas;
+      gasPrice = tipped < tx.maxFeePerGas ? tipped : tx.maxFeePerGas;
+    }
+
+    if (this.getBalance(from) < tx.gasLimit * maxFee + tx.value) {
+      throw new RpcError(-32000, 'insufficient funds for gas * price + value');
+    }
+
+    let status = 1;
+    let logs = [];
+    let gasUsed;
+
+    try {
+      const result = this.execute({ from, to: tx.to, data: tx.data, value: tx.value });
+      gasUsed = result.gasUsed;
+      if (gasUsed > tx.gasLimit) {
+        throw new MockRevert('out of gas');
+      }
+      this.state = result.state;
+      logs = result.logs;
+    } catch (error) {
+      if (!(error instanceof MockRevert)) {
+        throw error;
+      }
+      status = 0;
+      gasUsed = tx.gasLimit;
+    }
+
+    this.state.nonces[key(from)] = expectedNonce + 1;
+    const { l1Fee } = this.state;
+    this.state.eth[key(from)] = this.getBalance(from) - gasUsed * gasPrice - l1Fee;
+
+    const block = this.createBlock(this.blocks.length, [tx.hash]);
+    this.blocks.push(block);
+    this.transactions.set(tx.hash, { tx, block });
+    this.receipts.set(tx.hash, {
+      to: tx.to,
+      from,
+      contractAddress: null,
+      transactionIndex: toQuantity(0),
+      root: null,
+      gasUsed: toQuantity(gasUsed),
+      logsBloom: EMPTY_BLOOM,
+      blockHash: block.hash,
+      transactionHash: tx.hash,
+      logs: logs.map((log, index) => ({
+        ...log,
+        transactionIndex: toQuantity(0),
+        blockNumber: toQuantity(block.number),
+        transactionHash: tx.hash,
+        logIndex: toQuantity(index),
+        blockHash: block.hash,
+        removed: false
+      })),
+      blockNumber: toQuantity(block.number),
+      cumulativeGasUsed: toQuantity(gasUsed),
+      effectiveGasPrice: toQuantity(gasPrice),
+      l1Fee: toQuantity(l1Fee),
+      status: toQuantity(status),
+      type: toQuantity(tx.type)
+    });
+
+    return tx.hash;
+  }
+
+  // ===========================================================================
+  // JSON-RPC
+  // ===========================================================================
+
+  /**
+   * Normalizes a JSON-RPC call object
+   */
+  parseCall(call) {
+    return {
+      from: call.from,
+      to: call.to,
+      data: call.data ?? call.input ?? '0x',
+      value: call.value ? BigInt(call.value) : 0n
+    };
+  }
+
+  /**
+   * Runs a call and converts reverts into JSON-RPC execution errors
+   */
+  callOrRevert(call) {
+    try {
+      return this.execute(this.parseCall(call));
+    } catch (error) {
+      if (error instanceof MockRevert) {
+        const data = ethers.concat([
+          ERROR_STRING_SELECTOR,
+          ethers.AbiCoder.defaultAbiCoder().encode(['string'], [error.reason])
+        ]);
+        throw new RpcError(3, `execution reverted: ${error.reason}`, data);
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * Formats a block for eth_getBlockByNumber
+   */
+  formatBlock(block) {
+    return {
+      number: toQuantity(block.number),
+      hash: block.hash,
+      parentHash: block.parentHash,
+      nonce: '0x0000000000000000',
+      difficulty: '0x0',
+      gasLimit: toQuantity(BLOCK_GAS_LIMIT),
+      gasUsed: '0x0',
+      miner: ethers.ZeroAddress,
+      extraData: '0x',
+      timestamp: toQuantity(block.timestamp),
+      baseFeePerGas: toQuantity(block.baseFeePerGas),
+      transactions: block.transactions
+    };
+  }
+
+  /**
+   * Formats a mined (or pending, with a null block) transaction for eth_getTransactionByHash
+   */
+  formatTransaction({ tx, block }) {
+    return {
+      hash: tx.hash,
+      blockHash: block?.hash ?? null,
+      blockNumber: block ? toQuantity(block.number) : null,
+      transactionIndex: block ? '0x0' : null,
+      type: toQuantity(tx.type),
+      from: tx.from,
+      to: tx.to,
+      nonce: toQuantity(tx.nonce),
+      gas: toQuantity(tx.gasLimit),
+      gasPrice: toQuantity(tx.gasPrice ?? tx.maxFeePerGas),
+      maxFeePerGas: tx.maxFeePerGas != null ? toQuantity(tx.maxFeePerGas) : undefined,
+      maxPriorityFeePerGas: tx.maxPriorityFeePerGas != null ? toQuantity(tx.maxPriorityFeePerGas) : undefined,
+      value: toQuantity(tx.value),
+      input: tx.data,
+      chainId: toQuantity(tx.chainId),
+      accessList: tx.accessList ?? [],
+      r: tx.signature.r,
+      s: tx.signature.s,
+      v: toQuantity(tx.signature.v),
+      yParity: toQuantity(tx.signature.yParity)
+    };
+  }
+
+  /**
+   * Handles a single JSON-RPC method call
+   * @param {string} method - Method name
+   * @param {Array} params - Parameters
+   * @returns {any} JSON result
+   */
+  handle(method, params) {
+    this.requests.push(method);
+
+    switch (method) {
+      case 'eth_chainId':
+        return toQuantity(this.chainId);
+      case 'net_version':
+        return String(this.chainId);
+      case 'eth_blockNumber':
+        return toQuantity(this.blocks.length - 1);
+      case 'eth_gasPrice':
+        return toQuantity(this.state.baseFee + this.state.priorityFee);
+      case 'eth_maxPriorityFeePerGas':
+        return toQuantity(this.state.priorityFee);
+      case 'eth_feeHistory': {
+        // Mined blocks report their own base fee; the next block uses the current one
+        const blocks = this.blocks.slice(-Number(params[0]));
+        const percentiles = params[2] ?? [];
+        return {
+          oldestBlock: toQuantity(blocks[0].number),
+          baseFeePerGas: [...blocks.map((block) => toQuantity(block.baseFeePerGas)), toQuantity(this.state.baseFee)],
+          gasUsedRatio: blocks.map(() => 0.5),
+          reward: blocks.map(() => percentiles.map(() => toQuantity(this.state.priorityFee)))
+        };
+      }
+      case 'eth_getBalance':
+        return toQuantity(this.getBalance(params[0]));
+      case 'eth_getTransactionCount':
+        return toQuantity(params[1] === 'pending' ? this.getPendingNonce(params[0]) : this.getNonce(params[0]));
+      case 'eth_getCode':
+        return this.code.has(key(params[0])) ? (this.storageOf(params[0]).bytecode ?? '0x60806040') : '0x';
+      case 'eth_getStorageAt': {
+        // Mocks keep raw slots (e.g. EIP-1967 proxy slots) in storage.slots
+        const slot = ethers.toBeHex(BigInt(params[1]), 32);
+        return this.state.storage[key(params[0])]?.slots?.[slot] ?? ethers.ZeroHash;
+      }
+      case 'eth_getBlockByNumber': {
+        const tag = params[0];
+        const number = (tag === 'latest' || tag === 'pending') ? this.blocks.length - 1 : Number(tag);
+        const block = this.blocks[number];
+        return block ? this.formatBlock({ ...block, baseFeePerGas: this.state.baseFee }) : null;
+      }
+      case 'eth_call':
+        return this.callOrRevert(params[0]).returnData;
+      case 'eth_estimateGas':
+        return toQuantity(this.callOrRevert(params[0]).gasUsed);
+      case 'eth_sendRawTransaction':
+        return this.submitTransaction(params[0]);
+      case 'eth_getTransactionByHash': {
+        const entry = this.transactions.get(params[0]);
+        const queued = [...this.mempool.values()].find((tx) => tx.hash === params[0]);
+        return entry || queued ? this.formatTransaction(entry ?? { tx: queued, block: null }) : null;
+      }
+      case 'eth_getTransactionReceipt':
+        return this.receipts.get(params[0]) ?? null;
+      default:
+        throw new RpcError(-32601, `the method ${method} does not exist/is not available`);
+    }
+  }
+
+  /**
+   * Handles a JSON-RPC request payload (single or batch)
+   * @param {Object|Object[]} payload - Request payload
+   * @returns {Object|Object[]} Response payload
+   */
+  handlePayload(payload) {
+    if (Array.isArray(payload)) {
+      return payload.map((request) => this.handlePayload(request));
+    }
+
+    try {
+      return { jsonrpc: '2.0', id: payload.id, result: this.handle(payload.method, payload.params ?? []) };
+    } catch (error) {
+      if (error instanceof RpcError) {
+        return {
+          jsonrpc: '2.0',
+          id: payload.id,
+          error: { code: error.code, message: error.message, ...(error.data && { data: error.data }) }
+        };
+      }
+      return { jsonrpc: '2.0', id: payload.id, error: { code: -32603, message: error.message } };
+    }
+  }
+
+  // ===========================================================================
+  // HTTP SERVER
+  // ===========================================================================
+
+  /**
+   * Starts serving JSON-RPC on a random localhost port
+   * @returns {Promise<string>} RPC URL
+   */
+  async start() {
+    this.server = http.createServer((req, res) => {
+      let body = '';
+      req.on('data', (chunk) => { body += chunk; });
+      req.on('end', () => {
+        let response;
+        try {
+          response = this.handlePayload(JSON.parse(body));
+        } catch (error) {
+          response = { jsonrpc: '2.0', id: null, error: { code: -32700, message: 'Parse error' } };
+        }
+        res.writeHead(200, { 'Content-Type': 'application/json' });
+        res.end(JSON.stringify(response));
+      });
+    });
+
+    await new Promise((resolve) => this.server.listen(0, '127.0.0.1', resolve));
+    this.url = `http://127.0.0.1:${this.server.address().port}`;
+    return this.url;
+  }
+
+  /**
+   * Stops the HTTP server
+   * @returns {Promise<void>}
+   */
+  async stop() {
+    if (!this.server) {
+      return;
+    }
+    this.server.closeAllConnections();
+    await new Promise((resolve) => this.server.close(resolve));
+    this.server = null;
+  }
+}
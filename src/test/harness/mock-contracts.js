@@ -0,0 +1,742 @@
+/**
+ * @fileoverview Mock contract behaviours for the in-process test chain
+ * @description JavaScript stand-ins for WETH, ERC20 tokens (with or without EIP-2612 permit),
+ *              Uniswap V3 pools, the V3 factory, QuoterV2, SwapRouter02, Permit2, the
+ *              Universal Router, Multicall3 and the Chainlink ETH/USD feed.
+ *
+ * Each mock is a { abi, functions } pair. Handlers receive an execution context
+ * (see MockChain#createContext) and the decoded arguments, and return an array of
+ * outputs that is ABI-encoded by the chain. State lives in ctx.storage so the chain
+ * can snapshot and roll it back on revert.
+ */
+
+import { ethers } from 'ethers';
+import {
+  ERC20_ABI,
+  ERC20_PERMIT_ABI,
+  MULTICALL3_ABI,
+  PERMIT2_ABI,
+  PERMIT_TYPES,
+  PERMIT2_PERMIT_TYPES,
+  UNIVERSAL_ROUTER_ABI,
+  UNIVERSAL_ROUTER_COMMANDS,
+  UNISWAP_V3_ROUTER_ABI,
+  UNISWAP_V3_QUOTER_ABI,
+  UNISWAP_V3_FACTORY_ABI,
+  UNISWAP_V3_POOL_ABI
+} from '../../config/constants.js';
+
+// =============================================================================
+// REVERT HELPER
+// =============================================================================
+
+/**
+ * Error thrown by mock handlers to revert the current call
+ */
+export class MockRevert extends Error {
+  constructor(reason) {
+    super(reason);
+    this.name = 'MockRevert';
+    this.reason = reason;
+  }
+}
+
+/**
+ * Reverts the current call when the condition is false
+ * @param {boolean} condition - Condition that must hold
+ * @param {string} reason - Revert reason
+ */
+function require(condition, reason) {
+  if (!condition) {
+    throw new MockRevert(reason);
+  }
+}
+
+/**
+ * Normalizes an address for use as a storage key
+ * @param {string} address - Address
+ * @returns {string} Lower-cased address
+ */
+export function key(address) {
+  return address.toLowerCase();
+}
+
+// =============================================================================
+// POOL MATH
+// =============================================================================
+
+const Q96 = 2n ** 96n;
+const FEE_DENOMINATOR = 1000000n;
+
+/**
+ * Integer square root for bigint values
+ * @param {bigint} value - Non-negative value
+ * @returns {bigint} floor(sqrt(value))
+ */
+export function sqrtBigInt(value) {
+  if (value < 2n) {
+    return value;
+  }
+  let x = value;
+  let y = (x + 1n) / 2n;
+  while (y < x) {
+    x = y;
+    y = (x + value / x) / 2n;
+  }
+  return x;
+}
+
+/**
+ * Computes sqrtPriceX96 (token1 per token0) from virtual reserves
+ * @param {bigint} reserve0 - Reserve of token0
+ * @param {bigint} reserve1 - Reserve of token1
+ * @returns {bigint} sqrtPriceX96
+ */
+export function sqrtPriceX96FromReserves(reserve0, reserve1) {
+  if (reserve0 === 0n) {
+    return 0n;
+  }
+  return sqrtBigInt((reserve1 * Q96 * Q96) / reserve0);
+}
+
+/**
+ * Computes the tick for a sqrtPriceX96
+ * @param {bigint} sqrtPriceX96 - Square root price
+ * @returns {number} Tick
+ */
+export function tickFromSqrtPriceX96(sqrtPriceX96) {
+  if (sqrtPriceX96 === 0n) {
+    return 0;
+  }
+  const sqrtPrice = Number(sqrtPriceX96) / Number(Q96);
+  return Math.floor(Math.log(sqrtPrice * sqrtPrice) / Math.log(1.0001));
+}
+
+/**
+ * Computes the output of a constant-product swap against a mock pool
+ * @param {Object} pool - Pool storage
+ * @param {boolean} zeroForOne - True when token0 is the input
+ * @param {bigint} amountIn - Input amount
+ * @returns {{amountOut: bigint, reserve0: bigint, reserve1: bigint}} Swap outcome
+ */
+export function computeSwap(pool, zeroForOne, amountIn) {
+  const amountInAfterFee = (amountIn * (FEE_DENOMINATOR - BigInt(pool.fee))) / FEE_DENOMINATOR;
+  const reserveIn = zeroForOne ? pool.reserve0 : pool.reserve1;
+  const reserveOut = zeroForOne ? pool.reserve1 : pool.reserve0;
+
+  const amountOut = reserveIn + amountInAfterFee === 0n
+    ? 0n
+    : (reserveOut * amountInAfterFee) / (reserveIn + amountInAfterFee);
+
+  return zeroForOne
+    ? { amountOut, reserve0: pool.reserve0 + amountIn, reserve1: pool.reserve1 - amountOut }
+    : { amountOut, reserve0: pool.reserve0 - amountOut, reserve1: pool.reserve1 + amountIn };
+}
+
+// =============================================================================
+// ERC20 / WETH
+// =============================================================================
+
+/**
+ * Internal ERC20 transfer shared by transfer and transferFrom
+ * Optional storage makes a token misbehave: transferTaxBps burns a share of every
+ * transfer (fee-on-transfer), or only of transfers from taxedSenders or to taxedRecipients
+ * when either is set (e.g. a pool, to model a buy-only or sell-only tax), and blockedRecipients
+ * reverts transfers to those addresses (e.g. a pool, to model a token that cannot be sold).
+ */
+function erc20Transfer(ctx, from, to, amount) {
+  const balances = ctx.storage.balances;
+  const fromBalance = balances[key(from)] ?? 0n;
+  require(fromBalance >= amount, 'ERC20: transfer amount exceeds balance');
+  require(!(ctx.storage.blockedRecipients ?? []).some((blocked) => key(blocked) === key(to)), 'TRANSFER_BLOCKED');
+
+  const { taxedSenders, taxedRecipients } = ctx.storage;
+  const taxed = (!taxedSenders && !taxedRecipients) ||
+    (taxedSenders ?? []).some((sender) => key(sender) === key(from)) ||
+    (taxedRecipients ?? []).some((recipient) => key(recipient) === key(to));
+  const tax = taxed ? amount * BigInt(ctx.storage.transferTaxBps ?? 0) / 10000n : 0n;
+  balances[key(from)] = fromBalance - amount;
+  balances[key(to)] = (balances[key(to)] ?? 0n) + amount - tax;
+  ctx.emit('Transfer', [from, to, amount - tax]);
+  if (tax > 0n) {
+    ctx.emit('Transfer', [from, ethers.ZeroAddress, tax]);
+  }
+  return true;
+}
+
+export const MOCK_ERC20 = {
+  abi: [
+    ...ERC20_ABI,
+    'function totalSupply() view returns (uint256)',
+    'function transferFrom(address from, address to, uint256 amount) returns (bool)'
+  ],
+  functions: {
+    name: (ctx) => [ctx.storage.name],
+    symbol: (ctx) => [ctx.storage.symbol],
+    decimals: (ctx) => [ctx.storage.decimals],
+    totalSupply: (ctx) => [Object.values(ctx.storage.balances).reduce((a, b) => a + b, 0n)],
+    balanceOf: (ctx, [owner]) => [ctx.storage.balances[key(owner)] ?? 0n],
+    allowance: (ctx, [owner, spender]) => [ctx.storage.allowances[`${key(owner)}:${key(spender)}`] ?? 0n],
+
+    approve(ctx, [spender, amount]) {
+      ctx.storage.allowances[`${key(ctx.sender)}:${key(spender)}`] = amount;
+      ctx.emit('Approval', [ctx.sender, spender, amount]);
+      return [true];
+    },
+
+    transfer(ctx, [to, amount]) {
+      return [erc20Transfer(ctx, ctx.sender, to, amount)];
+    },
+
+    transferFrom(ctx, [from, to, amount]) {
+      const allowanceKey = `${key(from)}:${key(ctx.sender)}`;
+      const allowance = ctx.storage.allowances[allowanceKey] ?? 0n;
+      require(allowance >= amount, 'ERC20: insufficient allowance');
+
+      if (allowance !== ethers.MaxUint256) {
+        ctx.storage.allowances[allowanceKey] = allowance - amount;
+      }
+      return [erc20Transfer(ctx, from, to, amount)];
+    }
+  }
+};
+
+/**
+ * EIP-712 domain of a permit token (version from storage.permitVersion, default "1")
+ */
+function permitDomain(ctx) {
+  return {
+    name: ctx.storage.name,
+    version: ctx.storage.permitVersion ?? '1',
+    chainId: ctx.chainId,
+    verifyingContract: ctx.address
+  };
+}
+
+export const MOCK_ERC20_PERMIT = {
+  abi: [
+    ...MOCK_ERC20.abi,
+    ...ERC20_PERMIT_ABI.filter((fragment) => !fragment.includes('eip712Domain'))
+  ],
+  functions: {
+    ...MOCK_ERC20.functions,
+    DOMAIN_SEPARATOR: (ctx) => [ethers.TypedDataEncoder.hashDomain(permitDomain(ctx))],
+    nonces: (ctx, [owner]) => [ctx.storage.nonces?.[key(owner)] ?? 0n],
+    version: (ctx) => [ctx.storage.permitVersion ?? '1'],
+
+    permit(ctx, [owner, spender, value, deadline, v, r, s]) {
+      require(BigInt(ctx.now()) <= deadline, 'ERC20Permit: expired deadline');
+
+      ctx.storage.nonces ??= {};
+      const nonce = ctx.storage.nonces[key(owner)] ?? 0n;
+      const digest = ethers.TypedDataEncoder.hash(permitDomain(ctx), PERMIT_TYPES, { owner, spender, value, nonce, deadline });
+      require(key(ethers.recoverAddress(digest, { v, r, s })) === key(owner), 'ERC20Permit: invalid signature');
+
+      ctx.storage.nonces[key(owner)] = nonce + 1n;
+      ctx.storage.allowances[`${key(owner)}:${key(spender)}`] = value;
+      ctx.emit('Approval', [owner, spender, value]);
+      return [];
+    }
+  }
+};
+
+export const MOCK_WETH = {
+  abi: [
+    ...MOCK_ERC20.abi,
+    'function deposit() payable',
+    'function withdraw(uint256 amount)',
+    'event Deposit(address indexed dst, uint256 wad)',
+    'event Withdrawal(address indexed src, uint256 wad)'
+  ],
+  functions: {
+    ...MOCK_ERC20.functions,
+
+    deposit(ctx) {
+      const balances = ctx.storage.balances;
+      balances[key(ctx.sender)] = (balances[key(ctx.sender)] ?? 0n) + ctx.value;
+      ctx.emit('Deposit', [ctx.sender, ctx.value]);
+      return [];
+    },
+
+    withdraw(ctx, [amount]) {
+      const balances = ctx.storage.balances;
+      const balance = balances[key(ctx.sender)] ?? 0n;
+      require(balance >= amount, 'WETH: insufficient balance');
+
+      balances[key(ctx.sender)] = balance - amount;
+      ctx.transferEth(ctx.sender, amount);
+      ctx.emit('Withdrawal', [ctx.sender, amount]);
+      return [];
+    }
+  }
+};
+
+// =============================================================================
+// UNISWAP V3 POOL & FACTORY
+// =============================================================================
+
+export const MOCK_POOL = {
+  abi: [
+    ...UNISWAP_V3_POOL_ABI,
+    'function swap(address recipient, bool zeroForOne, int256 amountSpecified, uint160 sqrtPriceLimitX96, bytes data) returns (int256 amount0, int256 amount1)'
+  ],
+  functions: {
+    token0: (ctx) => [ctx.storage.token0],
+    token1: (ctx) => [ctx.storage.token1],
+    fee: (ctx) => [ctx.storage.fee],
+    liquidity: (ctx) => [liquidityOf(ctx.storage)],
+
+    slot0(ctx) {
+      const sqrtPriceX96 = sqrtPriceX96FromReserves(ctx.storage.reserve0, ctx.storage.reserve1);
+      return [sqrtPriceX96, tickFromSqrtPriceX96(sqrtPriceX96), 0, 1, 1, 0, true];
+    },
+
+    /**
+     * Oracle observations as if the price had held at twapTick (default: the current tick)
+     * for as long as the pool has recorded them (observationSeconds, default unlimited)
+     */
+    observe(ctx, [secondsAgos]) {
+      const { twapTick, observationSeconds } = ctx.storage;
+      require(secondsAgos.every((secondsAgo) => observationSeconds === undefined || secondsAgo <= BigInt(observationSeconds)), 'OLD');
+
+      const tick = BigInt(twapTick ?? tickFromSqrtPriceX96(sqrtPriceX96FromReserves(ctx.storage.reserve0, ctx.storage.reserve1)));
+      const now = BigInt(ctx.now());
+      return [
+        secondsAgos.map((secondsAgo) => tick * (now - secondsAgo)),
+        secondsAgos.map(() => 0n)
+      ];
+    },
+
+    /**
+     * Simplified swap: the caller (router) must already have transferred the input
+     * amount to the pool; the pool pays the output to the recipient.
+     * Like the real pool's balance check, it reverts (IIA) when less than the input amount
+     * arrived, e.g. from a fee-on-transfer token.
+     */
+    swap(ctx, [recipient, zeroForOne, amountSpecified]) {
+      const pool = ctx.storage;
+      require(liquidityOf(pool) > 0n, 'LOK');
+      require(amountSpecified > 0n, 'AS');
+
+      const [tokenIn, reserveIn] = zeroForOne ? [pool.token0, pool.reserve0] : [pool.token1, pool.reserve1];
+      const received = (ctx.storageOf(tokenIn).balances[key(ctx.address)] ?? 0n) - reserveIn;
+      require(received >= amountSpecified, 'IIA');
+
+      const { amountOut, reserve0, reserve1 } = computeSwap(pool, zeroForOne, amountSpecified);
+      pool.reserve0 = reserve0;
+      pool.reserve1 = reserve1;
+
+      ctx.call(zeroForOne ? pool.token1 : pool.token0, 'transfer', [recipient, amountOut]);
+
+      const amount0 = zeroForOne ? amountSpecified : -amountOut;
+      const amount1 = zeroForOne ? -amountOut : amountSpecified;
+      const sqrtPriceX96 = sqrtPriceX96FromReserves(reserve0, reserve1);
+
+      ctx.emit('Swap', [
+        ctx.sender,
+        recipient,
+        amount0,
+        amount1,
+        sqrtPriceX96,
+        liquidityOf(pool),
+        tickFromSqrtPriceX96(sqrtPriceX96)
+      ]);
+      return [amount0, amount1];
+    }
+  }
+};
+
+/**
+ * Virtual liquidity of a constant-product mock pool
+ * @param {Object} pool - Pool storage
+ * @returns {bigint} sqrt(reserve0 * reserve1)
+ */
+function liquidityOf(pool) {
+  return sqrtBigInt(pool.reserve0 * pool.reserve1);
+}
+
+export const MOCK_FACTORY = {
+  abi: UNISWAP_V3_FACTORY_ABI,
+  functions: {
+    getPool(ctx, [tokenA, tokenB, fee]) {
+      return [ctx.storage.pools[poolKey(tokenA, tokenB, fee)] ?? ethers.ZeroAddress];
+    }
+  }
+};
+
+/**
+ * Builds the factory lookup key for a token pair and fee
+ * @param {string} tokenA - First token
+ * @param {string} tokenB - Second token
+ * @param {number|bigint} fee - Fee tier
+ * @returns {string} Lookup key (order independent)
+ */
+export function poolKey(tokenA, tokenB, fee) {
+  const [a, b] = [key(tokenA), key(tokenB)].sort();
+  return `${a}:${b}:${fee}`;
+}
+
+/**
+ * Resolves a pool address through the factory or reverts
+ */
+function resolvePool(ctx, tokenIn, tokenOut, fee) {
+  const [pool] = ctx.call(ctx.storage.factory, 'getPool', [tokenIn, tokenOut, fee]);
+  require(pool !== ethers.ZeroAddress, 'Pool does not exist');
+  return pool;
+}
+
+// =============================================================================
+// QUOTER V2
+// =============================================================================
+
+export const MOCK_QUOTER = {
+  abi: UNISWAP_V3_QUOTER_ABI,
+  functions: {
+    quoteExactInputSingle(ctx, [[tokenIn, tokenOut, amountIn, fee]]) {
+      const poolAddress = resolvePool(ctx, tokenIn, tokenOut, fee);
+      const pool = ctx.storageOf(poolAddress);
+      require(liquidityOf(pool) > 0n, 'No liquidity');
+
+      const zeroForOne = key(tokenIn) === key(pool.token0);
+      const { amountOut, reserve0, reserve1 } = computeSwap(pool, zeroForOne, amountIn);
+      require(amountOut > 0n, 'Insufficient output');
+
+      return [amountOut, sqrtPriceX96FromReserves(reserve0, reserve1), 1, ctx.storage.gasEstimate];
+    },
+
+    quoteExactInput(ctx, [path, amountIn]) {
+      const sqrtPriceAfterList = [];
+      let amount = amountIn;
+
+      for (const { tokenIn, tokenOut, fee } of decodePath(path)) {
+        const pool = ctx.storageOf(resolvePool(ctx, tokenIn, tokenOut, fee));
+        require(liquidityOf(pool) > 0n, 'No liquidity');
+
+        const zeroForOne = key(tokenIn) === key(pool.token0);
+        const { amountOut, reserve0, reserve1 } = computeSwap(pool, zeroForOne, amount);
+        require(amountOut > 0n, 'Insufficient output');
+
+        sqrtPriceAfterList.push(sqrtPriceX96FromReserves(reserve0, reserve1));
+        amount = amountOut;
+      }
+
+      const hops = BigInt(sqrtPriceAfterList.length);
+      return [amount, sqrtPriceAfterList, sqrtPriceAfterList.map(() => 1), ctx.storage.gasEstimate * hops];
+    }
+  }
+};
+
+/**
+ * Decodes a packed V3 path (address, uint24, address, ...) into hops
+ * @param {string} path - Packed path bytes
+ * @returns {Array<{tokenIn: string, tokenOut: string, fee: number}>} Hops in order
+ */
+function decodePath(path) {
+  const bytes = ethers.getBytes(path);
+  require(bytes.length >= 43 && (bytes.length - 20) % 23 === 0, 'Invalid path');
+
+  const hops = [];
+  for (let offset = 0; offset + 20 < bytes.length; offset += 23) {
+    hops.push({
+      tokenIn: ethers.getAddress(ethers.hexlify(bytes.slice(offset, offset + 20))),
+      fee: Number(ethers.toBigInt(bytes.slice(offset + 20, offset + 23))),
+      tokenOut: ethers.getAddress(ethers.hexlify(bytes.slice(offset + 23, offset + 43)))
+    });
+  }
+  return hops;
+}
+
+// =============================================================================
+// SWAP ROUTER 02
+// =============================================================================
+
+/**
+ * SwapRouter02 sentinels: recipient address(2) means the router itself and an input
+ * amount of 0 means the router's whole balance of the input token (already paid)
+ */
+const ADDRESS_THIS = '0x0000000000000000000000000000000000000002';
+const CONTRACT_BALANCE = 0n;
+
+/**
+ * Resolves the SwapRouter02 recipient and input amount sentinels
+ * @returns {{recipient: string, amountIn: bigint, payer: string}} Actual recipient, amount and payer
+ */
+function resolveRouterSentinels(ctx, tokenIn, recipient, amountIn) {
+  const paid = amountIn === CONTRACT_BALANCE;
+  return {
+    recipient: key(recipient) === key(ADDRESS_THIS) ? ctx.address : recipient,
+    amountIn: paid ? ctx.storageOf(tokenIn).balances[key(ctx.address)] ?? 0n : amountIn,
+    payer: paid ? ctx.address : ctx.sender
+  };
+}
+
+export const MOCK_ROUTER = {
+  abi: UNISWAP_V3_ROUTER_ABI,
+  functions: {
+    exactInputSingle(ctx, [[tokenIn, tokenOut, fee, recipientParam, amountInParam, amountOutMinimum]]) {
+      require(!ctx.storage.forceRevert, ctx.storage.forceRevert);
+
+      const { recipient, amountIn, payer } = resolveRouterSentinels(ctx, tokenIn, recipientParam, amountInParam);
+      const amountOut = swapHop(ctx, { tokenIn, tokenOut, fee }, payer, recipient, amountIn);
+
+      require(amountOut >= amountOutMinimum, 'Too little received');
+      return [amountOut];
+    },
+
+    exactInput(ctx, [[path, recipientParam, amountInParam, amountOutMinimum]]) {
+      require(!ctx.storage.forceRevert, ctx.storage.forceRevert);
+
+      // Intermediate outputs are held by the router, which pays the next pool
+      const hops = decodePath(path);
+      const { recipient, amountIn, payer } = resolveRouterSentinels(ctx, hops[0].tokenIn, recipientParam, amountInParam);
+      let amount = amountIn;
+      hops.forEach((hop, index) => {
+        const hopPayer = index === 0 ? payer : ctx.address;
+        const hopRecipient = index === hops.length - 1 ? recipient : ctx.address;
+        amount = swapHop(ctx, hop, hopPayer, hopRecipient, amount);
+      });
+
+      require(amount >= amountOutMinimum, 'Too little received');
+      return [amount];
+    },
+
+    selfPermitIfNecessary(ctx, [token, value, deadline, v, r, s]) {
+      const [allowance] = ctx.call(token, 'allowance', [ctx.sender, ctx.address]);
+      if (allowance < value) {
+        // The router relays the permit, so the token sees the router as the caller
+        ctx.call(token, 'permit', [ctx.sender, ctx.address, value, deadline, v, r, s]);
+      }
+      return [];
+    },
+
+    multicall(ctx, [deadline, data]) {
+      require(BigInt(ctx.now()) <= deadline, 'Transaction too old');
+
+      // delegatecall semantics: msg.sender and msg.value are preserved for each inner call
+      return [data.map((callData) => ctx.delegate(callData))];
+    },
+
+    unwrapWETH9(ctx, [amountMinimum, recipient]) {
+      const weth = ctx.storage.weth;
+      const balance = ctx.storageOf(weth).balances[key(ctx.address)] ?? 0n;
+      require(balance >= amountMinimum, 'Insufficient WETH9');
+
+      if (balance > 0n) {
+        ctx.call(weth, 'withdraw', [balance]);
+        ctx.transferEth(recipient, balance);
+      }
+      return [];
+    },
+
+    refundETH(ctx) {
+      const balance = ctx.ethBalance(ctx.address);
+      if (balance > 0n) {
+        ctx.transferEth(ctx.sender, balance);
+      }
+      return [];
+    }
+  }
+};
+
+/**
+ * Pays the pool for one hop and swaps, returning the amount the pool paid out
+ * Mirrors PeripheryPayments.pay: ETH held by the router pays for WETH input, tokens held
+ * by the router are transferred directly, anything else is pulled from the payer (through
+ * Permit2 when a Permit2 address is given, as the Universal Router does).
+ * Like the real router, the result is the pool's output, not what the recipient received
+ * (a fee-on-transfer token delivers less).
+ */
+function swapHop(ctx, { tokenIn, tokenOut, fee }, payer, recipient, amountIn, permit2 = null) {
+  const poolAddress = resolvePool(ctx, tokenIn, tokenOut, fee);
+  const pool = ctx.storageOf(poolAddress);
+  const zeroForOne = key(tokenIn) === key(pool.token0);
+
+  if (key(payer) === key(ctx.address)) {
+    ctx.call(tokenIn, 'transfer', [poolAddress, amountIn]);
+  } else if (key(tokenIn) === key(ctx.storage.weth) && ctx.ethBalance(ctx.address) >= amountIn) {
+    ctx.call(tokenIn, 'deposit', [], amountIn);
+    ctx.call(tokenIn, 'transfer', [poolAddress, amountIn]);
+  } else if (permit2) {
+    ctx.call(permit2, 'transferFrom', [payer, poolAddress, amountIn, tokenIn]);
+  } else {
+    ctx.call(tokenIn, 'transferFrom', [payer, poolAddress, amountIn]);
+  }
+
+  const [amount0, amount1] = ctx.call(poolAddress, 'swap', [recipient, zeroForOne, amountIn, 0n, '0x']);
+  return -(zeroForOne ? amount1 : amount0);
+}
+
+// =============================================================================
+// PERMIT2 & UNIVERSAL ROUTER
+// =============================================================================
+
+const MAX_UINT160 = 2n ** 160n - 1n;
+
+export const MOCK_PERMIT2 = {
+  abi: [
+    ...PERMIT2_ABI,
+    'function permit(address owner, ((address token, uint160 amount, uint48 expiration, uint48 nonce) details, address spender, uint256 sigDeadline) permitSingle, bytes signature)',
+    'function transferFrom(address from, address to, uint160 amount, address token)'
+  ],
+  functions: {
+    allowance(ctx, [owner, token, spender]) {
+      const entry = ctx.storage.allowances[`${key(owner)}:${key(token)}:${key(spender)}`];
+      return entry ? [entry.amount, entry.expiration, entry.nonce] : [0n, 0n, 0n];
+    },
+
+    approve(ctx, [token, spender, amount, expiration]) {
+      const allowanceKey = `${key(ctx.sender)}:${key(token)}:${key(spender)}`;
+      const current = ctx.storage.allowances[allowanceKey] ?? { amount: 0n, expiration: 0n, nonce: 0n };
+      // Keeps the nonce, so signatures already handed out stay spent
+      ctx.storage.allowances[allowanceKey] = {
+        amount,
+        expiration: expiration === 0n ? BigInt(ctx.now()) : expiration,
+        nonce: current.nonce
+      };
+      return [];
+    },
+
+    permit(ctx, [owner, [[token, amount, expiration, nonce], spender, sigDeadline], signature]) {
+      require(BigInt(ctx.now()) <= sigDeadline, 'SignatureExpired');
+
+      const allowanceKey = `${key(owner)}:${key(token)}:${key(spender)}`;
+      const current = ctx.storage.allowances[allowanceKey] ?? { amount: 0n, expiration: 0n, nonce: 0n };
+      require(nonce === current.nonce, 'InvalidNonce');
+
+      const signer = ethers.verifyTypedData(
+        { name: 'Permit2', chainId: ctx.chainId, verifyingContract: ctx.address },
+        PERMIT2_PERMIT_TYPES,
+        { details: { token, amount, expiration, nonce }, spender, sigDeadline },
+        signature
+      );
+      require(key(signer) === key(owner), 'InvalidSigner');
+
+      // An expiration of 0 means "this block only"
+      ctx.storage.allowances[allowanceKey] = {
+        amount,
+        expiration: expiration === 0n ? BigInt(ctx.now()) : expiration,
+        nonce: nonce + 1n
+      };
+      return [];
+    },
+
+    transferFrom(ctx, [from, to, amount, token]) {
+      const allowance = ctx.storage.allowances[`${key(from)}:${key(token)}:${key(ctx.sender)}`];
+      require(allowance && BigInt(ctx.now()) <= allowance.expiration, 'AllowanceExpired');
+      require(allowance.amount >= amount, 'InsufficientAllowance');
+
+      if (allowance.amount !== MAX_UINT160) {
+        allowance.amount -= amount;
+      }
+      ctx.call(token, 'transferFrom', [from, to, amount]);
+      return [];
+    }
+  }
+};
+
+export const MOCK_UNIVERSAL_ROUTER = {
+  abi: UNIVERSAL_ROUTER_ABI,
+  functions: {
+    execute(ctx, [commands, inputs, deadline]) {
+      require(!ctx.storage.forceRevert, ctx.storage.forceRevert);
+      require(BigInt(ctx.now()) <= deadline, 'TransactionDeadlinePassed');
+
+      const coder = ethers.AbiCoder.defaultAbiCoder();
+      ethers.getBytes(commands).forEach((command, index) => {
+        switch (command) {
+          case UNIVERSAL_ROUTER_COMMANDS.PERMIT2_PERMIT: {
+            const [permitSingle, signature] = coder.decode(
+              ['tuple(tuple(address, uint160, uint48, uint48), address, uint256)', 'bytes'],
+              inputs[index]
+            ).toArray(true);
+            ctx.call(ctx.storage.permit2, 'permit', [ctx.sender, permitSingle, signature]);
+            break;
+          }
+          case UNIVERSAL_ROUTER_COMMANDS.V3_SWAP_EXACT_IN: {
+            const [recipientParam, amountIn, amountOutMin, path, payerIsUser] = coder.decode(
+              ['address', 'uint256', 'uint256', 'bytes', 'bool'],
+              inputs[index]
+            );
+            const recipient = key(recipientParam) === key(ADDRESS_THIS) ? ctx.address : recipientParam;
+            const hops = decodePath(path);
+
+            let amount = amountIn;
+            hops.forEach((hop, hopIndex) => {
+              const payer = hopIndex === 0 && payerIsUser ? ctx.sender : ctx.address;
+              const hopRecipient = hopIndex === hops.length - 1 ? recipient : ctx.address;
+              amount = swapHop(ctx, hop, payer, hopRecipient, amount, ctx.storage.permit2);
+            });
+            require(amount >= amountOutMin, 'V3TooLittleReceived');
+            break;
+          }
+          case UNIVERSAL_ROUTER_COMMANDS.UNWRAP_WETH: {
+            const [recipient, amountMin] = coder.decode(['address', 'uint256'], inputs[index]);
+            const weth = ctx.storage.weth;
+            const balance = ctx.storageOf(weth).balances[key(ctx.address)] ?? 0n;
+            require(balance >= amountMin, 'InsufficientETH');
+
+            if (balance > 0n) {
+              ctx.call(weth, 'withdraw', [balance]);
+              ctx.transferEth(recipient, balance);
+            }
+            break;
+          }
+          default:
+            throw new MockRevert(`InvalidCommandType(${command})`);
+        }
+      });
+      return [];
+    }
+  }
+};
+
+// =============================================================================
+// MULTICALL3
+// =============================================================================
+
+export const MOCK_MULTICALL3 = {
+  abi: MULTICALL3_ABI,
+  functions: {
+    // Calls run in order from the multicall contract; any failure reverts the whole batch
+    // (allowFailure is not modelled)
+    aggregate3Value(ctx, [calls]) {
+      const total = calls.reduce((sum, [, , value]) => sum + value, 0n);
+      require(total === ctx.value, 'Multicall3: value mismatch');
+      return [calls.map(([target, , value, callData]) => [true, ctx.callRaw(target, callData, value)])];
+    }
+  }
+};
+
+// =============================================================================
+// GAS PRICE ORACLE (OP Stack predeploy)
+// =============================================================================
+
+export const MOCK_GAS_PRICE_ORACLE = {
+  abi: ['function getL1Fee(bytes _data) view returns (uint256)'],
+  functions: {
+    // Flat price per byte of the serialized transaction
+    getL1Fee(ctx, [data]) {
+      return [BigInt(ethers.dataLength(data)) * ctx.storage.feePerByte];
+    }
+  }
+};
+
+// =============================================================================
+// CHAINLINK PRICE FEED
+// =============================================================================
+
+export const MOCK_PRICE_FEED = {
+  abi: [
+    'function decimals() view returns (uint8)',
+    'function latestRoundData() view returns (uint80 roundId, int256 answer, uint256 startedAt, uint256 updatedAt, uint80 answeredInRound)'
+  ],
+  functions: {
+    decimals: () => [8],
+
+    latestRoundData(ctx) {
+      const { roundId, answer, updatedAt, answeredInRound = roundId } = ctx.storage;
+      require(!ctx.storage.forceRevert, ctx.storage.forceRevert);
+      return [roundId, answer, updatedAt, updatedAt, answeredInRound];
+    }
+  }
+};
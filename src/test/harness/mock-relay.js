@@ -0,0 +1,90 @@
+/**
+ * @fileoverview Local stand-in for a private transaction relay
+ * @description An HTTP JSON-RPC endpoint that accepts eth_sendRawTransaction and hands the
+ *              transaction straight to a MockChain, bypassing its public RPC, or holds or refuses
+ *              it, so tests can tell private submissions from public broadcasts.
+ */
+
+import http from 'http';
+import { ethers } from 'ethers';
+
+// =============================================================================
+// MOCK RELAY
+// =============================================================================
+
+export class MockRelay {
+  /**
+   * @param {MockChain} chain - Chain the relay submits to
+   */
+  constructor(chain) {
+    this.chain = chain;
+    this.server = null;
+    this.received = [];
+
+    // Behaviour knobs, changeable at any time
+    this.include = true;
+    this.reject = null;
+    this.fail = false;
+  }
+
+  /**
+   * Handles a JSON-RPC request payload
+   * @param {Object} payload - Request payload
+   * @returns {Object} Response payload
+   */
+  handle(payload) {
+    const respond = (result) => ({ jsonrpc: '2.0', id: payload.id, ...result });
+
+    if (payload.method !== 'eth_sendRawTransaction') {
+      return respond({ error: { code: -32601, message: `the method ${payload.method} does not exist/is not available` } });
+    }
+    if (this.reject) {
+      return respond({ error: { code: -32000, message: this.reject } });
+    }
+
+    const [rawTx] = payload.params;
+    this.received.push(rawTx);
+    try {
+      // Held transactions are accepted but never reach the chain
+      const hash = this.include ? this.chain.submitTransaction(rawTx) : ethers.Transaction.from(rawTx).hash;
+      return respond({ result: hash });
+    } catch (error) {
+      return respond({ error: { code: error.code ?? -32603, message: error.message } });
+    }
+  }
+
+  /**
+   * Starts the relay on a random localhost port
+   * @returns {Promise<string>} Relay URL
+   */
+  async start() {
+    this.server = http.createServer((req, res) => {
+      let body = '';
+      req.on('data', (chunk) => { body += chunk; });
+      req.on('end', () => {
+        if (this.fail) {
+          res.writeHead(503, { 'Content-Type': 'text/plain' });
+          res.end('Service Unavailable');
+          return;
+        }
+        res.writeHead(200, { 'Content-Type': 'application/json' });
+        res.end(JSON.stringify(this.handle(JSON.parse(body))));
+      });
+    });
+
+    await new Promise((resolve) => this.server.listen(0, '127.0.0.1', resolve));
+    return `http://127.0.0.1:${this.server.address().port}`;
+  }
+
+  /**
+   * Stops the relay
+   */
+  async stop() {
+    if (!this.server) {
+      return;
+    }
+    this.server.closeAllConnections();
+    await new Promise((resolve) => this.server.close(resolve));
+    this.server = null;
+  }
+}
@@ -0,0 +1,107 @@
+/**
+ * @fileoverview Misbehaving JSON-RPC endpoint for RPC pool tests
+ * @description An HTTP proxy in front of a MockChain that can be made slow, unavailable,
+ *              lagging or dishonest, so several "endpoints" can share one chain state.
+ */
+
+import http from 'http';
+
+// =============================================================================
+// RPC PROXY
+// =============================================================================
+
+export class RpcProxy {
+  /**
+   * @param {string} targetUrl - URL of the chain to forward to
+   */
+  constructor(targetUrl) {
+    this.targetUrl = targetUrl;
+    this.server = null;
+    this.requests = [];
+
+    // Behaviour knobs, changeable at any time
+    this.delayMs = 0;
+    this.fail = false;
+    this.tamper = null;
+  }
+
+  /**
+   * Counts forwarded (or refused) requests for a JSON-RPC method
+   * @param {string} method - Method name
+   * @returns {number} Request count
+   */
+  countRequests(method) {
+    return this.requests.filter((request) => request === method).length;
+  }
+
+  /**
+   * Forwards a request body and applies the configured behaviour
+   * @param {string} body - Raw JSON-RPC request body
+   * @returns {Promise<{status: number, body: string}>} Response to send
+   */
+  async forward(body) {
+    const payload = JSON.parse(body);
+    const entries = Array.isArray(payload) ? payload : [payload];
+    this.requests.push(...entries.map((entry) => entry.method));
+
+    if (this.delayMs > 0) {
+      await new Promise((resolve) => setTimeout(resolve, this.delayMs));
+    }
+    if (this.fail) {
+      return { status: 503, body: 'Service Unavailable' };
+    }
+
+    const response = await fetch(this.targetUrl, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body
+    });
+    const result = await response.json();
+
+    if (!this.tamper) {
+      return { status: 200, body: JSON.stringify(result) };
+    }
+
+    const results = Array.isArray(result) ? result : [result];
+    for (const [index, entry] of results.entries()) {
+      if ('result' in entry) {
+        entry.result = this.tamper(entries[index].method, entry.result, entries[index].params);
+      }
+    }
+    return { status: 200, body: JSON.stringify(result) };
+  }
+
+  /**
+   * Starts the proxy on a random localhost port
+   * @returns {Promise<string>} Proxy URL
+   */
+  async start() {
+    this.server = http.createServer((req, res) => {
+      let body = '';
+      req.on('data', (chunk) => { body += chunk; });
+      req.on('end', async () => {
+        const { status, body: responseBody } = await this.forward(body).catch((error) => ({
+          status: 500,
+          body: error.message
+        }));
+        res.writeHead(status, { 'Content-Type': status === 200 ? 'application/json' : 'text/plain' });
+        res.end(responseBody);
+      });
+    });
+
+    await new Promise((resolve) => this.server.listen(0, '127.0.0.1', resolve));
+    return `http://127.0.0.1:${this.server.address().port}`;
+  }
+
+  /**
+   * Stops the proxy
+   */
+  async stop() {
+    if (!this.server) {
+      return;
+    }
+    this.server.closeAllConnections();
+    await new Promise((resolve) => this.server.close(resolve));
+    this.server = null;
+  }
+}
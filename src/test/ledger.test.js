@@ -0,0 +1,191 @@
+/**
+ * @fileoverview Trade ledger and P&L tests
+ *
+ * Run with: npm test
+ */
+
+import { describe, it, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import {
+  createLedgerEntry,
+  readLedger,
+  appendLedgerEntry,
+  recordTrade,
+  updateLedger,
+  computePnl
+} from '../services/ledger.js';
+import { COST_BASIS_METHODS } from '../config/constants.js';
+import { createTestLogger, TEST_TOKEN_ADDRESS } from './harness/fixtures.js';
+
+/**
+ * Builds a minimal live trade result as returned by executeBuy/executeSell
+ */
+function tradeResult(type, { txHash, tokenAmount, ethAmount, gas = '0.0001', ethPriceUsd = 3000 }) {
+  const isBuy = type === 'BUY';
+  return {
+    success: true,
+    type,
+    simulated: false,
+    txHash,
+    blockNumber: 1,
+    timestamp: '2026-01-01T00:00:00.000Z',
+    token: { address: TEST_TOKEN_ADDRESS, symbol: 'TEST', name: 'Test Token', decimals: 18 },
+    ethPriceUsd,
+    poolFee: '0.3%',
+    output: {
+      actualAmountIn: isBuy ? ethAmount : tokenAmount,
+      actualAmountOut: isBuy ? tokenAmount : ethAmount,
+      gasFeePaid: gas
+    }
+  };
+}
+
+/**
+ * Converts trade results to ledger entries
+ */
+function entriesOf(...results) {
+  return results.map((result) => createLedgerEntry(result));
+}
+
+describe('createLedgerEntry', () => {
+  it('maps buy and sell results to token/ETH amounts with USD values', () => {
+    const buy = createLedgerEntry(tradeResult('BUY', { txHash: '0x01', tokenAmount: '100.0', ethAmount: '0.002' }));
+    const sell = createLedgerEntry(tradeResult('SELL', { txHash: '0x02', tokenAmount: '100.0', ethAmount: '0.003' }));
+
+    assert.equal(buy.tokenAmount, '100.0');
+    assert.equal(buy.ethAmount, '0.002');
+    assert.equal(buy.usdValue, 6);
+    assert.equal(buy.gasCostUsd, 0.3);
+    assert.equal(sell.tokenAmount, '100.0');
+    assert.equal(sell.ethAmount, '0.003');
+  });
+});
+
+describe('computePnl', () => {
+  const trades = entriesOf(
+    tradeResult('BUY', { txHash: '0x01', tokenAmount: '100.0', ethAmount: '1.0' }),
+    tradeResult('BUY', { txHash: '0x02', tokenAmount: '100.0', ethAmount: '3.0' }),
+    tradeResult('SELL', { txHash: '0x03', tokenAmount: '100.0', ethAmount: '2.5' })
+  );
+
+  it('costs sells against the oldest lots with FIFO', () => {
+    const pnl = computePnl(trades, { tokenAddress: TEST_TOKEN_ADDRESS, method: COST_BASIS_METHODS.FIFO });
+
+    assert.equal(pnl.realizedPnlEth, '1.5');
+    assert.equal(pnl.openQuantity, '100.0');
+    assert.equal(pnl.costBasisEth, '3.0');
+    assert.equal(pnl.gasCostEth, '0.0003');
+  });
+
+  it('costs sells at the running average with AVERAGE', () => {
+    const pnl = computePnl(trades, { tokenAddress: TEST_TOKEN_ADDRESS, method: COST_BASIS_METHODS.AVERAGE });
+
+    assert.equal(pnl.realizedPnlEth, '0.5');
+    assert.equal(pnl.costBasisEth, '2.0');
+    assert.equal(pnl.averageCostEth, '0.02');
+  });
+
+  it('values the open position at the mark price', () => {
+    const pnl = computePnl(trades, {
+      tokenAddress: TEST_TOKEN_ADDRESS,
+      markPriceEth: '0.025',
+      ethPriceUsd: 2000
+    });
+
+    assert.equal(pnl.unrealizedPnlEth, '-0.5');
+    assert.equal(pnl.netPnlEth, '0.9997');
+    assert.equal(pnl.netPnlUsd, 1999.4);
+  });
+
+  it('only realizes P&L on the tracked part of an oversized sell', () => {
+    const entries = entriesOf(
+      tradeResult('BUY', { txHash: '0x01', tokenAmount: '50.0', ethAmount: '1.0' }),
+      tradeResult('SELL', { txHash: '0x02', tokenAmount: '100.0', ethAmount: '4.0' })
+    );
+
+    const pnl = computePnl(entries, { tokenAddress: TEST_TOKEN_ADDRESS });
+
+    assert.equal(pnl.realizedPnlEth, '1.0');
+    assert.equal(pnl.untrackedQuantity, '50.0');
+    assert.equal(pnl.openQuantity, '0.0');
+  });
+
+  it('ignores trades of other tokens', () => {
+    const pnl = computePnl(trades, { tokenAddress: '0x0000000000000000000000000000000000000001' });
+
+    assert.equal(pnl.trades, 0);
+    assert.equal(pnl.realizedPnlEth, '0.0');
+  });
+});
+
+describe('ledger storage', () => {
+  let directory;
+  let ledgerPath;
+  let logger;
+
+  beforeEach(() => {
+    directory = fs.mkdtempSync(path.join(os.tmpdir(), 'ledger-test-'));
+    ledgerPath = path.join(directory, 'nested', 'ledger.jsonl');
+    logger = createTestLogger();
+  });
+
+  afterEach(() => {
+    fs.rmSync(directory, { recursive: true, force: true });
+  });
+
+  it('returns an empty ledger when the file does not exist', () => {
+    assert.deepEqual(readLedger(logger, ledgerPath), []);
+  });
+
+  it('appends entries once per transaction hash', () => {
+    const [entry] = entriesOf(tradeResult('BUY', { txHash: '0x01', tokenAmount: '100.0', ethAmount: '1.0' }));
+
+    assert.equal(appendLedgerEntry(entry, logger, ledgerPath), true);
+    assert.equal(appendLedgerEntry(entry, logger, ledgerPath), false);
+    assert.deepEqual(readLedger(logger, ledgerPath), [entry]);
+  });
+
+  it('skips malformed lines and keeps the rest of the history', () => {
+    const [entry] = entriesOf(tradeResult('BUY', { txHash: '0x01', tokenAmount: '100.0', ethAmount: '1.0' }));
+    appendLedgerEntry(entry, logger, ledgerPath);
+    fs.appendFileSync(ledgerPath, '{"txHash": "0x02", "type"');
+
+    assert.deepEqual(readLedger(logger, ledgerPath), [entry]);
+    assert.ok(logger.entries.some((log) => log.level === 'warn' && log.message.includes('malformed')));
+  });
+
+  it('does not record simulated or skipped results', () => {
+    const simulated = { ...tradeResult('BUY', { txHash: null, tokenAmount: '1.0', ethAmount: '1.0' }), simulated: true };
+    const skipped = { success: true, type: 'SELL', skipped: true };
+
+    assert.equal(recordTrade(simulated, logger, { ledgerPath }), null);
+    assert.equal(recordTrade(skipped, logger, { ledgerPath }), null);
+    assert.equal(fs.existsSync(ledgerPath), false);
+  });
+
+  it('records a trade and returns the updated P&L', () => {
+    updateLedger(tradeResult('BUY', { txHash: '0x01', tokenAmount: '100.0', ethAmount: '1.0' }), logger, { ledgerPath });
+    const pnl = updateLedger(
+      tradeResult('SELL', { txHash: '0x02', tokenAmount: '100.0', ethAmount: '1.2' }),
+      logger,
+      { ledgerPath, correlationId: 'run-2' }
+    );
+
+    assert.equal(pnl.trades, 2);
+    assert.equal(pnl.realizedPnlEth, '0.2');
+    assert.equal(pnl.realizedPnlUsd, 600);
+    assert.equal(readLedger(logger, ledgerPath)[1].correlationId, 'run-2');
+  });
+
+  it('returns null instead of throwing when the ledger cannot be written', () => {
+    fs.mkdirSync(ledgerPath, { recursive: true });
+
+    const pnl = updateLedger(tradeResult('BUY', { txHash: '0x01', tokenAmount: '1.0', ethAmount: '1.0' }), logger, { ledgerPath });
+
+    assert.equal(pnl, null);
+    assert.ok(logger.entries.some((log) => log.level === 'error'));
+  });
+});
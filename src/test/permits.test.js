@@ -0,0 +1,101 @@
+/**
+ * @fileoverview Signature approval tests against the in-process mock chain
+ *
+ * Run with: npm test
+ */
+
+import { describe, it, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { ethers } from 'ethers';
+import { detectPermitSupport, resolveApprovalMethod } from '../services/permits.js';
+import { APPROVAL_METHODS, PERMIT2_ADDRESS, UNIVERSAL_ROUTER } from '../config/constants.js';
+import { createTestEnvironment } from './harness/fixtures.js';
+
+describe('detectPermitSupport', () => {
+  let env;
+  let provider;
+
+  afterEach(async () => {
+    await env.close();
+  });
+
+  it('finds the EIP-712 domain of a permit token', async () => {
+    env = await createTestEnvironment({ tokenPermit: true });
+    env.chain.storageOf(env.addresses.token).permitVersion = '2';
+    ({ provider } = await env.connect());
+
+    const result = await detectPermitSupport(env.addresses.token, provider, env.logger);
+
+    assert.equal(result.supported, true);
+    assert.equal(result.domain.name, 'Test Token');
+    assert.equal(result.domain.version, '2');
+    assert.equal(result.domain.verifyingContract, env.addresses.token);
+  });
+
+  it('reports a token without permit as unsupported', async () => {
+    env = await createTestEnvironment();
+    ({ provider } = await env.connect());
+
+    assert.deepEqual(await detectPermitSupport(env.addresses.token, provider, env.logger), {
+      supported: false,
+      reason: 'no EIP-2612 permit'
+    });
+  });
+});
+
+describe('resolveApprovalMethod', () => {
+  let env;
+  let wallet;
+  const required = ethers.parseEther('10');
+
+  beforeEach(async () => {
+    env = await createTestEnvironment();
+    ({ wallet } = await env.connect());
+  });
+
+  afterEach(async () => {
+    await env.close();
+  });
+
+  /**
+   * Approves Permit2 for the token directly in mock storage
+   */
+  function approvePermit2(amount) {
+    env.chain.storageOf(env.addresses.token).allowances[`${env.walletAddress.toLowerCase()}:${PERMIT2_ADDRESS.toLowerCase()}`] = amount;
+  }
+
+  const resolve = (method) => resolveApprovalMethod(
+    env.addresses.token,
+    required,
+    wallet,
+    { method, universalRouterAddress: UNIVERSAL_ROUTER },
+    env.logger
+  );
+
+  it('uses Permit2 in AUTO mode once Permit2 is approved, else an approve transaction', async () => {
+    assert.equal((await resolve(APPROVAL_METHODS.AUTO)).method, APPROVAL_METHODS.APPROVE);
+
+    approvePermit2(ethers.MaxUint256);
+    const resolved = await resolve(APPROVAL_METHODS.AUTO);
+
+    assert.equal(resolved.method, APPROVAL_METHODS.PERMIT2);
+    assert.equal(resolved.permit2Approved, true);
+    assert.equal(resolved.signatureRequired, true);
+    assert.equal(resolved.nonce, 0);
+  });
+
+  it('falls back to an approve transaction when a forced permit is unsupported', async () => {
+    const resolved = await resolve(APPROVAL_METHODS.PERMIT);
+
+    assert.equal(resolved.method, APPROVAL_METHODS.APPROVE);
+    assert.ok(env.logger.entries.some((entry) => entry.level === 'warn' && entry.message.includes('EIP-2612 permit unavailable')));
+  });
+
+  it('keeps Permit2 when forced even before Permit2 is approved', async () => {
+    const resolved = await resolve(APPROVAL_METHODS.PERMIT2);
+    assert.equal(resolved.method, APPROVAL_METHODS.PERMIT2);
+    assert.equal(resolved.permit2Approved, false);
+
+    assert.equal((await resolve(APPROVAL_METHODS.APPROVE)).method, APPROVAL_METHODS.APPROVE);
+  });
+});
@@ -0,0 +1,111 @@
+/**
+ * @fileoverview ETH/USD price service tests against the in-process mock chain
+ *
+ * Run with: npm test
+ */
+
+import { describe, it, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { ethers } from 'ethers';
+import { getEthPriceUsd } from '../services/price.js';
+import { executeBuy } from '../services/trading.js';
+import { BlockchainError } from '../services/blockchain.js';
+import { ERROR_CODES } from '../config/constants.js';
+import { createTestEnvironment } from './harness/fixtures.js';
+
+describe('getEthPriceUsd', () => {
+  let env;
+  let provider;
+  let wallet;
+  let feed;
+
+  beforeEach(async () => {
+    env = await createTestEnvironment();
+    feed = env.chain.storageOf(env.addresses.priceFeed);
+    ({ provider, wallet } = await env.connect());
+  });
+
+  afterEach(async () => {
+    await env.close();
+  });
+
+  /**
+   * Deploys the WETH/USDC 0.05% pool the TWAP is read from
+   */
+  function createUsdcPool(usdPerEth) {
+    return env.createPool({
+      tokenA: env.addresses.weth,
+      tokenB: env.addresses.usdc,
+      fee: 500,
+      reserveA: ethers.parseEther('100'),
+      reserveB: ethers.parseUnits(String(usdPerEth * 100), 6)
+    });
+  }
+
+  it('uses Chainlink when the pool TWAP agrees', async () => {
+    createUsdcPool(3030);
+
+    assert.equal(await getEthPriceUsd(provider, env.logger), 3000);
+    assert.ok(!env.logger.entries.some((entry) => entry.level === 'warn'));
+  });
+
+  it('falls back to the pool TWAP when the Chainlink answer is stale', async () => {
+    createUsdcPool(3030);
+    feed.updatedAt = BigInt(env.chain.now() - 7200);
+
+    const price = await getEthPriceUsd(provider, env.logger);
+
+    assert.ok(Math.abs(price - 3030) < 1);
+    assert.ok(env.logger.entries.some((entry) =>
+      entry.level === 'warn' && entry.message.includes('UNISWAP_TWAP only, CHAINLINK unavailable (answer is 7200s old (max 3600s))')
+    ));
+  });
+
+  it('rejects carried-over and non-positive Chainlink answers', async () => {
+    feed.roundId = 5n;
+    feed.answeredInRound = 4n;
+    await assert.rejects(getEthPriceUsd(provider, env.logger), /round 5 carries the answer of round 4/);
+
+    delete feed.answeredInRound;
+    feed.answer = -1n;
+    await assert.rejects(getEthPriceUsd(provider, env.logger), /answer -1 is not positive/);
+  });
+
+  it('refuses when the sources disagree', async () => {
+    createUsdcPool(3300);
+
+    await assert.rejects(
+      getEthPriceUsd(provider, env.logger),
+      (error) => error instanceof BlockchainError &&
+        error.code === ERROR_CODES.PRICE_UNAVAILABLE &&
+        error.details.deviationBps > 900 &&
+        error.message.includes('(max 2.00%)')
+    );
+
+    assert.equal(await getEthPriceUsd(provider, env.logger, { maxDeviationBps: 1500 }), 3000);
+  });
+
+  it('refuses when no source is available', async () => {
+    const pool = createUsdcPool(3000);
+    env.chain.storageOf(pool).observationSeconds = 600;
+    feed.forceRevert = 'FEED_DOWN';
+
+    await assert.rejects(
+      getEthPriceUsd(provider, env.logger),
+      (error) => error.code === ERROR_CODES.PRICE_UNAVAILABLE &&
+        error.details.sources.map((source) => source.source).join() === 'CHAINLINK,UNISWAP_TWAP' &&
+        /FEED_DOWN/.test(error.message) &&
+        /OLD/.test(error.message)
+    );
+  });
+
+  it('refuses to size a buy without a trustworthy price', async () => {
+    feed.updatedAt = 0n;
+
+    await assert.rejects(
+      executeBuy({ wallet, tokenAddress: env.addresses.token, amountUsd: 6, slippageTolerance: 5 }, env.logger),
+      (error) => error.code === ERROR_CODES.PRICE_UNAVAILABLE && /no WETH\/USDC 0.05% pool/.test(error.message)
+    );
+    assert.equal(env.chain.getNonce(env.walletAddress), 0);
+  });
+});
@@ -0,0 +1,119 @@
+/**
+ * @fileoverview Risk limit tests
+ *
+ * Run with: npm test
+ */
+
+import { describe, it, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { evaluateRiskLimits, enforceRiskLimits } from '../services/risk.js';
+import { ValidationError } from '../utils/validation.js';
+import { ERROR_CODES, RISK_WINDOWS_MS } from '../config/constants.js';
+import { createTestLogger, TEST_TOKEN_ADDRESS } from './harness/fixtures.js';
+
+const NOW = Date.parse('2026-03-10T12:00:00.000Z');
+const HOUR = 60 * 60 * 1000;
+
+let txCount = 0;
+
+/**
+ * Builds a ledger entry recorded ageMs before NOW
+ */
+function entry(type, ageMs, { tokenAmount = '100.0', ethAmount = '0.01', gasCostUsd = 0.5, ethPriceUsd = 3000 } = {}) {
+  return {
+    version: 1,
+    txHash: `0x${(++txCount).toString(16).padStart(64, '0')}`,
+    type,
+    timestamp: new Date(NOW - ageMs).toISOString(),
+    token: { address: TEST_TOKEN_ADDRESS, symbol: 'TEST', decimals: 18 },
+    tokenAmount,
+    ethAmount,
+    ethPriceUsd,
+    usdValue: Number(ethAmount) * ethPriceUsd,
+    gasCostEth: '0.0001',
+    gasCostUsd
+  };
+}
+
+describe('evaluateRiskLimits', () => {
+  it('counts buys inside each rolling window plus the pending buy', () => {
+    const entries = [
+      entry('BUY', 2 * RISK_WINDOWS_MS.DAILY),
+      entry('BUY', HOUR),
+      entry('SELL', HOUR)
+    ];
+
+    const [daily, weekly] = evaluateRiskLimits(entries, { maxDailySpendUsd: 40, maxWeeklySpendUsd: 100 }, {
+      amountUsd: 5,
+      now: NOW
+    });
+
+    assert.deepEqual(
+      [daily.usedUsd, daily.pendingUsd, daily.exceeded],
+      [30, 5, false]
+    );
+    assert.deepEqual([weekly.usedUsd, weekly.exceeded], [60, false]);
+    assert.equal(evaluateRiskLimits(entries, { maxDailySpendUsd: 34 }, { amountUsd: 5, now: NOW })[0].exceeded, true);
+  });
+
+  it('sums gas of every trade and ignores unset limits', () => {
+    const entries = [entry('BUY', HOUR), entry('SELL', HOUR, { gasCostUsd: 1.25 })];
+
+    const usage = evaluateRiskLimits(entries, { maxDailyGasUsd: 1.75, maxWeeklySpendUsd: null }, { now: NOW });
+
+    assert.equal(usage.length, 1);
+    assert.equal(usage[0].env, 'MAX_DAILY_GAS_USD');
+    assert.equal(usage[0].usedUsd, 1.75);
+    assert.equal(usage[0].exceeded, true);
+  });
+
+  it('measures realized losses of recent sells against older buys', () => {
+    const entries = [
+      entry('BUY', 3 * RISK_WINDOWS_MS.DAILY, { ethAmount: '0.01' }),
+      // Sold at a 0.004 ETH loss ($12) inside the day, then a 0.001 ETH gain ($3)
+      entry('SELL', 2 * HOUR, { tokenAmount: '50.0', ethAmount: '0.001' }),
+      entry('SELL', HOUR, { tokenAmount: '50.0', ethAmount: '0.006' })
+    ];
+
+    const [loss] = evaluateRiskLimits(entries, { maxDailyLossUsd: 10 }, { now: NOW });
+
+    assert.equal(loss.usedUsd, 9);
+    assert.equal(loss.exceeded, false);
+    assert.equal(evaluateRiskLimits(entries, { maxDailyLossUsd: 9 }, { now: NOW })[0].exceeded, true);
+  });
+});
+
+describe('enforceRiskLimits', () => {
+  let directory;
+  let ledgerPath;
+
+  beforeEach(() => {
+    directory = fs.mkdtempSync(path.join(os.tmpdir(), 'risk-test-'));
+    ledgerPath = path.join(directory, 'ledger.jsonl');
+    fs.writeFileSync(ledgerPath, [entry('BUY', HOUR), entry('BUY', HOUR)].map((line) => JSON.stringify(line)).join('\n') + '\n');
+  });
+
+  afterEach(() => {
+    fs.rmSync(directory, { recursive: true, force: true });
+  });
+
+  it('throws RISK_LIMIT_EXCEEDED naming the limit that tripped', () => {
+    assert.throws(
+      () => enforceRiskLimits(5, { ledgerPath, maxDailySpendUsd: 60, maxWeeklySpendUsd: 500 }, createTestLogger(), { now: NOW }),
+      (error) => error instanceof ValidationError &&
+        error.code === ERROR_CODES.RISK_LIMIT_EXCEEDED &&
+        error.message === 'Risk limit reached, buy blocked: daily spend $60.00 + $5.00 of $60.00 (MAX_DAILY_SPEND_USD)' &&
+        error.details.limits.length === 2
+    );
+  });
+
+  it('allows the buy while every limit has room', () => {
+    const usage = enforceRiskLimits(5, { ledgerPath, maxDailySpendUsd: 65 }, createTestLogger(), { now: NOW });
+
+    assert.equal(usage[0].exceeded, false);
+    assert.deepEqual(enforceRiskLimits(5, { ledgerPath }, createTestLogger(), { now: NOW }), []);
+  });
+});
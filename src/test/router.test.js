@@ -0,0 +1,252 @@
+/**
+ * @fileoverview Route discovery tests against the in-process mock chain
+ *
+ * Run with: npm test
+ */
+
+import { describe, it, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { ethers } from 'ethers';
+import {
+  encodeRoutePath,
+  enumerateRoutes,
+  findBestRoute,
+  buildSwapCall,
+  calculatePriceImpact,
+  calculateTwapDeviation
+} from '../services/router.js';
+import { BlockchainError } from '../services/blockchain.js';
+import { ERROR_CODES, POOL_FEE_TIERS, USDC_ADDRESS, WETH_ADDRESS } from '../config/constants.js';
+import { createTestEnvironment, TEST_TOKEN_ADDRESS } from './harness/fixtures.js';
+
+describe('encodeRoutePath', () => {
+  it('packs tokens and 3-byte fees in swap order', () => {
+    const path = encodeRoutePath([TEST_TOKEN_ADDRESS, USDC_ADDRESS, WETH_ADDRESS], [3000, 500]);
+
+    assert.equal(ethers.dataLength(path), 20 * 3 + 3 * 2);
+    assert.equal(ethers.dataSlice(path, 20, 23), '0x000bb8');
+    assert.equal(ethers.getAddress(ethers.dataSlice(path, 23, 43)), USDC_ADDRESS);
+  });
+
+  it('rejects a fee count that does not match the hops', () => {
+    assert.throws(
+      () => encodeRoutePath([TEST_TOKEN_ADDRESS, WETH_ADDRESS], [3000, 500]),
+      (error) => error instanceof BlockchainError && error.code === ERROR_CODES.INVALID_CONFIG
+    );
+  });
+});
+
+describe('enumerateRoutes', () => {
+  it('lists direct tiers plus every tier pair through each intermediary', () => {
+    const routes = enumerateRoutes(WETH_ADDRESS, TEST_TOKEN_ADDRESS, [USDC_ADDRESS]);
+
+    assert.equal(routes.length, POOL_FEE_TIERS.length + POOL_FEE_TIERS.length ** 2);
+    assert.ok(routes.every((route) => route.fees.length === route.tokens.length - 1));
+  });
+
+  it('skips intermediaries that are an endpoint or duplicated', () => {
+    const routes = enumerateRoutes(WETH_ADDRESS, USDC_ADDRESS, [USDC_ADDRESS, WETH_ADDRESS.toLowerCase()]);
+
+    assert.equal(routes.length, POOL_FEE_TIERS.length);
+  });
+});
+
+describe('findBestRoute', () => {
+  let env;
+  let provider;
+
+  beforeEach(async () => {
+    env = await createTestEnvironment({ withDefaultPool: false });
+    ({ provider } = await env.connect());
+  });
+
+  afterEach(async () => {
+    await env.close();
+  });
+
+  /**
+   * WETH/USDC at $3000 plus TEST/USDC priced slightly above the direct WETH/TEST pool
+   */
+  function createUsdcPools() {
+    const { weth, token, usdc } = env.addresses;
+    env.createPool({ tokenA: weth, tokenB: usdc, fee: 500, reserveA: ethers.parseEther('100'), reserveB: ethers.parseUnits('300000', 6) });
+    env.createPool({ tokenA: token, tokenB: usdc, fee: 500, reserveA: ethers.parseEther('1000000'), reserveB: ethers.parseUnits('310000', 6) });
+  }
+
+  it('routes through USDC when the token has no WETH pool', async () => {
+    const { weth, token, usdc } = env.addresses;
+    createUsdcPools();
+
+    const route = await findBestRoute(weth, token, ethers.parseEther('0.01'), provider, env.logger);
+
+    assert.deepEqual(route.tokens, [weth, usdc, token]);
+    assert.deepEqual(route.fees, [500, 500]);
+    assert.equal(route.path, encodeRoutePath(route.tokens, route.fees));
+    assert.ok(route.amountOut > 0n);
+  });
+
+  it('prefers the higher-output multi-hop route when gas is cheap', async () => {
+    const { weth, token, usdc } = env.addresses;
+    env.createPool({ tokenA: weth, tokenB: token, fee: 3000, reserveA: ethers.parseEther('100'), reserveB: ethers.parseEther('1000000') });
+    createUsdcPools();
+
+    const route = await findBestRoute(token, weth, ethers.parseEther('500'), provider, env.logger);
+
+    assert.deepEqual(route.tokens, [token, usdc, weth]);
+  });
+
+  it('prefers the direct route when the extra hop costs more gas than it gains', async () => {
+    const { weth, token } = env.addresses;
+    env.createPool({ tokenA: weth, tokenB: token, fee: 3000, reserveA: ethers.parseEther('100'), reserveB: ethers.parseEther('1000000') });
+    createUsdcPools();
+    env.chain.setBaseFee(ethers.parseUnits('100', 'gwei'));
+
+    const route = await findBestRoute(token, weth, ethers.parseEther('500'), provider, env.logger);
+
+    assert.deepEqual(route.tokens, [token, weth]);
+    assert.equal(route.netAmountOut, route.amountOut - route.gasCostWei);
+  });
+
+  it('ignores intermediaries when none are configured', async () => {
+    createUsdcPools();
+
+    await assert.rejects(
+      findBestRoute(env.addresses.weth, env.addresses.token, ethers.parseEther('0.01'), provider, env.logger, []),
+      (error) => error instanceof BlockchainError && error.code === ERROR_CODES.NO_LIQUIDITY
+    );
+  });
+
+  it('throws NO_LIQUIDITY when the only pool is empty', async () => {
+    const { weth, token } = env.addresses;
+    env.createPool({ tokenA: weth, tokenB: token, fee: 500, reserveA: 0n, reserveB: 0n });
+
+    await assert.rejects(
+      findBestRoute(weth, token, ethers.parseEther('1'), provider, env.logger, []),
+      (error) => error instanceof BlockchainError && error.code === ERROR_CODES.NO_LIQUIDITY
+    );
+  });
+});
+
+describe('calculatePriceImpact', () => {
+  let env;
+  let provider;
+
+  beforeEach(async () => {
+    env = await createTestEnvironment();
+    ({ provider } = await env.connect());
+  });
+
+  afterEach(async () => {
+    await env.close();
+  });
+
+  it('grows with trade size relative to pool depth', async () => {
+    const { weth, token } = env.addresses;
+    const small = await findBestRoute(weth, token, ethers.parseEther('0.01'), provider, env.logger, []);
+    const large = await findBestRoute(weth, token, ethers.parseEther('10'), provider, env.logger, []);
+
+    const smallImpact = await calculatePriceImpact(small, provider, env.logger);
+    const largeImpact = await calculatePriceImpact(large, provider, env.logger);
+
+    assert.ok(smallImpact.impactBps < 5);
+    // 10 WETH into a 100 WETH pool moves the constant-product price by ~17%
+    assert.ok(largeImpact.impactBps > 1500 && largeImpact.impactBps < 1800);
+    assert.equal(largeImpact.hops.length, 1);
+  });
+
+  it('is measured the same way in both swap directions', async () => {
+    const { weth, token } = env.addresses;
+    const buy = await findBestRoute(weth, token, ethers.parseEther('1'), provider, env.logger, []);
+    const sell = await findBestRoute(token, weth, ethers.parseEther('10000'), provider, env.logger, []);
+
+    const buyImpact = await calculatePriceImpact(buy, provider, env.logger);
+    const sellImpact = await calculatePriceImpact(sell, provider, env.logger);
+
+    assert.ok(Math.abs(buyImpact.impactBps - sellImpact.impactBps) < 5);
+  });
+
+  it('compounds the impact of every hop', async () => {
+    const usdcOnly = await createTestEnvironment({ withDefaultPool: false });
+
+    try {
+      const { weth, token, usdc } = usdcOnly.addresses;
+      const { provider: usdcProvider } = await usdcOnly.connect();
+      usdcOnly.createPool({ tokenA: weth, tokenB: usdc, fee: 500, reserveA: ethers.parseEther('10'), reserveB: ethers.parseUnits('30000', 6) });
+      usdcOnly.createPool({ tokenA: token, tokenB: usdc, fee: 500, reserveA: ethers.parseEther('100000'), reserveB: ethers.parseUnits('30000', 6) });
+
+      const route = await findBestRoute(weth, token, ethers.parseEther('0.5'), usdcProvider, usdcOnly.logger);
+      const impact = await calculatePriceImpact(route, usdcProvider, usdcOnly.logger);
+
+      assert.equal(impact.hops.length, 2);
+      const retained = impact.hops.reduce((total, hop) => total * (1 - hop.impactBps / 10000), 1);
+      assert.ok(Math.abs(impact.impactBps - (1 - retained) * 10000) < 0.01);
+      assert.ok(impact.impactBps > Math.max(...impact.hops.map((hop) => hop.impactBps)));
+    } finally {
+      await usdcOnly.close();
+    }
+  });
+});
+
+describe('calculateTwapDeviation', () => {
+  let env;
+  let provider;
+  let route;
+  const amountIn = ethers.parseEther('0.01');
+
+  beforeEach(async () => {
+    env = await createTestEnvironment();
+    ({ provider } = await env.connect());
+    route = await findBestRoute(env.addresses.weth, env.addresses.token, amountIn, provider, env.logger, []);
+  });
+
+  afterEach(async () => {
+    await env.close();
+  });
+
+  it('is close to zero while the pool holds its price', async () => {
+    const twap = await calculateTwapDeviation(route, amountIn, provider, env.logger);
+
+    assert.equal(twap.checked, true);
+    assert.equal(twap.twapSeconds, 600);
+    assert.equal(twap.hops.length, 1);
+    // Only the small trade's own price impact remains once the pool fee is removed
+    assert.ok(twap.deviationBps < 5);
+  });
+
+  it('measures a quote taken after the pool price moved', async () => {
+    const { hops: [{ pool, twapTick }] } = await calculateTwapDeviation(route, amountIn, provider, env.logger);
+    // The price held ~10% lower (or higher) over the window than it is now
+    env.chain.storageOf(pool).twapTick = twapTick + 1000;
+    const above = await calculateTwapDeviation(route, amountIn, provider, env.logger);
+    env.chain.storageOf(pool).twapTick = twapTick - 1000;
+    const below = await calculateTwapDeviation(route, amountIn, provider, env.logger);
+
+    assert.ok(above.deviationBps > 900 && above.deviationBps < 1100);
+    assert.ok(below.deviationBps > 900 && below.deviationBps < 1100);
+  });
+
+  it('reports a pool that has not recorded the window as unchecked', async () => {
+    const [pool] = Object.values(env.chain.storageOf(env.addresses.factory).pools);
+    env.chain.storageOf(pool).observationSeconds = 300;
+
+    const twap = await calculateTwapDeviation(route, amountIn, provider, env.logger, { twapSeconds: 1800 });
+
+    assert.equal(twap.checked, false);
+    assert.match(twap.reason, /no 1800s TWAP \(OLD\)/);
+    assert.ok(env.logger.entries.some((entry) => entry.level === 'warn' && entry.message.startsWith('TWAP unavailable')));
+  });
+});
+
+describe('buildSwapCall', () => {
+  it('uses exactInputSingle for one hop and exactInput for several', () => {
+    const direct = { tokens: [WETH_ADDRESS, TEST_TOKEN_ADDRESS], fees: [3000] };
+    const tokens = [WETH_ADDRESS, USDC_ADDRESS, TEST_TOKEN_ADDRESS];
+    const multiHop = { tokens, fees: [500, 3000], path: encodeRoutePath(tokens, [500, 3000]) };
+
+    assert.equal(buildSwapCall(direct, WETH_ADDRESS, 1n, 0n).name, 'exactInputSingle');
+
+    const call = buildSwapCall(multiHop, WETH_ADDRESS, 1n, 0n);
+    assert.equal(call.name, 'exactInput');
+    assert.equal(call.args[0].path, multiHop.path);
+  });
+});
@@ -0,0 +1,148 @@
+/**
+ * @fileoverview RPC pool routing, failover and cross-check tests
+ *
+ * Run with: npm test
+ */
+
+import { describe, it, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { RpcPoolProvider, createEndpoint, scoreEndpoint } from '../services/rpc-pool.js';
+import { createProvider, createWallet, getEthBalance, getTokenBalance, BlockchainError } from '../services/blockchain.js';
+import { ERROR_CODES, RPC_SCORE_WEIGHTS } from '../config/constants.js';
+import { RpcProxy } from './harness/rpc-proxy.js';
+import { createTestEnvironment, createTestLogger, TEST_PRIVATE_KEY } from './harness/fixtures.js';
+
+describe('scoreEndpoint', () => {
+  it('adds latency, weighted error rate and weighted block lag', () => {
+    const endpoint = { ...createEndpoint('http://rpc.example'), latencyMs: 120, errorRate: 0.5, blockNumber: 98 };
+
+    assert.equal(
+      scoreEndpoint(endpoint, 100),
+      120 + 0.5 * RPC_SCORE_WEIGHTS.ERROR_RATE_MS + 2 * RPC_SCORE_WEIGHTS.BLOCK_LAG_MS
+    );
+  });
+
+  it('ignores lag until block heights are known', () => {
+    const endpoint = { ...createEndpoint('http://rpc.example'), latencyMs: 40 };
+
+    assert.equal(scoreEndpoint(endpoint, null), 40);
+  });
+});
+
+describe('RpcPoolProvider', () => {
+  let env;
+  let primary;
+  let secondary;
+  let urls;
+  let logger;
+  let provider;
+
+  beforeEach(async () => {
+    env = await createTestEnvironment();
+    primary = new RpcProxy(env.url);
+    secondary = new RpcProxy(env.url);
+    urls = [await primary.start(), await secondary.start()];
+    logger = createTestLogger();
+  });
+
+  afterEach(async () => {
+    provider?.destroy();
+    provider = null;
+    await primary.stop();
+    await secondary.stop();
+    await env.close();
+  });
+
+  it('builds a pool from every endpoint that answers', async () => {
+    provider = await createProvider(urls[0], logger, [urls[1], urls[0]]);
+
+    assert.ok(provider instanceof RpcPoolProvider);
+    assert.equal(provider.endpoints.length, 2);
+    assert.equal(primary.countRequests('eth_chainId'), 1);
+    assert.equal(secondary.countRequests('eth_chainId'), 1);
+  });
+
+  it('routes calls to the faster endpoint', async () => {
+    primary.delayMs = 60;
+    provider = await createProvider(urls[0], logger, [urls[1]]);
+
+    for (let i = 0; i < 3; i++) {
+      await provider.getBalance(env.walletAddress);
+    }
+
+    assert.equal(secondary.countRequests('eth_getBalance'), 3);
+    assert.equal(primary.countRequests('eth_getBalance'), 0);
+  });
+
+  it('fails over when the healthiest endpoint errors', async () => {
+    provider = await createProvider(urls[0], logger, [urls[1]]);
+    await provider.getBlockNumber();
+
+    const [healthiest] = provider.rankEndpoints();
+    const failing = healthiest.url === urls[0] ? primary : secondary;
+    const other = failing === primary ? secondary : primary;
+    failing.fail = true;
+    other.fail = false;
+
+    assert.equal(await provider.getBalance(env.walletAddress), env.chain.getBalance(env.walletAddress));
+    assert.equal(other.countRequests('eth_getBalance'), 1);
+    assert.ok(logger.entries.some((entry) => entry.level === 'warn' && entry.message.includes('failing over')));
+
+    // The failed endpoint cools down instead of being tried first again
+    await provider.getBalance(env.walletAddress);
+    assert.equal(failing.countRequests('eth_getBalance'), 1);
+    assert.equal(provider.rankEndpoints().at(-1), healthiest);
+  });
+
+  it('throws RPC_CONNECTION_FAILED when every endpoint errors', async () => {
+    provider = await createProvider(urls[0], logger, [urls[1]]);
+    await provider.getBlockNumber();
+    primary.fail = true;
+    secondary.fail = true;
+
+    await assert.rejects(
+      provider.getBalance(env.walletAddress),
+      (error) => error instanceof BlockchainError && error.code === ERROR_CODES.RPC_CONNECTION_FAILED
+    );
+  });
+
+  it('ranks an endpoint lagging behind the head last', async () => {
+    const wallet = await createWallet(TEST_PRIVATE_KEY, await createProvider(env.url, logger, []), logger);
+    for (let i = 0; i < 5; i++) {
+      await wallet.sendTransaction({ to: env.walletAddress, value: 0n });
+    }
+    wallet.provider.destroy();
+
+    // The lagging endpoint is the fast one, so only its block height can push it down
+    secondary.delayMs = 30;
+    primary.tamper = (method, result) => (method === 'eth_blockNumber' ? '0x0' : result);
+    provider = await createProvider(urls[0], logger, [urls[1]]);
+    await provider.getBlockNumber();
+
+    const [first, last] = provider.rankEndpoints();
+    assert.equal(first.url, urls[1]);
+    assert.equal(last.url, urls[0]);
+    assert.equal(provider.getHealth().at(-1).blockLag, 5);
+  });
+
+  it('returns critical reads when both endpoints agree', async () => {
+    provider = await createProvider(urls[0], logger, [urls[1]]);
+
+    assert.equal(
+      await getTokenBalance(env.addresses.weth, env.walletAddress, provider, logger),
+      env.balanceOf(env.addresses.weth, env.walletAddress)
+    );
+    assert.equal(primary.countRequests('eth_call') > 0, true);
+    assert.equal(secondary.countRequests('eth_call') > 0, true);
+  });
+
+  it('throws RPC_MISMATCH when endpoints disagree on a critical read', async () => {
+    secondary.tamper = (method, result) => (method === 'eth_getBalance' ? `0x${(BigInt(result) + 1n).toString(16)}` : result);
+    provider = await createProvider(urls[0], logger, [urls[1]]);
+
+    await assert.rejects(
+      getEthBalance(env.walletAddress, provider, logger),
+      (error) => error instanceof BlockchainError && error.code === ERROR_CODES.RPC_MISMATCH
+    );
+  });
+});
@@ -0,0 +1,200 @@
+/**
+ * @fileoverview Token safety inspection tests against the in-process mock chain
+ *
+ * Run with: npm test
+ */
+
+import { describe, it, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { ethers } from 'ethers';
+import { inspectToken, checkTokenSafety, estimateTransferTax } from '../services/token-safety.js';
+import { ValidationError } from '../utils/validation.js';
+import {
+  ERROR_CODES,
+  PROXY_STORAGE_SLOTS,
+  MINIMAL_PROXY_PREFIX,
+  TOKEN_SAFETY_POLICIES
+} from '../config/constants.js';
+import { createTestEnvironment } from './harness/fixtures.js';
+
+const IMPLEMENTATION = '0x1111111111111111111111111111111111111111';
+// Multicall3 deployed away from its canonical address, so none is found there
+const MOVED_MULTICALL3 = { multicall3: '0x2222222222222222222222222222222222222222' };
+
+describe('inspectToken', () => {
+  let env;
+  let wallet;
+  let pool;
+  let token;
+
+  beforeEach(async () => {
+    env = await createTestEnvironment({ withDefaultPool: false });
+    pool = env.createPool({
+      tokenA: env.addresses.weth,
+      tokenB: env.addresses.token,
+      fee: 3000,
+      reserveA: ethers.parseEther('100'),
+      reserveB: ethers.parseEther('1000000')
+    });
+    token = env.chain.storageOf(env.addresses.token);
+    ({ wallet } = await env.connect());
+  });
+
+  afterEach(async () => {
+    await env.close();
+  });
+
+  it('passes a standard token without sending anything', async () => {
+    const report = await inspectToken(env.addresses.token, wallet, {}, env.logger);
+
+    assert.equal(report.safe, true);
+    assert.equal(report.taxBps, 0);
+    assert.equal(report.proxy, null);
+    assert.deepEqual(report.findings, []);
+    assert.equal(env.chain.getNonce(env.walletAddress), 0);
+    assert.equal(env.balanceOf(env.addresses.token, env.walletAddress), 0n);
+  });
+
+  it('measures a transfer tax from the token transfers against the maximum', async () => {
+    token.transferTaxBps = 500;
+
+    const refused = await inspectToken(env.addresses.token, wallet, {}, env.logger);
+    assert.equal(refused.safe, false);
+    assert.equal(Math.round(refused.buyTaxBps), 500);
+    assert.equal(Math.round(refused.sellTaxBps), 500);
+    assert.equal(refused.taxBps, Math.max(refused.buyTaxBps, refused.sellTaxBps));
+    // The pool rejects the taxed input of the simulated sell
+    assert.deepEqual(
+      refused.findings.map(({ severity, code }) => [severity, code]),
+      [['critical', 'SELL_REVERTS'], ['critical', 'TRANSFER_TAX'], ['critical', 'SELL_TAX']]
+    );
+    assert.match(refused.findings[0].message, /IIA/);
+
+    // A higher maximum accepts the tax, but not the sell tax that makes the token unsellable
+    const accepted = await inspectToken(env.addresses.token, wallet, { maxTaxBps: 600 }, env.logger);
+    assert.equal(accepted.findings[1].severity, 'warning');
+    assert.equal(accepted.findings[2].code, 'SELL_TAX');
+    assert.equal(accepted.safe, false);
+    assert.equal(env.chain.getNonce(env.walletAddress), 0);
+  });
+
+  it('reports tokens that cannot be bought or sold', async () => {
+    token.blockedRecipients = [pool];
+    const honeypot = await inspectToken(env.addresses.token, wallet, {}, env.logger);
+    assert.deepEqual(honeypot.findings.map((finding) => finding.code), ['SELL_REVERTS', 'TAX_UNKNOWN']);
+    assert.match(honeypot.findings[0].message, /TRANSFER_BLOCKED/);
+
+    token.blockedRecipients = [env.addresses.router];
+    const unbuyable = await inspectToken(env.addresses.token, wallet, {}, env.logger);
+    assert.equal(unbuyable.findings[0].code, 'BUY_REVERTS');
+  });
+
+  it('flags proxies, critically when they are not allowed', async () => {
+    token.slots = { [PROXY_STORAGE_SLOTS.EIP1967_IMPLEMENTATION]: ethers.zeroPadValue(IMPLEMENTATION, 32) };
+
+    const allowed = await inspectToken(env.addresses.token, wallet, {}, env.logger);
+    assert.deepEqual(allowed.proxy, { kind: 'EIP1967_IMPLEMENTATION', target: IMPLEMENTATION });
+    assert.equal(allowed.findings[0].severity, 'warning');
+
+    delete token.slots;
+    token.bytecode = `${MINIMAL_PROXY_PREFIX}${IMPLEMENTATION.slice(2)}5af43d82803e903d91602b57fd5bf3`;
+    const clone = await inspectToken(env.addresses.token, wallet, { allowProxy: false }, env.logger);
+    assert.deepEqual(clone.proxy, { kind: 'EIP1167_MINIMAL', target: IMPLEMENTATION });
+    assert.equal(clone.safe, false);
+  });
+
+  it('stops at an address without bytecode', async () => {
+    const report = await inspectToken('0x0000000000000000000000000000000000000bad', wallet, {}, env.logger);
+
+    assert.equal(report.safe, false);
+    assert.deepEqual(report.findings.map((finding) => finding.code), ['NO_BYTECODE']);
+  });
+});
+
+describe('estimateTransferTax', () => {
+  let env;
+
+  afterEach(async () => {
+    await env.close();
+  });
+
+  it('measures the tax on transfers to and from the pool', async () => {
+    env = await createTestEnvironment();
+    env.chain.storageOf(env.addresses.token).transferTaxBps = 1000;
+    const { wallet } = await env.connect();
+
+    const tax = await estimateTransferTax(env.addresses.token, wallet, {}, env.logger);
+
+    assert.equal(Math.round(tax.buyTaxBps), 1000);
+    assert.equal(Math.round(tax.sellTaxBps), 1000);
+  });
+
+  it('returns null rather than no tax when the transfers cannot be simulated', async () => {
+    env = await createTestEnvironment({ addresses: MOVED_MULTICALL3 });
+    env.chain.storageOf(env.addresses.token).transferTaxBps = 1000;
+    const { wallet } = await env.connect();
+
+    assert.equal(await estimateTransferTax(env.addresses.token, wallet, {}, env.logger), null);
+    assert.ok(env.logger.entries.some((entry) => entry.level === 'warn' && entry.message.includes('could not be measured')));
+
+    const report = await inspectToken(env.addresses.token, wallet, {}, env.logger);
+    assert.equal(report.taxBps, null);
+    assert.ok(report.findings.some(({ severity, code }) => severity === 'critical' && code === 'TAX_UNKNOWN'));
+  });
+});
+
+describe('checkTokenSafety', () => {
+  let env;
+  let wallet;
+
+  let token;
+  let pools;
+
+  beforeEach(async () => {
+    env = await createTestEnvironment();
+    token = env.chain.storageOf(env.addresses.token);
+    pools = Object.values(env.chain.storageOf(env.addresses.factory).pools);
+    // A buy-only tax: the token stays sellable
+    token.transferTaxBps = 300;
+    token.taxedSenders = pools;
+    ({ wallet } = await env.connect());
+  });
+
+  afterEach(async () => {
+    await env.close();
+  });
+
+  it('refuses a critical finding under REFUSE', async () => {
+    await assert.rejects(
+      checkTokenSafety(env.addresses.token, wallet, { policy: TOKEN_SAFETY_POLICIES.REFUSE }, env.logger),
+      (error) => error instanceof ValidationError &&
+        error.code === ERROR_CODES.TOKEN_UNSAFE &&
+        error.details.findings.some((finding) => finding.code === 'TRANSFER_TAX')
+    );
+  });
+
+  it('only warns under WARN and skips the inspection when OFF', async () => {
+    const report = await checkTokenSafety(env.addresses.token, wallet, { policy: TOKEN_SAFETY_POLICIES.WARN }, env.logger);
+    assert.equal(report.policy, TOKEN_SAFETY_POLICIES.WARN);
+    assert.equal(report.safe, false);
+    assert.ok(env.logger.entries.some((entry) => entry.level === 'warn' && entry.message.includes('TRANSFER_TAX')));
+
+    const calls = env.chain.requests.length;
+    assert.equal(await checkTokenSafety(env.addresses.token, wallet, { policy: TOKEN_SAFETY_POLICIES.OFF }, env.logger), null);
+    assert.equal(env.chain.requests.length, calls);
+  });
+
+  it('refuses a token the sell would refuse under WARN and any tax maximum', async () => {
+    delete token.taxedSenders;
+    token.taxedRecipients = pools;
+
+    await assert.rejects(
+      checkTokenSafety(env.addresses.token, wallet, {
+        policy: TOKEN_SAFETY_POLICIES.WARN,
+        options: { maxTaxBps: 5000 }
+      }, env.logger),
+      (error) => error.code === ERROR_CODES.TOKEN_UNSAFE &&
+        error.details.findings.some((finding) => finding.code === 'SELL_TAX')
+    );
+  });
+});
@@ -0,0 +1,829 @@
+/**
+ * @fileoverview Trading service tests against the in-process mock chain
+ *
+ * Run with: npm test
+ */
+
+import { describe, it, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { ethers } from 'ethers';
+import {
+  executeBuy,
+  executeSell,
+  findBestPoolFee,
+  calculateSellAmount,
+  splitSellAmount,
+  calculateApprovalAmount
+} from '../services/trading.js';
+import { BlockchainError } from '../services/blockchain.js';
+import { ValidationError } from '../utils/validation.js';
+import {
+  ERROR_CODES,
+  UNISWAP_V3_ROUTER,
+  UNISWAP_V3_ROUTER_ABI,
+  SELL_SETTLEMENT_MODES,
+  SELL_MODES,
+  BUY_PAYMENT_MODES,
+  APPROVAL_POLICIES,
+  APPROVAL_METHODS,
+  PERMIT2_ADDRESS,
+  UNIVERSAL_ROUTER
+} from '../config/constants.js';
+import { createTestEnvironment } from './harness/fixtures.js';
+import { sqrtPriceX96FromReserves, tickFromSqrtPriceX96 } from './harness/mock-contracts.js';
+import { MockRelay } from './harness/mock-relay.js';
+
+describe('findBestPoolFee', () => {
+  let env;
+  let provider;
+
+  beforeEach(async () => {
+    env = await createTestEnvironment({ withDefaultPool: false });
+    ({ provider } = await env.connect());
+  });
+
+  afterEach(async () => {
+    await env.close();
+  });
+
+  it('picks the fee tier with the highest output', async () => {
+    const { weth, token } = env.addresses;
+    env.createPool({ tokenA: weth, tokenB: token, fee: 3000, reserveA: ethers.parseEther('10'), reserveB: ethers.parseEther('100000') });
+    env.createPool({ tokenA: weth, tokenB: token, fee: 10000, reserveA: ethers.parseEther('100'), reserveB: ethers.parseEther('1000000') });
+
+    const quote = await findBestPoolFee(weth, token, ethers.parseEther('1'), provider, env.logger);
+
+    assert.equal(quote.fee, 10000);
+    assert.ok(quote.amountOut > 0n);
+  });
+
+  it('throws NO_LIQUIDITY when no pool exists', async () => {
+    await assert.rejects(
+      findBestPoolFee(env.addresses.weth, env.addresses.token, ethers.parseEther('1'), provider, env.logger),
+      (error) => error instanceof BlockchainError && error.code === ERROR_CODES.NO_LIQUIDITY
+    );
+  });
+});
+
+describe('executeBuy', () => {
+  let env;
+  let wallet;
+
+  beforeEach(async () => {
+    env = await createTestEnvironment();
+    ({ wallet } = await env.connect());
+  });
+
+  afterEach(async () => {
+    await env.close();
+  });
+
+  it('approves WETH, swaps and reports the result', async () => {
+    const result = await executeBuy({
+      wallet,
+      tokenAddress: env.addresses.token,
+      amountUsd: 6,
+      slippageTolerance: 5
+    }, env.logger);
+
+    assert.equal(result.success, true);
+    assert.equal(result.simulated, false);
+    assert.equal(result.poolFee, '0.3%');
+    assert.equal(result.submission, 'PUBLIC');
+    assert.equal(result.input.wethAmountWei, ethers.parseEther('0.002').toString());
+    assert.ok(env.balanceOf(env.addresses.token, env.walletAddress) > 0n);
+    assert.equal(env.balanceOf(env.addresses.weth, env.walletAddress), ethers.parseEther('0.998'));
+    assert.equal(result.output.newTokenBalance, ethers.formatEther(env.balanceOf(env.addresses.token, env.walletAddress)));
+    assert.equal(env.chain.receipts.get(result.txHash).status, '0x1');
+  });
+
+  it('records the actual fill decoded from Transfer logs', async () => {
+    const result = await executeBuy({ wallet, tokenAddress: env.addresses.token, amountUsd: 6, slippageTolerance: 5 }, env.logger);
+
+    assert.equal(result.output.actualAmountOut, result.output.expectedTokens);
+    assert.equal(result.output.actualAmountIn, '0.002');
+    assert.equal(result.output.realizedSlippageBps, 0);
+    assert.ok(result.priceImpact.bps > 0 && result.priceImpact.bps < result.priceImpact.maxBps);
+  });
+
+  it('reports a taxed buy net of the transfer tax', async () => {
+    env.chain.storageOf(env.addresses.token).transferTaxBps = 500;
+
+    const result = await executeBuy({
+      wallet,
+      tokenAddress: env.addresses.token,
+      amountUsd: 6,
+      slippageTolerance: 5,
+      transferTaxBps: 500
+    }, env.logger);
+
+    assert.equal(result.transferTaxBps, 500);
+    // The token rounds its tax down, the estimate rounds the tokens down
+    assert.ok(ethers.parseEther(result.output.actualAmountOut) - ethers.parseEther(result.output.expectedTokens) <= 1n);
+    assert.equal(result.output.realizedSlippageBps, 0);
+    assert.equal(Math.round(result.output.observedTransferTaxBps), 500);
+    assert.ok(Number(result.output.transferTaxPaid) > 0);
+  });
+
+  it('sends the approval and the swap through a private relay', async () => {
+    const relay = new MockRelay(env.chain);
+
+    try {
+      const result = await executeBuy({
+        wallet,
+        tokenAddress: env.addresses.token,
+        amountUsd: 6,
+        slippageTolerance: 5,
+        privateRelay: { url: await relay.start() }
+      }, env.logger);
+
+      assert.equal(result.submission, 'PRIVATE_RELAY');
+      assert.equal(relay.received.length, 2);
+      assert.equal(env.chain.countRequests('eth_sendRawTransaction'), 0);
+      assert.ok(env.balanceOf(env.addresses.token, env.walletAddress) > 0n);
+    } finally {
+      await relay.stop();
+    }
+  });
+
+  it('approves the capped USD value instead of the exact amount under CAPPED', async () => {
+    const result = await executeBuy({
+      wallet,
+      tokenAddress: env.addresses.token,
+      amountUsd: 6,
+      slippageTolerance: 5,
+      approvalPolicy: APPROVAL_POLICIES.CAPPED,
+      approvalCapUsd: 30
+    }, env.logger);
+
+    assert.equal(result.approvalPolicy, APPROVAL_POLICIES.CAPPED);
+    // $30 at $3000/ETH, less the 0.002 WETH the swap spent
+    assert.equal(env.allowanceOf(env.addresses.weth, env.walletAddress, UNISWAP_V3_ROUTER), ethers.parseEther('0.008'));
+
+    await executeBuy({ wallet, tokenAddress: env.addresses.token, amountUsd: 6, slippageTolerance: 5 }, env.logger);
+    assert.equal(env.chain.getNonce(env.walletAddress), 3);
+  });
+
+  it('refuses a trade whose price impact exceeds the ceiling', async () => {
+    await assert.rejects(
+      executeBuy({
+        wallet,
+        tokenAddress: env.addresses.token,
+        amountUsd: 6,
+        slippageTolerance: 5,
+        maxPriceImpactBps: 0.1
+      }, env.logger),
+      (error) => error instanceof ValidationError && error.code === ERROR_CODES.PRICE_IMPACT_TOO_HIGH
+    );
+    assert.equal(env.chain.getNonce(env.walletAddress), 0);
+  });
+
+  it('refuses a quote far from the pool TWAP', async () => {
+    const [pool] = Object.values(env.chain.storageOf(env.addresses.factory).pools);
+    const storage = env.chain.storageOf(pool);
+    // The pool held a price ~10% away from the current one over the window
+    storage.twapTick = Number(tickFromSqrtPriceX96(sqrtPriceX96FromReserves(storage.reserve0, storage.reserve1))) + 1000;
+
+    await assert.rejects(
+      executeBuy({ wallet, tokenAddress: env.addresses.token, amountUsd: 6, slippageTolerance: 5 }, env.logger),
+      (error) => error instanceof ValidationError &&
+        error.code === ERROR_CODES.SLIPPAGE_EXCEEDED &&
+        /from the 10-minute pool TWAP \(max: 5.00%\)/.test(error.message)
+    );
+    assert.equal(env.chain.getNonce(env.walletAddress), 0);
+
+    const result = await executeBuy({
+      wallet,
+      tokenAddress: env.addresses.token,
+      amountUsd: 6,
+      slippageTolerance: 5,
+      maxTwapDeviationBps: 1500
+    }, env.logger);
+    assert.equal(result.twapCheck.checked, true);
+    assert.equal(result.twapCheck.maxBps, 1500);
+  });
+
+  it('refuses a route pool without a TWAP unless ALLOW_MISSING_TWAP is set', async () => {
+    const [pool] = Object.values(env.chain.storageOf(env.addresses.factory).pools);
+    env.chain.storageOf(pool).observationSeconds = 60;
+
+    await assert.rejects(
+      executeBuy({ wallet, tokenAddress: env.addresses.token, amountUsd: 6, slippageTolerance: 5 }, env.logger),
+      (error) => error instanceof ValidationError &&
+        error.code === ERROR_CODES.TWAP_UNAVAILABLE &&
+        /Cannot check the quote against the 10-minute pool TWAP: pool 0x[0-9a-fA-F]{40} has no 600s TWAP/.test(error.message)
+    );
+    assert.equal(env.chain.getNonce(env.walletAddress), 0);
+
+    const result = await executeBuy({
+      wallet,
+      tokenAddress: env.addresses.token,
+      amountUsd: 6,
+      slippageTolerance: 5,
+      allowMissingTwap: true
+    }, env.logger);
+    assert.equal(result.success, true);
+    assert.equal(result.twapCheck.checked, false);
+  });
+
+  it('fails before trading when WETH is insufficient', async () => {
+    await assert.rejects(
+      executeBuy({ wallet, tokenAddress: env.addresses.token, amountUsd: 30000, slippageTolerance: 5 }, env.logger),
+      (error) => error instanceof ValidationError && error.code === ERROR_CODES.INSUFFICIENT_BALANCE
+    );
+    assert.equal(env.chain.getNonce(env.walletAddress), 0);
+  });
+
+  it('surfaces a swap revert without retrying', async () => {
+    env.chain.storageOf(UNISWAP_V3_ROUTER).forceRevert = 'Too little received';
+
+    await assert.rejects(
+      executeBuy({ wallet, tokenAddress: env.addresses.token, amountUsd: 5, slippageTolerance: 5 }, env.logger),
+      /execution reverted/
+    );
+    assert.equal(env.balanceOf(env.addresses.token, env.walletAddress), 0n);
+    assert.ok(env.logger.entries.some((entry) => entry.message === 'Buy swap: Non-retryable error'));
+  });
+
+  it('reserves the approval and swap nonces and releases the swap nonce when the swap fails', async () => {
+    const directory = fs.mkdtempSync(path.join(os.tmpdir(), 'trading-nonce-'));
+    const nonceStatePath = path.join(directory, 'nonce-state.json');
+    const reservations = () => JSON.parse(fs.readFileSync(nonceStatePath, 'utf8'))
+      .wallets[env.walletAddress.toLowerCase()].reservations.map(({ nonce, label, status }) => ({ nonce, label, status }));
+
+    try {
+      env.chain.storageOf(UNISWAP_V3_ROUTER).forceRevert = 'Too little received';
+      await assert.rejects(
+        executeBuy({ wallet, tokenAddress: env.addresses.token, amountUsd: 5, slippageTolerance: 5, nonceStatePath }, env.logger),
+        /execution reverted/
+      );
+      assert.deepEqual(reservations(), [{ nonce: 0, label: 'Buy approval', status: 'SENT' }]);
+
+      env.chain.storageOf(UNISWAP_V3_ROUTER).forceRevert = null;
+      const result = await executeBuy({ wallet, tokenAddress: env.addresses.token, amountUsd: 5, slippageTolerance: 5, nonceStatePath }, env.logger);
+
+      assert.equal(env.chain.transactions.get(result.txHash).tx.nonce, 1);
+      assert.deepEqual(reservations(), [{ nonce: 1, label: 'Buy swap', status: 'SENT' }]);
+    } finally {
+      fs.rmSync(directory, { recursive: true, force: true });
+    }
+  });
+
+  it('refuses to sign when gas spikes beyond the ETH balance', async () => {
+    env.chain.setBaseFee(ethers.parseUnits('10000', 'gwei'));
+
+    await assert.rejects(
+      executeBuy({ wallet, tokenAddress: env.addresses.token, amountUsd: 5, slippageTolerance: 5, maxGasPrice: 50000 }, env.logger),
+      (error) => error instanceof ValidationError && error.code === ERROR_CODES.INSUFFICIENT_BALANCE
+    );
+    assert.equal(env.balanceOf(env.addresses.token, env.walletAddress), 0n);
+    assert.equal(env.chain.getNonce(env.walletAddress), 0);
+  });
+
+  it('refuses to sign when the network fee is above the configured ceiling', async () => {
+    env.chain.setBaseFee(ethers.parseUnits('10000', 'gwei'));
+
+    await assert.rejects(
+      executeBuy({ wallet, tokenAddress: env.addresses.token, amountUsd: 5, slippageTolerance: 5 }, env.logger),
+      (error) => error.code === ERROR_CODES.GAS_TOO_HIGH
+    );
+    assert.equal(env.chain.getNonce(env.walletAddress), 0);
+  });
+
+  it('simulates without broadcasting in dry-run mode', async () => {
+    env.chain.storageOf(env.addresses.weth).allowances[`${env.walletAddress.toLowerCase()}:${UNISWAP_V3_ROUTER.toLowerCase()}`] = ethers.MaxUint256;
+
+    const result = await executeBuy({
+      wallet,
+      tokenAddress: env.addresses.token,
+      amountUsd: 5,
+      slippageTolerance: 5,
+      dryRun: true
+    }, env.logger);
+
+    assert.equal(result.simulated, true);
+    assert.equal(result.txHash, null);
+    assert.equal(result.simulation.swapSimulated, true);
+    assert.equal(result.output.simulatedTokens, result.output.expectedTokens);
+    assert.equal(env.chain.getNonce(env.walletAddress), 0);
+    assert.equal(env.chain.countRequests('eth_sendRawTransaction'), 0);
+  });
+
+  it('reports a missing approval in dry-run mode', async () => {
+    const result = await executeBuy({
+      wallet,
+      tokenAddress: env.addresses.token,
+      amountUsd: 5,
+      slippageTolerance: 5,
+      dryRun: true
+    }, env.logger);
+
+    assert.equal(result.simulation.approvalRequired, true);
+    assert.equal(result.simulation.swapSimulated, false);
+    assert.equal(env.chain.countRequests('eth_sendRawTransaction'), 0);
+  });
+
+  it('pays with native ETH in one multicall without an approval', async () => {
+    const result = await executeBuy({
+      wallet,
+      tokenAddress: env.addresses.token,
+      amountUsd: 6,
+      slippageTolerance: 5,
+      payment: BUY_PAYMENT_MODES.ETH
+    }, env.logger);
+
+    const swapTx = env.chain.transactions.get(result.txHash).tx;
+    const receipt = env.chain.receipts.get(result.txHash);
+    const gasCost = BigInt(receipt.gasUsed) * BigInt(receipt.effectiveGasPrice) + BigInt(receipt.l1Fee);
+
+    assert.equal(result.payment, BUY_PAYMENT_MODES.ETH);
+    assert.equal(new ethers.Interface(UNISWAP_V3_ROUTER_ABI).parseTransaction({ data: swapTx.data }).name, 'multicall');
+    assert.equal(env.chain.getNonce(env.walletAddress), 1);
+    assert.equal(env.balanceOf(env.addresses.weth, env.walletAddress), ethers.parseEther('1'));
+    assert.equal(env.chain.getBalance(UNISWAP_V3_ROUTER), 0n);
+    assert.equal(env.chain.getBalance(env.walletAddress), ethers.parseEther('1') - ethers.parseEther('0.002') - gasCost);
+    assert.ok(env.balanceOf(env.addresses.token, env.walletAddress) > 0n);
+  });
+
+  it('falls back to native ETH in AUTO mode when WETH is short', async () => {
+    env.chain.storageOf(env.addresses.weth).balances[env.walletAddress.toLowerCase()] = 0n;
+
+    const result = await executeBuy({
+      wallet,
+      tokenAddress: env.addresses.token,
+      amountUsd: 6,
+      slippageTolerance: 5,
+      payment: BUY_PAYMENT_MODES.AUTO
+    }, env.logger);
+
+    assert.equal(result.payment, BUY_PAYMENT_MODES.ETH);
+    assert.ok(env.balanceOf(env.addresses.token, env.walletAddress) > 0n);
+  });
+
+  it('uses WETH in AUTO mode when the balance covers the trade', async () => {
+    const result = await executeBuy({
+      wallet,
+      tokenAddress: env.addresses.token,
+      amountUsd: 6,
+      slippageTolerance: 5,
+      payment: BUY_PAYMENT_MODES.AUTO
+    }, env.logger);
+
+    assert.equal(result.payment, BUY_PAYMENT_MODES.WETH);
+    assert.equal(env.balanceOf(env.addresses.weth, env.walletAddress), ethers.parseEther('0.998'));
+  });
+
+  it('requires ETH for both the amount and gas when paying with ETH', async () => {
+    await assert.rejects(
+      executeBuy({
+        wallet,
+        tokenAddress: env.addresses.token,
+        amountUsd: 3000,
+        slippageTolerance: 5,
+        payment: BUY_PAYMENT_MODES.ETH
+      }, env.logger),
+      (error) => error instanceof ValidationError && error.code === ERROR_CODES.INSUFFICIENT_BALANCE
+    );
+    assert.equal(env.chain.getNonce(env.walletAddress), 0);
+  });
+});
+
+describe('executeSell', () => {
+  let env;
+  let wallet;
+
+  beforeEach(async () => {
+    env = await createTestEnvironment();
+    ({ wallet } = await env.connect());
+  });
+
+  afterEach(async () => {
+    await env.close();
+  });
+
+  it('skips when there is nothing to sell', async () => {
+    const result = await executeSell({ wallet, tokenAddress: env.addresses.token, slippageTolerance: 5 }, env.logger);
+
+    assert.equal(result.skipped, true);
+    assert.equal(env.chain.getNonce(env.walletAddress), 0);
+  });
+
+  it('sells the whole token balance for WETH', async () => {
+    env.mint(env.addresses.token, env.walletAddress, ethers.parseEther('500'));
+
+    const result = await executeSell({ wallet, tokenAddress: env.addresses.token, slippageTolerance: 5 }, env.logger);
+
+    assert.equal(result.success, true);
+    assert.equal(result.input.tokenAmount, '500.0');
+    assert.equal(env.balanceOf(env.addresses.token, env.walletAddress), 0n);
+    assert.ok(env.balanceOf(env.addresses.weth, env.walletAddress) > ethers.parseEther('1'));
+  });
+
+  it('reports the actual WETH received', async () => {
+    env.mint(env.addresses.token, env.walletAddress, ethers.parseEther('500'));
+    const wethBefore = env.balanceOf(env.addresses.weth, env.walletAddress);
+
+    const result = await executeSell({ wallet, tokenAddress: env.addresses.token, slippageTolerance: 5 }, env.logger);
+
+    const wethAfter = env.balanceOf(env.addresses.weth, env.walletAddress);
+    assert.equal(result.settlement, SELL_SETTLEMENT_MODES.WETH);
+    assert.equal(result.output.ethReceived, ethers.formatEther(wethAfter - wethBefore));
+    assert.equal(result.output.ethReceived, result.output.expectedEth);
+    assert.equal(result.output.actualAmountOut, result.output.ethReceived);
+    assert.equal(result.output.realizedSlippageBps, 0);
+  });
+
+  it('unwraps to native ETH in one multicall when settling in ETH', async () => {
+    env.mint(env.addresses.token, env.walletAddress, ethers.parseEther('500'));
+    const wethBefore = env.balanceOf(env.addresses.weth, env.walletAddress);
+    // Every transaction also pays an L1 data fee, which the ETH received must not absorb
+    env.chain.state.l1Fee = 200000000n;
+
+    const result = await executeSell({
+      wallet,
+      tokenAddress: env.addresses.token,
+      slippageTolerance: 5,
+      settlement: SELL_SETTLEMENT_MODES.ETH
+    }, env.logger);
+
+    const swapTx = env.chain.transactions.get(result.txHash).tx;
+    const receipt = env.chain.receipts.get(result.txHash);
+    const gasCost = BigInt(receipt.gasUsed) * BigInt(receipt.effectiveGasPrice) + BigInt(receipt.l1Fee);
+
+    assert.equal(new ethers.Interface(UNISWAP_V3_ROUTER_ABI).parseTransaction({ data: swapTx.data }).name, 'multicall');
+    assert.equal(env.balanceOf(env.addresses.weth, env.walletAddress), wethBefore);
+    assert.equal(env.balanceOf(env.addresses.weth, UNISWAP_V3_ROUTER), 0n);
+    assert.equal(result.output.ethReceived, result.output.expectedEth);
+    assert.equal(result.output.gasFeePaid, ethers.formatEther(gasCost));
+    assert.ok(ethers.parseEther(result.output.estimatedGasCostEth) >= gasCost);
+
+    // Approval + swap gas and L1 data fees are the only other ETH movements
+    const totalGasCost = [...env.chain.receipts.values()]
+      .reduce((sum, r) => sum + BigInt(r.gasUsed) * BigInt(r.effectiveGasPrice) + BigInt(r.l1Fee), 0n);
+    assert.equal(
+      env.chain.getBalance(env.walletAddress),
+      ethers.parseEther('1') - totalGasCost + ethers.parseEther(result.output.ethReceived)
+    );
+  });
+
+  it('rejects a native-ETH sell past the multicall deadline', async () => {
+    env.mint(env.addresses.token, env.walletAddress, ethers.parseEther('500'));
+    env.chain.state.timeOffset = 3600;
+
+    await assert.rejects(
+      executeSell({
+        wallet,
+        tokenAddress: env.addresses.token,
+        slippageTolerance: 5,
+        settlement: SELL_SETTLEMENT_MODES.ETH
+      }, env.logger),
+      /Transaction too old/
+    );
+  });
+
+  it('simulates a sell without broadcasting in dry-run mode', async () => {
+    env.mint(env.addresses.token, env.walletAddress, ethers.parseEther('500'));
+
+    const result = await executeSell({
+      wallet,
+      tokenAddress: env.addresses.token,
+      slippageTolerance: 5,
+      dryRun: true
+    }, env.logger);
+
+    assert.equal(result.simulated, true);
+    assert.equal(result.simulation.approvalRequired, true);
+    assert.equal(env.balanceOf(env.addresses.token, env.walletAddress), ethers.parseEther('500'));
+    assert.equal(env.chain.countRequests('eth_sendRawTransaction'), 0);
+  });
+
+  it('sells a percentage of the balance in several swaps with one approval', async () => {
+    env.mint(env.addresses.token, env.walletAddress, ethers.parseEther('500'));
+
+    const result = await executeSell({
+      wallet,
+      tokenAddress: env.addresses.token,
+      slippageTolerance: 5,
+      sizing: { mode: SELL_MODES.PERCENT, percent: 40 },
+      chunks: 2,
+      chunkDelaySeconds: 0
+    }, env.logger);
+
+    assert.equal(result.success, true);
+    assert.equal(result.chunks.length, 2);
+    assert.deepEqual(result.chunks.map((chunk) => chunk.input.tokenAmount), ['100.0', '100.0']);
+    assert.equal(result.input.tokenAmount, '200.0');
+    assert.equal(env.balanceOf(env.addresses.token, env.walletAddress), ethers.parseEther('300'));
+    // One approval covering both swaps, then the swaps
+    assert.equal(env.chain.getNonce(env.walletAddress), 3);
+    assert.equal(
+      result.output.ethReceived,
+      ethers.formatEther(result.chunks.reduce((sum, chunk) => sum + ethers.parseEther(chunk.output.ethReceived), 0n))
+    );
+  });
+
+  it('refuses a taxed sell, which an exact-input pool would revert', async () => {
+    env.mint(env.addresses.token, env.walletAddress, ethers.parseEther('500'));
+    env.chain.storageOf(env.addresses.token).transferTaxBps = 1000;
+    const sell = (transferTaxBps) => executeSell({
+      wallet,
+      tokenAddress: env.addresses.token,
+      slippageTolerance: 5,
+      transferTaxBps
+    }, env.logger);
+
+    await assert.rejects(
+      sell(1000),
+      (error) => error instanceof ValidationError &&
+        error.code === ERROR_CODES.TRANSFER_TAX_UNSUPPORTED &&
+        error.details.transferTaxBps === 1000
+    );
+    assert.equal(env.chain.getNonce(env.walletAddress), 0);
+
+    // An unmeasured tax is refused the same way
+    await assert.rejects(sell(null), (error) => error.code === ERROR_CODES.TRANSFER_TAX_UNSUPPORTED);
+    assert.equal(env.chain.getNonce(env.walletAddress), 0);
+
+    // A sell told there is no tax gets as far as the swap, where the pool receives less than it is told
+    await assert.rejects(sell(0), /IIA/);
+    assert.equal(env.balanceOf(env.addresses.token, env.walletAddress), ethers.parseEther('500'));
+  });
+
+  it('skips when the position is already below the target value', async () => {
+    env.mint(env.addresses.token, env.walletAddress, ethers.parseEther('500'));
+
+    const result = await executeSell({
+      wallet,
+      tokenAddress: env.addresses.token,
+      slippageTolerance: 5,
+      sizing: { mode: SELL_MODES.TARGET_USD, targetUsd: 1e9 }
+    }, env.logger);
+
+    assert.equal(result.skipped, true);
+    assert.match(result.reason, /at or below the \$1000000000 target/);
+    assert.equal(env.chain.getNonce(env.walletAddress), 0);
+  });
+});
+
+describe('signature approvals', () => {
+  let env;
+  let wallet;
+
+  afterEach(async () => {
+    await env.close();
+  });
+
+  /**
+   * Starts an environment holding 500 tokens
+   */
+  async function setup(options = {}) {
+    env = await createTestEnvironment(options);
+    env.mint(env.addresses.token, env.walletAddress, ethers.parseEther('500'));
+    ({ wallet } = await env.connect());
+  }
+
+  /**
+   * Approves Permit2 for a token directly in mock storage
+   */
+  function approvePermit2(token) {
+    env.chain.storageOf(token).allowances[`${env.walletAddress.toLowerCase()}:${PERMIT2_ADDRESS.toLowerCase()}`] = ethers.MaxUint256;
+  }
+
+  /**
+   * Reads the wallet's Permit2 allowance to the Universal Router from mock storage
+   */
+  function permit2AllowanceOf(token) {
+    return env.chain.storageOf(env.addresses.permit2).allowances[
+      `${env.walletAddress.toLowerCase()}:${token.toLowerCase()}:${UNIVERSAL_ROUTER.toLowerCase()}`
+    ];
+  }
+
+  it('sells a permit token in one transaction', async () => {
+    await setup({ tokenPermit: true });
+
+    const result = await executeSell({ wallet, tokenAddress: env.addresses.token, slippageTolerance: 5 }, env.logger);
+
+    assert.equal(result.approvalMethod, APPROVAL_METHODS.PERMIT);
+    assert.equal(env.chain.getNonce(env.walletAddress), 1);
+    assert.equal(env.balanceOf(env.addresses.token, env.walletAddress), 0n);
+    assert.equal(result.output.ethReceived, result.output.expectedEth);
+    assert.equal(env.allowanceOf(env.addresses.token, env.walletAddress, UNISWAP_V3_ROUTER), 0n);
+    assert.equal(env.chain.storageOf(env.addresses.token).nonces[env.walletAddress.toLowerCase()], 1n);
+  });
+
+  it('simulates a permit sell in dry-run mode without an approval', async () => {
+    await setup({ tokenPermit: true });
+
+    const result = await executeSell({ wallet, tokenAddress: env.addresses.token, slippageTolerance: 5, dryRun: true }, env.logger);
+
+    assert.equal(result.approvalMethod, APPROVAL_METHODS.PERMIT);
+    assert.equal(result.simulation.approvalRequired, false);
+    assert.equal(result.simulation.swapSimulated, true);
+    assert.equal(result.output.simulatedEth, result.output.expectedEth);
+    assert.equal(env.chain.getNonce(env.walletAddress), 0);
+  });
+
+  it('sends an approve transaction for a permit token under APPROVE', async () => {
+    await setup({ tokenPermit: true });
+
+    const result = await executeSell({
+      wallet,
+      tokenAddress: env.addresses.token,
+      slippageTolerance: 5,
+      approvalMethod: APPROVAL_METHODS.APPROVE
+    }, env.logger);
+
+    assert.equal(result.approvalMethod, APPROVAL_METHODS.APPROVE);
+    assert.equal(env.chain.getNonce(env.walletAddress), 2);
+  });
+
+  it('buys through the Universal Router with a Permit2 signature', async () => {
+    await setup();
+    approvePermit2(env.addresses.weth);
+
+    const result = await executeBuy({ wallet, tokenAddress: env.addresses.token, amountUsd: 6, slippageTolerance: 5 }, env.logger);
+
+    assert.equal(result.approvalMethod, APPROVAL_METHODS.PERMIT2);
+    assert.equal(env.chain.getNonce(env.walletAddress), 1);
+    assert.equal(result.output.actualAmountIn, '0.002');
+    assert.equal(env.balanceOf(env.addresses.weth, env.walletAddress), ethers.parseEther('0.998'));
+    assert.equal(permit2AllowanceOf(env.addresses.weth).amount, 0n);
+  });
+
+  it('signs one Permit2 permit for every swap of a split sell settled in ETH', async () => {
+    await setup();
+    approvePermit2(env.addresses.token);
+    const ethBefore = env.chain.getBalance(env.walletAddress);
+
+    const result = await executeSell({
+      wallet,
+      tokenAddress: env.addresses.token,
+      slippageTolerance: 5,
+      settlement: SELL_SETTLEMENT_MODES.ETH,
+      sizing: { mode: SELL_MODES.PERCENT, percent: 40 },
+      chunks: 2,
+      chunkDelaySeconds: 0
+    }, env.logger);
+
+    assert.equal(result.success, true);
+    assert.equal(result.approvalMethod, APPROVAL_METHODS.PERMIT2);
+    assert.deepEqual(result.chunks.map((chunk) => chunk.approvalMethod), [APPROVAL_METHODS.PERMIT2, APPROVAL_METHODS.PERMIT2]);
+    // Two swaps, no approval; the second swap spends what is left of the first permit
+    assert.equal(env.chain.getNonce(env.walletAddress), 2);
+    assert.equal(permit2AllowanceOf(env.addresses.token).nonce, 1n);
+    assert.equal(permit2AllowanceOf(env.addresses.token).amount, 0n);
+    assert.equal(env.balanceOf(env.addresses.token, env.walletAddress), ethers.parseEther('300'));
+    assert.ok(env.chain.getBalance(env.walletAddress) > ethBefore);
+    assert.ok(Number(result.output.ethReceived) > 0.019);
+  });
+
+  it('approves Permit2 first when PERMIT2 is forced', async () => {
+    await setup();
+
+    const result = await executeSell({
+      wallet,
+      tokenAddress: env.addresses.token,
+      slippageTolerance: 5,
+      approvalMethod: APPROVAL_METHODS.PERMIT2,
+      approvalPolicy: APPROVAL_POLICIES.UNLIMITED
+    }, env.logger);
+
+    assert.equal(result.approvalMethod, APPROVAL_METHODS.PERMIT2);
+    assert.equal(env.chain.getNonce(env.walletAddress), 2);
+    assert.equal(env.allowanceOf(env.addresses.token, env.walletAddress, PERMIT2_ADDRESS), ethers.MaxUint256);
+    assert.equal(env.allowanceOf(env.addresses.token, env.walletAddress, UNISWAP_V3_ROUTER), 0n);
+  });
+
+  it('grants only Permit2 and a signed allowance under the PERMIT2 policy', async () => {
+    await setup();
+
+    const result = await executeSell({
+      wallet,
+      tokenAddress: env.addresses.token,
+      slippageTolerance: 5,
+      approvalPolicy: APPROVAL_POLICIES.PERMIT2
+    }, env.logger);
+
+    assert.equal(result.approvalMethod, APPROVAL_METHODS.PERMIT2);
+    assert.equal(env.allowanceOf(env.addresses.token, env.walletAddress, PERMIT2_ADDRESS), ethers.MaxUint256);
+    assert.equal(env.allowanceOf(env.addresses.token, env.walletAddress, UNISWAP_V3_ROUTER), 0n);
+    assert.equal(permit2AllowanceOf(env.addresses.token).amount, 0n);
+    assert.ok(permit2AllowanceOf(env.addresses.token).expiration > BigInt(env.chain.now()));
+  });
+});
+
+describe('calculateSellAmount', () => {
+  const balance = ethers.parseUnits('1000', 6);
+
+  it('sizes each sell mode', () => {
+    assert.equal(calculateSellAmount(balance, { mode: SELL_MODES.ALL }, { decimals: 6 }), balance);
+    assert.equal(calculateSellAmount(balance, { mode: SELL_MODES.AMOUNT, amount: 12.5 }, { decimals: 6 }), 12_500_000n);
+    assert.equal(calculateSellAmount(balance, { mode: SELL_MODES.PERCENT, percent: 33.33 }, { decimals: 6 }), 333_300_000n);
+    assert.equal(
+      calculateSellAmount(balance, { mode: SELL_MODES.TARGET_USD, targetUsd: 150 }, { decimals: 6, balanceUsd: 200 }),
+      250_000_000n
+    );
+    assert.equal(calculateSellAmount(balance, { mode: SELL_MODES.TARGET_USD, targetUsd: 250 }, { decimals: 6, balanceUsd: 200 }), 0n);
+  });
+
+  it('rejects fixed amounts above the balance or beyond the token decimals', () => {
+    assert.throws(
+      () => calculateSellAmount(balance, { mode: SELL_MODES.AMOUNT, amount: 1001 }, { decimals: 6 }),
+      (error) => error instanceof ValidationError && error.code === ERROR_CODES.INSUFFICIENT_BALANCE
+    );
+    assert.throws(
+      () => calculateSellAmount(balance, { mode: SELL_MODES.AMOUNT, amount: 0.0000001 }, { decimals: 6 }),
+      (error) => error.code === ERROR_CODES.INVALID_CONFIG
+    );
+  });
+});
+
+describe('calculateApprovalAmount', () => {
+  const required = ethers.parseEther('0.002');
+
+  it('approves the exact, capped or unlimited amount', () => {
+    assert.equal(calculateApprovalAmount(required, APPROVAL_POLICIES.EXACT), required);
+    assert.equal(calculateApprovalAmount(required, APPROVAL_POLICIES.UNLIMITED), ethers.MaxUint256);
+    assert.equal(
+      calculateApprovalAmount(required, APPROVAL_POLICIES.CAPPED, { referenceAmount: required, referenceUsd: 6, capUsd: 100 }),
+      ethers.parseEther('0.1') / 3n
+    );
+  });
+
+  it('never approves less than the trade needs', () => {
+    assert.equal(
+      calculateApprovalAmount(required, APPROVAL_POLICIES.CAPPED, { referenceAmount: required, referenceUsd: 600, capUsd: 100 }),
+      required
+    );
+    assert.equal(calculateApprovalAmount(required, APPROVAL_POLICIES.CAPPED, { referenceAmount: required }), required);
+  });
+});
+
+describe('splitSellAmount', () => {
+  it('gives the rounding remainder to the last swap', () => {
+    assert.deepEqual(splitSellAmount(10n, 3), [3n, 3n, 4n]);
+    assert.deepEqual(splitSellAmount(10n, 1), [10n]);
+  });
+
+  it('never produces empty swaps', () => {
+    assert.deepEqual(splitSellAmount(2n, 5), [1n, 1n]);
+  });
+});
+
+describe('multi-hop trades', () => {
+  let env;
+  let wallet;
+
+  beforeEach(async () => {
+    // Liquidity only exists against USDC, so every trade must route WETH <-> USDC <-> TEST
+    env = await createTestEnvironment({ withDefaultPool: false });
+    ({ wallet } = await env.connect());
+
+    const { weth, token, usdc } = env.addresses;
+    env.createPool({ tokenA: weth, tokenB: usdc, fee: 500, reserveA: ethers.parseEther('100'), reserveB: ethers.parseUnits('300000', 6) });
+    env.createPool({ tokenA: token, tokenB: usdc, fee: 3000, reserveA: ethers.parseEther('1000000'), reserveB: ethers.parseUnits('300000', 6) });
+  });
+
+  afterEach(async () => {
+    await env.close();
+  });
+
+  it('buys through USDC with exactInput', async () => {
+    const { weth, token, usdc } = env.addresses;
+
+    const result = await executeBuy({ wallet, tokenAddress: token, amountUsd: 6, slippageTolerance: 5 }, env.logger);
+
+    const swapTx = env.chain.transactions.get(result.txHash).tx;
+    assert.equal(new ethers.Interface(UNISWAP_V3_ROUTER_ABI).parseTransaction({ data: swapTx.data }).name, 'exactInput');
+    assert.deepEqual(result.route.tokens, [weth, usdc, token]);
+    assert.equal(result.poolFee, '0.05% → 0.3%');
+    assert.equal(env.balanceOf(usdc, UNISWAP_V3_ROUTER), 0n);
+    assert.equal(result.output.newTokenBalance, result.output.expectedTokens);
+  });
+
+  it('sells through USDC and unwraps to native ETH in one multicall', async () => {
+    env.mint(env.addresses.token, env.walletAddress, ethers.parseEther('500'));
+
+    const result = await executeSell({
+      wallet,
+      tokenAddress: env.addresses.token,
+      slippageTolerance: 5,
+      settlement: SELL_SETTLEMENT_MODES.ETH
+    }, env.logger);
+
+    assert.equal(result.route.hops, 2);
+    assert.equal(result.output.ethReceived, result.output.expectedEth);
+    assert.equal(env.balanceOf(env.addresses.token, env.walletAddress), 0n);
+    assert.equal(env.balanceOf(env.addresses.weth, UNISWAP_V3_ROUTER), 0n);
+  });
+
+  it('fails with NO_LIQUIDITY when multi-hop routing is disabled', async () => {
+    await assert.rejects(
+      executeBuy({ wallet, tokenAddress: env.addresses.token, amountUsd: 6, slippageTolerance: 5, intermediaries: [] }, env.logger),
+      (error) => error instanceof BlockchainError && error.code === ERROR_CODES.NO_LIQUIDITY
+    );
+  });
+});
@@ -0,0 +1,144 @@
+/**
+ * @fileoverview Stuck transaction speed-up and cancel tests against the in-process mock chain
+ *
+ * Run with: npm test
+ */
+
+import { describe, it, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { ethers } from 'ethers';
+import { bumpFees, createTransactionManager } from '../services/transactions.js';
+import { sendTransaction, BlockchainError } from '../services/blockchain.js';
+import { ValidationError } from '../utils/validation.js';
+import { ERROR_CODES, ERC20_ABI, UNISWAP_V3_ROUTER } from '../config/constants.js';
+import { createTestEnvironment } from './harness/fixtures.js';
+
+const gwei = (value) => ethers.parseUnits(value, 'gwei');
+
+describe('bumpFees', () => {
+  const previous = { maxFeePerGas: gwei('1'), maxPriorityFeePerGas: gwei('0.1') };
+
+  it('raises both fee fields by the bump percentage', () => {
+    const fees = bumpFees(previous, { maxFeePerGas: 0n, maxPriorityFeePerGas: 0n }, { bumpPercent: 15 });
+
+    assert.equal(fees.maxFeePerGas, gwei('1.15'));
+    assert.equal(fees.maxPriorityFeePerGas, gwei('0.115'));
+  });
+
+  it('follows the market when it moved further than the bump', () => {
+    const fees = bumpFees(previous, { maxFeePerGas: gwei('3'), maxPriorityFeePerGas: gwei('0.5') });
+
+    assert.equal(fees.maxFeePerGas, gwei('3'));
+    assert.equal(fees.maxPriorityFeePerGas, gwei('0.5'));
+  });
+
+  it('refuses a replacement above the ceiling', () => {
+    assert.throws(
+      () => bumpFees(previous, previous, { maxGasPriceGwei: 1.1 }),
+      (error) => error instanceof ValidationError && error.code === ERROR_CODES.GAS_TOO_HIGH
+    );
+  });
+});
+
+describe('createTransactionManager', () => {
+  let env;
+  let wallet;
+  let logger;
+
+  beforeEach(async () => {
+    env = await createTestEnvironment();
+    ({ wallet } = await env.connect());
+    env.chain.setAutomine(false);
+
+    // Mines the mempool as soon as a replacement of the given kind has been broadcast
+    logger = {
+      ...env.logger,
+      mineOn: null,
+      logTransaction(txHash, details) {
+        env.logger.logTransaction(txHash, details);
+        if (details.type === logger.mineOn) {
+          env.chain.mine();
+        }
+      }
+    };
+  });
+
+  afterEach(async () => {
+    await env.close();
+  });
+
+  /**
+   * Broadcasts a WETH approval that stays in the mempool
+   */
+  async function sendStuckApproval() {
+    const weth = new ethers.Contract(env.addresses.weth, ERC20_ABI, wallet);
+    const { tx } = await sendTransaction(
+      wallet,
+      await weth.approve.populateTransaction(UNISWAP_V3_ROUTER, 1n),
+      logger,
+      'Stuck approval'
+    );
+    return tx;
+  }
+
+  it('speeds up a stuck transaction with bumped fees', async () => {
+    const tx = await sendStuckApproval();
+    logger.mineOn = 'SPEED_UP';
+
+    const manager = createTransactionManager(wallet, logger, { stuckTimeoutMs: 50, pollIntervalMs: 10 });
+    const receipt = await manager.waitForReceipt(tx);
+
+    const [replacement] = env.logger.entries.filter((entry) => entry.level === 'transaction');
+    assert.equal(replacement.meta.type, 'SPEED_UP');
+    assert.equal(replacement.meta.replaces, tx.hash);
+    assert.equal(replacement.meta.nonce, tx.nonce);
+    assert.equal(receipt.hash, replacement.message);
+    assert.equal(receipt.status, 1);
+
+    const mined = env.chain.transactions.get(receipt.hash).tx;
+    assert.ok(mined.maxFeePerGas * 100n >= tx.maxFeePerGas * 115n);
+    assert.ok(mined.maxPriorityFeePerGas * 100n >= tx.maxPriorityFeePerGas * 115n);
+    assert.equal(env.chain.receipts.has(tx.hash), false);
+    assert.equal(env.allowanceOf(env.addresses.weth, env.walletAddress, UNISWAP_V3_ROUTER), 1n);
+    assert.deepEqual(manager.getPending(), []);
+  });
+
+  it('cancels the nonce with a zero-value self-transfer once speed-ups are exhausted', async () => {
+    const tx = await sendStuckApproval();
+    logger.mineOn = 'CANCEL';
+
+    const manager = createTransactionManager(wallet, logger, { stuckTimeoutMs: 50, pollIntervalMs: 10, maxReplacements: 1 });
+
+    await assert.rejects(
+      manager.waitForReceipt(tx),
+      (error) => error instanceof BlockchainError && error.code === ERROR_CODES.TX_FAILED && error.details.replaced.length === 3
+    );
+
+    const types = env.logger.entries.filter((entry) => entry.level === 'transaction').map((entry) => entry.meta.type);
+    assert.deepEqual(types, ['SPEED_UP', 'CANCEL']);
+
+    const cancel = env.chain.transactions.get(env.chain.blocks.at(-1).transactions[0]).tx;
+    assert.equal(cancel.to, env.walletAddress);
+    assert.equal(cancel.value, 0n);
+    assert.equal(cancel.nonce, tx.nonce);
+    assert.equal(env.chain.getNonce(env.walletAddress), 1);
+    assert.equal(env.allowanceOf(env.addresses.weth, env.walletAddress, UNISWAP_V3_ROUTER), 0n);
+  });
+
+  it('reports a stuck nonce when the replacement would exceed the fee ceiling', async () => {
+    const tx = await sendStuckApproval();
+    const ceilingGwei = Number(ethers.formatUnits(tx.maxFeePerGas, 'gwei'));
+
+    const manager = createTransactionManager(wallet, logger, {
+      stuckTimeoutMs: 50,
+      pollIntervalMs: 10,
+      maxGasPriceGwei: ceilingGwei
+    });
+
+    await assert.rejects(
+      manager.waitForReceipt(tx),
+      (error) => error instanceof BlockchainError && error.code === ERROR_CODES.TX_STUCK && error.details.nonce === tx.nonce
+    );
+    assert.equal(env.chain.getPendingNonce(env.walletAddress), 1);
+  });
+});
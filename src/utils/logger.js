@@ -324,6 +324,20 @@ export function createSessionLogger(correlationId, action) {
   };
 }
 
+/**
+ * Sends console log output of every level to stderr
+ * Used by `--json` so stdout carries nothing but the JSON result
+ */
+export function redirectConsoleToStderr() {
+  const allLevels = Object.fromEntries(Object.keys(logger.levels).map((level) => [level, true]));
+
+  for (const transport of logger.transports) {
+    if (transport instanceof winston.transports.Console) {
+      transport.stderrLevels = allLevels;
+    }
+  }
+}
+
 /**
  * Writes a summary to GitHub Actions step summary
  * @param {string} summary - Markdown formatted summary
@@ -7,7 +7,10 @@ import {
   ETH_ADDRESS_PATTERN, 
   PRIVATE_KEY_PATTERN,
   ERROR_CODES,
-  BASE_CHAIN_ID
+  BASE_CHAIN_ID,
+  CONFIG_SCHEMA,
+  PORTFOLIO_TOKEN_OVERRIDES,
+  SELL_MODE_SETTINGS
 } from '../config/constants.js';
 
 // =============================================================================
@@ -122,15 +125,16 @@ export function validatePrivateKey(privateKey) {
 /**
  * Validates required environment variables
  * @param {string[]} requiredVars - List of required environment variable names
+ * @param {Object} [source=process.env] - Variables to read (e.g. env merged with CLI flags)
  * @returns {Object} Object containing validated environment variables
  * @throws {ValidationError} If any required variable is missing
  */
-export function validateEnvironment(requiredVars) {
+export function validateEnvironment(requiredVars, source = process.env) {
   const missing = [];
   const values = {};
 
   for (const varName of requiredVars) {
-    const value = process.env[varName];
+    const value = source[varName];
     if (!value || value.trim() === '') {
       missing.push(varName);
     } else {
@@ -180,6 +184,44 @@ export function validateNumericRange(value, min, max, fieldName) {
   return num;
 }
 
+/**
+ * Validates that a value is one of a fixed set of options (case-insensitive)
+ * @param {string} value - Value to validate
+ * @param {string[]} allowedValues - Allowed values (upper case)
+ * @param {string} fieldName - Name of the field for error messages
+ * @returns {string} Normalized (upper case) value
+ * @throws {ValidationError} If value is not one of the allowed options
+ */
+export function validateOption(value, allowedValues, fieldName) {
+  const normalized = String(value ?? '').trim().toUpperCase();
+
+  if (!allowedValues.includes(normalized)) {
+    throw new ValidationError(
+      `${fieldName} must be one of: ${allowedValues.join(', ')}`,
+      ERROR_CODES.INVALID_CONFIG,
+      { field: fieldName, received: value, allowed: allowedValues }
+    );
+  }
+
+  return normalized;
+}
+
+/**
+ * Validates a comma-separated list of addresses
+ * @param {string|string[]} value - Comma-separated string or array of addresses
+ * @param {string} fieldName - Name of the field for error messages
+ * @returns {string[]} Trimmed addresses (empty entries dropped)
+ * @throws {ValidationError} If any entry is not a valid address
+ */
+export function validateAddressList(value, fieldName) {
+  const entries = Array.isArray(value) ? value : String(value ?? '').split(',');
+
+  return entries
+    .map((entry) => String(entry).trim())
+    .filter((entry) => entry.length > 0)
+    .map((entry, index) => validateAddress(entry, `${fieldName}[${index}]`));
+}
+
 /**
  * Validates the network chain ID
  * @param {number} chainId - Chain ID to validate
@@ -234,6 +276,79 @@ export function validateGasPrice(gasPrice, maxGwei) {
   }
 }
 
+/**
+ * Validates price impact against the configured ceiling
+ * @param {number} impactBps - Price impact in basis points
+ * @param {number} maxBps - Maximum allowed impact in basis points
+ * @throws {ValidationError} If price impact is too high
+ */
+export function validatePriceImpact(impactBps, maxBps) {
+  if (impactBps > maxBps) {
+    throw new ValidationError(
+      `Price impact too high: ${(impactBps / 100).toFixed(2)}% (max: ${(maxBps / 100).toFixed(2)}%)`,
+      ERROR_CODES.PRICE_IMPACT_TOO_HIGH,
+      { current: impactBps, max: maxBps }
+    );
+  }
+}
+
+/**
+ * Validates a quote's deviation from the TWAP of its pools against the configured band
+ * @param {number} deviationBps - Deviation of the quoted execution price in basis points
+ * @param {number} maxBps - Maximum allowed deviation in basis points
+ * @param {number} twapSeconds - TWAP window in seconds
+ * @throws {ValidationError} If the quote is outside the band (SLIPPAGE_EXCEEDED)
+ */
+export function validateTwapDeviation(deviationBps, maxBps, twapSeconds) {
+  if (deviationBps > maxBps) {
+    throw new ValidationError(
+      `Quoted price deviates ${(deviationBps / 100).toFixed(2)}% from the ${twapSeconds / 60}-minute pool TWAP (max: ${(maxBps / 100).toFixed(2)}%)`,
+      ERROR_CODES.SLIPPAGE_EXCEEDED,
+      { current: deviationBps, max: maxBps, twapSeconds }
+    );
+  }
+}
+
+/**
+ * Validates that a quote could be checked against the pool TWAP
+ * @param {Object} twapCheck - Result of calculateTwapDeviation
+ * @param {boolean} allowMissing - Trade without the check when a pool has no TWAP (ALLOW_MISSING_TWAP)
+ * @throws {ValidationError} If the check could not run and that is not allowed
+ */
+export function validateTwapAvailable(twapCheck, allowMissing) {
+  if (!twapCheck.checked && !allowMissing) {
+    throw new ValidationError(
+      `Cannot check the quote against the ${twapCheck.twapSeconds / 60}-minute pool TWAP: ${twapCheck.reason} (set ALLOW_MISSING_TWAP=true to trade without it)`,
+      ERROR_CODES.TWAP_UNAVAILABLE,
+      { twapSeconds: twapCheck.twapSeconds, reason: twapCheck.reason }
+    );
+  }
+}
+
+/**
+ * Validates that a token can be sold through Uniswap V3 pools, which revert (IIA) when a
+ * fee-on-transfer token delivers less than the swap's input amount
+ * @param {number|null} transferTaxBps - Tax the token takes from a transfer to its pool (null = could not be measured)
+ * @param {string} tokenAddress - Token contract address
+ * @throws {ValidationError} If the token taxes the transfer, or the tax could not be measured
+ */
+export function validateSellTransferTax(transferTaxBps, tokenAddress) {
+  if (transferTaxBps === null) {
+    throw new ValidationError(
+      'The tax the token takes on transfers to its pool could not be measured; a taxed sell would revert in the pool, so it is not sent',
+      ERROR_CODES.TRANSFER_TAX_UNSUPPORTED,
+      { tokenAddress, transferTaxBps }
+    );
+  }
+  if (transferTaxBps > 0) {
+    throw new ValidationError(
+      `Token takes a ~${(transferTaxBps / 100).toFixed(2)}% tax on transfers to its pool; Uniswap V3 pools revert when the input arrives short, so it cannot be sold through them`,
+      ERROR_CODES.TRANSFER_TAX_UNSUPPORTED,
+      { tokenAddress, transferTaxBps }
+    );
+  }
+}
+
 /**
  * Sanitizes a string for safe logging (removes potential injection)
  * @param {string} input - Input string to sanitize
@@ -251,34 +366,200 @@ export function sanitizeForLogging(input, maxLength = 100) {
     .substring(0, maxLength);
 }
 
+/**
+ * Checks whether a configuration value counts as unset (empty CI variables are unset)
+ * @param {any} value - Raw value
+ * @returns {boolean} True for undefined, null and blank strings
+ */
+export function isUnset(value) {
+  return value === undefined || value === null || (typeof value === 'string' && value.trim() === '');
+}
+
+/**
+ * Validates one configuration value against its CONFIG_SCHEMA entry
+ * @param {any} value - Raw value (string from the environment/flags, any JSON type from a file)
+ * @param {Object} field - Schema entry
+ * @returns {any} Typed value
+ * @throws {ValidationError} If the value does not match the schema
+ */
+export function validateConfigValue(value, field) {
+  const name = field.env;
+
+  switch (field.type) {
+    case 'privateKey':
+      return validatePrivateKey(value);
+    case 'address':
+      return validateAddress(value, name);
+    case 'url':
+    case 'string':
+      return String(value).trim();
+    case 'number': {
+      const number = validateNumericRange(value, field.min ?? -Infinity, field.max ?? Infinity, name);
+      if (field.integer && !Number.isInteger(number)) {
+        throw new ValidationError(`${name} must be a whole number`, ERROR_CODES.INVALID_CONFIG, { field: name, received: value });
+      }
+      return number;
+    }
+    case 'boolean':
+      return value === true || String(value).trim().toLowerCase() === 'true';
+    case 'option':
+      return validateOption(value, field.options, name);
+    case 'addressList':
+      return String(value).trim().toLowerCase() === 'none' ? [] : validateAddressList(value, name);
+    case 'portfolio':
+      return validatePortfolio(value, name);
+    case 'numberList': {
+      const entries = (Array.isArray(value) ? value : String(value).split(','))
+        .map((entry) => String(entry).trim())
+        .filter((entry) => entry.length > 0);
+      if (entries.length === 0) {
+        throw new ValidationError(`${name} must list at least one value`, ERROR_CODES.INVALID_CONFIG, { field: name });
+      }
+      return entries.map((entry, index) => validateNumericRange(entry, field.min, field.max, `${name}[${index}]`));
+    }
+    default:
+      throw new ValidationError(`Unknown configuration type for ${name}: ${field.type}`, ERROR_CODES.INVALID_CONFIG, { field: name });
+  }
+}
+
+/**
+ * Validates a token portfolio (see PORTFOLIO_TOKEN_OVERRIDES)
+ * @param {Array<Object>|string} value - Token entries, or a JSON array from the environment
+ * @param {string} fieldName - Name reported in validation errors
+ * @returns {Array<{address: string, enabled: boolean}>} Token entries with their validated overrides
+ * @throws {ValidationError} If the portfolio is empty, an entry is malformed or an address repeats
+ */
+export function validatePortfolio(value, fieldName) {
+  let entries = value;
+  if (typeof value === 'string') {
+    try {
+      entries = JSON.parse(value);
+    } catch {
+      throw new ValidationError(`${fieldName} must be a JSON array of tokens`, ERROR_CODES.INVALID_CONFIG, { field: fieldName });
+    }
+  }
+
+  if (!Array.isArray(entries) || entries.length === 0) {
+    throw new ValidationError(`${fieldName} must list at least one token`, ERROR_CODES.INVALID_CONFIG, { field: fieldName });
+  }
+
+  const allowed = ['address', 'enabled', ...PORTFOLIO_TOKEN_OVERRIDES];
+  const seen = new Set();
+
+  return entries.map((entry, index) => {
+    const name = `${fieldName}[${index}]`;
+    if (!entry || typeof entry !== 'object' || Array.isArray(entry)) {
+      throw new ValidationError(`${name} must be an object with an address`, ERROR_CODES.INVALID_CONFIG, { field: name });
+    }
+
+    const unknown = Object.keys(entry).filter((key) => !allowed.includes(key));
+    if (unknown.length > 0) {
+      throw new ValidationError(
+        `Unknown settings in ${name}: ${unknown.join(', ')}`,
+        ERROR_CODES.INVALID_CONFIG,
+        { field: name, unknown, allowed }
+      );
+    }
+
+    const token = {
+      address: validateAddress(entry.address, `${name}.address`),
+      enabled: isUnset(entry.enabled) ? true : validateConfigValue(entry.enabled, { env: `${name}.enabled`, type: 'boolean' })
+    };
+    for (const key of PORTFOLIO_TOKEN_OVERRIDES) {
+      if (!isUnset(entry[key])) {
+        token[key] = validateConfigValue(entry[key], { ...CONFIG_SCHEMA[key], env: `${name}.${key}` });
+      }
+    }
+
+    if (seen.has(token.address.toLowerCase())) {
+      throw new ValidationError(`${name} repeats token ${token.address}`, ERROR_CODES.INVALID_CONFIG, { field: name });
+    }
+    seen.add(token.address.toLowerCase());
+
+    return token;
+  });
+}
+
+/**
+ * Checks that the setting sizing the sell mode is set (e.g. SELL_PERCENT for PERCENT)
+ * @param {Object} settings - Validated settings (sellMode and the SELL_MODE_SETTINGS values)
+ * @param {string} fieldName - Name of the sell mode setting reported in errors
+ * @throws {ValidationError} If the sizing setting is missing
+ */
+function validateSellSizing(settings, fieldName) {
+  const key = SELL_MODE_SETTINGS[settings.sellMode];
+  if (key && (settings[key] === null || settings[key] === undefined)) {
+    throw new ValidationError(
+      `${CONFIG_SCHEMA[key].env} is required when ${fieldName} is ${settings.sellMode}`,
+      ERROR_CODES.INVALID_CONFIG,
+      { field: fieldName, mode: settings.sellMode }
+    );
+  }
+}
+
 /**
  * Validates the complete configuration for a trade
- * @param {Object} config - Configuration object
- * @returns {Object} Validated configuration
+ * Every CONFIG_SCHEMA setting is validated; unset settings get their schema default.
+ * With a portfolio and no TOKEN_ADDRESS, tokenAddress is the first enabled portfolio token.
+ * @param {Object} config - Configuration object (camelCase schema keys)
+ * @param {Object} [options] - Options
+ * @param {boolean} [options.requireWallet=true] - Require a private key (read-only commands run without one)
+ * @param {boolean} [options.requireRpc=true] - Require an RPC URL (offline commands run without one)
+ * @returns {Object} Validated configuration (privateKey/rpcUrl are null when optional and unset)
  * @throws {ValidationError} If configuration is invalid
  */
-export function validateTradeConfig(config) {
+export function validateTradeConfig(config, { requireWallet = true, requireRpc = true } = {}) {
   const validated = {};
 
-  // Validate private key
-  validated.privateKey = validatePrivateKey(config.privateKey);
-
-  // Validate token address
-  validated.tokenAddress = validateAddress(config.tokenAddress, 'TOKEN_ADDRESS');
+  for (const [key, field] of Object.entries(CONFIG_SCHEMA)) {
+    const value = config[key];
+
+    if (!isUnset(value)) {
+      validated[key] = validateConfigValue(value, field);
+    } else if (field.default !== undefined) {
+      validated[key] = field.default;
+    } else if (field.satisfiedBy && !isUnset(config[field.satisfiedBy])) {
+      validated[key] = null;
+    } else if (field.required === 'always' || (field.required === 'wallet' && requireWallet)) {
+      // Delegate so the error names the setting the same way as an invalid value would
+      validated[key] = validateConfigValue(value, field);
+    } else if (field.required === 'network' && requireRpc) {
+      throw new ValidationError(
+        'RPC URL is required',
+        ERROR_CODES.INVALID_CONFIG,
+        { field: key }
+      );
+    } else {
+      validated[key] = null;
+    }
+  }
 
-  // Validate RPC URL
-  if (!config.rpcUrl || typeof config.rpcUrl !== 'string') {
+  if (validated.minBuyAmountUsd > validated.maxBuyAmountUsd) {
     throw new ValidationError(
-      'RPC URL is required',
+      'MIN_BUY_AMOUNT_USD must not be greater than MAX_BUY_AMOUNT_USD',
       ERROR_CODES.INVALID_CONFIG,
-      { field: 'rpcUrl' }
+      { min: validated.minBuyAmountUsd, max: validated.maxBuyAmountUsd }
     );
   }
-  validated.rpcUrl = config.rpcUrl.trim();
 
-  // Validate optional parameters with defaults
-  validated.slippageTolerance = config.slippageTolerance ?? 5;
-  validated.maxGasPrice = config.maxGasPrice ?? 50;
+  validateSellSizing(validated, 'SELL_MODE');
+
+  for (const [index, token] of (validated.tokens ?? []).entries()) {
+    const min = token.minBuyAmountUsd ?? validated.minBuyAmountUsd;
+    const max = token.maxBuyAmountUsd ?? validated.maxBuyAmountUsd;
+    if (min > max) {
+      throw new ValidationError(
+        `TOKENS[${index}] buy range is empty: minimum $${min} is above maximum $${max}`,
+        ERROR_CODES.INVALID_CONFIG,
+        { token: token.address, min, max }
+      );
+    }
+    validateSellSizing({ ...validated, ...token }, `TOKENS[${index}].sellMode`);
+  }
+
+  if (validated.tokenAddress === null && validated.tokens) {
+    validated.tokenAddress = (validated.tokens.find((token) => token.enabled) ?? validated.tokens[0]).address;
+  }
 
   return validated;
 }